@@ -0,0 +1,308 @@
+#!/usr/bin/env node
+import './webcrypto.js'
+import { readFile, writeFile } from 'node:fs/promises'
+import { parseArgs } from 'node:util'
+import {
+  ALGORITMOS,
+  CURVAS,
+  CURVE_HASH,
+  HASHES,
+  PassphraseError,
+  TAMANOS_RSA,
+  base64ToBuf,
+  bufToBase64,
+  defaultSigningHash,
+  derivePublicKey,
+  describeKey,
+  diagnoseSignatureFailure,
+  exportEncryptedPrivateKeyToPEM,
+  exportPrivateKeyToPEM,
+  exportPublicKeyToPEM,
+  generateKeyPair,
+  importPrivateKeyFromPEM,
+  importPublicKeyFromPEM,
+  pemLabel,
+  signMessage,
+  signatureFileToBase64,
+  verifySignature,
+} from '../src/firma.js'
+import {
+  fingerprintHex,
+  fingerprintText,
+  fingerprintWords,
+  publicKeyFingerprint,
+} from '../src/huella.js'
+import { PKCS8_CIPHERS } from '../src/pbes2.js'
+
+/* ========================= LÍNEA DE ÓRDENES ========================= */
+
+// Usa los mismos formatos que la interfaz: claves PEM (SPKI y PKCS#8, cifrado
+// opcional con PBES2) y firmas en Base64 como `firmaB64` y los .sig que
+// descarga el emisor. Lo que firma una verifica en la otra.
+
+const RSA_SCHEMES = ['RSASSA-PKCS1-v1_5', 'RSA-PSS']
+
+const AYUDA = `Uso:
+  firma keygen [-a ALG] [--bits N] [--curve CURVA] [--hash HASH]
+               [--pass ORIGEN] [--cipher CIFRADO] [-o BASE]
+  firma sign -k PRIVADA.pem [--pass ORIGEN] [--scheme ESQUEMA] [--hash HASH]
+             [-o FIRMA.sig] [ARCHIVO]
+  firma verify -k PUBLICA.pem -s FIRMA.sig [--scheme ESQUEMA] [--hash HASH]
+               [ARCHIVO]
+  firma fingerprint [CLAVE.pem]
+
+  ALG            ${ALGORITMOS.map((alg) => alg.name).join(', ')}
+  ESQUEMA        ${RSA_SCHEMES.join(', ')} (solo claves RSA)
+  CURVA          ${CURVAS.join(', ')}
+  HASH           ${HASHES.join(', ')} (ECDSA: el de la curva por defecto)
+  ORIGEN         env:VARIABLE, file:RUTA o pass:TEXTO; con pass: la frase
+                 se ve en \`ps\` y queda en el historial: solo para pruebas
+  CIFRADO        ${Object.keys(PKCS8_CIPHERS).join(', ')}
+
+keygen escribe BASE.pem (privada) y BASE.pub.pem (pública); BASE por defecto
+es "clave". Sin ARCHIVO o con "-" se lee la entrada estándar: para firmar un
+texto igual que la interfaz usa \`printf %s "texto"\`, sin salto de línea final.
+
+Salida: 0 correcto, 1 firma inválida, 2 error de uso o de entrada.`
+
+const EXIT_INVALID = 1
+const EXIT_ERROR = 2
+
+class UsageError extends Error {}
+
+const OPCIONES = {
+  keygen: {
+    alg: { type: 'string', short: 'a', default: 'RSASSA-PKCS1-v1_5' },
+    bits: { type: 'string', default: '2048' },
+    curve: { type: 'string', default: 'P-256' },
+    hash: { type: 'string' },
+    pass: { type: 'string' },
+    cipher: { type: 'string', default: 'AES-256-CBC' },
+    out: { type: 'string', short: 'o', default: 'clave' },
+  },
+  sign: {
+    key: { type: 'string', short: 'k' },
+    pass: { type: 'string' },
+    scheme: { type: 'string', default: 'RSASSA-PKCS1-v1_5' },
+    hash: { type: 'string' },
+    out: { type: 'string', short: 'o' },
+  },
+  verify: {
+    key: { type: 'string', short: 'k' },
+    signature: { type: 'string', short: 's' },
+    scheme: { type: 'string', default: 'RSASSA-PKCS1-v1_5' },
+    hash: { type: 'string' },
+  },
+  fingerprint: {},
+}
+
+function oneOf(value, allowed, option) {
+  if (!allowed.includes(value))
+    throw new UsageError(
+      `Valor no válido para --${option}: ${value}. Usa ${allowed.join(', ')}.`
+    )
+  return value
+}
+
+function required(value, option) {
+  if (!value) throw new UsageError(`Falta --${option}.`)
+  return value
+}
+
+async function readStdin() {
+  const chunks = []
+  for await (const chunk of process.stdin) chunks.push(chunk)
+  return new Uint8Array(Buffer.concat(chunks))
+}
+
+async function readInput(path) {
+  return path === '-' ? readStdin() : new Uint8Array(await readFile(path))
+}
+
+function singleStdin(...paths) {
+  if (paths.filter((path) => path === '-').length > 1)
+    throw new UsageError('Solo una de las entradas puede llegar por stdin.')
+}
+
+const readText = async (path) => new TextDecoder().decode(await readInput(path))
+
+// Como `-pass` de OpenSSL. Con env: y file: la frase no aparece en la línea
+// de órdenes; con pass:TEXTO sí, y la ve cualquiera con `ps` y queda en el
+// historial de la shell, así que solo sirve donde la seguridad no importa
+async function readPassphrase(source) {
+  if (!source) return undefined
+  const [kind, ...rest] = source.split(':')
+  const value = rest.join(':')
+  if (kind === 'pass') return value
+  if (kind === 'env') {
+    if (process.env[value] === undefined)
+      throw new UsageError(`La variable de entorno ${value} no está definida.`)
+    return process.env[value]
+  }
+  if (kind === 'file') return (await readText(value)).split(/\r?\n/)[0]
+  throw new UsageError('--pass espera env:VARIABLE, file:RUTA o pass:TEXTO.')
+}
+
+async function describeFingerprint(publicKey) {
+  const huella = await publicKeyFingerprint(publicKey)
+  return [
+    fingerprintText(huella),
+    fingerprintHex(huella),
+    fingerprintWords(huella).join(' '),
+  ].join('\n')
+}
+
+async function keygen(values) {
+  const name = oneOf(
+    values.alg,
+    ALGORITMOS.map((alg) => alg.name),
+    'alg'
+  )
+  const namedCurve = oneOf(values.curve, CURVAS, 'curve')
+  const modulusLength = Number(
+    oneOf(values.bits, TAMANOS_RSA.map(String), 'bits')
+  )
+  const hash = oneOf(
+    values.hash || (name === 'ECDSA' ? CURVE_HASH[namedCurve] : 'SHA-256'),
+    HASHES,
+    'hash'
+  )
+  const cipher = oneOf(values.cipher, Object.keys(PKCS8_CIPHERS), 'cipher')
+  const passphrase = await readPassphrase(values.pass)
+
+  const pair = await generateKeyPair({ name, modulusLength, namedCurve, hash })
+  const privatePem = passphrase
+    ? await exportEncryptedPrivateKeyToPEM(pair.privateKey, passphrase, cipher)
+    : await exportPrivateKeyToPEM(pair.privateKey)
+
+  // 'wx' no pisa una clave existente
+  await writeFile(`${values.out}.pem`, privatePem + '\n', {
+    flag: 'wx',
+    mode: 0o600,
+  })
+  await writeFile(
+    `${values.out}.pub.pem`,
+    (await exportPublicKeyToPEM(pair.publicKey)) + '\n',
+    { flag: 'wx' }
+  )
+  console.log(
+    `${describeKey(pair.privateKey)}: ${values.out}.pem, ${values.out}.pub.pem`
+  )
+  console.log(await describeFingerprint(pair.publicKey))
+}
+
+async function sign(values, [file = '-']) {
+  singleStdin(values.key, file)
+  const privateKey = await importPrivateKeyFromPEM(
+    await readText(required(values.key, 'key')),
+    {
+      rsaScheme: oneOf(
+        values.scheme,
+        ['RSASSA-PKCS1-v1_5', 'RSA-PSS'],
+        'scheme'
+      ),
+      hash: oneOf(values.hash || 'SHA-256', HASHES, 'hash'),
+      passphrase: await readPassphrase(values.pass),
+    }
+  )
+  const signature = bufToBase64(
+    await signMessage(
+      privateKey,
+      await readInput(file),
+      defaultSigningHash(privateKey, values.hash)
+    )
+  )
+  if (values.out) await writeFile(values.out, signature)
+  else console.log(signature)
+}
+
+async function verify(values, [file = '-']) {
+  singleStdin(values.key, values.signature, file)
+  const publicKey = await importPublicKeyFromPEM(
+    await readText(required(values.key, 'key')),
+    {
+      rsaScheme: oneOf(
+        values.scheme,
+        ['RSASSA-PKCS1-v1_5', 'RSA-PSS'],
+        'scheme'
+      ),
+      hash: oneOf(values.hash || 'SHA-256', HASHES, 'hash'),
+    }
+  )
+  const signatureB64 = signatureFileToBase64(
+    await readInput(required(values.signature, 'signature'))
+  )
+  const data = await readInput(file)
+  const hash = defaultSigningHash(publicKey, values.hash)
+
+  const valid = await verifySignature(
+    publicKey,
+    base64ToBuf(signatureB64),
+    data,
+    hash
+  ).catch(() => false)
+  if (valid) {
+    console.log(`Firma válida (${describeKey(publicKey)}).`)
+    return 0
+  }
+
+  console.error('Firma inválida.')
+  const hallazgos = await diagnoseSignatureFailure({
+    publicKey,
+    signatureB64,
+    data,
+  }).catch(() => [])
+  for (const { detalle } of hallazgos) console.error(`  ${detalle}`)
+  return EXIT_INVALID
+}
+
+// Acepta la pública (SPKI o PKCS#1) o la privada sin cifrar: de la privada
+// se deriva la pública
+async function fingerprint(values, [file = '-']) {
+  const pem = await readText(file)
+  const publicKey =
+    pemLabel(pem) === 'PUBLIC KEY' || pemLabel(pem) === 'RSA PUBLIC KEY'
+      ? await importPublicKeyFromPEM(pem)
+      : await derivePublicKey(await importPrivateKeyFromPEM(pem))
+  console.log(await describeFingerprint(publicKey))
+}
+
+const ORDENES = { keygen, sign, verify, fingerprint }
+
+async function main(argv) {
+  const [command, ...args] = argv
+  if (command === '-h' || command === '--help') {
+    console.log(AYUDA)
+    return 0
+  }
+  if (!command) {
+    console.error(AYUDA)
+    return EXIT_ERROR
+  }
+  if (!ORDENES[command]) throw new UsageError(`Orden desconocida: ${command}.`)
+
+  let parsed
+  try {
+    parsed = parseArgs({
+      args,
+      options: OPCIONES[command],
+      allowPositionals: true,
+    })
+  } catch (err) {
+    throw new UsageError(err.message)
+  }
+  return (await ORDENES[command](parsed.values, parsed.positionals)) ?? 0
+}
+
+main(process.argv.slice(2)).then(
+  (code) => {
+    process.exitCode = code
+  },
+  (err) => {
+    console.error(`firma: ${err.message || err}`)
+    if (err instanceof UsageError) console.error('Usa "firma --help".')
+    if (err instanceof PassphraseError)
+      console.error('Indica la frase de paso con --pass.')
+    process.exitCode = EXIT_ERROR
+  }
+)
@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+import './webcrypto.js'
+import { parseArgs } from 'node:util'
+import {
+  PUERTO_SERVICIO,
+  createSignatureService,
+  startServer,
+} from '../src/servicio.js'
+
+/* ======================= SERVICIO DE FIRMA ======================= */
+
+// `npm run servidor` o `node bin/servidor.js [--port N] [--host H]`. El
+// servicio está en src/servicio.js; aquí solo se arranca.
+
+const AYUDA = `Uso:
+  node bin/servidor.js [--port N] [--host HOST]
+
+  --port   puerto de escucha (${PUERTO_SERVICIO} por defecto)
+  --host   127.0.0.1 (por defecto), localhost o ::1
+
+Rutas: POST /keys, GET /keys, GET /keys/:huella, POST /sign, POST /verify.
+Las claves se generan en memoria y se pierden al parar el servicio.`
+
+async function main(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      port: { type: 'string', default: String(PUERTO_SERVICIO) },
+      host: { type: 'string', default: '127.0.0.1' },
+      help: { type: 'boolean', short: 'h' },
+    },
+  })
+  if (values.help) return console.log(AYUDA)
+  // Solo en local: sin TLS ni autenticación, cualquiera que llegue firma
+  if (!['127.0.0.1', 'localhost', '::1'].includes(values.host))
+    throw new Error(`--host debe ser local, no ${values.host}.`)
+  const port = Number(values.port)
+  if (!Number.isInteger(port) || port < 0 || port > 65535)
+    throw new Error(`--port no es un puerto válido: ${values.port}.`)
+
+  const server = await startServer(createSignatureService(), {
+    port,
+    host: values.host,
+  })
+  const { address, port: escucha } = server.address()
+  const nombre = address.includes(':') ? `[${address}]` : address
+  console.log(`Servicio de firma en http://${nombre}:${escucha}`)
+}
+
+main(process.argv.slice(2)).catch((err) => {
+  console.error(`servidor: ${err.message || err}`)
+  process.exitCode = 2
+})
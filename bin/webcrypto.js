@@ -0,0 +1,5 @@
+import { webcrypto } from 'node:crypto'
+
+// Node 18 no expone WebCrypto como global; desde Node 19 ya está. Las órdenes
+// de bin/ lo importan antes que la biblioteca.
+globalThis.crypto ??= webcrypto
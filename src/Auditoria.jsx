@@ -0,0 +1,195 @@
+import { useState } from 'react'
+import {
+  auditToCsv,
+  auditToJson,
+  operationLabel,
+  parseAuditJson,
+  resultLabel,
+  verifyAuditChain,
+} from './auditoria'
+import { useIdioma } from './idioma'
+
+const COLOR_RESULTADO = {
+  ok: 'bg-slate-100 text-slate-700',
+  valid: 'bg-green-100 text-green-800',
+  invalid: 'bg-red-100 text-red-800',
+  error: 'bg-amber-100 text-amber-800',
+}
+
+const corto = (texto, n = 16) =>
+  texto.length > n ? texto.slice(0, n) + '…' : texto
+
+function Comprobacion({ resultado }) {
+  const { t } = useIdioma()
+  const origen = resultado.origen
+    ? t('auditoria.origen', { archivo: resultado.origen })
+    : ''
+  return (
+    <div
+      className={`p-3 rounded-xl border-2 text-sm ${
+        resultado.valido
+          ? 'border-green-200 bg-green-50 text-green-800'
+          : 'border-red-200 bg-red-50 text-red-800'
+      }`}
+    >
+      {resultado.valido ? (
+        <>
+          <p className='font-semibold'>
+            ✔ {t('auditoria.integra', { origen, total: resultado.total })}
+          </p>
+          <p className='font-mono text-xs break-all'>
+            {t('auditoria.ultimo', { hash: resultado.ultimo })}
+          </p>
+        </>
+      ) : (
+        <p className='font-semibold'>
+          ❌ {t('auditoria.rota', { origen, motivo: resultado.motivo })}
+        </p>
+      )}
+    </div>
+  )
+}
+
+export default function Auditoria({ registro, onDescargar }) {
+  const { t, lang, libraryText } = useIdioma()
+  const [comprobacion, setComprobacion] = useState(null)
+
+  const handleComprobar = async () => {
+    setComprobacion(await verifyAuditChain(registro))
+  }
+
+  const handleComprobarArchivo = async (file) => {
+    try {
+      const resultado = await verifyAuditChain(
+        parseAuditJson(await file.text())
+      )
+      setComprobacion({ ...resultado, origen: file.name })
+    } catch (err) {
+      setComprobacion({ valido: false, origen: file.name, motivo: err.message })
+    }
+  }
+
+  return (
+    <section className='bg-white rounded-2xl shadow-xl border border-slate-200 overflow-hidden'>
+      <div className='bg-gradient-to-r from-slate-700 to-slate-800 p-6'>
+        <h2 className='text-xl font-bold text-white flex items-center gap-2'>
+          <span className='w-3 h-3 bg-white rounded-full'></span>
+          {t('auditoria.titulo')}
+        </h2>
+        <p className='text-slate-100 text-sm mt-1'>
+          {t('auditoria.descripcion')}
+        </p>
+      </div>
+
+      <div className='p-6 space-y-4'>
+        <div className='flex flex-wrap gap-2'>
+          <button
+            className='px-3 py-2 rounded-xl bg-slate-700 text-white text-sm hover:bg-slate-800 transition-colors disabled:opacity-50 disabled:cursor-not-allowed'
+            onClick={handleComprobar}
+            disabled={!registro.length}
+          >
+            {t('auditoria.comprobar')}
+          </button>
+          <button
+            className='px-3 py-2 rounded-xl border-2 border-slate-200 text-slate-700 text-sm hover:bg-slate-50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed'
+            onClick={() =>
+              onDescargar(
+                'auditoria.json',
+                auditToJson(registro),
+                'application/json'
+              )
+            }
+            disabled={!registro.length}
+          >
+            {t('auditoria.exportarJson')}
+          </button>
+          <button
+            className='px-3 py-2 rounded-xl border-2 border-slate-200 text-slate-700 text-sm hover:bg-slate-50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed'
+            onClick={() =>
+              onDescargar('auditoria.csv', auditToCsv(registro), 'text/csv')
+            }
+            disabled={!registro.length}
+          >
+            {t('auditoria.exportarCsv')}
+          </button>
+          <label className='px-3 py-2 rounded-xl border-2 border-slate-200 text-slate-700 text-sm hover:bg-slate-50 transition-colors cursor-pointer'>
+            {t('auditoria.comprobarArchivo')}
+            <input
+              type='file'
+              accept='application/json,.json'
+              className='hidden'
+              onChange={(e) => {
+                const file = e.target.files[0]
+                e.target.value = ''
+                if (file) handleComprobarArchivo(file)
+              }}
+            />
+          </label>
+        </div>
+
+        {comprobacion && <Comprobacion resultado={comprobacion} />}
+
+        {registro.length === 0 ? (
+          <p className='text-sm text-slate-500'>{t('auditoria.vacio')}</p>
+        ) : (
+          <div className='max-h-96 overflow-auto rounded-xl border border-slate-200'>
+            <table className='w-full text-sm'>
+              <thead className='bg-slate-50 text-left text-slate-600 sticky top-0'>
+                <tr>
+                  <th className='p-2'>#</th>
+                  <th className='p-2'>{t('auditoria.fecha')}</th>
+                  <th className='p-2'>{t('auditoria.operacion')}</th>
+                  <th className='p-2'>{t('auditoria.algoritmo')}</th>
+                  <th className='p-2'>{t('auditoria.huella')}</th>
+                  <th className='p-2'>{t('auditoria.resumen')}</th>
+                  <th className='p-2'>{t('auditoria.resultado')}</th>
+                </tr>
+              </thead>
+              <tbody className='divide-y divide-slate-200'>
+                {[...registro].reverse().map((entrada) => (
+                  <tr key={entrada.seq} title={entrada.detail}>
+                    <td className='p-2 text-slate-500'>{entrada.seq}</td>
+                    <td className='p-2 whitespace-nowrap'>
+                      {new Date(entrada.timestamp).toLocaleString(lang)}
+                    </td>
+                    <td className='p-2'>
+                      {libraryText(
+                        `biblioteca.auditoria.${entrada.operation}`,
+                        operationLabel(entrada.operation)
+                      )}
+                    </td>
+                    <td className='p-2'>{entrada.algorithm}</td>
+                    <td
+                      className='p-2 font-mono text-xs'
+                      title={entrada.fingerprint}
+                    >
+                      {corto(entrada.fingerprint, 20)}
+                    </td>
+                    <td
+                      className='p-2 font-mono text-xs'
+                      title={entrada.digest}
+                    >
+                      {corto(entrada.digest)}
+                    </td>
+                    <td className='p-2'>
+                      <span
+                        className={`text-xs px-2 py-0.5 rounded-full ${
+                          COLOR_RESULTADO[entrada.result]
+                        }`}
+                      >
+                        {libraryText(
+                          `biblioteca.auditoria.${entrada.result}`,
+                          resultLabel(entrada.result)
+                        )}
+                      </span>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </section>
+  )
+}
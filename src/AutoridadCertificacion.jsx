@@ -0,0 +1,125 @@
+import { useIdioma } from './idioma'
+import { formatName } from './x509'
+
+function DatosCertificado({ certificado }) {
+  const { t, lang } = useIdioma()
+  const { subject, issuer, notBefore, notAfter, serialNumber, extensions } =
+    certificado
+  return (
+    <dl className='grid grid-cols-[auto_1fr] gap-x-3 gap-y-1 text-sm'>
+      <dt className='font-semibold text-slate-600'>
+        {t('certificado.sujeto')}
+      </dt>
+      <dd>{formatName(subject)}</dd>
+      <dt className='font-semibold text-slate-600'>
+        {t('certificado.emisor')}
+      </dt>
+      <dd>{formatName(issuer)}</dd>
+      <dt className='font-semibold text-slate-600'>
+        {t('certificado.validez')}
+      </dt>
+      <dd>
+        {notBefore.toLocaleDateString(lang)} –{' '}
+        {notAfter.toLocaleDateString(lang)}
+      </dd>
+      <dt className='font-semibold text-slate-600'>{t('certificado.serie')}</dt>
+      <dd className='font-mono text-xs break-all'>{serialNumber}</dd>
+      <dt className='font-semibold text-slate-600'>{t('certificado.uso')}</dt>
+      <dd>
+        {extensions.basicConstraints?.ca ? 'CA · ' : ''}
+        {(extensions.keyUsage || []).join(', ')}
+      </dd>
+    </dl>
+  )
+}
+
+export default function AutoridadCertificacion({
+  ca,
+  certificado,
+  puedeEmitir,
+  onCrearCa,
+  onEmitir,
+  onDescargar,
+}) {
+  const { t } = useIdioma()
+  return (
+    <section className='bg-white rounded-2xl shadow-xl border border-slate-200 overflow-hidden'>
+      <div className='bg-gradient-to-r from-teal-600 to-teal-700 p-6'>
+        <h2 className='text-xl font-bold text-white flex items-center gap-2'>
+          <span className='w-3 h-3 bg-white rounded-full'></span>
+          {t('ca.titulo')}
+        </h2>
+        <p className='text-teal-50 text-sm mt-1'>{t('ca.descripcion')}</p>
+      </div>
+
+      <div className='p-6 grid gap-6 lg:grid-cols-2'>
+        <div className='space-y-3'>
+          <div className='flex items-center justify-between gap-3'>
+            <h3 className='font-semibold text-slate-800'>{t('ca.raiz')}</h3>
+            <button
+              className='px-3 py-1.5 rounded-lg bg-teal-600 text-white text-sm hover:bg-teal-700 transition-colors'
+              onClick={onCrearCa}
+            >
+              {ca ? t('ca.crearOtra') : t('ca.crear')}
+            </button>
+          </div>
+          {ca ? (
+            <>
+              <DatosCertificado certificado={ca.certificado} />
+              <textarea
+                className='w-full h-32 p-3 border-2 border-slate-200 rounded-xl text-xs font-mono bg-slate-50'
+                value={ca.pem}
+                readOnly
+                aria-label={t('ca.certificadoCa')}
+              />
+              <button
+                className='text-xs font-medium text-teal-700 hover:underline'
+                onClick={() => onDescargar(ca.pem, 'ca-raiz.pem')}
+              >
+                {t('ca.descargarCa')}
+              </button>
+            </>
+          ) : (
+            <p className='text-sm text-slate-500'>{t('ca.ayuda')}</p>
+          )}
+        </div>
+
+        <div className='space-y-3'>
+          <div className='flex items-center justify-between gap-3'>
+            <h3 className='font-semibold text-slate-800'>
+              {t('ca.certificadoEmisor')}
+            </h3>
+            <button
+              className='px-3 py-1.5 rounded-lg bg-teal-600 text-white text-sm hover:bg-teal-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed'
+              onClick={onEmitir}
+              disabled={!ca || !puedeEmitir}
+            >
+              {t('ca.emitir')}
+            </button>
+          </div>
+          {certificado ? (
+            <>
+              <DatosCertificado certificado={certificado.certificado} />
+              <textarea
+                className='w-full h-32 p-3 border-2 border-slate-200 rounded-xl text-xs font-mono bg-slate-50'
+                value={certificado.pem}
+                readOnly
+                aria-label={t('ca.certificado')}
+              />
+              <button
+                className='text-xs font-medium text-teal-700 hover:underline'
+                onClick={() => onDescargar(certificado.pem, 'emisor.pem')}
+              >
+                {t('ca.descargarEmisor')}
+              </button>
+            </>
+          ) : (
+            <p className='text-sm text-slate-500'>
+              {ca ? t('ca.emitirAyuda') : t('aviso.faltaCa')}
+            </p>
+          )}
+        </div>
+      </div>
+    </section>
+  )
+}
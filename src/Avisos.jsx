@@ -0,0 +1,53 @@
+import { useIdioma } from './idioma'
+
+const ESTILO = {
+  ok: 'border-green-200 bg-green-50 text-green-900',
+  info: 'border-slate-200 bg-white text-slate-800',
+  error: 'border-red-200 bg-red-50 text-red-900',
+}
+
+function Aviso({ aviso, onCerrar }) {
+  const { t } = useIdioma()
+  return (
+    <div
+      className={`flex items-start gap-3 p-3 rounded-xl border-2 shadow-lg text-sm ${
+        ESTILO[aviso.tipo]
+      }`}
+    >
+      <p className='flex-1'>{t(aviso.clave, aviso.params)}</p>
+      <button
+        className='shrink-0 px-1 leading-none text-lg opacity-60 hover:opacity-100'
+        onClick={() => onCerrar(aviso.id)}
+        aria-label={t('avisos.cerrar')}
+      >
+        <span aria-hidden='true'>×</span>
+      </button>
+    </div>
+  )
+}
+
+// Las dos regiones existen desde el principio para que el lector de pantalla
+// anuncie lo que se añade: los errores interrumpen, el resto espera su turno
+export default function Avisos({ avisos, onCerrar }) {
+  const { t } = useIdioma()
+  const lista = (tipos) =>
+    avisos
+      .filter((aviso) => tipos.includes(aviso.tipo))
+      .map((aviso) => (
+        <Aviso key={aviso.id} aviso={aviso} onCerrar={onCerrar} />
+      ))
+
+  return (
+    <section
+      className='fixed bottom-4 right-4 z-50 w-96 max-w-[calc(100vw-2rem)] space-y-2'
+      aria-label={t('avisos.titulo')}
+    >
+      <div role='status' className='space-y-2'>
+        {lista(['ok', 'info'])}
+      </div>
+      <div role='alert' className='space-y-2'>
+        {lista(['error'])}
+      </div>
+    </section>
+  )
+}
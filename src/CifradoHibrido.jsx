@@ -0,0 +1,254 @@
+import { useState } from 'react'
+import {
+  ALGORITMOS_CIFRADO,
+  decryptThenVerify,
+  exportEncryptionPublicKey,
+  generateEncryptionKeyPair,
+  importEncryptionPublicKey,
+  signThenEncrypt,
+} from './hibrido'
+import { useIdioma } from './idioma'
+
+function Comprobacion({ ok, titulo, detalle }) {
+  return (
+    <div
+      className={`p-3 rounded-xl border-2 ${
+        ok ? 'border-green-200 bg-green-50' : 'border-red-200 bg-red-50'
+      }`}
+    >
+      <p className={`font-semibold ${ok ? 'text-green-800' : 'text-red-800'}`}>
+        {ok ? '✔' : '❌'} {titulo}
+      </p>
+      <p className='text-slate-700'>{detalle}</p>
+    </div>
+  )
+}
+
+export default function CifradoHibrido({
+  puedeFirmar,
+  puedeVerificar,
+  onFirmar,
+  onVerificar,
+  onAviso,
+}) {
+  const { t, errorText } = useIdioma()
+  const [algoritmoB, setAlgoritmoB] = useState('ECDH')
+  const [claveB, setClaveB] = useState(null)
+  const [pemDestinoA, setPemDestinoA] = useState('')
+  const [textoA, setTextoA] = useState('')
+  const [sobre, setSobre] = useState('')
+  const [resultado, setResultado] = useState(null)
+
+  const handleGenerarClaveB = async () => {
+    try {
+      const pair = await generateEncryptionKeyPair(algoritmoB)
+      setClaveB({
+        ...pair,
+        pem: await exportEncryptionPublicKey(pair.publicKey),
+      })
+      setResultado(null)
+    } catch (err) {
+      onAviso('error', 'error.generarClaveCifrado', { error: err })
+    }
+  }
+
+  const handleCifrar = async () => {
+    if (!pemDestinoA) return onAviso('error', 'aviso.faltaClaveCifrado')
+    if (!textoA) return onAviso('error', 'aviso.faltaSecreto')
+
+    try {
+      const recipientKey = await importEncryptionPublicKey(pemDestinoA)
+      const envelope = await signThenEncrypt({
+        sign: onFirmar,
+        recipientKey,
+        message: textoA,
+      })
+      setSobre(JSON.stringify(envelope, null, 2))
+      setResultado(null)
+    } catch (err) {
+      onAviso('error', 'error.firmarCifrar', { error: err })
+    }
+  }
+
+  const handleDescifrar = async () => {
+    try {
+      setResultado(
+        await decryptThenVerify({
+          verify: onVerificar,
+          decryptionKey: claveB.privateKey,
+          recipientKey: claveB.publicKey,
+          envelope: JSON.parse(sobre),
+        })
+      )
+    } catch (err) {
+      setResultado({ error: errorText(err) })
+    }
+  }
+
+  return (
+    <section className='bg-white rounded-2xl shadow-xl border border-slate-200 overflow-hidden'>
+      <div className='bg-gradient-to-r from-cyan-600 to-cyan-700 p-6'>
+        <h2 className='text-xl font-bold text-white flex items-center gap-2'>
+          <span className='w-3 h-3 bg-white rounded-full'></span>
+          {t('hibrido.titulo')}
+        </h2>
+        <p className='text-cyan-50 text-sm mt-1'>{t('hibrido.descripcion')}</p>
+      </div>
+
+      <div className='p-6 space-y-6'>
+        <div className='grid gap-4 md:grid-cols-2 text-sm'>
+          <div className='p-4 rounded-xl border-2 border-blue-200 bg-blue-50'>
+            <p className='font-semibold text-blue-900'>{t('hibrido.firma')}</p>
+            <p className='text-slate-700 mt-1'>{t('hibrido.firmaAyuda')}</p>
+          </div>
+          <div className='p-4 rounded-xl border-2 border-cyan-200 bg-cyan-50'>
+            <p className='font-semibold text-cyan-900'>
+              {t('hibrido.cifrado')}
+            </p>
+            <p className='text-slate-700 mt-1'>{t('hibrido.cifradoAyuda')}</p>
+          </div>
+        </div>
+
+        <div className='grid gap-6 lg:grid-cols-2'>
+          {/* Emisor */}
+          <div className='space-y-3'>
+            <h3 className='font-semibold text-blue-800'>
+              {t('seccion.emisor')}
+            </h3>
+            <div className='flex items-center justify-between gap-3'>
+              <label className='block font-semibold text-slate-700 text-sm'>
+                {t('hibrido.claveB')}
+              </label>
+              <button
+                className='text-xs font-medium text-blue-700 hover:underline disabled:opacity-50 disabled:no-underline'
+                onClick={() => setPemDestinoA(claveB.pem)}
+                disabled={!claveB}
+              >
+                {t('hibrido.copiar')}
+              </button>
+            </div>
+            <textarea
+              className='w-full h-24 p-3 border-2 border-slate-200 rounded-xl focus:border-blue-500 focus:ring-2 focus:ring-blue-200 text-xs font-mono bg-slate-50'
+              value={pemDestinoA}
+              onChange={(e) => setPemDestinoA(e.target.value)}
+              placeholder={t('hibrido.clavePlaceholder')}
+            />
+            <textarea
+              className='w-full h-24 p-3 border-2 border-slate-200 rounded-xl focus:border-blue-500 focus:ring-2 focus:ring-blue-200 resize-none'
+              value={textoA}
+              onChange={(e) => setTextoA(e.target.value)}
+              placeholder={t('hibrido.secretoPlaceholder')}
+            />
+            <button
+              className='w-full px-4 py-3 bg-gradient-to-r from-cyan-600 to-cyan-700 text-white rounded-xl shadow-lg hover:from-cyan-700 hover:to-cyan-800 transition-all duration-200 font-medium disabled:opacity-50 disabled:cursor-not-allowed'
+              onClick={handleCifrar}
+              disabled={!puedeFirmar || !pemDestinoA || !textoA}
+            >
+              {t('hibrido.cifrar')}
+            </button>
+            {!puedeFirmar && (
+              <p className='text-xs text-slate-500'>
+                {t('hibrido.faltaFirma')}
+              </p>
+            )}
+          </div>
+
+          {/* Receptor */}
+          <div className='space-y-3'>
+            <h3 className='font-semibold text-purple-800'>
+              {t('seccion.receptor')}
+            </h3>
+            <div className='flex gap-3'>
+              <select
+                className='flex-1 p-2 border-2 border-slate-200 rounded-xl focus:border-purple-500 focus:ring-2 focus:ring-purple-200 text-sm bg-white'
+                value={algoritmoB}
+                onChange={(e) => setAlgoritmoB(e.target.value)}
+                aria-label={t('hibrido.algoritmo')}
+              >
+                {ALGORITMOS_CIFRADO.map((alg) => (
+                  <option key={alg.name} value={alg.name}>
+                    {alg.label}
+                  </option>
+                ))}
+              </select>
+              <button
+                className='px-3 py-2 rounded-xl bg-purple-600 text-white text-sm hover:bg-purple-700 transition-colors'
+                onClick={handleGenerarClaveB}
+              >
+                {claveB ? t('hibrido.regenerar') : t('hibrido.generar')}
+              </button>
+            </div>
+            {claveB && (
+              <p className='text-xs text-slate-600'>
+                {t('hibrido.par', {
+                  algoritmo: claveB.privateKey.algorithm.name,
+                })}
+              </p>
+            )}
+            <label className='block font-semibold text-slate-700 text-sm'>
+              {t('hibrido.sobre')}
+            </label>
+            <textarea
+              className='w-full h-32 p-3 border-2 border-slate-200 rounded-xl focus:border-purple-500 focus:ring-2 focus:ring-purple-200 text-xs font-mono bg-slate-50'
+              value={sobre}
+              onChange={(e) => setSobre(e.target.value)}
+              placeholder={t('hibrido.sobrePlaceholder')}
+            />
+            <button
+              className='w-full px-4 py-3 bg-gradient-to-r from-purple-600 to-purple-700 text-white rounded-xl shadow-lg hover:from-purple-700 hover:to-purple-800 transition-all duration-200 font-medium disabled:opacity-50 disabled:cursor-not-allowed'
+              onClick={handleDescifrar}
+              disabled={!claveB || !sobre}
+            >
+              {t('hibrido.descifrar')}
+            </button>
+
+            {resultado?.error && (
+              <Comprobacion
+                ok={false}
+                titulo={t('hibrido.confidencialidad')}
+                detalle={resultado.error}
+              />
+            )}
+            {resultado && !resultado.error && (
+              <div className='space-y-2 text-sm'>
+                <Comprobacion
+                  ok
+                  titulo={t('hibrido.confidencialidad')}
+                  detalle={t('hibrido.abierto')}
+                />
+                <Comprobacion
+                  ok={resultado.firmaValida}
+                  titulo={t('hibrido.autenticidad')}
+                  detalle={
+                    resultado.firmaValida
+                      ? t('hibrido.firmaValida')
+                      : puedeVerificar
+                      ? t('hibrido.firmaInvalida')
+                      : t('hibrido.faltaPublica')
+                  }
+                />
+                <Comprobacion
+                  ok={resultado.paraMi}
+                  titulo={t('hibrido.destinatario')}
+                  detalle={
+                    resultado.paraMi
+                      ? t('hibrido.paraB')
+                      : t('hibrido.paraOtro')
+                  }
+                />
+                <div className='p-3 rounded-xl border-2 border-slate-200 bg-white'>
+                  <p className='font-semibold text-slate-700'>
+                    {t('hibrido.descifrado')}
+                  </p>
+                  <p className='whitespace-pre-wrap break-words'>
+                    {resultado.mensaje}
+                  </p>
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </section>
+  )
+}
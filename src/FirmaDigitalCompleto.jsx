@@ -1,194 +1,1584 @@
-import React, { useState } from 'react'
+import React, { useEffect, useRef, useState } from 'react'
+import Auditoria from './Auditoria'
+import AutoridadCertificacion from './AutoridadCertificacion'
+import Avisos from './Avisos'
+import CifradoHibrido from './CifradoHibrido'
+import HuellaClave from './HuellaClave'
+import LaboratorioAtaques from './LaboratorioAtaques'
+import Llavero from './Llavero'
+import MultiFirma from './MultiFirma'
+import Revocacion from './Revocacion'
+import RsaPorDentro from './RsaPorDentro'
+import SelectorArchivo from './SelectorArchivo'
+import ServicioLocal from './ServicioLocal'
+import {
+  ALGORITMOS,
+  CURVAS,
+  CURVE_HASH,
+  HASHES,
+  TAMANOS_RSA,
+  base64ToBuf,
+  bufToBase64,
+  derivePublicKey,
+  describeAlgorithm,
+  describeKey,
+  detectSpkiAlgorithm,
+  diagnoseSignatureFailure,
+  exportEncryptedPrivateKeyToPEM,
+  exportPrivateKeyToPEM,
+  exportPublicKeyToPEM,
+  generateKeyPair,
+  importPrivateKeyFromPEM,
+  importPublicKeyFromPEM,
+  isRsa,
+  keyImportParams,
+  keysFormPair,
+  pemBlocks,
+  pemEncode,
+  pemLabel,
+  signMessage,
+  signatureFileToBase64,
+  subtle,
+  verifySignature,
+} from './firma'
+import { appendAuditEntry, digestHex } from './auditoria'
+import { useAvisos } from './avisos'
+import { LANGUAGES, createTranslator, detectLanguage } from './i18n'
+import { IdiomaContext, useIdioma } from './idioma'
+import {
+  addAuditEntry,
+  deleteKey,
+  getOwnTsa,
+  listAuditEntries,
+  listKeys,
+  listTrustedFingerprints,
+  listTrustedTsaKeys,
+  renameKey,
+  saveKeyPair,
+  saveOwnTsa,
+  savePublicKey,
+  trustFingerprint,
+  trustTsaKey,
+  untrustFingerprint,
+  untrustTsaKey,
+} from './keyring'
+import { fingerprintHex, fingerprintText, publicKeyFingerprint } from './huella'
+import { PKCS8_CIPHERS } from './pbes2'
+import {
+  TYP_ROTACION,
+  checkRevocation,
+  createRevocationList,
+  createRotationStatement,
+  reasonLabel,
+  verifyRevocationList,
+  verifyRotationStatement,
+} from './revocacion'
+import { URL_SERVICIO, createServiceClient } from './remoto'
+import { inspectRsaSigning, inspectRsaVerification } from './rsa'
+import {
+  isSshPublicKey,
+  isSshSignature,
+  parseSshPublicKey,
+  sshPublicKeyLine,
+  verifySshSignature,
+} from './ssh'
+import {
+  isPgpPublicKey,
+  isPgpSignature,
+  parsePgpPublicKey,
+  verifyPgpSignature,
+} from './openpgp'
+import { hashFile } from './sha256'
+import {
+  checkTimestampWindow,
+  createTimestampAuthority,
+  generateTimestampKeyPair,
+  requestTimestamp,
+  verifyTimestamp,
+} from './tsa'
+import {
+  ESCENARIOS,
+  applyHomoglyph,
+  flipRandomBit,
+  padBase64,
+  truncateBase64,
+} from './ataques'
+import {
+  base64UrlDecode,
+  base64UrlEncode,
+  createJws,
+  importJwsKey,
+  jwkThumbprint,
+  parseJws,
+  parseJwsSignatures,
+  publicJwk,
+  verifyJws,
+} from './jws'
+import {
+  createCertificate,
+  formatName,
+  parseCertificate,
+  validateChain,
+} from './x509'
 
 /* ============================ HELPERS ============================= */
 
-async function generateKeyPair() {
-  return window.crypto.subtle.generateKey(
-    {
-      name: 'RSASSA-PKCS1-v1_5',
-      modulusLength: 2048,
-      publicExponent: new Uint8Array([1, 0, 1]),
-      hash: 'SHA-256',
-    },
-    true,
-    ['sign', 'verify']
-  )
-}
-
-function bufToBase64(buffer) {
-  return btoa(String.fromCharCode(...new Uint8Array(buffer)))
-}
-
-function base64ToBuf(base64) {
-  const binary = atob(base64)
-  const bytes = new Uint8Array(binary.length)
-  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i)
-  return bytes.buffer
-}
-
-function pemEncode(base64, tag) {
-  return `-----BEGIN ${tag}-----\n${base64
-    .match(/.{1,64}/g)
-    .join('\n')}\n-----END ${tag}-----`
+function downloadFile(filename, content, type = 'text/plain') {
+  const url = URL.createObjectURL(new Blob([content], { type }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  link.click()
+  URL.revokeObjectURL(url)
 }
 
-function pemToBase64(pem) {
-  return pem.replace(/-----.*-----/g, '').replace(/\s+/g, '')
+// Lo que cuenta el registro de auditoría de cada estado de la verificación
+const RESULTADO_REGISTRO = {
+  valida: 'valid',
+  invalida: 'invalid',
+  error: 'error',
+  info: 'error',
 }
 
-async function exportPublicKeyToPEM(publicKey) {
-  const spki = await crypto.subtle.exportKey('spki', publicKey)
-  return pemEncode(bufToBase64(spki), 'PUBLIC KEY')
-}
+const ICONO_VERIFICACION = { valida: '✔', invalida: '❌' }
 
-async function exportPrivateKeyToPEM(privateKey) {
-  const pkcs8 = await crypto.subtle.exportKey('pkcs8', privateKey)
-  return pemEncode(bufToBase64(pkcs8), 'PRIVATE KEY')
-}
+/* ============================ COMPONENTE ============================= */
 
-async function importPublicKeyFromPEM(pem) {
-  const buf = base64ToBuf(pemToBase64(pem))
-  return crypto.subtle.importKey(
-    'spki',
-    buf,
-    { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
-    true,
-    ['verify']
+function PestanasModo({ modo, onCambiar, color }) {
+  const { t } = useIdioma()
+  const activa =
+    color === 'blue' ? 'bg-blue-600 text-white' : 'bg-purple-600 text-white'
+  return (
+    <div className='inline-flex rounded-lg border-2 border-slate-200 overflow-hidden text-xs font-medium'>
+      {[
+        ['texto', t('modo.texto')],
+        ['archivo', t('modo.archivo')],
+      ].map(([valor, etiqueta]) => (
+        <button
+          key={valor}
+          className={`px-3 py-1 ${
+            modo === valor ? activa : 'bg-white text-slate-600'
+          }`}
+          onClick={() => onCambiar(valor)}
+          aria-pressed={modo === valor}
+        >
+          {etiqueta}
+        </button>
+      ))}
+    </div>
   )
 }
 
-async function signMessage(privateKey, data) {
-  return crypto.subtle.sign({ name: 'RSASSA-PKCS1-v1_5' }, privateKey, data)
+// Huella de la clave pública; null mientras no hay clave o se calcula
+function useHuella(publicKey) {
+  const [calculada, setCalculada] = useState(null)
+  useEffect(() => {
+    if (!publicKey) return
+    let vigente = true
+    publicKeyFingerprint(publicKey).then(
+      (huella) => vigente && setCalculada({ publicKey, huella })
+    )
+    return () => {
+      vigente = false
+    }
+  }, [publicKey])
+  return calculada && calculada.publicKey === publicKey
+    ? calculada.huella
+    : null
 }
 
-async function verifySignature(publicKey, signature, data) {
-  return crypto.subtle.verify(
-    { name: 'RSASSA-PKCS1-v1_5' },
-    publicKey,
-    signature,
-    data
+export default function FirmaDigitalCompleto() {
+  const [idioma, setIdioma] = useState(() =>
+    detectLanguage(localStorage.getItem('idioma'), navigator.languages)
   )
-}
+  const traductor = createTranslator(idioma)
+  const { t, libraryText } = traductor
+  const { avisos, avisar, cerrar } = useAvisos()
 
-/* ============================ COMPONENTE ============================= */
-
-export default function FirmaDigitalCompleto() {
   const [privKeyA, setPrivKeyA] = useState(null)
   const [pubKeyA, setPubKeyA] = useState(null)
   const [privPemA, setPrivPemA] = useState('')
   const [pubPemA, setPubPemA] = useState('')
+  const [privPemCargadaA, setPrivPemCargadaA] = useState('')
+  const [avisoParA, setAvisoParA] = useState(null)
+  const [fraseA, setFraseA] = useState('')
+  const [cifradoA, setCifradoA] = useState('AES-256-CBC')
+  const [noExportableA, setNoExportableA] = useState(false)
+  const comprobacionParA = useRef(0)
+  const [claveRemotaA, setClaveRemotaA] = useState(null)
+  const [configA, setConfigA] = useState({
+    name: 'RSASSA-PKCS1-v1_5',
+    modulusLength: 2048,
+    namedCurve: 'P-256',
+    hash: 'SHA-256',
+  })
+
+  const [caA, setCaA] = useState(null)
+  const [certA, setCertA] = useState(null)
 
   const [pubKeyB, setPubKeyB] = useState(null)
   const [pubPemB, setPubPemB] = useState('')
+  const [raicesPemB, setRaicesPemB] = useState('')
+  const [certificadoB, setCertificadoB] = useState(null)
+  const [clavePgpB, setClavePgpB] = useState(null)
+  const [esquemaRsaB, setEsquemaRsaB] = useState('RSASSA-PKCS1-v1_5')
+  const [hashB, setHashB] = useState('SHA-256')
 
   const [mensaje, setMensaje] = useState('')
-  const [originalMensaje, setOriginalMensaje] = useState('')
   const [firmaB64, setFirmaB64] = useState('')
-  const [verificacion, setVerificacion] = useState('')
+  const [firmasA, setFirmasA] = useState([])
+  const [sellarA, setSellarA] = useState(false)
+  const [selloA, setSelloA] = useState('')
+  const [tsaPemA, setTsaPemA] = useState('')
+
+  const [mensajeB, setMensajeB] = useState('')
+  const [firmaB64B, setFirmaB64B] = useState('')
+  const [selloB, setSelloB] = useState('')
+  const [validezDiasB, setValidezDiasB] = useState(30)
+  const [tsaPemB, setTsaPemB] = useState('')
+  const [tsasB, setTsasB] = useState([])
+  const [revocadasB, setRevocadasB] = useState([])
+  // { estado, partes }: `estado` ('valida', 'invalida', 'error' o 'info')
+  // decide el color y el registro; `partes` son entradas [clave, valores] del
+  // catálogo, que se traducen al mostrarse
+  const [verificacion, setVerificacion] = useState(null)
+  const [diagnostico, setDiagnostico] = useState([])
+  const [ultimoAtaque, setUltimoAtaque] = useState(null)
+
+  const [modoA, setModoA] = useState('texto')
+  const [archivoA, setArchivoA] = useState(null)
+  const [resumenA, setResumenA] = useState(null)
+  const [modoB, setModoB] = useState('texto')
+  const [archivoB, setArchivoB] = useState(null)
+  const [resumenB, setResumenB] = useState(null)
+  const [paqueteB, setPaqueteB] = useState(null)
+  const hashEnCurso = useRef({ A: 0, B: 0 })
+  const tsa = useRef(null)
+
+  const [claves, setClaves] = useState([])
+  const [confianza, setConfianza] = useState([])
+  const [registro, setRegistro] = useState([])
+  const [servicio, setServicio] = useState({
+    activo: false,
+    url: URL_SERVICIO,
+  })
+  // Las entradas se encadenan de una en una, en el orden de las operaciones
+  const colaRegistro = useRef(Promise.resolve())
+
+  const huellaA = useHuella(pubKeyA)
+  const huellaB = useHuella(pubKeyB)
+  const confianzaB = huellaB
+    ? confianza.find((c) => c.fingerprint === fingerprintText(huellaB)) || null
+    : undefined
+
+  useEffect(() => {
+    Promise.all([listKeys(), listTrustedFingerprints(), listTrustedTsaKeys()])
+      .then(([guardadas, confiables, tsas]) => {
+        setClaves(guardadas)
+        setConfianza(confiables)
+        setTsasB(tsas)
+      })
+      .catch((err) => avisar('error', 'error.abrirLlavero', { error: err }))
+    colaRegistro.current = colaRegistro.current.then(() =>
+      listAuditEntries().then(setRegistro)
+    )
+  }, [avisar])
+
+  // El lector de pantalla pronuncia según el lang del documento
+  useEffect(() => {
+    document.documentElement.lang = idioma
+    localStorage.setItem('idioma', idioma)
+  }, [idioma])
+
+  // De la clave se guarda la huella y de los datos su SHA-256. No espera a
+  // que la entrada se guarde: la operación ya ha terminado.
+  const registrar = ({ publicKey, data, algorithm, ...evento }) => {
+    colaRegistro.current = colaRegistro.current
+      .then(async () => {
+        const entradas = await listAuditEntries()
+        const entrada = await appendAuditEntry(entradas.at(-1) || null, {
+          ...evento,
+          algorithm: algorithm || (publicKey ? describeKey(publicKey) : ''),
+          fingerprint: publicKey
+            ? fingerprintText(await publicKeyFingerprint(publicKey))
+            : '',
+          digest: data ? await digestHex(data) : '',
+        })
+        await addAuditEntry(entrada)
+        setRegistro([...entradas, entrada])
+      })
+      .catch((err) => avisar('error', 'error.registro', { error: err }))
+  }
+
+  // Con frase de paso la clave privada nunca se muestra en claro, y si no es
+  // exportable no hay PEM que mostrar
+  const privadaComoPem = async (privateKey) => {
+    if (!privateKey.extractable) return ''
+    return fraseA
+      ? exportEncryptedPrivateKeyToPEM(privateKey, fraseA, cifradoA)
+      : exportPrivateKeyToPEM(privateKey)
+  }
+
+  const sincronizarConfigA = ({ name, modulusLength, namedCurve, hash }) => {
+    setConfigA({
+      ...configA,
+      name,
+      modulusLength: modulusLength || configA.modulusLength,
+      namedCurve: namedCurve || configA.namedCurve,
+      hash: hash ? hash.name : configA.hash,
+    })
+  }
 
   /* ---------------------- Generar claves ---------------------- */
+  const establecerParA = async (pair) => {
+    setPrivKeyA(pair.privateKey)
+    setPubKeyA(pair.publicKey)
+
+    const privPem = await privadaComoPem(pair.privateKey)
+    const pubPem = await exportPublicKeyToPEM(pair.publicKey)
+
+    setPrivPemA(privPem)
+    setPrivPemCargadaA(privPem)
+    setPubPemA(pubPem)
+    setAvisoParA(null)
+  }
+
   const handleGenerarClaves = async () => {
+    if (servicio.activo) return generarClavesEnServicio()
     try {
-      const pair = await generateKeyPair()
-      setPrivKeyA(pair.privateKey)
-      setPubKeyA(pair.publicKey)
+      const pair = await generateKeyPair(configA, !noExportableA)
+      await establecerParA(pair)
+      registrar({ operation: 'keygen', publicKey: pair.publicKey })
+      avisar('ok', 'aviso.clavesGeneradas')
+    } catch (err) {
+      registrar({
+        operation: 'keygen',
+        algorithm: describeAlgorithm(configA),
+        result: 'error',
+        detail: err.message,
+      })
+      avisar('error', 'error.generarClaves', { error: err })
+    }
+  }
 
-      const privPem = await exportPrivateKeyToPEM(pair.privateKey)
-      const pubPem = await exportPublicKeyToPEM(pair.publicKey)
+  // La privada se queda en el servicio: el emisor solo recibe la pública
+  const generarClavesEnServicio = async () => {
+    try {
+      const clave = await createServiceClient(servicio.url).createKey(configA)
+      const publicKey = await importPublicKeyFromPEM(clave.publicKey, {
+        rsaScheme: isRsa(configA.name) ? configA.name : 'RSASSA-PKCS1-v1_5',
+        hash: configA.hash,
+      })
+      setPrivKeyA(null)
+      setPubKeyA(publicKey)
+      setPrivPemA('')
+      setPrivPemCargadaA('')
+      setPubPemA(clave.publicKey)
+      setAvisoParA(null)
+      setClaveRemotaA({ fingerprint: clave.fingerprint, publicKey })
+      registrar({
+        operation: 'keygen',
+        publicKey,
+        detail: t('registro.enServicio', { url: servicio.url }),
+      })
+      avisar('ok', 'aviso.clavesGeneradasServicio')
+    } catch (err) {
+      registrar({
+        operation: 'keygen',
+        algorithm: describeAlgorithm(configA),
+        result: 'error',
+        detail: err.message,
+      })
+      avisar('error', 'error.generarClaves', { error: err })
+    }
+  }
 
-      setPrivPemA(privPem)
-      setPubPemA(pubPem)
+  // Una línea de OpenSSH con la clave pública, para authorized_keys o el
+  // allowed_signers de git
+  const handleExportarSshA = async () => {
+    try {
+      downloadFile(
+        'id_firma.pub',
+        (await sshPublicKeyLine(pubKeyA, 'emisor')) + '\n'
+      )
+    } catch (err) {
+      avisar('error', 'error.exportarClave', { error: err })
+    }
+  }
+
+  /* ------------------- Importar Privada (A) ------------------- */
+  const cargarPrivadaA = async (pem) => {
+    const privateKey = await importPrivateKeyFromPEM(pem, {
+      rsaScheme: isRsa(configA.name) ? configA.name : 'RSASSA-PKCS1-v1_5',
+      hash: configA.hash,
+      passphrase: fraseA,
+    })
+    const publicKey = await derivePublicKey(privateKey)
+    const pubPem = await exportPublicKeyToPEM(publicKey)
+
+    sincronizarConfigA(privateKey.algorithm)
+    setPrivKeyA(privateKey)
+    setPubKeyA(publicKey)
+    setPrivPemCargadaA(pem)
+    setPubPemA(pubPem)
+    setAvisoParA(null)
+    return privateKey
+  }
+
+  // La clave editada en el textarea es la que firma, no la de memoria
+  const obtenerPrivadaA = async () =>
+    privPemA && privPemA !== privPemCargadaA
+      ? cargarPrivadaA(privPemA)
+      : privKeyA
+
+  const obtenerParA = async () => {
+    const privateKey = await obtenerPrivadaA()
+    const publicKey =
+      privateKey === privKeyA ? pubKeyA : await derivePublicKey(privateKey)
+    return { privateKey, publicKey }
+  }
+
+  const handleImportarPrivadaA = async () => {
+    if (!privPemA) return avisar('error', 'aviso.faltaPrivadaPem')
+
+    try {
+      const privateKey = await cargarPrivadaA(privPemA)
+      avisar('ok', 'aviso.privadaImportada', { clave: describeKey(privateKey) })
+    } catch (err) {
+      avisar('error', 'error.importarPrivada', { error: err })
+    }
+  }
+
+  const handleCifrarPrivadaA = async () => {
+    if (!privPemA) return avisar('error', 'aviso.faltaPrivada')
+    if (!fraseA) return avisar('error', 'aviso.faltaFrase')
+
+    try {
+      const privateKey = await obtenerPrivadaA()
+      const pem = await exportEncryptedPrivateKeyToPEM(
+        privateKey,
+        fraseA,
+        cifradoA
+      )
+      setPrivPemA(pem)
+      setPrivPemCargadaA(pem)
+      avisar(
+        'ok',
+        cifradoA === 'AES-256-CBC'
+          ? 'aviso.privadaCifrada'
+          : 'aviso.privadaCifradaSinOpenssl',
+        { cifrado: cifradoA }
+      )
+    } catch (err) {
+      avisar('error', 'error.cifrarPrivada', { error: err })
+    }
+  }
 
-      alert('Claves generadas correctamente.')
+  const comprobarParA = async (privPem, pubPem) => {
+    const id = ++comprobacionParA.current
+    if (!privPem || !pubPem) return setAvisoParA(null)
+    if (pemLabel(privPem) === 'ENCRYPTED PRIVATE KEY' && !fraseA)
+      return setAvisoParA(null)
+
+    let aviso = null
+    try {
+      if (!(await keysFormPair(privPem, pubPem, fraseA)))
+        aviso = ['par.noFormanPar']
     } catch (err) {
-      alert('Error generando claves: ' + err.message)
+      aviso = ['par.noComprobado', { error: err }]
     }
+    if (id === comprobacionParA.current) setAvisoParA(aviso)
   }
 
+  /* --------------------------- Archivos --------------------------- */
+  const seleccionarArchivo = async (panel, file) => {
+    const setArchivo = panel === 'A' ? setArchivoA : setArchivoB
+    const setResumen = panel === 'A' ? setResumenA : setResumenB
+    const id = ++hashEnCurso.current[panel]
+    const vigente = () => id === hashEnCurso.current[panel]
+
+    setArchivo(file)
+    setResumen({ digest: null, progreso: 0 })
+    try {
+      const digest = await hashFile(file, (progreso) => {
+        if (vigente()) setResumen({ digest: null, progreso })
+      })
+      if (vigente()) setResumen({ digest, progreso: 1 })
+    } catch (err) {
+      avisar('error', 'error.leerArchivo', { error: err })
+    }
+  }
+
+  // Las firmas de ssh-keygen y gpg se quedan con su armadura
+  const handleCargarFirma = async (file) => {
+    try {
+      const buffer = await file.arrayBuffer()
+      const texto = new TextDecoder().decode(buffer)
+      setFirmaB64B(
+        isSshSignature(texto) || isPgpSignature(texto)
+          ? texto
+          : signatureFileToBase64(buffer)
+      )
+    } catch (err) {
+      avisar('error', 'error.leerFirma', { error: err })
+    }
+  }
+
+  const datosA = async () =>
+    modoA === 'archivo'
+      ? new Uint8Array(await archivoA.arrayBuffer())
+      : new TextEncoder().encode(mensaje)
+
+  const datosB = async () =>
+    modoB === 'archivo'
+      ? new Uint8Array(await archivoB.arrayBuffer())
+      : new TextEncoder().encode(mensajeB)
+
   /* -------------------------- Firmar -------------------------- */
-  const handleFirmar = async () => {
-    if (!privKeyA) return alert('Primero genera la clave privada.')
-    if (!mensaje) return alert('Escribe un mensaje.')
+  // El par de la TSA se guarda en el llavero: sus sellos siguen verificando
+  // después de recargar. Si falla, el siguiente intento vuelve a empezar.
+  const obtenerTsa = () =>
+    (tsa.current ??= (async () => {
+      const guardada =
+        (await getOwnTsa()) ||
+        (await saveOwnTsa(await generateTimestampKeyPair()))
+      return createTimestampAuthority({ keyPair: guardada })
+    })().catch((err) => {
+      tsa.current = null
+      throw err
+    }))
 
-    setOriginalMensaje(mensaje)
+  const handleFirmar = async () => {
+    if (!privKeyA && !privPemA && !servicio.activo)
+      return avisar('error', 'aviso.faltaPrivada')
+    if (modoA === 'texto' && !mensaje)
+      return avisar('error', 'aviso.faltaMensaje')
+    if (modoA === 'archivo' && !archivoA)
+      return avisar('error', 'aviso.faltaArchivoFirmar')
 
     try {
-      const encoder = new TextEncoder()
-      const data = encoder.encode(mensaje)
-      const sig = await signMessage(privKeyA, data)
+      // WebCrypto firma el archivo completo fuera del hilo principal
+      const data = await datosA()
+      let publicKey, sig
+      if (servicio.activo) {
+        publicKey = pubKeyA
+        sig = await firmarEnServicio(data)
+      } else {
+        const par = await obtenerParA()
+        publicKey = par.publicKey
+        sig = await signMessage(par.privateKey, data, configA.hash)
+      }
+      const sello = sellarA
+        ? await requestTimestamp(await obtenerTsa(), sig)
+        : ''
+      if (sello)
+        setTsaPemA(await exportPublicKeyToPEM((await obtenerTsa()).publicKey))
+      registrar({
+        operation: 'sign',
+        publicKey,
+        data,
+        detail: sello ? t('registro.conSello') : '',
+      })
 
       setFirmaB64(bufToBase64(sig))
-      alert('Mensaje firmado correctamente.')
+      setSelloA(sello)
+      if (modoA === 'texto')
+        setFirmasA([
+          { mensaje, firma: bufToBase64(sig), sello, fecha: Date.now() },
+          ...firmasA.slice(0, 9),
+        ])
+      avisar('ok', 'aviso.firmado')
     } catch (err) {
-      alert('Error firmando: ' + err.message)
+      registrar({ operation: 'sign', result: 'error', detail: err.message })
+      avisar('error', 'error.firmar', { error: err })
     }
   }
 
+  // Solo con la clave que generó el servicio: la del navegador no sale de él
+  const firmarEnServicio = async (data) => {
+    if (claveRemotaA?.publicKey !== pubKeyA)
+      throw new Error(t('servicio.sinClaves'))
+    const firma = await createServiceClient(servicio.url).sign({
+      fingerprint: claveRemotaA.fingerprint,
+      data,
+      hash: configA.hash,
+    })
+    return base64ToBuf(firma)
+  }
+
   /* ----------------------- Importar Pública ----------------------- */
   const handleImportarPubEnReceptor = async () => {
-    if (!pubPemB) return alert('Pega una clave pública PEM.')
+    if (!pubPemB) return avisar('error', 'aviso.faltaPublicaPem')
+    if (pemLabel(pubPemB) === 'CERTIFICATE') return importarCertificadoB()
+    if (isSshPublicKey(pubPemB) || isPgpPublicKey(pubPemB))
+      return importarClaveExternaB()
 
     try {
-      const imported = await importPublicKeyFromPEM(pubPemB)
+      const imported = await importPublicKeyFromPEM(pubPemB, {
+        rsaScheme: esquemaRsaB,
+        hash: hashB,
+      })
       setPubKeyB(imported)
-      alert('Clave pública importada correctamente.')
+      registrar({ operation: 'import-key', publicKey: imported, detail: 'PEM' })
+      avisar(
+        'ok',
+        pemLabel(pubPemB) === 'RSA PUBLIC KEY'
+          ? 'aviso.publicaImportadaPkcs1'
+          : 'aviso.publicaImportada',
+        { clave: describeKey(imported) }
+      )
     } catch (err) {
-      alert('Error importando clave: ' + err.message)
+      registrar({
+        operation: 'import-key',
+        result: 'error',
+        detail: err.message,
+      })
+      avisar('error', 'error.importarClave', { error: err })
+    }
+  }
+
+  // La clave solo se importa si la cadena llega a una CA raíz de confianza
+  const importarCertificadoB = async () => {
+    try {
+      const cadena = pemBlocks(pubPemB, 'CERTIFICATE').map(parseCertificate)
+      const raices = pemBlocks(raicesPemB, 'CERTIFICATE').map(parseCertificate)
+      const resultado = await validateChain(cadena, raices)
+      const sujeto = formatName(cadena[0].subject)
+
+      if (!resultado.valido) {
+        setPubKeyB(null)
+        setCertificadoB({ ...resultado, sujeto, publicKey: null })
+        registrar({
+          operation: 'import-key',
+          result: 'error',
+          detail: t('registro.certificadoRechazado', { sujeto }),
+        })
+        return avisar('error', 'aviso.certificadoRechazado', { sujeto })
+      }
+      const params = keyImportParams(detectSpkiAlgorithm(cadena[0].spki), {
+        rsaScheme: esquemaRsaB,
+        hash: hashB,
+      })
+      const imported = await subtle().importKey(
+        'spki',
+        cadena[0].spki,
+        params,
+        true,
+        ['verify']
+      )
+      setPubKeyB(imported)
+      setCertificadoB({ ...resultado, sujeto, publicKey: imported })
+      registrar({
+        operation: 'import-key',
+        publicKey: imported,
+        detail: t('registro.certificado', { sujeto }),
+      })
+      avisar('ok', 'aviso.certificadoValido', {
+        sujeto,
+        clave: describeKey(imported),
+      })
+    } catch (err) {
+      registrar({
+        operation: 'import-key',
+        result: 'error',
+        detail: err.message,
+      })
+      avisar('error', 'error.importarCertificado', { error: err })
+    }
+  }
+
+  // Claves de OpenSSH y de GnuPG. Las RSA de SSH son PKCS#1 v1.5 con el
+  // hash elegido; la de OpenPGP se guarda entera para sus subclaves.
+  const importarClaveExternaB = async () => {
+    try {
+      let imported, detalle
+      if (isPgpPublicKey(pubPemB)) {
+        const clave = await parsePgpPublicKey(pubPemB)
+        imported = clave.keys[0].publicKey
+        setClavePgpB(clave)
+        detalle = [
+          `OpenPGP ${clave.keyId}`,
+          clave.userId && t('clave.deUsuario', { usuario: clave.userId }),
+          clave.keys.length > 1 &&
+            t('clave.subclaves', { n: clave.keys.length - 1 }),
+        ]
+          .filter(Boolean)
+          .join(' ')
+      } else {
+        const clave = await parseSshPublicKey(pubPemB, { hash: hashB })
+        imported = clave.publicKey
+        detalle =
+          [
+            `OpenSSH ${clave.type}`,
+            clave.comment && t('clave.deUsuario', { usuario: clave.comment }),
+          ]
+            .filter(Boolean)
+            .join(' ') + `, ${clave.fingerprint}`
+      }
+      setPubKeyB(imported)
+      registrar({
+        operation: 'import-key',
+        publicKey: imported,
+        detail: detalle,
+      })
+      avisar('ok', 'aviso.externaImportada', {
+        clave: describeKey(imported),
+        detalle,
+      })
+    } catch (err) {
+      registrar({
+        operation: 'import-key',
+        result: 'error',
+        detail: err.message,
+      })
+      avisar('error', 'error.importarClave', { error: err })
     }
   }
 
   /* -------------------------- Verificar -------------------------- */
+  const textoVerificacion = ({ partes }) =>
+    partes.map(([clave, params]) => t(clave, params)).join(' ')
+
+  // El resultado final de una verificación también queda en el registro
+  const concluirVerificacion = (estado, partes, { publicKey, data }) => {
+    setVerificacion({ estado, partes })
+    registrar({
+      operation: 'verify',
+      publicKey,
+      data,
+      result: RESULTADO_REGISTRO[estado],
+      detail: textoVerificacion({ partes }),
+    })
+  }
+
   const handleVerificar = async () => {
-    if (!pubKeyB) return alert('Importa la clave pública primero.')
-    if (!firmaB64) return alert('Pega o genera una firma.')
+    setDiagnostico([])
+    if (paqueteB) return verificarPaquete(paqueteB)
+    if (!pubKeyB) return avisar('error', 'aviso.faltaPublica')
+    if (!firmaB64B) return avisar('error', 'aviso.faltaFirma')
+    if (modoB === 'archivo' && !archivoB)
+      return avisar('error', 'aviso.faltaArchivoVerificar')
+    if (isSshSignature(firmaB64B) || isPgpSignature(firmaB64B))
+      return verificarFirmaExterna()
 
-    const encoder = new TextEncoder()
-    const data = encoder.encode(mensaje)
-    const sigBuf = base64ToBuf(firmaB64)
+    // El receptor solo cuenta con lo recibido: la decisión es únicamente
+    // el resultado criptográfico, el diagnóstico solo lo explica
+    let esValido = false
+    let data
+    try {
+      data = await datosB()
+      esValido = servicio.activo
+        ? await verificarEnServicio(data)
+        : await verifySignature(
+            pubKeyB,
+            base64ToBuf(firmaB64B.replace(/\s+/g, '')),
+            data,
+            hashB
+          )
+    } catch (err) {
+      // Sin servicio no hay veredicto: ni válida ni inválida
+      if (err.code === 'SERVICE_UNAVAILABLE')
+        return concluirVerificacion(
+          'error',
+          [['verificacion.error', { error: err }]],
+          { publicKey: pubKeyB, data }
+        )
+      esValido = false
+    }
 
+    if (esValido) {
+      const sello = selloB.trim()
+        ? await comprobarSello(
+            selloB.trim(),
+            base64ToBuf(firmaB64B.replace(/\s+/g, ''))
+          )
+        : { valido: true, partes: [] }
+      const revocacion = sello.valido
+        ? await comprobarRevocacion(pubKeyB, sello.genTime)
+        : sello
+      if (revocacion.valido)
+        concluirVerificacion(
+          'valida',
+          [
+            ['verificacion.valida'],
+            ...sello.partes,
+            ...revocacion.partes,
+            avisoConfianzaB(),
+          ],
+          { publicKey: pubKeyB, data }
+        )
+      else
+        concluirVerificacion('invalida', revocacion.partes, {
+          publicKey: pubKeyB,
+          data,
+        })
+      return
+    }
+    setVerificacion({
+      estado: 'invalida',
+      partes: [['verificacion.analizando']],
+    })
     try {
-      const esValido = await verifySignature(pubKeyB, sigBuf, data)
+      const hallazgos = await diagnoseSignatureFailure({
+        publicKey: pubKeyB,
+        signatureB64: firmaB64B,
+        data: data || new Uint8Array(),
+        knownKeys: claves,
+      })
+      setDiagnostico(hallazgos)
+      concluirVerificacion(
+        'invalida',
+        [
+          [
+            hallazgos[0].causa === 'mensaje'
+              ? 'verificacion.ataque'
+              : 'verificacion.revisaDiagnostico',
+          ],
+        ],
+        { publicKey: pubKeyB, data }
+      )
+    } catch (err) {
+      concluirVerificacion('invalida', [['verificacion.invalida']], {
+        publicKey: pubKeyB,
+        data,
+      })
+      setDiagnostico([
+        {
+          causa: 'error',
+          detalle: t('verificacion.diagnosticoFallido', { error: err }),
+        },
+      ])
+    }
+  }
 
-      // Detectar ataque MITM
-      if (!esValido && mensaje !== originalMensaje) {
-        setVerificacion('❌ ATAQUE DETECTADO — El mensaje fue modificado.')
-        return
+  // La clave del receptor viaja en PEM con el esquema y el hash con que se
+  // importó, que el SPKI no guarda
+  const verificarEnServicio = async (data) => {
+    const { name, hash } = pubKeyB.algorithm
+    const { valid } = await createServiceClient(servicio.url).verify({
+      publicKey: await exportPublicKeyToPEM(pubKeyB),
+      scheme: isRsa(name) ? name : undefined,
+      hash: hash ? hash.name : hashB,
+      signature: firmaB64B.replace(/\s+/g, ''),
+      data,
+    })
+    return valid
+  }
+
+  // Firmas de `ssh-keygen -Y sign` y de `gpg --detach-sign`: cada una trae su
+  // formato y el diagnóstico no las entiende, pero sí cuentan la revocación
+  // y la confianza de la clave importada
+  const verificarFirmaExterna = async () => {
+    let data
+    try {
+      data = await datosB()
+      let valida, parte
+      if (isSshSignature(firmaB64B)) {
+        const r = await verifySshSignature(firmaB64B, data, {
+          publicKey: pubKeyB,
+        })
+        valida = r.valida
+        parte = r.valida
+          ? [
+              'verificacion.sshValida',
+              { tipo: r.type, huella: r.fingerprint, namespace: r.namespace },
+            ]
+          : r.firmaCorrecta
+          ? ['verificacion.sshOtraClave', { huella: r.fingerprint }]
+          : ['verificacion.sshInvalida']
+      } else {
+        if (clavePgpB?.keys[0].publicKey !== pubKeyB)
+          throw new Error(t('verificacion.pgpSinClave'))
+        const r = await verifyPgpSignature(firmaB64B, data, clavePgpB)
+        valida = r.valida
+        parte = r.valida
+          ? [
+              r.created
+                ? 'verificacion.pgpValidaFecha'
+                : 'verificacion.pgpValida',
+              {
+                clave: [
+                  t(
+                    r.primary
+                      ? 'verificacion.pgpClave'
+                      : 'verificacion.pgpSubclave'
+                  ),
+                  r.keyId,
+                  clavePgpB.userId &&
+                    t('clave.deUsuario', { usuario: clavePgpB.userId }),
+                ]
+                  .filter(Boolean)
+                  .join(' '),
+                hash: r.hash,
+                fecha: r.created,
+              },
+            ]
+          : ['verificacion.pgpInvalida']
+      }
+      const revocacion = valida
+        ? await comprobarRevocacion(pubKeyB)
+        : { valido: true, partes: [] }
+      if (!valida)
+        concluirVerificacion('invalida', [parte], { publicKey: pubKeyB, data })
+      else if (!revocacion.valido)
+        concluirVerificacion('invalida', revocacion.partes, {
+          publicKey: pubKeyB,
+          data,
+        })
+      else
+        concluirVerificacion(
+          'valida',
+          [parte, ...revocacion.partes, avisoConfianzaB()],
+          { publicKey: pubKeyB, data }
+        )
+    } catch (err) {
+      concluirVerificacion('error', [['verificacion.error', { error: err }]], {
+        publicKey: pubKeyB,
+        data,
+      })
+    }
+  }
+
+  // La firma válida además debe estar sellada dentro del periodo de validez.
+  // `claimedTime` es la hora que declara el firmante, si la hay.
+  const comprobarSello = async (token, firma, claimedTime) => {
+    try {
+      const { genTime, tsa } = await verifyTimestamp(token, {
+        signature: firma,
+        tsaPublicKeys: [
+          (await obtenerTsa()).publicKey,
+          ...tsasB.map((registro) => registro.publicKey),
+        ],
+      })
+      const estado = checkTimestampWindow(genTime, {
+        maxAgeDays: validezDiasB,
+        claimedTime,
+      })
+      if (estado === 'futura')
+        return {
+          valido: false,
+          partes: [['sello.futuro', { fecha: genTime }]],
+        }
+      if (estado === 'antedatada')
+        return {
+          valido: false,
+          partes: [
+            ['sello.antedatada', { declarada: claimedTime, fecha: genTime }],
+          ],
+        }
+      if (estado === 'caducada')
+        return {
+          valido: false,
+          partes: [['sello.caducada', { fecha: genTime, dias: validezDiasB }]],
+        }
+      return {
+        valido: true,
+        partes: [['sello.valido', { fecha: genTime, tsa }]],
+        genTime,
+      }
+    } catch (err) {
+      return {
+        valido: false,
+        partes: [['sello.invalido', { error: err }]],
       }
+    }
+  }
 
-      setVerificacion(
-        esValido
-          ? '✔ Firma válida — El mensaje es auténtico.'
-          : '❌ Firma inválida — Clave incorrecta o mensaje alterado.'
+  // Se consulta la clave que verifica, no la que dice traer la firma
+  const comprobarRevocacion = async (publicKey, timestampedAt) => {
+    const { estado, entrada } = checkRevocation(
+      revocadasB,
+      fingerprintText(await publicKeyFingerprint(publicKey)),
+      { timestampedAt }
+    )
+    if (estado === 'vigente') return { valido: true, partes: [] }
+    const fecha = entrada.revocationDate
+    if (estado === 'anterior')
+      return {
+        valido: true,
+        partes: [['revocacion.posterior', { fecha }]],
+      }
+    return {
+      valido: false,
+      partes: [
+        [
+          'revocacion.revocada',
+          {
+            fecha,
+            motivo: libraryText(
+              `biblioteca.motivo.${entrada.reason}`,
+              reasonLabel(entrada.reason)
+            ),
+          },
+        ],
+      ],
+    }
+  }
+
+  /* ------------------------- RSA por dentro ------------------------- */
+  // Las mismas entradas que usan handleFirmar y handleVerificar
+  const inspeccionarFirmaA = async () => {
+    if (!privKeyA && !privPemA) throw new Error(t('aviso.faltaPrivada'))
+    if (modoA === 'archivo' && !archivoA)
+      throw new Error(t('aviso.faltaArchivoFirmar'))
+    return inspectRsaSigning(await obtenerPrivadaA(), await datosA())
+  }
+
+  const inspeccionarVerificacionB = async () => {
+    if (paqueteB) throw new Error(t('inspector.conPaquete'))
+    if (!firmaB64B) throw new Error(t('aviso.faltaFirma'))
+    if (modoB === 'archivo' && !archivoB)
+      throw new Error(t('aviso.faltaArchivoVerificar'))
+    return inspectRsaVerification(
+      pubKeyB,
+      base64ToBuf(firmaB64B.replace(/\s+/g, '')),
+      await datosB()
+    )
+  }
+
+  /* ---------------------- Laboratorio de ataques ---------------------- */
+  const handleEjecutarAtaque = async (id) => {
+    // El atacante trabaja sobre lo que viaja hacia B
+    const mensajeEnTransito = mensajeB || mensaje
+    const firmaEnTransito = firmaB64B || firmaB64
+    if (!firmaEnTransito) return avisar('error', 'aviso.faltaFirmaEmisor')
+
+    const detalles = []
+    try {
+      if (id === 'modificacion') {
+        setMensajeB(mensajeEnTransito + t('ataque.marca'))
+        setFirmaB64B(firmaEnTransito)
+      } else if (id === 'sustitucion') {
+        const falso = t('ataque.mensajeFalso')
+        const pair = await generateKeyPair(configA)
+        const sig = await signMessage(
+          pair.privateKey,
+          new TextEncoder().encode(falso),
+          configA.hash
+        )
+        const { name, hash } = pair.publicKey.algorithm
+        if (isRsa(name)) setEsquemaRsaB(name)
+        setHashB(hash ? hash.name : configA.hash)
+        setPubPemB(await exportPublicKeyToPEM(pair.publicKey))
+        setPubKeyB(pair.publicKey)
+        setMensajeB(falso)
+        setFirmaB64B(bufToBase64(sig))
+        setSelloB('')
+        detalles.push(
+          t('ataque.claveAtacante', { clave: describeKey(pair.publicKey) }),
+          t('ataque.falso', { mensaje: falso })
+        )
+      } else if (id === 'bit') {
+        const { firma, detalle } = flipRandomBit(firmaEnTransito)
+        setMensajeB(mensajeEnTransito)
+        setFirmaB64B(firma)
+        detalles.push(detalle)
+      } else if (id === 'reenvio') {
+        const antigua = firmasA.find((f) => f.mensaje !== mensaje)
+        const nuevo = antigua ? mensaje : t('ataque.mensajeReenvio')
+        const firma = antigua ? antigua.firma : firmaEnTransito
+        setMensajeB(nuevo)
+        setFirmaB64B(firma)
+        if (antigua) setSelloB(antigua.sello)
+        detalles.push(
+          antigua
+            ? t('ataque.firmaAntigua', {
+                mensaje: antigua.mensaje,
+                hora: new Date(antigua.fecha).toLocaleTimeString(idioma),
+              })
+            : t('ataque.firmaDe', { mensaje: mensajeEnTransito }),
+          t('ataque.nuevo', { mensaje: nuevo })
+        )
+      } else if (id === 'truncado' || id === 'relleno') {
+        const { firma, detalle } =
+          id === 'truncado'
+            ? truncateBase64(firmaEnTransito)
+            : padBase64(firmaEnTransito)
+        setMensajeB(mensajeEnTransito)
+        setFirmaB64B(firma)
+        detalles.push(detalle)
+      } else if (id === 'homoglifo') {
+        const { mensaje: alterado, detalle } = applyHomoglyph(mensajeEnTransito)
+        setMensajeB(alterado)
+        setFirmaB64B(firmaEnTransito)
+        detalles.push(detalle)
+      }
+    } catch (err) {
+      registrar({ operation: 'attack', result: 'error', detail: err.message })
+      return avisar('error', 'error.ataque', { error: err })
+    }
+
+    setModoB('texto')
+    setPaqueteB(null)
+    setVerificacion(null)
+    setDiagnostico([])
+    setUltimoAtaque({ id, detalles })
+    const titulo = libraryText(
+      `biblioteca.ataque.${id}.titulo`,
+      ESCENARIOS.find((e) => e.id === id).titulo
+    )
+    registrar({ operation: 'attack', detail: titulo })
+    avisar('info', 'aviso.ataqueAplicado', { titulo })
+  }
+
+  const handleRecibirDelEmisor = () => {
+    if (!firmaB64) return avisar('error', 'aviso.faltaFirmaEmisor')
+    setMensajeB(mensaje)
+    setFirmaB64B(firmaB64)
+    setSelloB(selloA)
+    setPaqueteB(null)
+    avisar('info', 'aviso.recibido')
+  }
+
+  /* ------------------------- Paquete JWS ------------------------- */
+  const handleDescargarPaquete = async () => {
+    try {
+      const { privateKey, publicKey } = await obtenerParA()
+      const jws = await createJws(privateKey, publicKey, await datosA(), {
+        hash: configA.hash,
+      })
+      // El sello va en la cabecera no protegida: se añade después de firmar
+      if (sellarA)
+        jws.header = {
+          tst: await requestTimestamp(
+            await obtenerTsa(),
+            base64UrlDecode(jws.signature)
+          ),
+        }
+      const nombre =
+        modoA === 'archivo' && archivoA ? archivoA.name : t('archivo.mensaje')
+      downloadFile(
+        `${nombre}.jws.json`,
+        JSON.stringify(jws, null, 2),
+        'application/jose+json'
+      )
+      if (!jws.payload) avisar('info', 'aviso.paqueteSinContenido')
+    } catch (err) {
+      avisar('error', 'error.crearPaquete', { error: err })
+    }
+  }
+
+  const verificarPaquete = async (paquete) => {
+    let publicKey
+    let data
+    try {
+      // Una clave importada en el receptor tiene prioridad sobre la que el
+      // propio paquete dice traer, que cualquiera puede sustituir
+      const jwk = pubKeyB ? await publicJwk(pubKeyB) : paquete.header.jwk
+      if (!jwk)
+        return concluirVerificacion('invalida', [['paquete.sinClave']], {})
+      if (!paquete.payload && modoB === 'archivo' && !archivoB)
+        return setVerificacion({
+          estado: 'info',
+          partes: [['paquete.sinContenido']],
+        })
+
+      publicKey = pubKeyB || (await importJwsKey(jwk, paquete.header.alg))
+      data = paquete.payload || (await datosB())
+      const concluir = (estado, partes) =>
+        concluirVerificacion(estado, partes, { publicKey, data })
+      const digest = base64UrlEncode(await subtle().digest('SHA-256', data))
+      if (paquete.header.sha256 && paquete.header.sha256 !== digest)
+        return concluir('invalida', [['paquete.resumenDistinto']])
+
+      const kid = await jwkThumbprint(jwk)
+      const esValido = await verifyJws(paquete, jwk, data)
+      const declarada = paquete.header.iat
+        ? new Date(paquete.header.iat * 1000)
+        : null
+      const sello =
+        esValido && paquete.unprotectedHeader.tst
+          ? await comprobarSello(
+              paquete.unprotectedHeader.tst,
+              paquete.signature,
+              declarada
+            )
+          : { valido: true, partes: [] }
+      const revocacion = esValido
+        ? await comprobarRevocacion(publicKey, sello.genTime)
+        : { valido: true, partes: [] }
+
+      if (!esValido) concluir('invalida', [['paquete.invalido']])
+      else if (paquete.header.kid && paquete.header.kid !== kid)
+        concluir('invalida', [['paquete.kidDistinto']])
+      else if (!sello.valido) concluir('invalida', sello.partes)
+      else if (!revocacion.valido) concluir('invalida', revocacion.partes)
+      else
+        concluir('valida', [
+          [
+            'paquete.valido',
+            {
+              alg: paquete.header.alg,
+              fecha: declarada || t('paquete.fechaDesconocida'),
+              kid,
+            },
+          ],
+          ...sello.partes,
+          ...revocacion.partes,
+          pubKeyB ? avisoConfianzaB() : ['paquete.claveIncluida'],
+        ])
+    } catch (err) {
+      concluirVerificacion('error', [['paquete.error', { error: err }]], {
+        publicKey,
+        data,
+      })
+    }
+  }
+
+  const handleCargarPaquete = async (file) => {
+    try {
+      const paquete = parseJws(await file.text())
+      setPaqueteB(paquete)
+      await verificarPaquete(paquete)
+    } catch (err) {
+      avisar('error', 'error.leerPaquete', { error: err })
+    }
+  }
+
+  /* --------------------- Revocación y rotación --------------------- */
+  const handleRevocarA = async (motivo, conCa) => {
+    const par = await obtenerParA()
+    const firmante = conCa
+      ? {
+          privateKey: caA.privateKey,
+          publicKey: await derivePublicKey(caA.privateKey),
+        }
+      : par
+    const lista = await createRevocationList({
+      signer: firmante,
+      revoked: [{ publicKey: par.publicKey, reason: motivo }],
+    })
+    return JSON.stringify(lista, null, 2)
+  }
+
+  const handleRotarA = async () => {
+    const anterior = await obtenerParA()
+    const nuevo = await generateKeyPair(configA, !noExportableA)
+    const declaracion = await createRotationStatement({
+      oldKeys: anterior,
+      newKeys: nuevo,
+    })
+    await establecerParA(nuevo)
+    return JSON.stringify(declaracion, null, 2)
+  }
+
+  // Las CA raíz en las que confía el receptor también pueden revocar
+  const huellasRaicesB = () =>
+    Promise.all(
+      pemBlocks(raicesPemB, 'CERTIFICATE').map(async (der) =>
+        fingerprintText(
+          new Uint8Array(
+            await subtle().digest('SHA-256', parseCertificate(der).spki)
+          )
+        )
+      )
+    )
+
+  const handleImportarDeclaracion = async (texto) => {
+    const [{ header }] = parseJwsSignatures(texto)
+    if (header.typ === TYP_ROTACION) return aceptarRotacion(texto)
+
+    const lista = await verifyRevocationList(texto, {
+      authorities: await huellasRaicesB(),
+    })
+    if (lista.revoked.length === 0) throw new Error(t('revocacion.sinEfecto'))
+    setRevocadasB((actuales) => [
+      ...actuales.filter(
+        (e) => !lista.revoked.some((r) => r.fingerprint === e.fingerprint)
+      ),
+      ...lista.revoked,
+    ])
+    setVerificacion(null)
+    return [
+      t(lista.autoridad ? 'revocacion.listaDeCa' : 'revocacion.listaDelDueno', {
+        n: lista.revoked.length,
+      }),
+      lista.ignoradas.length > 0 &&
+        t('revocacion.ignoradas', { n: lista.ignoradas.length }),
+    ]
+      .filter(Boolean)
+      .join(' ')
+  }
+
+  // La clave nueva hereda la confianza de la anterior sin comparar huellas
+  const aceptarRotacion = async (texto) => {
+    const rotacion = await verifyRotationStatement(texto, {
+      trusted: confianza.map((c) => c.fingerprint),
+      revoked: revocadasB,
+    })
+    const anterior = confianza.find((c) => c.fingerprint === rotacion.anterior)
+    await trustFingerprint(
+      rotacion.nueva,
+      t('rotacion.nombre', {
+        nombre: anterior.name,
+        fecha: rotacion.issued.toLocaleDateString(idioma),
+      })
+    )
+    setConfianza(await listTrustedFingerprints())
+
+    const { name, hash } = rotacion.publicKey.algorithm
+    if (isRsa(name)) setEsquemaRsaB(name)
+    if (hash) setHashB(hash.name)
+    setPubKeyB(rotacion.publicKey)
+    setPubPemB(await exportPublicKeyToPEM(rotacion.publicKey))
+    setCertificadoB(null)
+    setVerificacion(null)
+    return t('rotacion.aceptada', {
+      huella: rotacion.nueva,
+      nombre: anterior.name,
+    })
+  }
+
+  /* ---------------------------- Llavero ---------------------------- */
+  const recargarLlavero = async () => setClaves(await listKeys())
+
+  const handleGuardarParA = async () => {
+    if (!privKeyA && !privPemA) return avisar('error', 'aviso.faltaPar')
+    const nombre = prompt(
+      t('pregunta.nombrePar'),
+      pubKeyA ? describeKey(pubKeyA) : t('pregunta.nombreParDefecto')
+    )
+    if (!nombre) return
+
+    try {
+      await saveKeyPair(nombre, await obtenerParA(), {
+        extractable: !noExportableA,
+      })
+      await recargarLlavero()
+      avisar(
+        'ok',
+        noExportableA ? 'aviso.parGuardadoNoExportable' : 'aviso.parGuardado'
       )
     } catch (err) {
-      setVerificacion('Error verificando: ' + err.message)
+      avisar('error', 'error.guardarLlavero', { error: err })
+    }
+  }
+
+  const handleGuardarPubB = async () => {
+    if (!pubKeyB) return avisar('error', 'aviso.faltaPublica')
+    const nombre = prompt(t('pregunta.nombrePublica'), describeKey(pubKeyB))
+    if (!nombre) return
+
+    try {
+      await savePublicKey(nombre, pubKeyB)
+      await recargarLlavero()
+      avisar('ok', 'aviso.publicaGuardada')
+    } catch (err) {
+      avisar('error', 'error.guardarLlavero', { error: err })
+    }
+  }
+
+  const handleUsarParaFirmar = async (clave) => {
+    try {
+      const privPem = await privadaComoPem(clave.privateKey)
+      sincronizarConfigA(clave.privateKey.algorithm)
+      setPrivKeyA(clave.privateKey)
+      setPubKeyA(clave.publicKey)
+      setPrivPemA(privPem)
+      setPrivPemCargadaA(privPem)
+      setPubPemA(await exportPublicKeyToPEM(clave.publicKey))
+      setAvisoParA(null)
+    } catch (err) {
+      avisar('error', 'error.cargarClave', { error: err })
+    }
+  }
+
+  const handleUsarParaVerificar = async (clave) => {
+    try {
+      const { name, hash } = clave.publicKey.algorithm
+      if (isRsa(name)) setEsquemaRsaB(name)
+      if (hash) setHashB(hash.name)
+      setPubKeyB(clave.publicKey)
+      setPubPemB(await exportPublicKeyToPEM(clave.publicKey))
+    } catch (err) {
+      avisar('error', 'error.cargarClave', { error: err })
+    }
+  }
+
+  const handleRenombrarClave = async (clave) => {
+    const nombre = prompt(t('pregunta.nuevoNombre'), clave.name)
+    if (!nombre || nombre === clave.name) return
+
+    try {
+      await renameKey(clave.id, nombre)
+      await recargarLlavero()
+    } catch (err) {
+      avisar('error', 'error.renombrarClave', { error: err })
+    }
+  }
+
+  const handleEliminarClave = async (clave) => {
+    if (!confirm(t('pregunta.eliminar', { nombre: clave.name }))) return
+
+    try {
+      await deleteKey(clave.id)
+      await recargarLlavero()
+    } catch (err) {
+      avisar('error', 'error.eliminarClave', { error: err })
+    }
+  }
+
+  /* ----------------------- Huellas y confianza ----------------------- */
+  // Una firma válida solo prueba que la firmó el dueño de esta clave; quién
+  // es ese dueño lo confirma la persona comparando la huella por otro canal
+  const avisoConfianzaB = () => {
+    if (confianzaB)
+      return ['confianza.deConfianza', { nombre: confianzaB.name }]
+    if (certificadoB && certificadoB.publicKey === pubKeyB)
+      return ['confianza.certificada', { sujeto: certificadoB.sujeto }]
+    return ['confianza.sinVerificar']
+  }
+
+  const handleConfiar = async (huella) => {
+    if (!confirm(t('pregunta.confiar', { huella: fingerprintHex(huellaB) })))
+      return
+    const nombre = prompt(t('pregunta.dueno'), describeKey(pubKeyB))
+    if (!nombre) return
+
+    try {
+      await trustFingerprint(huella, nombre)
+      setConfianza(await listTrustedFingerprints())
+      setVerificacion(null)
+    } catch (err) {
+      avisar('error', 'error.guardarConfianza', { error: err })
+    }
+  }
+
+  // Las TSA se identifican por la huella de su clave pública
+  const handleConfiarTsa = async () => {
+    try {
+      const clave = await importPublicKeyFromPEM(tsaPemB)
+      const huella = fingerprintText(await publicKeyFingerprint(clave))
+      await trustTsaKey(huella, clave)
+      setTsasB(await listTrustedTsaKeys())
+      setTsaPemB('')
+      avisar('ok', 'aviso.tsaConfiada', { huella })
+    } catch (err) {
+      avisar('error', 'error.confiarTsa', { error: err })
+    }
+  }
+
+  const handleOlvidarTsa = async (huella) => {
+    try {
+      await untrustTsaKey(huella)
+      setTsasB(await listTrustedTsaKeys())
+    } catch (err) {
+      avisar('error', 'error.retirarConfianza', { error: err })
+    }
+  }
+
+  const handleRetirarConfianza = async (huella) => {
+    try {
+      await untrustFingerprint(huella)
+      setConfianza(await listTrustedFingerprints())
+      setVerificacion(null)
+    } catch (err) {
+      avisar('error', 'error.retirarConfianza', { error: err })
+    }
+  }
+
+  /* -------------------------- Firmar y cifrar -------------------------- */
+  // El cifrado híbrido reutiliza la clave de firma de A y la clave pública
+  // de A que tiene el receptor
+  const firmarParaCifrado = async (datos) =>
+    signMessage(await obtenerPrivadaA(), datos, configA.hash)
+
+  const verificarDescifrado = async (datos, firma) => {
+    if (!pubKeyB) return false
+    try {
+      return await verifySignature(pubKeyB, firma, datos, hashB)
+    } catch {
+      return false
+    }
+  }
+
+  /* ------------------------- Certificados X.509 ------------------------- */
+  const handleCrearCa = async () => {
+    const nombre = prompt(t('pregunta.nombreCa'), t('pregunta.nombreCaDefecto'))
+    if (!nombre) return
+
+    try {
+      const pair = await generateKeyPair(configA)
+      const der = await createCertificate({
+        subject: { commonName: nombre },
+        publicKey: pair.publicKey,
+        signingKey: pair.privateKey,
+        ca: true,
+        days: 3650,
+      })
+      setCaA({
+        privateKey: pair.privateKey,
+        certificado: parseCertificate(der),
+        pem: pemEncode(bufToBase64(der), 'CERTIFICATE'),
+      })
+      setCertA(null)
+    } catch (err) {
+      avisar('error', 'error.crearCa', { error: err })
+    }
+  }
+
+  const handleEmitirCertificadoA = async () => {
+    if (!caA) return avisar('error', 'aviso.faltaCa')
+    if (!pubKeyA) return avisar('error', 'aviso.faltaClavesEmisor')
+    const nombre = prompt(t('pregunta.titular'), t('pregunta.titularDefecto'))
+    if (!nombre) return
+
+    try {
+      const der = await createCertificate({
+        subject: { commonName: nombre },
+        publicKey: pubKeyA,
+        signingKey: caA.privateKey,
+        issuer: caA.certificado,
+      })
+      setCertA({
+        publicKey: pubKeyA,
+        certificado: parseCertificate(der),
+        pem: pemEncode(bufToBase64(der), 'CERTIFICATE'),
+      })
+    } catch (err) {
+      avisar('error', 'error.emitirCertificado', { error: err })
     }
   }
 
   /* ============================ UI MEJORADA ============================= */
 
-  return (
+  // Las secciones leen el traductor del contexto
+  const pagina = (
     <div className='min-h-screen bg-gradient-to-br from-slate-50 to-slate-100 p-6'>
       <div className='max-w-7xl mx-auto'>
         {/* Header */}
+        <div className='flex justify-end'>
+          <select
+            className='p-2 border-2 border-slate-200 rounded-xl text-sm bg-white'
+            value={idioma}
+            onChange={(e) => setIdioma(e.target.value)}
+            aria-label={t('app.idioma')}
+          >
+            {LANGUAGES.map((l) => (
+              <option key={l.code} value={l.code} lang={l.code}>
+                {l.label}
+              </option>
+            ))}
+          </select>
+        </div>
         <div className='text-center mb-10'>
           <h1 className='text-4xl font-bold text-slate-800 mb-3'>
-            Sistema de Firma Digital
+            {t('app.titulo')}
           </h1>
           <p className='text-slate-600 max-w-2xl mx-auto'>
-            Simula el proceso completo de firma y verificación digital con
-            criptografía RSA. Genera claves, firma mensajes y verifica
-            autenticidad.
+            {t('app.descripcion')}
           </p>
         </div>
 
+        <ServicioLocal servicio={servicio} onCambiar={setServicio} />
+
         <div className='grid gap-8 lg:grid-cols-2'>
           {/* ======================= EMISOR ======================= */}
           <section className='bg-white rounded-2xl shadow-xl border border-slate-200 overflow-hidden'>
             <div className='bg-gradient-to-r from-blue-600 to-blue-700 p-6'>
               <h2 className='text-xl font-bold text-white flex items-center gap-2'>
                 <span className='w-3 h-3 bg-white rounded-full'></span>
-                Emisor (A) — Firmar Mensaje
+                {t('emisor.titulo')}
               </h2>
             </div>
 
@@ -197,8 +1587,79 @@ export default function FirmaDigitalCompleto() {
               <div className='space-y-3'>
                 <h3 className='font-semibold text-slate-700 flex items-center gap-2'>
                   <span className='text-blue-600'>1.</span>
-                  Generar Par de Claves
+                  {t('emisor.generarPar')}
                 </h3>
+                <div className='grid grid-cols-3 gap-3'>
+                  <select
+                    className='p-2 border-2 border-slate-200 rounded-xl focus:border-blue-500 focus:ring-2 focus:ring-blue-200 text-sm bg-white'
+                    value={configA.name}
+                    onChange={(e) =>
+                      setConfigA({ ...configA, name: e.target.value })
+                    }
+                    aria-label={t('emisor.algoritmo')}
+                  >
+                    {ALGORITMOS.map((alg) => (
+                      <option key={alg.name} value={alg.name}>
+                        {alg.label}
+                      </option>
+                    ))}
+                  </select>
+                  {isRsa(configA.name) && (
+                    <select
+                      className='p-2 border-2 border-slate-200 rounded-xl focus:border-blue-500 focus:ring-2 focus:ring-blue-200 text-sm bg-white'
+                      value={configA.modulusLength}
+                      onChange={(e) =>
+                        setConfigA({
+                          ...configA,
+                          modulusLength: Number(e.target.value),
+                        })
+                      }
+                      aria-label={t('emisor.tamano')}
+                    >
+                      {TAMANOS_RSA.map((bits) => (
+                        <option key={bits} value={bits}>
+                          {bits} bits
+                        </option>
+                      ))}
+                    </select>
+                  )}
+                  {configA.name === 'ECDSA' && (
+                    <select
+                      className='p-2 border-2 border-slate-200 rounded-xl focus:border-blue-500 focus:ring-2 focus:ring-blue-200 text-sm bg-white'
+                      value={configA.namedCurve}
+                      onChange={(e) =>
+                        setConfigA({
+                          ...configA,
+                          namedCurve: e.target.value,
+                          hash: CURVE_HASH[e.target.value],
+                        })
+                      }
+                      aria-label={t('emisor.curva')}
+                    >
+                      {CURVAS.map((curva) => (
+                        <option key={curva} value={curva}>
+                          {curva}
+                        </option>
+                      ))}
+                    </select>
+                  )}
+                  {configA.name !== 'Ed25519' && (
+                    <select
+                      className='p-2 border-2 border-slate-200 rounded-xl focus:border-blue-500 focus:ring-2 focus:ring-blue-200 text-sm bg-white'
+                      value={configA.hash}
+                      onChange={(e) =>
+                        setConfigA({ ...configA, hash: e.target.value })
+                      }
+                      aria-label={t('emisor.hash')}
+                    >
+                      {HASHES.map((hash) => (
+                        <option key={hash} value={hash}>
+                          {hash}
+                        </option>
+                      ))}
+                    </select>
+                  )}
+                </div>
                 <button
                   onClick={handleGenerarClaves}
                   className='w-full px-4 py-3 bg-gradient-to-r from-blue-600 to-blue-700 text-white rounded-xl shadow-lg hover:from-blue-700 hover:to-blue-800 transition-all duration-200 font-medium flex items-center justify-center gap-2'
@@ -216,76 +1677,199 @@ export default function FirmaDigitalCompleto() {
                       d='M13 10V3L4 14h7v7l9-11h-7z'
                     />
                   </svg>
-                  Generar Claves RSA-2048
+                  {t('emisor.generar', {
+                    algoritmo: describeAlgorithm(configA),
+                  })}
                 </button>
+                <label className='flex items-center gap-2 text-sm text-slate-600'>
+                  <input
+                    type='checkbox'
+                    className='rounded border-slate-300'
+                    checked={noExportableA}
+                    onChange={(e) => setNoExportableA(e.target.checked)}
+                  />
+                  {t('emisor.noExportable')}
+                </label>
               </div>
 
               {/* Claves */}
               <div className='grid gap-4'>
                 <div className='space-y-3'>
-                  <label className='block font-semibold text-slate-700 flex items-center gap-2'>
-                    <span className='text-blue-600'>2.</span>
-                    Clave Pública (A)
-                  </label>
+                  <div className='flex items-center justify-between gap-3'>
+                    <label className='block font-semibold text-slate-700 flex items-center gap-2'>
+                      <span className='text-blue-600'>2.</span>
+                      {t('emisor.publica')}
+                    </label>
+                    {pubKeyA && (
+                      <button
+                        className='text-xs font-medium text-blue-700 hover:underline'
+                        onClick={handleExportarSshA}
+                      >
+                        {t('emisor.exportarSsh')}
+                      </button>
+                    )}
+                  </div>
                   <div className='relative'>
                     <textarea
                       className='w-full h-32 p-4 border-2 border-slate-200 rounded-xl focus:border-blue-500 focus:ring-2 focus:ring-blue-200 transition-all duration-200 text-sm font-mono bg-slate-50'
                       value={pubPemA}
-                      onChange={(e) => setPubPemA(e.target.value)}
-                      placeholder='La clave pública se generará automáticamente...'
+                      onChange={(e) => {
+                        setPubPemA(e.target.value)
+                        comprobarParA(privPemA, e.target.value)
+                      }}
+                      placeholder={t('emisor.publicaPlaceholder')}
                     />
                     {pubPemA && (
                       <div className='absolute top-2 right-2 bg-green-100 text-green-800 text-xs px-2 py-1 rounded-full'>
-                        Lista
+                        {t('emisor.lista')}
+                        {pubKeyA && ` · ${describeKey(pubKeyA)}`}
                       </div>
                     )}
                   </div>
+                  <HuellaClave huella={huellaA} color='blue' />
                 </div>
 
                 <div className='space-y-3'>
                   <label className='block font-semibold text-slate-700 flex items-center gap-2'>
                     <span className='text-blue-600'>3.</span>
-                    Clave Privada (A)
+                    {t('emisor.privada')}
                   </label>
                   <div className='relative'>
                     <textarea
                       className='w-full h-32 p-4 border-2 border-slate-200 rounded-xl focus:border-blue-500 focus:ring-2 focus:ring-blue-200 transition-all duration-200 text-sm font-mono bg-slate-50'
                       value={privPemA}
-                      onChange={(e) => setPrivPemA(e.target.value)}
-                      placeholder='La clave privada se generará automáticamente...'
+                      onChange={(e) => {
+                        setPrivPemA(e.target.value)
+                        comprobarParA(e.target.value, pubPemA)
+                      }}
+                      placeholder={
+                        privKeyA && !privKeyA.extractable
+                          ? t('emisor.privadaNoExportable')
+                          : t('emisor.privadaPlaceholder')
+                      }
                     />
                     {privPemA && (
                       <div className='absolute top-2 right-2 bg-red-100 text-red-800 text-xs px-2 py-1 rounded-full'>
-                        Privada
+                        {pemLabel(privPemA) === 'ENCRYPTED PRIVATE KEY'
+                          ? t('emisor.privadaCifrada')
+                          : t('emisor.privadaLista')}
                       </div>
                     )}
                   </div>
+                  <div className='grid grid-cols-3 gap-3'>
+                    <input
+                      type='password'
+                      className='col-span-2 p-2 border-2 border-slate-200 rounded-xl focus:border-blue-500 focus:ring-2 focus:ring-blue-200 text-sm'
+                      value={fraseA}
+                      onChange={(e) => setFraseA(e.target.value)}
+                      placeholder={t('emisor.frase')}
+                      autoComplete='new-password'
+                      aria-label={t('emisor.fraseEtiqueta')}
+                    />
+                    <select
+                      className='p-2 border-2 border-slate-200 rounded-xl focus:border-blue-500 focus:ring-2 focus:ring-blue-200 text-sm bg-white'
+                      value={cifradoA}
+                      onChange={(e) => setCifradoA(e.target.value)}
+                      aria-label={t('emisor.cifrado')}
+                    >
+                      {Object.keys(PKCS8_CIPHERS).map((cifrado) => (
+                        <option key={cifrado} value={cifrado}>
+                          {cifrado}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className='flex gap-3'>
+                    <button
+                      className='flex-1 px-4 py-2 bg-gradient-to-r from-slate-600 to-slate-700 text-white rounded-xl shadow hover:from-slate-700 hover:to-slate-800 transition-all duration-200 font-medium text-sm disabled:opacity-50 disabled:cursor-not-allowed'
+                      onClick={handleImportarPrivadaA}
+                      disabled={!privPemA}
+                    >
+                      {t('emisor.importarPrivada')}
+                    </button>
+                    <button
+                      className='flex-1 px-4 py-2 bg-gradient-to-r from-red-600 to-red-700 text-white rounded-xl shadow hover:from-red-700 hover:to-red-800 transition-all duration-200 font-medium text-sm disabled:opacity-50 disabled:cursor-not-allowed'
+                      onClick={handleCifrarPrivadaA}
+                      disabled={
+                        !privPemA ||
+                        !fraseA ||
+                        pemLabel(privPemA) === 'ENCRYPTED PRIVATE KEY'
+                      }
+                    >
+                      {t('emisor.cifrar')}
+                    </button>
+                  </div>
                 </div>
+
+                {avisoParA && (
+                  <div
+                    className='p-3 rounded-xl border-2 bg-amber-50 border-amber-200 text-amber-800 text-sm'
+                    role='alert'
+                  >
+                    ⚠ {t(...avisoParA)}
+                  </div>
+                )}
+
+                <button
+                  className='w-full px-4 py-2 bg-gradient-to-r from-emerald-600 to-emerald-700 text-white rounded-xl shadow hover:from-emerald-700 hover:to-emerald-800 transition-all duration-200 font-medium text-sm disabled:opacity-50 disabled:cursor-not-allowed'
+                  onClick={handleGuardarParA}
+                  disabled={!privKeyA && !privPemA}
+                >
+                  {t('emisor.guardarPar')}
+                </button>
               </div>
 
               {/* Mensaje y Firma */}
               <div className='space-y-4'>
                 <div className='space-y-3'>
-                  <label className='block font-semibold text-slate-700 flex items-center gap-2'>
-                    <span className='text-blue-600'>4.</span>
-                    Mensaje a Firmar
-                  </label>
-                  <textarea
-                    className='w-full h-24 p-4 border-2 border-slate-200 rounded-xl focus:border-blue-500 focus:ring-2 focus:ring-blue-200 transition-all duration-200 resize-none'
-                    value={mensaje}
-                    onChange={(e) => {
-                      setMensaje(e.target.value)
-                      setOriginalMensaje(e.target.value)
-                    }}
-                    placeholder='Escribe el mensaje que deseas firmar digitalmente...'
-                  />
+                  <div className='flex items-center justify-between gap-3'>
+                    <label className='block font-semibold text-slate-700 flex items-center gap-2'>
+                      <span className='text-blue-600'>4.</span>
+                      {modoA === 'archivo'
+                        ? t('emisor.archivo')
+                        : t('emisor.mensaje')}
+                    </label>
+                    <PestanasModo
+                      modo={modoA}
+                      onCambiar={setModoA}
+                      color='blue'
+                    />
+                  </div>
+                  {modoA === 'archivo' ? (
+                    <SelectorArchivo
+                      archivo={archivoA}
+                      resumen={resumenA}
+                      onArchivo={(file) => seleccionarArchivo('A', file)}
+                      color='blue'
+                    />
+                  ) : (
+                    <textarea
+                      className='w-full h-24 p-4 border-2 border-slate-200 rounded-xl focus:border-blue-500 focus:ring-2 focus:ring-blue-200 transition-all duration-200 resize-none'
+                      value={mensaje}
+                      onChange={(e) => setMensaje(e.target.value)}
+                      placeholder={t('emisor.mensajePlaceholder')}
+                    />
+                  )}
                 </div>
 
+                <label className='flex items-center gap-2 text-sm text-slate-600'>
+                  <input
+                    type='checkbox'
+                    className='rounded border-slate-300'
+                    checked={sellarA}
+                    onChange={(e) => setSellarA(e.target.checked)}
+                  />
+                  {t('emisor.sellar')}
+                </label>
+
                 <div className='flex gap-3'>
                   <button
                     className='flex-1 px-4 py-3 bg-gradient-to-r from-green-600 to-green-700 text-white rounded-xl shadow-lg hover:from-green-700 hover:to-green-800 transition-all duration-200 font-medium flex items-center justify-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed'
                     onClick={handleFirmar}
-                    disabled={!privKeyA || !mensaje}
+                    disabled={
+                      (!privKeyA && !privPemA && !servicio.activo) ||
+                      (modoA === 'archivo' ? !archivoA : !mensaje)
+                    }
                   >
                     <svg
                       className='w-5 h-5'
@@ -300,15 +1884,12 @@ export default function FirmaDigitalCompleto() {
                         d='M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z'
                       />
                     </svg>
-                    Firmar Mensaje
+                    {t('emisor.firmar')}
                   </button>
 
                   <button
                     className='px-4 py-3 bg-gradient-to-r from-orange-600 to-orange-700 text-white rounded-xl shadow-lg hover:from-orange-700 hover:to-orange-800 transition-all duration-200 font-medium flex items-center justify-center gap-2 text-sm'
-                    onClick={() => {
-                      setMensaje(mensaje + ' [MODIFICADO POR ATAQUE]')
-                      alert('Mensaje interceptado por un atacante.')
-                    }}
+                    onClick={() => handleEjecutarAtaque('modificacion')}
                   >
                     <svg
                       className='w-5 h-5'
@@ -323,21 +1904,66 @@ export default function FirmaDigitalCompleto() {
                         d='M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z'
                       />
                     </svg>
-                    Simular Ataque
+                    {t('emisor.simularAtaque')}
                   </button>
                 </div>
 
                 <div className='space-y-3'>
-                  <label className='block font-semibold text-slate-700 flex items-center gap-2'>
-                    <span className='text-blue-600'>5.</span>
-                    Firma Digital (Base64)
-                  </label>
+                  <div className='flex items-center justify-between gap-3'>
+                    <label className='block font-semibold text-slate-700 flex items-center gap-2'>
+                      <span className='text-blue-600'>5.</span>
+                      {t('firma.base64')}
+                    </label>
+                    {firmaB64 && (
+                      <button
+                        className='text-xs font-medium text-blue-700 hover:underline'
+                        onClick={() =>
+                          downloadFile(
+                            `${
+                              modoA === 'archivo' && archivoA
+                                ? archivoA.name
+                                : t('archivo.mensaje')
+                            }.sig`,
+                            firmaB64
+                          )
+                        }
+                      >
+                        {t('emisor.descargarFirma')}
+                      </button>
+                    )}
+                  </div>
                   <textarea
                     className='w-full h-24 p-4 border-2 border-slate-200 rounded-xl bg-slate-50 font-mono text-xs resize-none'
                     value={firmaB64}
                     readOnly
-                    placeholder='La firma digital aparecerá aquí después de firmar...'
+                    placeholder={t('emisor.firmaPlaceholder')}
                   />
+                  {selloA && (
+                    <textarea
+                      className='w-full h-16 p-3 border-2 border-slate-200 rounded-xl bg-slate-50 font-mono text-xs resize-none'
+                      value={selloA}
+                      readOnly
+                      aria-label={t('emisor.sello')}
+                    />
+                  )}
+                  {selloA && tsaPemA && (
+                    <textarea
+                      className='w-full h-24 p-3 border-2 border-slate-200 rounded-xl bg-slate-50 font-mono text-xs resize-none'
+                      value={tsaPemA}
+                      readOnly
+                      aria-label={t('emisor.tsaPublica')}
+                    />
+                  )}
+                  <button
+                    className='w-full px-4 py-2 border-2 border-blue-200 text-blue-700 rounded-xl hover:bg-blue-50 transition-all duration-200 font-medium text-sm disabled:opacity-50 disabled:cursor-not-allowed'
+                    onClick={handleDescargarPaquete}
+                    disabled={
+                      (!privKeyA && !privPemA) ||
+                      (modoA === 'archivo' ? !archivoA : !mensaje)
+                    }
+                  >
+                    {t('emisor.descargarPaquete')}
+                  </button>
                 </div>
               </div>
             </div>
@@ -348,7 +1974,7 @@ export default function FirmaDigitalCompleto() {
             <div className='bg-gradient-to-r from-purple-600 to-purple-700 p-6'>
               <h2 className='text-xl font-bold text-white flex items-center gap-2'>
                 <span className='w-3 h-3 bg-white rounded-full'></span>
-                Receptor (B) — Verificar Firma
+                {t('receptor.titulo')}
               </h2>
             </div>
 
@@ -357,7 +1983,7 @@ export default function FirmaDigitalCompleto() {
               <div className='space-y-4'>
                 <h3 className='font-semibold text-slate-700 flex items-center gap-2'>
                   <span className='text-purple-600'>1.</span>
-                  Importar Clave Pública
+                  {t('receptor.importarTitulo')}
                 </h3>
 
                 <div className='flex gap-3'>
@@ -365,9 +1991,11 @@ export default function FirmaDigitalCompleto() {
                     className='flex-1 px-4 py-3 bg-gradient-to-r from-indigo-600 to-indigo-700 text-white rounded-xl shadow-lg hover:from-indigo-700 hover:to-indigo-800 transition-all duration-200 font-medium flex items-center justify-center gap-2 text-sm disabled:opacity-50 disabled:cursor-not-allowed'
                     onClick={() => {
                       if (!pubPemA)
-                        return alert('Primero genera claves en el emisor.')
+                        return avisar('error', 'aviso.faltaClavesEmisor')
                       setPubPemB(pubPemA)
-                      alert('Clave pública copiada al receptor.')
+                      if (isRsa(configA.name)) setEsquemaRsaB(configA.name)
+                      setHashB(configA.hash)
+                      avisar('info', 'aviso.publicaCopiada')
                     }}
                     disabled={!pubPemA}
                   >
@@ -384,7 +2012,7 @@ export default function FirmaDigitalCompleto() {
                         d='M8 16H6a2 2 0 01-2-2V6a2 2 0 012-2h8a2 2 0 012 2v2m-6 12h8a2 2 0 002-2v-8a2 2 0 00-2-2h-8a2 2 0 00-2 2v8a2 2 0 002 2z'
                       />
                     </svg>
-                    Copiar de Emisor
+                    {t('receptor.copiarEmisor')}
                   </button>
 
                   <button
@@ -405,49 +2033,363 @@ export default function FirmaDigitalCompleto() {
                         d='M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M9 19l3 3m0 0l3-3m-3 3V10'
                       />
                     </svg>
-                    Importar PEM
+                    {t('receptor.importarPem')}
                   </button>
                 </div>
 
+                <button
+                  className='w-full px-4 py-2 bg-gradient-to-r from-emerald-600 to-emerald-700 text-white rounded-xl shadow hover:from-emerald-700 hover:to-emerald-800 transition-all duration-200 font-medium text-sm disabled:opacity-50 disabled:cursor-not-allowed'
+                  onClick={handleGuardarPubB}
+                  disabled={!pubKeyB}
+                >
+                  {t('receptor.guardarPublica')}
+                </button>
+
+                <div className='grid grid-cols-2 gap-3'>
+                  <select
+                    className='p-2 border-2 border-slate-200 rounded-xl focus:border-purple-500 focus:ring-2 focus:ring-purple-200 text-sm bg-white'
+                    value={esquemaRsaB}
+                    onChange={(e) => {
+                      setEsquemaRsaB(e.target.value)
+                      if (pubKeyB && isRsa(pubKeyB.algorithm.name))
+                        setPubKeyB(null)
+                    }}
+                    aria-label={t('receptor.esquema')}
+                    title={t('receptor.esquemaAyuda')}
+                  >
+                    {ALGORITMOS.filter((alg) => isRsa(alg.name)).map((alg) => (
+                      <option key={alg.name} value={alg.name}>
+                        {alg.label}
+                      </option>
+                    ))}
+                  </select>
+                  <select
+                    className='p-2 border-2 border-slate-200 rounded-xl focus:border-purple-500 focus:ring-2 focus:ring-purple-200 text-sm bg-white'
+                    value={hashB}
+                    onChange={(e) => {
+                      setHashB(e.target.value)
+                      if (pubKeyB && isRsa(pubKeyB.algorithm.name))
+                        setPubKeyB(null)
+                    }}
+                    aria-label={t('receptor.hash')}
+                    title={t('receptor.hashAyuda')}
+                  >
+                    {HASHES.map((hash) => (
+                      <option key={hash} value={hash}>
+                        {hash}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
                 <div className='space-y-3'>
-                  <label className='block font-semibold text-slate-700'>
-                    Clave Pública (B)
-                  </label>
+                  <div className='flex items-center justify-between gap-3'>
+                    <label className='block font-semibold text-slate-700'>
+                      {t('receptor.publica')}
+                    </label>
+                    <button
+                      className='text-xs font-medium text-purple-700 hover:underline disabled:opacity-50 disabled:no-underline'
+                      onClick={() => setPubPemB(certA.pem)}
+                      disabled={!certA || certA.publicKey !== pubKeyA}
+                    >
+                      {t('receptor.copiarCertificado')}
+                    </button>
+                  </div>
                   <div className='relative'>
                     <textarea
                       className='w-full h-32 p-4 border-2 border-slate-200 rounded-xl focus:border-purple-500 focus:ring-2 focus:ring-purple-200 transition-all duration-200 text-sm font-mono bg-slate-50'
                       value={pubPemB}
                       onChange={(e) => setPubPemB(e.target.value)}
-                      placeholder='Pega la clave pública PEM aquí...'
+                      placeholder={t('receptor.publicaPlaceholder')}
                     />
                     {pubKeyB && (
                       <div className='absolute top-2 right-2 bg-green-100 text-green-800 text-xs px-2 py-1 rounded-full'>
-                        Importada
+                        {t('receptor.importada', {
+                          clave: describeKey(pubKeyB),
+                        })}
                       </div>
                     )}
                   </div>
+                  <p className='text-xs text-slate-500'>
+                    {t('receptor.formatosExternos')}
+                  </p>
+                  <HuellaClave
+                    huella={huellaB}
+                    color='purple'
+                    referencia={huellaA}
+                    confianza={confianzaB}
+                    onConfiar={handleConfiar}
+                    onRetirarConfianza={handleRetirarConfianza}
+                  />
+                  {certificadoB && certificadoB.publicKey === pubKeyB && (
+                    <div
+                      className={`p-4 rounded-xl border-2 text-sm space-y-2 ${
+                        certificadoB.valido
+                          ? 'border-green-200 bg-green-50 text-green-900'
+                          : 'border-red-200 bg-red-50 text-red-900'
+                      }`}
+                    >
+                      <p className='font-semibold'>
+                        {certificadoB.valido
+                          ? t('receptor.certificadoValido', {
+                              sujeto: certificadoB.sujeto,
+                            })
+                          : t('receptor.certificadoRechazado', {
+                              sujeto: certificadoB.sujeto,
+                            })}
+                      </p>
+                      <ul className='space-y-1'>
+                        {certificadoB.comprobaciones.map((comprobacion, i) => (
+                          <li key={i}>
+                            {comprobacion.ok ? '✔' : '❌'}{' '}
+                            {t(
+                              `cadena.${comprobacion.code}`,
+                              comprobacion.params
+                            )}
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
+                </div>
+
+                <div className='space-y-2'>
+                  <div className='flex items-center justify-between gap-3'>
+                    <label className='block font-semibold text-slate-700 text-sm'>
+                      {t('receptor.raices')}
+                    </label>
+                    <button
+                      className='text-xs font-medium text-purple-700 hover:underline disabled:opacity-50 disabled:no-underline'
+                      onClick={() => setRaicesPemB(caA.pem)}
+                      disabled={!caA}
+                    >
+                      {t('receptor.confiarCa')}
+                    </button>
+                  </div>
+                  <textarea
+                    className='w-full h-24 p-4 border-2 border-slate-200 rounded-xl focus:border-purple-500 focus:ring-2 focus:ring-purple-200 transition-all duration-200 text-xs font-mono bg-slate-50'
+                    value={raicesPemB}
+                    onChange={(e) => setRaicesPemB(e.target.value)}
+                    placeholder={t('receptor.raicesPlaceholder')}
+                  />
                 </div>
               </div>
 
               {/* Firma y Verificación */}
               <div className='space-y-4'>
                 <div className='space-y-3'>
-                  <label className='block font-semibold text-slate-700 flex items-center gap-2'>
-                    <span className='text-purple-600'>2.</span>
-                    Firma Digital (Base64)
-                  </label>
+                  <div className='flex items-center justify-between gap-3'>
+                    <label className='block font-semibold text-slate-700 flex items-center gap-2'>
+                      <span className='text-purple-600'>2.</span>
+                      {modoB === 'archivo'
+                        ? t('receptor.archivo')
+                        : t('receptor.mensaje')}
+                    </label>
+                    <div className='flex items-center gap-3'>
+                      <button
+                        className='text-xs font-medium text-purple-700 hover:underline disabled:opacity-50 disabled:no-underline'
+                        onClick={handleRecibirDelEmisor}
+                        disabled={!firmaB64}
+                      >
+                        {t('receptor.recibir')}
+                      </button>
+                      <PestanasModo
+                        modo={modoB}
+                        onCambiar={setModoB}
+                        color='purple'
+                      />
+                    </div>
+                  </div>
+                  {modoB === 'archivo' ? (
+                    <SelectorArchivo
+                      archivo={archivoB}
+                      resumen={resumenB}
+                      onArchivo={(file) => seleccionarArchivo('B', file)}
+                      color='purple'
+                    />
+                  ) : (
+                    <textarea
+                      className='w-full h-24 p-4 border-2 border-slate-200 rounded-xl focus:border-purple-500 focus:ring-2 focus:ring-purple-200 transition-all duration-200 resize-none'
+                      value={mensajeB}
+                      onChange={(e) => setMensajeB(e.target.value)}
+                      placeholder={t('receptor.mensajePlaceholder')}
+                    />
+                  )}
+                </div>
+
+                <div className='space-y-3'>
+                  <div className='flex items-center justify-between gap-3'>
+                    <label className='block font-semibold text-slate-700 flex items-center gap-2'>
+                      <span className='text-purple-600'>3.</span>
+                      {t('firma.base64')}
+                    </label>
+                    <div className='flex gap-3'>
+                      <label className='text-xs font-medium text-purple-700 hover:underline cursor-pointer'>
+                        {t('receptor.cargarFirma')}
+                        <input
+                          type='file'
+                          className='sr-only'
+                          onChange={(e) => {
+                            const file = e.target.files[0]
+                            if (file) handleCargarFirma(file)
+                            e.target.value = ''
+                          }}
+                        />
+                      </label>
+                      <label className='text-xs font-medium text-purple-700 hover:underline cursor-pointer'>
+                        {t('receptor.cargarPaquete')}
+                        <input
+                          type='file'
+                          accept='.json,.jws,application/jose+json'
+                          className='sr-only'
+                          onChange={(e) => {
+                            const file = e.target.files[0]
+                            if (file) handleCargarPaquete(file)
+                            e.target.value = ''
+                          }}
+                        />
+                      </label>
+                    </div>
+                  </div>
+                  {paqueteB && (
+                    <div className='p-4 rounded-xl border-2 border-purple-200 bg-purple-50 text-sm space-y-2'>
+                      <div className='flex items-center justify-between'>
+                        <span className='font-semibold text-purple-800'>
+                          {t('paquete.cargado')}
+                        </span>
+                        <button
+                          className='text-xs text-purple-700 hover:underline'
+                          onClick={() => setPaqueteB(null)}
+                        >
+                          {t('paquete.quitar')}
+                        </button>
+                      </div>
+                      <dl className='grid grid-cols-[auto_1fr] gap-x-3 gap-y-1'>
+                        <dt className='font-semibold text-slate-600'>
+                          {t('paquete.algoritmo')}
+                        </dt>
+                        <dd>{paqueteB.header.alg}</dd>
+                        <dt className='font-semibold text-slate-600'>kid</dt>
+                        <dd className='font-mono text-xs break-all'>
+                          {paqueteB.header.kid || '—'}
+                        </dd>
+                        <dt className='font-semibold text-slate-600'>
+                          {t('paquete.firmado')}
+                        </dt>
+                        <dd>
+                          {paqueteB.header.iat
+                            ? new Date(
+                                paqueteB.header.iat * 1000
+                              ).toLocaleString(idioma)
+                            : '—'}
+                        </dd>
+                        <dt className='font-semibold text-slate-600'>
+                          {t('paquete.contenido')}
+                        </dt>
+                        <dd>
+                          {paqueteB.payload
+                            ? t('paquete.contenidoIncluido', {
+                                bytes: paqueteB.payload.length,
+                              })
+                            : t('paquete.contenidoSeparado')}
+                        </dd>
+                        <dt className='font-semibold text-slate-600'>
+                          {t('paquete.sello')}
+                        </dt>
+                        <dd>
+                          {paqueteB.unprotectedHeader.tst
+                            ? t('paquete.selloIncluido')
+                            : '—'}
+                        </dd>
+                      </dl>
+                    </div>
+                  )}
                   <textarea
                     className='w-full h-24 p-4 border-2 border-slate-200 rounded-xl focus:border-purple-500 focus:ring-2 focus:ring-purple-200 transition-all duration-200 font-mono text-xs resize-none'
-                    value={firmaB64}
-                    onChange={(e) => setFirmaB64(e.target.value)}
-                    placeholder='Pega la firma digital en Base64 aquí...'
+                    value={firmaB64B}
+                    onChange={(e) => setFirmaB64B(e.target.value)}
+                    placeholder={t('receptor.firmaPlaceholder')}
                   />
+                  {!paqueteB && (
+                    <textarea
+                      className='w-full h-16 p-3 border-2 border-slate-200 rounded-xl focus:border-purple-500 focus:ring-2 focus:ring-purple-200 transition-all duration-200 font-mono text-xs resize-none'
+                      value={selloB}
+                      onChange={(e) => setSelloB(e.target.value)}
+                      placeholder={t('receptor.selloPlaceholder')}
+                      aria-label={t('receptor.sello')}
+                    />
+                  )}
+                  <label className='flex items-center gap-2 text-sm text-slate-600'>
+                    {t('receptor.validezAntes')}
+                    <input
+                      type='number'
+                      min={1}
+                      className='w-20 p-1 border-2 border-slate-200 rounded-lg focus:border-purple-500 focus:ring-2 focus:ring-purple-200'
+                      value={validezDiasB}
+                      onChange={(e) =>
+                        setValidezDiasB(Math.max(1, Number(e.target.value)))
+                      }
+                      aria-label={t('receptor.validez')}
+                    />
+                    {t('receptor.validezDespues')}
+                  </label>
+                  <div className='space-y-2'>
+                    <div className='flex items-center justify-between gap-3'>
+                      <label className='block font-semibold text-slate-700 text-sm'>
+                        {t('receptor.tsas', { n: tsasB.length })}
+                      </label>
+                      <button
+                        className='text-xs font-medium text-purple-700 hover:underline disabled:opacity-50 disabled:no-underline'
+                        onClick={() => setTsaPemB(tsaPemA)}
+                        disabled={!tsaPemA}
+                      >
+                        {t('receptor.copiarTsa')}
+                      </button>
+                    </div>
+                    {tsasB.length > 0 && (
+                      <ul className='space-y-1 text-xs'>
+                        {tsasB.map((registro) => (
+                          <li
+                            key={registro.id}
+                            className='flex items-center justify-between gap-2'
+                          >
+                            <code className='break-all'>{registro.id}</code>
+                            <button
+                              className='font-medium text-purple-700 hover:underline shrink-0'
+                              onClick={() => handleOlvidarTsa(registro.id)}
+                            >
+                              {t('receptor.olvidarTsa')}
+                            </button>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                    <textarea
+                      className='w-full h-16 p-3 border-2 border-slate-200 rounded-xl focus:border-purple-500 focus:ring-2 focus:ring-purple-200 transition-all duration-200 font-mono text-xs resize-none'
+                      value={tsaPemB}
+                      onChange={(e) => setTsaPemB(e.target.value)}
+                      placeholder={t('receptor.tsaPlaceholder')}
+                      aria-label={t('receptor.tsaPem')}
+                    />
+                    <button
+                      className='w-full px-4 py-2 border-2 border-purple-200 text-purple-700 rounded-xl hover:bg-purple-50 transition-all duration-200 font-medium text-sm disabled:opacity-50 disabled:cursor-not-allowed'
+                      onClick={handleConfiarTsa}
+                      disabled={!tsaPemB.trim()}
+                    >
+                      {t('receptor.confiarTsa')}
+                    </button>
+                  </div>
                 </div>
 
                 <button
                   className='w-full px-4 py-3 bg-gradient-to-r from-sky-600 to-sky-700 text-white rounded-xl shadow-lg hover:from-sky-700 hover:to-sky-800 transition-all duration-200 font-medium flex items-center justify-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed'
                   onClick={handleVerificar}
-                  disabled={!pubKeyB || !firmaB64}
+                  disabled={
+                    !paqueteB &&
+                    (!pubKeyB ||
+                      !firmaB64B ||
+                      (modoB === 'archivo' && !archivoB))
+                  }
                 >
                   <svg
                     className='w-5 h-5'
@@ -462,27 +2404,28 @@ export default function FirmaDigitalCompleto() {
                       d='M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z'
                     />
                   </svg>
-                  Verificar Firma
+                  {t('receptor.verificar')}
                 </button>
               </div>
 
               {/* Resultado */}
               <div className='space-y-3'>
                 <h3 className='font-semibold text-slate-700 flex items-center gap-2'>
-                  <span className='text-purple-600'>3.</span>
-                  Resultado de Verificación
+                  <span className='text-purple-600'>4.</span>
+                  {t('receptor.resultado')}
                 </h3>
                 <div
                   className={`p-4 rounded-xl border-2 ${
-                    verificacion.includes('✔')
+                    verificacion?.estado === 'valida'
                       ? 'bg-green-50 border-green-200 text-green-800'
-                      : verificacion.includes('❌')
+                      : verificacion?.estado === 'invalida'
                       ? 'bg-red-50 border-red-200 text-red-800'
                       : 'bg-slate-50 border-slate-200 text-slate-600'
                   } transition-all duration-300`}
+                  role='status'
                 >
                   <div className='flex items-center gap-3'>
-                    {verificacion.includes('✔') && (
+                    {verificacion?.estado === 'valida' && (
                       <svg
                         className='w-6 h-6 text-green-600 flex-shrink-0'
                         fill='none'
@@ -497,7 +2440,7 @@ export default function FirmaDigitalCompleto() {
                         />
                       </svg>
                     )}
-                    {verificacion.includes('❌') && (
+                    {verificacion?.estado === 'invalida' && (
                       <svg
                         className='w-6 h-6 text-red-600 flex-shrink-0'
                         fill='none'
@@ -513,15 +2456,120 @@ export default function FirmaDigitalCompleto() {
                       </svg>
                     )}
                     <p className='font-medium'>
-                      {verificacion || 'La verificación aparecerá aquí...'}
+                      {verificacion
+                        ? [
+                            ICONO_VERIFICACION[verificacion.estado],
+                            textoVerificacion(verificacion),
+                          ]
+                            .filter(Boolean)
+                            .join(' ')
+                        : t('receptor.resultadoVacio')}
                     </p>
                   </div>
                 </div>
+                {diagnostico.length > 0 && (
+                  <div className='p-4 rounded-xl border-2 border-amber-200 bg-amber-50 text-sm text-amber-900 space-y-2'>
+                    <p className='font-semibold'>{t('receptor.diagnostico')}</p>
+                    <ul className='list-disc pl-5 space-y-1'>
+                      {diagnostico.map((hallazgo, i) => (
+                        <li key={i}>
+                          {libraryText(
+                            `biblioteca.diagnostico.${hallazgo.causa}`,
+                            hallazgo.detalle
+                          )}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
               </div>
             </div>
           </section>
         </div>
+
+        <div className='mt-8'>
+          <CifradoHibrido
+            puedeFirmar={Boolean(privKeyA || privPemA)}
+            puedeVerificar={Boolean(pubKeyB)}
+            onFirmar={firmarParaCifrado}
+            onVerificar={verificarDescifrado}
+            onAviso={avisar}
+          />
+        </div>
+
+        <div className='mt-8'>
+          <MultiFirma claves={claves} onAviso={avisar} />
+        </div>
+
+        <div className='mt-8'>
+          <AutoridadCertificacion
+            ca={caA}
+            certificado={certA && certA.publicKey === pubKeyA ? certA : null}
+            puedeEmitir={Boolean(pubKeyA)}
+            onCrearCa={handleCrearCa}
+            onEmitir={handleEmitirCertificadoA}
+            onDescargar={(pem, nombre) =>
+              downloadFile(nombre, pem, 'application/x-pem-file')
+            }
+          />
+        </div>
+
+        <div className='mt-8'>
+          <Revocacion
+            puedeFirmar={Boolean(privKeyA || privPemA)}
+            ca={caA}
+            revocadas={revocadasB}
+            onRevocar={handleRevocarA}
+            onRotar={handleRotarA}
+            onImportar={handleImportarDeclaracion}
+            onOlvidar={(fingerprint) => {
+              setRevocadasB((actuales) =>
+                actuales.filter((e) => e.fingerprint !== fingerprint)
+              )
+              setVerificacion(null)
+            }}
+            onAviso={avisar}
+          />
+        </div>
+
+        <div className='mt-8'>
+          <RsaPorDentro
+            puedeFirmar={Boolean(privKeyA || privPemA)}
+            puedeVerificar={Boolean(pubKeyB)}
+            onInspeccionarFirma={inspeccionarFirmaA}
+            onInspeccionarVerificacion={inspeccionarVerificacionB}
+          />
+        </div>
+
+        <div className='mt-8'>
+          <LaboratorioAtaques
+            ultimoAtaque={ultimoAtaque}
+            onEjecutar={handleEjecutarAtaque}
+            deshabilitado={!firmaB64 && !firmaB64B}
+          />
+        </div>
+
+        <div className='mt-8'>
+          <Auditoria registro={registro} onDescargar={downloadFile} />
+        </div>
+
+        <div className='mt-8'>
+          <Llavero
+            claves={claves.map((clave) => ({
+              ...clave,
+              descripcion: describeKey(clave.publicKey),
+            }))}
+            onUsarParaFirmar={handleUsarParaFirmar}
+            onUsarParaVerificar={handleUsarParaVerificar}
+            onRenombrar={handleRenombrarClave}
+            onEliminar={handleEliminarClave}
+          />
+        </div>
       </div>
+
+      <Avisos avisos={avisos} onCerrar={cerrar} />
     </div>
   )
+
+  return <IdiomaContext value={traductor}>{pagina}</IdiomaContext>
 }
@@ -0,0 +1,471 @@
+// @vitest-environment jsdom
+import {
+  cleanup,
+  fireEvent,
+  render,
+  screen,
+  waitFor,
+  within,
+} from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import FirmaDigitalCompleto from './FirmaDigitalCompleto'
+import { listAuditEntries } from './keyring'
+import { createServiceClient } from './remoto'
+import { createSignatureService, startServer } from './servicio'
+import { PGP_ED25519 } from './test/gpg'
+import { MENSAJE, RSA } from './test/openssl'
+import { SSH_ECDSA } from './test/ssh'
+
+const boton = (name) => screen.getByRole('button', { name })
+
+let alerta
+let user
+
+beforeEach(() => {
+  localStorage.setItem('idioma', 'es')
+  alerta = vi.spyOn(window, 'alert').mockImplementation(() => {})
+  user = userEvent.setup()
+  render(<FirmaDigitalCompleto />)
+})
+
+afterEach(() => {
+  // Los avisos van a la región viva, nunca a alert()
+  expect(alerta).not.toHaveBeenCalled()
+  cleanup()
+  vi.restoreAllMocks()
+  localStorage.clear()
+})
+
+const avisos = () => within(screen.getByRole('region', { name: 'Avisos' }))
+
+const esperarAviso = (texto) => avisos().findAllByText(texto)
+
+// handleGenerarClaves → handleFirmar → importar en el receptor y recibir
+async function firmarYEnviar(mensaje) {
+  await user.click(boton(/^Generar Claves/))
+  await esperarAviso('Claves generadas correctamente.')
+
+  await user.type(
+    screen.getByPlaceholderText(
+      'Escribe el mensaje que deseas firmar digitalmente...'
+    ),
+    mensaje
+  )
+  await user.click(boton('Firmar Mensaje'))
+  await esperarAviso('Mensaje firmado correctamente.')
+
+  await user.click(boton('Copiar de Emisor'))
+  await user.click(boton('Importar PEM'))
+  await esperarAviso(/^Clave pública importada correctamente/)
+  await user.click(boton('Recibir del Emisor'))
+}
+
+// Cada prueba genera un par RSA 2048
+describe('FirmaDigitalCompleto', { timeout: 30000 }, () => {
+  it('genera claves, firma y el receptor verifica la firma', async () => {
+    await firmarYEnviar('Pago de 100 euros a B')
+
+    expect(
+      screen.getByPlaceholderText(
+        'La firma digital aparecerá aquí después de firmar...'
+      ).value
+    ).toMatch(/^[A-Za-z0-9+/]{342}==$/)
+    expect(
+      screen.getByPlaceholderText(
+        'Pega el mensaje recibido o pulsa "Recibir del Emisor"...'
+      ).value
+    ).toBe('Pago de 100 euros a B')
+
+    await user.click(boton('Verificar Firma'))
+    expect(
+      await screen.findByText(/^✔ Firma válida — El mensaje es auténtico\./)
+    ).toBeTruthy()
+  })
+
+  it('Simular Ataque modifica el mensaje y la verificación lo detecta', async () => {
+    await firmarYEnviar('Pago de 100 euros a B')
+
+    await user.click(boton('Simular Ataque'))
+    await esperarAviso(/^Ataque ".*" aplicado\./)
+    expect(
+      screen.getByPlaceholderText(
+        'Pega el mensaje recibido o pulsa "Recibir del Emisor"...'
+      ).value
+    ).toBe('Pago de 100 euros a B [MODIFICADO POR ATAQUE]')
+
+    await user.click(boton('Verificar Firma'))
+    expect(
+      await screen.findByText(
+        '❌ ATAQUE DETECTADO — El mensaje fue modificado.'
+      )
+    ).toBeTruthy()
+    expect(
+      screen.getByText(/El mensaje fue modificado después de firmarse\./)
+    ).toBeTruthy()
+  })
+
+  it('una firma alterada en tránsito no verifica', async () => {
+    await firmarYEnviar('Pago de 100 euros a B')
+
+    const firma = screen.getByPlaceholderText(
+      'Pega la firma digital en Base64 aquí...'
+    )
+    const original = firma.value
+    fireEvent.change(firma, {
+      target: { value: (original[0] === 'A' ? 'B' : 'A') + original.slice(1) },
+    })
+
+    await user.click(boton('Verificar Firma'))
+    expect(
+      await screen.findByText('❌ Firma inválida — Revisa el diagnóstico.')
+    ).toBeTruthy()
+  })
+
+  it('avisa de las claves PEM que no puede importar', async () => {
+    await user.type(
+      screen.getByPlaceholderText(
+        'Pega la clave pública o el certificado PEM aquí...'
+      ),
+      'esto no es una clave'
+    )
+    await user.click(boton('Importar PEM'))
+    await esperarAviso(/^Error importando clave: /)
+
+    await user.type(
+      screen.getByPlaceholderText(
+        'La clave privada se generará automáticamente o pega una PKCS#8...'
+      ),
+      'tampoco esto'
+    )
+    await user.click(boton('Importar Clave Privada (PKCS#8)'))
+    await esperarAviso(/^Error importando clave privada: /)
+  })
+
+  it('avisa si se pega una clave privada como clave pública del receptor', async () => {
+    fireEvent.change(
+      screen.getByPlaceholderText(
+        'Pega la clave pública o el certificado PEM aquí...'
+      ),
+      { target: { value: RSA.privada } }
+    )
+    await user.click(boton('Importar PEM'))
+    await esperarAviso(
+      'Error importando clave: Has pegado una clave privada (PKCS#8). Es secreta: no la compartas nunca. El receptor solo necesita la clave pública.'
+    )
+  })
+
+  it('importa una clave pública RSA en PKCS#1', async () => {
+    fireEvent.change(
+      screen.getByPlaceholderText(
+        'Pega la clave pública o el certificado PEM aquí...'
+      ),
+      { target: { value: RSA.publicaPkcs1 } }
+    )
+    await user.click(boton('Importar PEM'))
+    await esperarAviso(
+      'Clave pública importada correctamente (RSASSA-PKCS1-v1_5 2048 bits, SHA-256). Venía en PKCS#1 (RSA PUBLIC KEY) y se ha convertido a SPKI.'
+    )
+  })
+
+  it('avisa si se firma con una clave privada pegada que no es válida', async () => {
+    await user.type(
+      screen.getByPlaceholderText(
+        'La clave privada se generará automáticamente o pega una PKCS#8...'
+      ),
+      'clave rota'
+    )
+    await user.type(
+      screen.getByPlaceholderText(
+        'Escribe el mensaje que deseas firmar digitalmente...'
+      ),
+      'hola'
+    )
+    await user.click(boton('Firmar Mensaje'))
+    await esperarAviso(/^Error firmando: /)
+    expect(
+      screen.getByPlaceholderText(
+        'La firma digital aparecerá aquí después de firmar...'
+      ).value
+    ).toBe('')
+  })
+
+  it('la multifirma aprueba con 2 de 3 firmantes y rechaza si se exigen 3', async () => {
+    fireEvent.change(
+      screen.getByPlaceholderText(
+        'Documento que deben aprobar los firmantes...'
+      ),
+      { target: { value: 'Presupuesto 2027' } }
+    )
+    for (const nombre of ['Ana', 'Luis', 'Marta']) {
+      await user.type(screen.getByLabelText('Nombre del firmante'), nombre)
+      await user.click(boton('Añadir firmante'))
+      await screen.findByText(nombre)
+    }
+
+    const firmar = screen.getAllByRole('button', { name: 'Firmar' })
+    await user.click(firmar[0])
+    await screen.findByText('Han firmado: Ana.')
+    await user.click(firmar[1])
+    await screen.findByText('Han firmado: Ana, Luis.')
+
+    await user.click(boton('Confiar en los firmantes'))
+    await user.click(boton('Verificar Quórum'))
+    expect(await screen.findByText(/^✔ Aprobado/)).toBeTruthy()
+    expect(screen.getByText(/Sin firma/)).toBeTruthy()
+
+    await user.selectOptions(screen.getByLabelText('Política'), '3')
+    await user.click(boton('Verificar Quórum'))
+    expect(await screen.findByText(/^❌ Rechazado/)).toBeTruthy()
+    expect(
+      avisos().queryAllByRole('button', { name: 'Cerrar aviso' })
+    ).toHaveLength(0)
+  })
+
+  it('sella la firma con la TSA local y el receptor muestra la hora', async () => {
+    await user.click(
+      screen.getByLabelText('Añadir sello de tiempo de la TSA local')
+    )
+    await firmarYEnviar('Contrato firmado hoy')
+    const sello = screen.getByLabelText('Sello de tiempo recibido')
+    expect(sello.value).toBe(
+      screen.getByLabelText('Sello de tiempo del emisor').value
+    )
+
+    await user.click(boton('Verificar Firma'))
+    expect(
+      await screen.findByText(
+        /^✔ Firma válida — El mensaje es auténtico\. Sellada el .+ por TSA local\./
+      )
+    ).toBeTruthy()
+
+    const [cabecera, , firma] = sello.value.split('.')
+    fireEvent.change(sello, { target: { value: `${cabecera}.e30.${firma}` } })
+    await user.click(boton('Verificar Firma'))
+    expect(
+      await screen.findByText(
+        '❌ Sello de tiempo inválido — El sello de tiempo no está firmado por la TSA de confianza.'
+      )
+    ).toBeTruthy()
+  })
+
+  it('B rechaza las firmas de una clave que su dueño ha revocado', async () => {
+    await firmarYEnviar('Firmado con una clave robada')
+    await user.click(boton('Revocar la clave de A'))
+    await waitFor(() =>
+      expect(boton('Recibir Declaración').disabled).toBe(false)
+    )
+    await user.click(boton('Recibir Declaración'))
+    await user.click(boton('Importar Declaración'))
+    expect(
+      await screen.findByText(/1 clave\(s\) revocada\(s\)\.$/)
+    ).toBeTruthy()
+    expect(screen.getByText(/^Clave comprometida · /)).toBeTruthy()
+
+    await user.click(boton('Verificar Firma'))
+    expect(
+      await screen.findByText(
+        /^❌ Clave revocada — Revocada el .+ \(Clave comprometida\) y la firma no lleva un sello anterior\.$/
+      )
+    ).toBeTruthy()
+  })
+
+  it('el inspector RSA repite la firma y la verificación de WebCrypto', async () => {
+    await firmarYEnviar('Pago de 100 euros a B')
+
+    await user.click(boton('Inspeccionar la Firma de A'))
+    expect(
+      await screen.findByText(
+        /La firma calculada paso a paso es idéntica a la de WebCrypto\./
+      )
+    ).toBeTruthy()
+    expect(screen.getByText('ff × 202')).toBeTruthy()
+
+    fireEvent.change(
+      screen.getByPlaceholderText(
+        'Pega el mensaje recibido o pulsa "Recibir del Emisor"...'
+      ),
+      { target: { value: 'Pago de 900 euros a B' } }
+    )
+    await user.click(boton('Inspeccionar la Verificación en B'))
+    expect(
+      await screen.findByText(
+        /El mensaje codificado recuperado no es el esperado\./
+      )
+    ).toBeTruthy()
+    expect(screen.getByText(/, el mismo resultado\.$/).textContent).toBe(
+      'WebCrypto verify(): inválida, el mismo resultado.'
+    )
+  })
+
+  it('registra cada operación encadenada y sin material privado', async () => {
+    await firmarYEnviar('Pago de 100 euros a B')
+    await user.click(boton('Verificar Firma'))
+    await screen.findByText(/^✔ Firma válida/)
+
+    const tabla = await screen.findByRole('table')
+    // La más reciente va primero; el llavero conserva las de otras pruebas
+    await waitFor(() => {
+      const [ultima] = within(tabla).getAllByText('Verificar')
+      expect(ultima.closest('tr').textContent).toContain('Firma válida')
+    })
+    for (const operacion of [
+      'Generar claves',
+      'Firmar',
+      'Importar clave pública',
+    ])
+      expect(within(tabla).getAllByText(operacion).length).toBeGreaterThan(0)
+
+    await user.click(boton('Comprobar Cadena'))
+    expect(
+      await screen.findByText(/^✔ Cadena íntegra: \d+ entradas\.$/)
+    ).toBeTruthy()
+
+    const guardadas = JSON.stringify(await listAuditEntries())
+    expect(guardadas).not.toContain('PRIVATE KEY')
+    expect(guardadas).not.toContain('Pago de 100 euros')
+  })
+
+  it('verifica firmas de ssh-keygen y de gpg con sus claves públicas', async () => {
+    const pegar = (placeholder, value) =>
+      fireEvent.change(screen.getByPlaceholderText(placeholder), {
+        target: { value },
+      })
+    pegar('Pega el mensaje recibido o pulsa "Recibir del Emisor"...', MENSAJE)
+
+    pegar(
+      'Pega la clave pública o el certificado PEM aquí...',
+      SSH_ECDSA.publica
+    )
+    await user.click(boton('Importar PEM'))
+    await esperarAviso(
+      `Clave pública importada correctamente (ECDSA P-256): OpenSSH ecdsa-sha2-nistp256 de "ana@example.com", ${SSH_ECDSA.huella}.`
+    )
+    pegar('Pega la firma digital en Base64 aquí...', SSH_ECDSA.firma)
+    await user.click(boton('Verificar Firma'))
+    expect(
+      (await screen.findByText(/^✔ Firma SSH válida — /)).textContent
+    ).toContain(
+      `ecdsa-sha2-nistp256 ${SSH_ECDSA.huella}, espacio de nombres "file".`
+    )
+
+    pegar(
+      'Pega la clave pública o el certificado PEM aquí...',
+      PGP_ED25519.publica
+    )
+    await user.click(boton('Importar PEM'))
+    await esperarAviso(
+      /OpenPGP 72BE9406A4B8716F de "Ana ed25519 <ana@example\.com>" y 1 subclave\(s\) de firma\.$/
+    )
+    pegar('Pega la firma digital en Base64 aquí...', PGP_ED25519.firmaSubclave)
+    await user.click(boton('Verificar Firma'))
+    expect(
+      await screen.findByText(
+        /^✔ Firma OpenPGP válida — Subclave CBCB027A5EBFA287 de "Ana ed25519 <ana@example\.com>", SHA-512, firmada el /
+      )
+    ).toBeTruthy()
+
+    pegar(
+      'Pega el mensaje recibido o pulsa "Recibir del Emisor"...',
+      MENSAJE + '!'
+    )
+    await user.click(boton('Verificar Firma'))
+    expect(
+      await screen.findByText(
+        '❌ Firma OpenPGP inválida — Clave incorrecta o mensaje alterado.'
+      )
+    ).toBeTruthy()
+  })
+
+  it('con el servicio local genera, firma y verifica por HTTP', async () => {
+    const server = await startServer(createSignatureService(), { port: 0 })
+    const url = `http://127.0.0.1:${server.address().port}`
+    try {
+      await user.click(
+        screen.getByRole('checkbox', {
+          name: 'Usar el servicio local de firma',
+        })
+      )
+      fireEvent.change(screen.getByLabelText('URL del servicio de firma'), {
+        target: { value: url },
+      })
+
+      await user.click(boton(/^Generar Claves/))
+      await esperarAviso('Claves generadas correctamente en el servicio local.')
+      const [clave] = await createServiceClient(url).listKeys()
+      expect(
+        screen.getByPlaceholderText(
+          'La clave pública se generará automáticamente...'
+        ).value
+      ).toBe(clave.publicKey)
+
+      await user.type(
+        screen.getByPlaceholderText(
+          'Escribe el mensaje que deseas firmar digitalmente...'
+        ),
+        'Pago de 100 euros a B'
+      )
+      await user.click(boton('Firmar Mensaje'))
+      await esperarAviso('Mensaje firmado correctamente.')
+      await user.click(boton('Copiar de Emisor'))
+      await user.click(boton('Importar PEM'))
+      await user.click(boton('Recibir del Emisor'))
+      await user.click(boton('Verificar Firma'))
+      expect(
+        await screen.findByText(/^✔ Firma válida — El mensaje es auténtico\./)
+      ).toBeTruthy()
+    } finally {
+      await new Promise((resolve) => server.close(resolve))
+    }
+  })
+
+  it('cambia al inglés y anuncia avisos y verificación en ese idioma', async () => {
+    await user.selectOptions(screen.getByLabelText('Idioma'), 'en')
+    expect(
+      screen.getByRole('heading', { name: 'Digital Signature System' })
+    ).toBeTruthy()
+    expect(document.documentElement.lang).toBe('en')
+    expect(localStorage.getItem('idioma')).toBe('en')
+
+    const notificaciones = within(
+      screen.getByRole('region', { name: 'Notifications' })
+    )
+    await user.click(boton(/^Generate .* Keys$/))
+    expect(
+      await within(notificaciones.getByRole('status')).findByText(
+        'Keys generated successfully.'
+      )
+    ).toBeTruthy()
+
+    await user.type(
+      screen.getByPlaceholderText(
+        'Write the message you want to sign digitally...'
+      ),
+      'Pay B 100 euros'
+    )
+    await user.click(boton('Sign Message'))
+    await user.click(boton('Copy from Sender'))
+    await user.click(boton('Import PEM'))
+    await user.click(boton('Receive from Sender'))
+    await user.click(boton('Verify Signature'))
+    expect(
+      await screen.findByText(
+        /^✔ Valid signature — The message is authentic\. Careful: /
+      )
+    ).toBeTruthy()
+
+    // Los errores de la biblioteca se traducen por su código
+    fireEvent.change(
+      screen.getByPlaceholderText(
+        'Paste the public key or the PEM certificate here...'
+      ),
+      { target: { value: RSA.privada } }
+    )
+    await user.click(boton('Import PEM'))
+    expect(
+      await within(notificaciones.getByRole('alert')).findByText(
+        'Error importing key: The PEM is valid but holds another kind of key or certificate.'
+      )
+    ).toBeTruthy()
+  })
+})
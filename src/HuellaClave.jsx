@@ -0,0 +1,130 @@
+import { useState } from 'react'
+import { sameBytes } from './firma'
+import {
+  fingerprintEmoji,
+  fingerprintHex,
+  fingerprintText,
+  fingerprintWords,
+} from './huella'
+import { useIdioma } from './idioma'
+import { encodeQr } from './qr'
+
+const ENLACE = {
+  blue: 'text-blue-700',
+  purple: 'text-purple-700',
+}
+
+function CodigoQr({ texto }) {
+  const { t } = useIdioma()
+  const modules = encodeQr(texto)
+  const margin = 4
+  const size = modules.length + margin * 2
+  const path = modules
+    .flatMap((row, y) =>
+      row.map((dark, x) => (dark ? `M${x + margin} ${y + margin}h1v1h-1z` : ''))
+    )
+    .join('')
+
+  return (
+    <svg
+      className='w-40 h-40 mx-auto'
+      viewBox={`0 0 ${size} ${size}`}
+      shapeRendering='crispEdges'
+      role='img'
+      aria-label={t('huella.qr', { texto })}
+    >
+      <rect width={size} height={size} fill='white' />
+      <path d={path} fill='black' />
+    </svg>
+  )
+}
+
+export default function HuellaClave({
+  huella,
+  color,
+  referencia,
+  confianza,
+  onConfiar,
+  onRetirarConfianza,
+}) {
+  const { t } = useIdioma()
+  const [mostrarQr, setMostrarQr] = useState(false)
+
+  if (!huella) return null
+  const texto = fingerprintText(huella)
+
+  return (
+    <div className='p-4 rounded-xl border-2 border-slate-200 bg-white text-sm space-y-3'>
+      <div className='flex items-center justify-between gap-2'>
+        <span className='font-semibold text-slate-700'>
+          {t('huella.titulo')}
+        </span>
+        {confianza !== undefined && (
+          <span
+            className={`text-xs px-2 py-0.5 rounded-full ${
+              confianza
+                ? 'bg-green-100 text-green-800'
+                : 'bg-amber-100 text-amber-800'
+            }`}
+          >
+            {confianza
+              ? t('huella.deConfianza', { nombre: confianza.name })
+              : t('huella.sinVerificar')}
+          </span>
+        )}
+      </div>
+
+      <dl className='grid grid-cols-[auto_1fr] gap-x-3 gap-y-2'>
+        <dt className='font-semibold text-slate-600'>Hex</dt>
+        <dd className='font-mono text-xs break-words'>
+          {fingerprintHex(huella)}
+        </dd>
+        <dt className='font-semibold text-slate-600'>{t('huella.palabras')}</dt>
+        <dd>{fingerprintWords(huella).join(' · ')}</dd>
+        <dt className='font-semibold text-slate-600'>Emoji</dt>
+        <dd className='text-xl tracking-wide'>
+          {fingerprintEmoji(huella).join(' ')}
+        </dd>
+      </dl>
+
+      {referencia &&
+        (sameBytes(huella, referencia) ? (
+          <p className='text-green-700'>{t('huella.coincide')}</p>
+        ) : (
+          <p className='text-red-700 font-medium'>{t('huella.noCoincide')}</p>
+        ))}
+
+      <div className='flex flex-wrap items-center gap-3'>
+        <button
+          className={`text-xs font-medium hover:underline ${ENLACE[color]}`}
+          onClick={() => setMostrarQr(!mostrarQr)}
+        >
+          {mostrarQr ? t('huella.ocultarQr') : t('huella.mostrarQr')}
+        </button>
+        {confianza === null && (
+          <button
+            className={`text-xs font-medium hover:underline ${ENLACE[color]}`}
+            onClick={() => onConfiar(texto)}
+          >
+            {t('huella.confiar')}
+          </button>
+        )}
+        {confianza && (
+          <button
+            className='text-xs font-medium text-red-700 hover:underline'
+            onClick={() => onRetirarConfianza(texto)}
+          >
+            {t('huella.retirar')}
+          </button>
+        )}
+      </div>
+
+      {mostrarQr && (
+        <div className='space-y-1 text-center'>
+          <CodigoQr texto={texto} />
+          <p className='font-mono text-xs break-all text-slate-500'>{texto}</p>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,103 @@
+import { ESCENARIOS } from './ataques'
+import { useIdioma } from './idioma'
+
+// Título, resumen y pasos del escenario en el idioma de la interfaz
+function traducirEscenario(escenario, libraryText) {
+  const texto = (campo) =>
+    libraryText(`biblioteca.ataque.${escenario.id}.${campo}`, escenario[campo])
+  return {
+    ...escenario,
+    titulo: texto('titulo'),
+    resumen: texto('resumen'),
+    pasos: texto('pasos'),
+  }
+}
+
+export default function LaboratorioAtaques({
+  ultimoAtaque,
+  onEjecutar,
+  deshabilitado,
+}) {
+  const { t, libraryText } = useIdioma()
+  const escenarios = ESCENARIOS.map((e) => traducirEscenario(e, libraryText))
+  const escenario =
+    ultimoAtaque && escenarios.find((e) => e.id === ultimoAtaque.id)
+
+  return (
+    <section className='bg-white rounded-2xl shadow-xl border border-slate-200 overflow-hidden'>
+      <div className='bg-gradient-to-r from-orange-600 to-orange-700 p-6'>
+        <h2 className='text-xl font-bold text-white flex items-center gap-2'>
+          <span className='w-3 h-3 bg-white rounded-full'></span>
+          {t('laboratorio.titulo')}
+        </h2>
+        <p className='text-orange-50 text-sm mt-1'>
+          {t('laboratorio.descripcion')}
+        </p>
+      </div>
+
+      <div className='p-6 space-y-6'>
+        {deshabilitado && (
+          <p className='text-sm text-slate-500'>
+            {t('laboratorio.deshabilitado')}
+          </p>
+        )}
+
+        <div className='grid gap-4 md:grid-cols-2 lg:grid-cols-3'>
+          {escenarios.map((e) => (
+            <div
+              key={e.id}
+              className={`p-4 rounded-xl border-2 space-y-3 ${
+                ultimoAtaque?.id === e.id
+                  ? 'border-orange-400 bg-orange-50'
+                  : 'border-slate-200'
+              }`}
+            >
+              <div className='flex items-start justify-between gap-2'>
+                <h3 className='font-semibold text-slate-800'>{e.titulo}</h3>
+                <span
+                  className={`shrink-0 text-xs px-2 py-0.5 rounded-full ${
+                    e.detectado
+                      ? 'bg-green-100 text-green-800'
+                      : 'bg-red-100 text-red-800'
+                  }`}
+                >
+                  {e.detectado
+                    ? t('laboratorio.detectado')
+                    : t('laboratorio.noDetectado')}
+                </span>
+              </div>
+              <p className='text-sm text-slate-600'>{e.resumen}</p>
+              <button
+                className='w-full px-3 py-2 rounded-lg bg-orange-600 text-white text-sm font-medium hover:bg-orange-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed'
+                onClick={() => onEjecutar(e.id)}
+                disabled={deshabilitado}
+              >
+                {t('laboratorio.ejecutar')}
+              </button>
+            </div>
+          ))}
+        </div>
+
+        {escenario && (
+          <div className='p-4 rounded-xl border-2 border-orange-200 bg-orange-50 space-y-3'>
+            <h3 className='font-semibold text-orange-900'>
+              {t('laboratorio.pasoAPaso', { titulo: escenario.titulo })}
+            </h3>
+            <ol className='list-decimal pl-5 space-y-1 text-sm text-slate-700'>
+              {escenario.pasos.map((paso, i) => (
+                <li key={i}>{paso}</li>
+              ))}
+            </ol>
+            {ultimoAtaque.detalles.length > 0 && (
+              <ul className='text-sm font-mono text-orange-900 space-y-1'>
+                {ultimoAtaque.detalles.map((detalle, i) => (
+                  <li key={i}>{detalle}</li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+      </div>
+    </section>
+  )
+}
@@ -0,0 +1,98 @@
+import { useIdioma } from './idioma'
+
+export default function Llavero({
+  claves,
+  onUsarParaFirmar,
+  onUsarParaVerificar,
+  onRenombrar,
+  onEliminar,
+}) {
+  const { t, lang } = useIdioma()
+  return (
+    <section className='bg-white rounded-2xl shadow-xl border border-slate-200 overflow-hidden'>
+      <div className='bg-gradient-to-r from-emerald-600 to-emerald-700 p-6'>
+        <h2 className='text-xl font-bold text-white flex items-center gap-2'>
+          <span className='w-3 h-3 bg-white rounded-full'></span>
+          {t('llavero.titulo')}
+        </h2>
+        <p className='text-emerald-50 text-sm mt-1'>
+          {t('llavero.descripcion')}
+        </p>
+      </div>
+
+      <div className='p-6'>
+        {claves.length === 0 ? (
+          <p className='text-slate-500 text-sm'>{t('llavero.vacio')}</p>
+        ) : (
+          <ul className='divide-y divide-slate-200'>
+            {claves.map((clave) => (
+              <li
+                key={clave.id}
+                className='py-3 flex flex-wrap items-center gap-3 justify-between'
+              >
+                <div className='min-w-0'>
+                  <p className='font-semibold text-slate-800 truncate'>
+                    {clave.name}
+                  </p>
+                  <div className='flex flex-wrap gap-2 mt-1 text-xs'>
+                    <span
+                      className={`px-2 py-0.5 rounded-full ${
+                        clave.kind === 'pair'
+                          ? 'bg-blue-100 text-blue-800'
+                          : 'bg-purple-100 text-purple-800'
+                      }`}
+                    >
+                      {clave.kind === 'pair'
+                        ? t('llavero.par')
+                        : t('llavero.publica')}
+                    </span>
+                    <span className='px-2 py-0.5 rounded-full bg-slate-100 text-slate-700'>
+                      {clave.descripcion}
+                    </span>
+                    {clave.kind === 'pair' && !clave.privateKey.extractable && (
+                      <span className='px-2 py-0.5 rounded-full bg-amber-100 text-amber-800'>
+                        {t('llavero.noExportable')}
+                      </span>
+                    )}
+                    <span className='text-slate-500'>
+                      {new Date(clave.createdAt).toLocaleString(lang)}
+                    </span>
+                  </div>
+                </div>
+
+                <div className='flex flex-wrap gap-2 text-sm'>
+                  {clave.kind === 'pair' && (
+                    <button
+                      className='px-3 py-1.5 rounded-lg bg-blue-600 text-white hover:bg-blue-700 transition-colors'
+                      onClick={() => onUsarParaFirmar(clave)}
+                    >
+                      {t('llavero.firmar')}
+                    </button>
+                  )}
+                  <button
+                    className='px-3 py-1.5 rounded-lg bg-purple-600 text-white hover:bg-purple-700 transition-colors'
+                    onClick={() => onUsarParaVerificar(clave)}
+                  >
+                    {t('llavero.verificar')}
+                  </button>
+                  <button
+                    className='px-3 py-1.5 rounded-lg border-2 border-slate-200 text-slate-700 hover:bg-slate-50 transition-colors'
+                    onClick={() => onRenombrar(clave)}
+                  >
+                    {t('llavero.renombrar')}
+                  </button>
+                  <button
+                    className='px-3 py-1.5 rounded-lg border-2 border-red-200 text-red-700 hover:bg-red-50 transition-colors'
+                    onClick={() => onEliminar(clave)}
+                  >
+                    {t('llavero.eliminar')}
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </section>
+  )
+}
@@ -0,0 +1,540 @@
+import { useState } from 'react'
+import SelectorArchivo from './SelectorArchivo'
+import {
+  ALGORITMOS,
+  CURVE_HASH,
+  describeKey,
+  generateKeyPair,
+  importPublicKeyFromPEM,
+} from './firma'
+import { useIdioma } from './idioma'
+import { parseJwsSignatures } from './jws'
+import { addSignature, verifyQuorum } from './multifirma'
+import { hashFile } from './sha256'
+
+// El texto de cada estado es la entrada multifirma.estado.<estado> del catálogo
+const ESTADOS = {
+  valida: { icono: '✔', clase: 'text-green-700' },
+  invalida: { icono: '❌', clase: 'text-red-700' },
+  ausente: { icono: '—', clase: 'text-slate-500' },
+}
+
+// Nombres declarados en el paquete, para que cada firmante vea quién falta
+function nombresFirmados(paquete) {
+  try {
+    return parseJwsSignatures(paquete).map(
+      (firma) => firma.header.name || firma.header.kid
+    )
+  } catch {
+    return []
+  }
+}
+
+let siguienteId = 0
+
+export default function MultiFirma({ claves, onAviso }) {
+  const { t, errorText } = useIdioma()
+  const [modo, setModo] = useState('texto')
+  const [texto, setTexto] = useState('')
+  const [archivo, setArchivo] = useState(null)
+  const [resumen, setResumen] = useState({ digest: null, progreso: 0 })
+  const [firmantes, setFirmantes] = useState([])
+  const [nombre, setNombre] = useState('')
+  const [algoritmo, setAlgoritmo] = useState('ECDSA')
+  const [paquete, setPaquete] = useState('')
+  const [confianza, setConfianza] = useState([])
+  const [nombreConfianza, setNombreConfianza] = useState('')
+  const [pemConfianza, setPemConfianza] = useState('')
+  const [requeridas, setRequeridas] = useState(2)
+  const [resultado, setResultado] = useState(null)
+
+  const exigidas = Math.min(Math.max(requeridas, 1), confianza.length)
+  const firmados = nombresFirmados(paquete)
+  const pares = claves.filter((clave) => clave.kind === 'pair')
+
+  const datos = async () =>
+    modo === 'texto'
+      ? new TextEncoder().encode(texto)
+      : new Uint8Array(await archivo.arrayBuffer())
+
+  const handleArchivo = async (file) => {
+    setArchivo(file)
+    setResumen({ digest: null, progreso: 0 })
+    try {
+      const digest = await hashFile(file, (progreso) =>
+        setResumen({ digest: null, progreso })
+      )
+      setResumen({ digest, progreso: 1 })
+    } catch (err) {
+      onAviso('error', 'error.leerArchivo', { error: err })
+    }
+  }
+
+  const agregarFirmante = (firmante) => {
+    if (firmantes.some((f) => f.publicKey === firmante.publicKey))
+      return onAviso('error', 'aviso.firmanteRepetido')
+    setFirmantes((lista) => [...lista, { id: siguienteId++, ...firmante }])
+  }
+
+  const handleGenerarFirmante = async () => {
+    try {
+      const pair = await generateKeyPair({
+        name: algoritmo,
+        modulusLength: 2048,
+        namedCurve: 'P-256',
+        hash: 'SHA-256',
+      })
+      agregarFirmante({
+        nombre:
+          nombre.trim() ||
+          t('multifirma.firmanteN', { n: firmantes.length + 1 }),
+        ...pair,
+      })
+      setNombre('')
+    } catch (err) {
+      onAviso('error', 'error.generarPar', { error: err })
+    }
+  }
+
+  const handleFirmar = async (firmante) => {
+    try {
+      const { privateKey, publicKey } = firmante
+      const nuevo = await addSignature(
+        paquete.trim() ? JSON.parse(paquete) : null,
+        {
+          signer: firmante.nombre,
+          privateKey,
+          publicKey,
+          payload: await datos(),
+          hash:
+            privateKey.algorithm.name === 'ECDSA'
+              ? CURVE_HASH[privateKey.algorithm.namedCurve]
+              : undefined,
+        }
+      )
+      setPaquete(JSON.stringify(nuevo, null, 2))
+      setResultado(null)
+    } catch (err) {
+      onAviso('error', 'error.firmarComo', {
+        nombre: firmante.nombre,
+        error: err,
+      })
+    }
+  }
+
+  const agregarConfianza = (entrada) => {
+    setConfianza((lista) => [...lista, { id: siguienteId++, ...entrada }])
+    setResultado(null)
+  }
+
+  const handleImportarConfianza = async () => {
+    try {
+      const publicKey = await importPublicKeyFromPEM(pemConfianza)
+      agregarConfianza({
+        nombre:
+          nombreConfianza.trim() ||
+          t('multifirma.claveN', { n: confianza.length + 1 }),
+        publicKey,
+      })
+      setNombreConfianza('')
+      setPemConfianza('')
+    } catch (err) {
+      onAviso('error', 'error.importarPublica', { error: err })
+    }
+  }
+
+  // Atajo para la demostración: en la vida real cada firmante entrega su
+  // clave pública y el receptor compara la huella por otro canal
+  const handleConfiarEnFirmantes = () => {
+    setConfianza(
+      firmantes.map(({ nombre, publicKey }) => ({
+        id: siguienteId++,
+        nombre,
+        publicKey,
+      }))
+    )
+    setRequeridas(Math.min(2, firmantes.length))
+    setResultado(null)
+  }
+
+  const handleVerificar = async () => {
+    try {
+      setResultado(
+        await verifyQuorum(paquete, {
+          trusted: confianza,
+          required: exigidas,
+          detachedPayload:
+            modo === 'archivo' && !archivo ? undefined : await datos(),
+        })
+      )
+    } catch (err) {
+      setResultado({ error: errorText(err) })
+    }
+  }
+
+  return (
+    <section className='bg-white rounded-2xl shadow-xl border border-slate-200 overflow-hidden'>
+      <div className='bg-gradient-to-r from-fuchsia-600 to-fuchsia-700 p-6'>
+        <h2 className='text-xl font-bold text-white flex items-center gap-2'>
+          <span className='w-3 h-3 bg-white rounded-full'></span>
+          {t('multifirma.titulo')}
+        </h2>
+        <p className='text-fuchsia-50 text-sm mt-1'>
+          {t('multifirma.descripcion')}
+        </p>
+      </div>
+
+      <div className='p-6 space-y-6'>
+        <div className='space-y-3'>
+          <div className='flex items-center justify-between gap-3'>
+            <h3 className='font-semibold text-slate-800'>
+              {t('multifirma.documento')}
+            </h3>
+            <div className='inline-flex rounded-lg border-2 border-slate-200 overflow-hidden text-xs font-medium'>
+              {[
+                ['texto', t('modo.texto')],
+                ['archivo', t('modo.archivo')],
+              ].map(([valor, etiqueta]) => (
+                <button
+                  key={valor}
+                  className={`px-3 py-1 ${
+                    modo === valor
+                      ? 'bg-fuchsia-600 text-white'
+                      : 'bg-white text-slate-600'
+                  }`}
+                  onClick={() => setModo(valor)}
+                  aria-pressed={modo === valor}
+                >
+                  {etiqueta}
+                </button>
+              ))}
+            </div>
+          </div>
+          {modo === 'texto' ? (
+            <textarea
+              className='w-full h-24 p-3 border-2 border-slate-200 rounded-xl focus:border-fuchsia-500 focus:ring-2 focus:ring-fuchsia-200 resize-none'
+              value={texto}
+              onChange={(e) => setTexto(e.target.value)}
+              placeholder={t('multifirma.documentoPlaceholder')}
+            />
+          ) : (
+            <SelectorArchivo
+              archivo={archivo}
+              resumen={resumen}
+              onArchivo={handleArchivo}
+              color='purple'
+            />
+          )}
+        </div>
+
+        <div className='grid gap-6 lg:grid-cols-2'>
+          {/* Firmantes */}
+          <div className='space-y-3'>
+            <h3 className='font-semibold text-blue-800'>
+              {t('multifirma.firmantes')}
+            </h3>
+            <div className='flex flex-wrap gap-2'>
+              <input
+                className='flex-1 min-w-0 p-2 border-2 border-slate-200 rounded-xl focus:border-blue-500 focus:ring-2 focus:ring-blue-200 text-sm'
+                value={nombre}
+                onChange={(e) => setNombre(e.target.value)}
+                placeholder={t('multifirma.nombreFirmante')}
+                aria-label={t('multifirma.nombreFirmante')}
+              />
+              <select
+                className='p-2 border-2 border-slate-200 rounded-xl focus:border-blue-500 focus:ring-2 focus:ring-blue-200 text-sm bg-white'
+                value={algoritmo}
+                onChange={(e) => setAlgoritmo(e.target.value)}
+                aria-label={t('multifirma.algoritmo')}
+              >
+                {ALGORITMOS.map((alg) => (
+                  <option key={alg.name} value={alg.name}>
+                    {alg.label}
+                  </option>
+                ))}
+              </select>
+              <button
+                className='px-3 py-2 rounded-xl bg-blue-600 text-white text-sm hover:bg-blue-700 transition-colors'
+                onClick={handleGenerarFirmante}
+              >
+                {t('multifirma.anadir')}
+              </button>
+            </div>
+            {pares.length > 0 && (
+              <select
+                className='w-full p-2 border-2 border-slate-200 rounded-xl text-sm bg-white'
+                value=''
+                onChange={(e) => {
+                  const clave = pares.find((c) => c.id === e.target.value)
+                  if (clave)
+                    agregarFirmante({
+                      nombre: clave.name,
+                      privateKey: clave.privateKey,
+                      publicKey: clave.publicKey,
+                    })
+                }}
+                aria-label={t('multifirma.anadirLlavero')}
+              >
+                <option value=''>{t('multifirma.anadirPar')}</option>
+                {pares.map((clave) => (
+                  <option key={clave.id} value={clave.id}>
+                    {clave.name}
+                  </option>
+                ))}
+              </select>
+            )}
+
+            {firmantes.length === 0 ? (
+              <p className='text-sm text-slate-500'>
+                {t('multifirma.sinFirmantes')}
+              </p>
+            ) : (
+              <ul className='divide-y divide-slate-200 text-sm'>
+                {firmantes.map((firmante) => (
+                  <li
+                    key={firmante.id}
+                    className='py-2 flex items-center justify-between gap-3'
+                  >
+                    <div className='min-w-0'>
+                      <p className='font-semibold text-slate-800 truncate'>
+                        {firmante.nombre}
+                      </p>
+                      <p className='text-xs text-slate-500'>
+                        {describeKey(firmante.privateKey)}
+                      </p>
+                    </div>
+                    <button
+                      className='px-3 py-1.5 rounded-lg bg-blue-600 text-white hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed'
+                      onClick={() => handleFirmar(firmante)}
+                      disabled={modo === 'archivo' && !archivo}
+                    >
+                      {t('multifirma.firmar')}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            <label className='block font-semibold text-slate-700 text-sm'>
+              {t('multifirma.paquete')}
+            </label>
+            <textarea
+              className='w-full h-32 p-3 border-2 border-slate-200 rounded-xl focus:border-blue-500 focus:ring-2 focus:ring-blue-200 text-xs font-mono bg-slate-50'
+              value={paquete}
+              onChange={(e) => {
+                setPaquete(e.target.value)
+                setResultado(null)
+              }}
+              placeholder={t('multifirma.paquetePlaceholder')}
+              aria-label={t('multifirma.paqueteEtiqueta')}
+            />
+            {firmados.length > 0 && (
+              <p className='text-xs text-slate-600'>
+                {t('multifirma.hanFirmado', { nombres: firmados.join(', ') })}
+              </p>
+            )}
+            {paquete && (
+              <button
+                className='text-xs font-medium text-slate-600 hover:underline'
+                onClick={() => {
+                  setPaquete('')
+                  setResultado(null)
+                }}
+              >
+                {t('multifirma.nuevo')}
+              </button>
+            )}
+          </div>
+
+          {/* Receptor */}
+          <div className='space-y-3'>
+            <div className='flex items-center justify-between gap-3'>
+              <h3 className='font-semibold text-purple-800'>
+                {t('multifirma.receptor')}
+              </h3>
+              <button
+                className='text-xs font-medium text-purple-700 hover:underline disabled:opacity-50 disabled:no-underline'
+                onClick={handleConfiarEnFirmantes}
+                disabled={firmantes.length === 0}
+              >
+                {t('multifirma.confiar')}
+              </button>
+            </div>
+            <input
+              className='w-full p-2 border-2 border-slate-200 rounded-xl focus:border-purple-500 focus:ring-2 focus:ring-purple-200 text-sm'
+              value={nombreConfianza}
+              onChange={(e) => setNombreConfianza(e.target.value)}
+              placeholder={t('multifirma.dueno')}
+              aria-label={t('multifirma.nombreConfianza')}
+            />
+            <textarea
+              className='w-full h-24 p-3 border-2 border-slate-200 rounded-xl focus:border-purple-500 focus:ring-2 focus:ring-purple-200 text-xs font-mono bg-slate-50'
+              value={pemConfianza}
+              onChange={(e) => setPemConfianza(e.target.value)}
+              placeholder='-----BEGIN PUBLIC KEY-----'
+              aria-label={t('multifirma.pemConfianza')}
+            />
+            <div className='flex flex-wrap gap-2'>
+              <button
+                className='px-3 py-2 rounded-xl bg-purple-600 text-white text-sm hover:bg-purple-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed'
+                onClick={handleImportarConfianza}
+                disabled={!pemConfianza}
+              >
+                {t('multifirma.anadirConfianza')}
+              </button>
+              {claves.length > 0 && (
+                <select
+                  className='flex-1 p-2 border-2 border-slate-200 rounded-xl text-sm bg-white'
+                  value=''
+                  onChange={(e) => {
+                    const clave = claves.find((c) => c.id === e.target.value)
+                    if (clave)
+                      agregarConfianza({
+                        nombre: clave.name,
+                        publicKey: clave.publicKey,
+                      })
+                  }}
+                  aria-label={t('multifirma.anadirConfianzaLlavero')}
+                >
+                  <option value=''>{t('multifirma.anadirClave')}</option>
+                  {claves.map((clave) => (
+                    <option key={clave.id} value={clave.id}>
+                      {clave.name}
+                    </option>
+                  ))}
+                </select>
+              )}
+            </div>
+
+            {confianza.length > 0 && (
+              <ul className='divide-y divide-slate-200 text-sm'>
+                {confianza.map((clave) => (
+                  <li
+                    key={clave.id}
+                    className='py-2 flex items-center justify-between gap-3'
+                  >
+                    <span className='truncate'>
+                      <span className='font-semibold text-slate-800'>
+                        {clave.nombre}
+                      </span>{' '}
+                      <span className='text-xs text-slate-500'>
+                        {describeKey(clave.publicKey)}
+                      </span>
+                    </span>
+                    <button
+                      className='text-xs font-medium text-red-700 hover:underline'
+                      onClick={() => {
+                        setConfianza((lista) =>
+                          lista.filter((c) => c.id !== clave.id)
+                        )
+                        setResultado(null)
+                      }}
+                    >
+                      {t('multifirma.quitar')}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            <div className='flex items-center gap-2 text-sm'>
+              <label className='font-semibold text-slate-700' htmlFor='quorum'>
+                {t('multifirma.politica')}
+              </label>
+              <select
+                id='quorum'
+                className='p-2 border-2 border-slate-200 rounded-xl focus:border-purple-500 focus:ring-2 focus:ring-purple-200 bg-white'
+                value={exigidas}
+                onChange={(e) => {
+                  setRequeridas(Number(e.target.value))
+                  setResultado(null)
+                }}
+                disabled={confianza.length === 0}
+              >
+                {confianza.map((_, i) => (
+                  <option key={i} value={i + 1}>
+                    {i + 1}
+                  </option>
+                ))}
+              </select>
+              <span className='text-slate-700'>
+                {t('multifirma.deN', { n: confianza.length })}
+              </span>
+            </div>
+
+            <button
+              className='w-full px-4 py-3 bg-gradient-to-r from-purple-600 to-purple-700 text-white rounded-xl shadow-lg hover:from-purple-700 hover:to-purple-800 transition-all duration-200 font-medium disabled:opacity-50 disabled:cursor-not-allowed'
+              onClick={handleVerificar}
+              disabled={!paquete || confianza.length === 0}
+            >
+              {t('multifirma.verificar')}
+            </button>
+
+            {resultado?.error && (
+              <div className='p-3 rounded-xl border-2 border-red-200 bg-red-50 text-sm text-red-800'>
+                {resultado.error}
+              </div>
+            )}
+            {resultado && !resultado.error && (
+              <div className='space-y-3 text-sm'>
+                <div
+                  className={`p-3 rounded-xl border-2 font-semibold ${
+                    resultado.aprobado
+                      ? 'border-green-200 bg-green-50 text-green-800'
+                      : 'border-red-200 bg-red-50 text-red-800'
+                  }`}
+                >
+                  {resultado.aprobado
+                    ? t('multifirma.aprobado', resultado)
+                    : t('multifirma.rechazado', resultado)}
+                </div>
+                <table className='w-full text-left'>
+                  <thead className='text-slate-600'>
+                    <tr>
+                      <th className='py-1 pr-2'>{t('multifirma.firmante')}</th>
+                      <th className='py-1 pr-2'>{t('multifirma.estado')}</th>
+                      <th className='py-1'>{t('multifirma.detalle')}</th>
+                    </tr>
+                  </thead>
+                  <tbody className='divide-y divide-slate-200'>
+                    {resultado.firmantes.map((fila) => (
+                      <tr key={fila.kid}>
+                        <td className='py-1 pr-2 font-medium'>{fila.nombre}</td>
+                        <td
+                          className={`py-1 pr-2 ${ESTADOS[fila.estado].clase}`}
+                        >
+                          {ESTADOS[fila.estado].icono}{' '}
+                          {t(`multifirma.estado.${fila.estado}`)}
+                        </td>
+                        <td className='py-1 text-slate-600'>
+                          {fila.estado === 'valida'
+                            ? fila.firma.header.iat
+                              ? t('multifirma.firmoEl', {
+                                  fecha: new Date(fila.firma.header.iat * 1000),
+                                })
+                              : t('multifirma.correcta')
+                            : fila.motivo
+                            ? t(`multifirma.motivo.${fila.motivo}`)
+                            : t('multifirma.noFirmo')}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {resultado.desconocidas.length > 0 && (
+                  <p className='text-amber-800'>
+                    {t('multifirma.desconocidas', {
+                      nombres: resultado.desconocidas
+                        .map((firma) => firma.header.name || firma.kid)
+                        .join(', '),
+                    })}
+                  </p>
+                )}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </section>
+  )
+}
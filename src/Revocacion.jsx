@@ -0,0 +1,178 @@
+import { useState } from 'react'
+import { useIdioma } from './idioma'
+import { MOTIVOS_REVOCACION, reasonLabel } from './revocacion'
+
+export default function Revocacion({
+  puedeFirmar,
+  ca,
+  revocadas,
+  onRevocar,
+  onRotar,
+  onImportar,
+  onOlvidar,
+  onAviso,
+}) {
+  const { t, lang, libraryText, errorText } = useIdioma()
+  const motivo = (code) =>
+    libraryText(`biblioteca.motivo.${code}`, reasonLabel(code))
+  const [motivoA, setMotivoA] = useState('keyCompromise')
+  const [declaracionA, setDeclaracionA] = useState('')
+  const [declaracionB, setDeclaracionB] = useState('')
+  const [resultado, setResultado] = useState(null)
+
+  const emitir = async (accion) => {
+    try {
+      setDeclaracionA(await accion())
+    } catch (err) {
+      onAviso('error', 'error.firmarDeclaracion', { error: err })
+    }
+  }
+
+  const handleImportar = async () => {
+    try {
+      setResultado({ ok: true, texto: await onImportar(declaracionB) })
+    } catch (err) {
+      setResultado({ ok: false, texto: errorText(err) })
+    }
+  }
+
+  return (
+    <section className='bg-white rounded-2xl shadow-xl border border-slate-200 overflow-hidden'>
+      <div className='bg-gradient-to-r from-rose-600 to-rose-700 p-6'>
+        <h2 className='text-xl font-bold text-white flex items-center gap-2'>
+          <span className='w-3 h-3 bg-white rounded-full'></span>
+          {t('revocacion.titulo')}
+        </h2>
+        <p className='text-rose-50 text-sm mt-1'>
+          {t('revocacion.descripcion')}
+        </p>
+      </div>
+
+      <div className='p-6 grid gap-6 lg:grid-cols-2'>
+        {/* Emisor */}
+        <div className='space-y-3'>
+          <h3 className='font-semibold text-blue-800'>{t('seccion.emisor')}</h3>
+          <div className='flex flex-wrap gap-2'>
+            <select
+              className='flex-1 p-2 border-2 border-slate-200 rounded-xl focus:border-blue-500 focus:ring-2 focus:ring-blue-200 text-sm bg-white'
+              value={motivoA}
+              onChange={(e) => setMotivoA(e.target.value)}
+              aria-label={t('revocacion.motivo')}
+            >
+              {MOTIVOS_REVOCACION.map((m) => (
+                <option key={m.code} value={m.code}>
+                  {motivo(m.code)}
+                </option>
+              ))}
+            </select>
+            <button
+              className='px-3 py-2 rounded-xl bg-rose-600 text-white text-sm hover:bg-rose-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed'
+              onClick={() => emitir(() => onRevocar(motivoA, false))}
+              disabled={!puedeFirmar}
+            >
+              {t('revocacion.revocar')}
+            </button>
+            <button
+              className='px-3 py-2 rounded-xl border-2 border-rose-200 text-rose-700 text-sm hover:bg-rose-50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed'
+              onClick={() => emitir(() => onRevocar(motivoA, true))}
+              disabled={!puedeFirmar || !ca}
+            >
+              {t('revocacion.revocarCa')}
+            </button>
+          </div>
+          <button
+            className='w-full px-4 py-3 bg-gradient-to-r from-blue-600 to-blue-700 text-white rounded-xl shadow-lg hover:from-blue-700 hover:to-blue-800 transition-all duration-200 font-medium disabled:opacity-50 disabled:cursor-not-allowed'
+            onClick={() => emitir(onRotar)}
+            disabled={!puedeFirmar}
+          >
+            {t('revocacion.rotar')}
+          </button>
+          <p className='text-xs text-slate-500'>{t('revocacion.rotarAyuda')}</p>
+          <textarea
+            className='w-full h-32 p-3 border-2 border-slate-200 rounded-xl bg-slate-50 text-xs font-mono'
+            value={declaracionA}
+            readOnly
+            placeholder={t('revocacion.declaracionPlaceholder')}
+            aria-label={t('revocacion.declaracionEmisor')}
+          />
+        </div>
+
+        {/* Receptor */}
+        <div className='space-y-3'>
+          <div className='flex items-center justify-between gap-3'>
+            <h3 className='font-semibold text-purple-800'>
+              {t('seccion.receptor')}
+            </h3>
+            <button
+              className='text-xs font-medium text-purple-700 hover:underline disabled:opacity-50 disabled:no-underline'
+              onClick={() => setDeclaracionB(declaracionA)}
+              disabled={!declaracionA}
+            >
+              {t('revocacion.recibir')}
+            </button>
+          </div>
+          <textarea
+            className='w-full h-32 p-3 border-2 border-slate-200 rounded-xl focus:border-purple-500 focus:ring-2 focus:ring-purple-200 text-xs font-mono bg-slate-50'
+            value={declaracionB}
+            onChange={(e) => setDeclaracionB(e.target.value)}
+            placeholder={t('revocacion.recibidaPlaceholder')}
+            aria-label={t('revocacion.recibida')}
+          />
+          <button
+            className='w-full px-4 py-3 bg-gradient-to-r from-purple-600 to-purple-700 text-white rounded-xl shadow-lg hover:from-purple-700 hover:to-purple-800 transition-all duration-200 font-medium disabled:opacity-50 disabled:cursor-not-allowed'
+            onClick={handleImportar}
+            disabled={!declaracionB}
+          >
+            {t('revocacion.importar')}
+          </button>
+          {resultado && (
+            <div
+              className={`p-3 rounded-xl border-2 text-sm ${
+                resultado.ok
+                  ? 'border-green-200 bg-green-50 text-green-800'
+                  : 'border-red-200 bg-red-50 text-red-800'
+              }`}
+            >
+              {resultado.texto}
+            </div>
+          )}
+
+          <h4 className='font-semibold text-slate-700 text-sm'>
+            {t('revocacion.conocidas')}
+          </h4>
+          {revocadas.length === 0 ? (
+            <p className='text-sm text-slate-500'>{t('revocacion.ninguna')}</p>
+          ) : (
+            <ul className='divide-y divide-slate-200 text-sm'>
+              {revocadas.map((entrada) => (
+                <li
+                  key={entrada.fingerprint}
+                  className='py-2 flex items-center justify-between gap-3'
+                >
+                  <div className='min-w-0'>
+                    <p className='font-mono text-xs break-all'>
+                      {entrada.fingerprint}
+                    </p>
+                    <p className='text-xs text-slate-600'>
+                      {motivo(entrada.reason)} ·{' '}
+                      {entrada.revocationDate.toLocaleString(lang)} ·{' '}
+                      {entrada.issuer === entrada.fingerprint
+                        ? t('revocacion.porDueno')
+                        : t('revocacion.porCa')}
+                    </p>
+                  </div>
+                  <button
+                    className='text-xs font-medium text-slate-600 hover:underline'
+                    onClick={() => onOlvidar(entrada.fingerprint)}
+                  >
+                    {t('revocacion.olvidar')}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </section>
+  )
+}
@@ -0,0 +1,247 @@
+import { useState } from 'react'
+import { useIdioma } from './idioma'
+import { toHex } from './firma'
+import { bigIntToHex } from './rsa'
+
+// Más allá de esto el mensaje solo se resume
+const MAX_BYTES_MENSAJE = 64
+
+// El nombre de cada parte es la entrada rsa.parte.<parte> del catálogo
+const PARTES = {
+  cabecera: 'bg-slate-200 text-slate-800',
+  relleno: 'bg-amber-100 text-amber-900',
+  separador: 'bg-slate-200 text-slate-800',
+  prefijo: 'bg-violet-100 text-violet-900',
+  resumen: 'bg-emerald-100 text-emerald-900',
+}
+
+function Paso({ titulo, children }) {
+  return (
+    <li className='space-y-1'>
+      <p className='font-semibold text-slate-800'>{titulo}</p>
+      <div className='text-sm text-slate-600 space-y-1'>{children}</div>
+    </li>
+  )
+}
+
+function Hex({ children }) {
+  return (
+    <p className='p-2 rounded-lg bg-slate-50 border border-slate-200 font-mono text-xs break-all'>
+      {children}
+    </p>
+  )
+}
+
+// Colorea cada parte de EMSA con las longitudes del mensaje codificado
+// esperado; un relleno de FF seguidos se resume como "ff × N"
+function MensajeCodificado({ partes, bytes }) {
+  const { t } = useIdioma()
+  const trozos = []
+  for (let i = 0, offset = 0; i < partes.length; i++) {
+    trozos.push(bytes.subarray(offset, offset + partes[i].bytes.length))
+    offset += partes[i].bytes.length
+  }
+  return (
+    <p className='p-2 rounded-lg bg-slate-50 border border-slate-200 font-mono text-xs break-all leading-6'>
+      {partes.map(({ parte }, i) => {
+        const trozo = trozos[i]
+        return (
+          <span
+            key={parte}
+            className={`px-1 mr-1 rounded ${PARTES[parte]}`}
+            title={t(`rsa.parte.${parte}`)}
+          >
+            {parte === 'relleno' && trozo.every((b) => b === 0xff)
+              ? `ff × ${trozo.length}`
+              : toHex(trozo, ' ')}
+          </span>
+        )
+      })}
+    </p>
+  )
+}
+
+function Leyenda() {
+  const { t } = useIdioma()
+  return (
+    <p className='flex flex-wrap gap-2 text-xs'>
+      {Object.entries(PARTES).map(([parte, color]) => (
+        <span key={parte} className={`px-2 py-0.5 rounded ${color}`}>
+          {t(`rsa.parte.${parte}`)}
+        </span>
+      ))}
+    </p>
+  )
+}
+
+function Mensaje({ bytes }) {
+  const { t } = useIdioma()
+  return (
+    <Hex>
+      {toHex(bytes.subarray(0, MAX_BYTES_MENSAJE), ' ')}
+      {bytes.length > MAX_BYTES_MENSAJE &&
+        t('rsa.bytesMas', { n: bytes.length - MAX_BYTES_MENSAJE })}
+    </Hex>
+  )
+}
+
+function Resultado({ ok, children }) {
+  return (
+    <p
+      className={`p-3 rounded-xl border-2 font-semibold ${
+        ok
+          ? 'border-green-200 bg-green-50 text-green-800'
+          : 'border-red-200 bg-red-50 text-red-800'
+      }`}
+    >
+      {ok ? '✔' : '❌'} {children}
+    </p>
+  )
+}
+
+function PasosFirma({ pasos }) {
+  const { t } = useIdioma()
+  const bits = pasos.n.toString(2).length
+  return (
+    <ol className='list-decimal pl-5 space-y-4'>
+      <Paso titulo={t('rsa.mensaje', { n: pasos.mensaje.length })}>
+        <Mensaje bytes={pasos.mensaje} />
+      </Paso>
+      <Paso titulo={t('rsa.resumen', { hash: pasos.hash })}>
+        <Hex>{toHex(pasos.digest, ' ')}</Hex>
+      </Paso>
+      <Paso titulo='DigestInfo'>
+        <p>{t('rsa.digestInfo')}</p>
+        <Hex>{toHex(pasos.digestInfo, ' ')}</Hex>
+      </Paso>
+      <Paso titulo={t('rsa.codificado', { n: pasos.em.length })}>
+        <p>{t('rsa.codificadoAyuda')}</p>
+        <Leyenda />
+        <MensajeCodificado partes={pasos.partes} bytes={pasos.em} />
+      </Paso>
+      <Paso titulo={t('rsa.privada')}>
+        <p>{t('rsa.privadaAyuda', { bits, e: pasos.e.toString() })}</p>
+        <Hex>n = {bigIntToHex(pasos.n)}</Hex>
+        <Hex>d = {bigIntToHex(pasos.d)}</Hex>
+      </Paso>
+      <Paso titulo='s = m^d mod n'>
+        <p>{t('rsa.m')}</p>
+        <Hex>s = {bigIntToHex(pasos.s)}</Hex>
+      </Paso>
+      <Paso titulo={t('rsa.comparacionWebCrypto')}>
+        <Hex>{toHex(pasos.webCrypto, ' ')}</Hex>
+        <Resultado ok={pasos.coincide}>
+          {pasos.coincide ? t('rsa.coincide') : t('rsa.noCoincide')}
+        </Resultado>
+      </Paso>
+    </ol>
+  )
+}
+
+function PasosVerificacion({ pasos }) {
+  const { t } = useIdioma()
+  return (
+    <ol className='list-decimal pl-5 space-y-4'>
+      <Paso titulo={t('rsa.firmaRecibida')}>
+        <Hex>s = {bigIntToHex(pasos.s)}</Hex>
+      </Paso>
+      <Paso titulo={t('rsa.abrir')}>
+        <p>{t('rsa.abrirAyuda', { e: pasos.e.toString() })}</p>
+        {pasos.recuperado ? (
+          <>
+            <Leyenda />
+            <MensajeCodificado partes={pasos.partes} bytes={pasos.recuperado} />
+          </>
+        ) : (
+          <p className='text-red-700'>{t('rsa.noAbre')}</p>
+        )}
+      </Paso>
+      <Paso titulo={t('rsa.esperado', { hash: pasos.hash })}>
+        <Mensaje bytes={pasos.mensaje} />
+        <MensajeCodificado partes={pasos.partes} bytes={pasos.esperado} />
+      </Paso>
+      <Paso titulo={t('rsa.comparacion')}>
+        <Resultado ok={pasos.valida}>
+          {pasos.valida
+            ? t('rsa.recuperadoIgual')
+            : t('rsa.recuperadoDistinto')}
+        </Resultado>
+        <p>
+          WebCrypto verify():{' '}
+          <strong>
+            {pasos.webCrypto ? t('rsa.valida') : t('rsa.invalida')}
+          </strong>
+          {pasos.webCrypto === pasos.valida
+            ? t('rsa.mismoResultado')
+            : t('rsa.otroResultado')}
+        </p>
+      </Paso>
+    </ol>
+  )
+}
+
+export default function RsaPorDentro({
+  puedeFirmar,
+  puedeVerificar,
+  onInspeccionarFirma,
+  onInspeccionarVerificacion,
+}) {
+  const { t, errorText } = useIdioma()
+  const [inspeccion, setInspeccion] = useState(null)
+  const [error, setError] = useState('')
+
+  const inspeccionar = async (tipo, accion) => {
+    setError('')
+    try {
+      setInspeccion({ tipo, pasos: await accion() })
+    } catch (err) {
+      setInspeccion(null)
+      setError(errorText(err))
+    }
+  }
+
+  return (
+    <section className='bg-white rounded-2xl shadow-xl border border-slate-200 overflow-hidden'>
+      <div className='bg-gradient-to-r from-violet-600 to-violet-700 p-6'>
+        <h2 className='text-xl font-bold text-white flex items-center gap-2'>
+          <span className='w-3 h-3 bg-white rounded-full'></span>
+          {t('rsa.titulo')}
+        </h2>
+        <p className='text-violet-50 text-sm mt-1'>{t('rsa.descripcion')}</p>
+      </div>
+
+      <div className='p-6 space-y-6'>
+        <div className='flex flex-wrap gap-3'>
+          <button
+            className='px-4 py-3 bg-gradient-to-r from-blue-600 to-blue-700 text-white rounded-xl shadow-lg hover:from-blue-700 hover:to-blue-800 transition-all duration-200 font-medium disabled:opacity-50 disabled:cursor-not-allowed'
+            onClick={() => inspeccionar('firma', onInspeccionarFirma)}
+            disabled={!puedeFirmar}
+          >
+            {t('rsa.inspeccionarFirma')}
+          </button>
+          <button
+            className='px-4 py-3 bg-gradient-to-r from-purple-600 to-purple-700 text-white rounded-xl shadow-lg hover:from-purple-700 hover:to-purple-800 transition-all duration-200 font-medium disabled:opacity-50 disabled:cursor-not-allowed'
+            onClick={() =>
+              inspeccionar('verificacion', onInspeccionarVerificacion)
+            }
+            disabled={!puedeVerificar}
+          >
+            {t('rsa.inspeccionarVerificacion')}
+          </button>
+        </div>
+
+        {error && (
+          <p className='p-3 rounded-xl border-2 border-red-200 bg-red-50 text-sm text-red-800'>
+            {error}
+          </p>
+        )}
+        {inspeccion?.tipo === 'firma' && (
+          <PasosFirma pasos={inspeccion.pasos} />
+        )}
+        {inspeccion?.tipo === 'verificacion' && (
+          <PasosVerificacion pasos={inspeccion.pasos} />
+        )}
+      </div>
+    </section>
+  )
+}
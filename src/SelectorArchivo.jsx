@@ -0,0 +1,93 @@
+import { useState } from 'react'
+import { toHex } from './firma'
+import { useIdioma } from './idioma'
+
+function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB']
+  let value = bytes
+  let unit = 0
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024
+    unit++
+  }
+  return `${unit ? value.toFixed(1) : value} ${units[unit]}`
+}
+
+const RESALTADO = {
+  blue: 'border-blue-500 bg-blue-50',
+  purple: 'border-purple-500 bg-purple-50',
+}
+
+export default function SelectorArchivo({
+  archivo,
+  resumen,
+  onArchivo,
+  color,
+}) {
+  const { t } = useIdioma()
+  const [arrastrando, setArrastrando] = useState(false)
+
+  const handleDrop = (e) => {
+    e.preventDefault()
+    setArrastrando(false)
+    const file = e.dataTransfer.files[0]
+    if (file) onArchivo(file)
+  }
+
+  return (
+    <div className='space-y-3'>
+      <label
+        className={`block p-6 border-2 border-dashed rounded-xl text-center cursor-pointer transition-all duration-200 ${
+          arrastrando
+            ? RESALTADO[color]
+            : 'border-slate-300 hover:border-slate-400 bg-slate-50'
+        }`}
+        onDragOver={(e) => {
+          e.preventDefault()
+          setArrastrando(true)
+        }}
+        onDragLeave={() => setArrastrando(false)}
+        onDrop={handleDrop}
+      >
+        <input
+          type='file'
+          className='sr-only'
+          onChange={(e) => {
+            const file = e.target.files[0]
+            if (file) onArchivo(file)
+            e.target.value = ''
+          }}
+        />
+        <span className='text-sm text-slate-600'>
+          {t('archivo.arrastra')} <u>{t('archivo.elegir')}</u>
+        </span>
+      </label>
+
+      {archivo && (
+        <dl className='grid grid-cols-[auto_1fr] gap-x-3 gap-y-1 text-sm p-4 rounded-xl border-2 border-slate-200 bg-white'>
+          <dt className='font-semibold text-slate-600'>
+            {t('archivo.nombre')}
+          </dt>
+          <dd className='truncate'>{archivo.name}</dd>
+          <dt className='font-semibold text-slate-600'>
+            {t('archivo.tamano')}
+          </dt>
+          <dd>{formatBytes(archivo.size)}</dd>
+          <dt className='font-semibold text-slate-600'>SHA-256</dt>
+          <dd className='font-mono text-xs break-all'>
+            {resumen.digest ? (
+              toHex(resumen.digest)
+            ) : (
+              <progress
+                className='w-full'
+                value={resumen.progreso}
+                max={1}
+                aria-label={t('archivo.calculando')}
+              />
+            )}
+          </dd>
+        </dl>
+      )}
+    </div>
+  )
+}
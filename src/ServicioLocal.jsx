@@ -0,0 +1,61 @@
+import { useState } from 'react'
+import { useIdioma } from './idioma'
+import { createServiceClient } from './remoto'
+
+export default function ServicioLocal({ servicio, onCambiar }) {
+  const { t } = useIdioma()
+  // { ok, clave, params } con el texto del catálogo que se muestra
+  const [estado, setEstado] = useState(null)
+
+  const handleProbar = async () => {
+    try {
+      const claves = await createServiceClient(servicio.url).listKeys()
+      setEstado({
+        ok: true,
+        clave: 'servicio.conectado',
+        params: { n: claves.length },
+      })
+    } catch (err) {
+      setEstado({ ok: false, clave: 'servicio.error', params: { error: err } })
+    }
+  }
+
+  return (
+    <div className='mb-8 p-4 bg-white rounded-2xl shadow border border-slate-200 space-y-2 text-sm'>
+      <div className='flex flex-wrap items-center gap-3'>
+        <label className='flex items-center gap-2 font-medium text-slate-700'>
+          <input
+            type='checkbox'
+            className='w-4 h-4 accent-slate-700'
+            checked={servicio.activo}
+            onChange={(e) =>
+              onCambiar({ ...servicio, activo: e.target.checked })
+            }
+          />
+          {t('servicio.usar')}
+        </label>
+        <input
+          className='flex-1 min-w-48 p-2 border-2 border-slate-200 rounded-xl focus:border-slate-500 focus:ring-2 focus:ring-slate-200 font-mono text-xs'
+          value={servicio.url}
+          onChange={(e) => {
+            setEstado(null)
+            onCambiar({ ...servicio, url: e.target.value })
+          }}
+          aria-label={t('servicio.url')}
+        />
+        <button
+          className='px-3 py-2 rounded-xl border-2 border-slate-200 text-slate-700 hover:bg-slate-50 transition-colors'
+          onClick={handleProbar}
+        >
+          {t('servicio.probar')}
+        </button>
+      </div>
+      {estado && (
+        <p className={estado.ok ? 'text-green-700' : 'text-red-700'}>
+          {t(estado.clave, estado.params)}
+        </p>
+      )}
+      <p className='text-xs text-slate-500'>{t('servicio.ayuda')}</p>
+    </div>
+  )
+}
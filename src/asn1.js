@@ -0,0 +1,117 @@
+import { EncodingError } from './errors.js'
+
+/* ======================= DER / ASN.1 MÍNIMO ======================= */
+
+// Solo lo necesario para SPKI, PKCS#8 y PBES2: longitudes definidas,
+// etiquetas de un byte y enteros no negativos.
+
+export function readDer(bytes, offset) {
+  if (offset + 2 > bytes.length)
+    throw new EncodingError(
+      `DER truncado en el byte ${offset}: falta la cabecera del elemento.`
+    )
+  const tag = bytes[offset]
+  let length = bytes[offset + 1]
+  let start = offset + 2
+  if (length & 0x80) {
+    const n = length & 0x7f
+    if (n === 0)
+      throw new EncodingError(
+        `Longitud indefinida en el byte ${offset}: es BER, no DER.`
+      )
+    if (start + n > bytes.length)
+      throw new EncodingError(
+        `DER truncado en el byte ${offset}: falta la longitud del elemento.`
+      )
+    length = 0
+    for (let i = 0; i < n; i++) length = length * 256 + bytes[start + i]
+    start += n
+  }
+  if (start + length > bytes.length)
+    throw new EncodingError(
+      `DER truncado en el byte ${offset}: el elemento declara ${length} bytes y solo quedan ${
+        bytes.length - start
+      }.`
+    )
+  return { tag, offset, start, end: start + length }
+}
+
+export function readChildren(bytes, node) {
+  const children = []
+  for (let offset = node.start; offset < node.end; ) {
+    const child = readDer(bytes, offset)
+    children.push(child)
+    offset = child.end
+  }
+  return children
+}
+
+export function oidToString(bytes) {
+  const parts = [Math.floor(bytes[0] / 40), bytes[0] % 40]
+  let value = 0
+  for (let i = 1; i < bytes.length; i++) {
+    value = value * 128 + (bytes[i] & 0x7f)
+    if (!(bytes[i] & 0x80)) {
+      parts.push(value)
+      value = 0
+    }
+  }
+  return parts.join('.')
+}
+
+export function integerToNumber(bytes) {
+  let value = 0
+  for (const byte of bytes) value = value * 256 + byte
+  return value
+}
+
+function encodeLength(length) {
+  if (length < 0x80) return [length]
+  const bytes = []
+  for (let n = length; n > 0; n = Math.floor(n / 256)) bytes.unshift(n % 256)
+  return [0x80 | bytes.length, ...bytes]
+}
+
+export function derTlv(tag, ...contents) {
+  const length = contents.reduce((sum, part) => sum + part.length, 0)
+  const header = [tag, ...encodeLength(length)]
+  const out = new Uint8Array(header.length + length)
+  out.set(header)
+  let offset = header.length
+  for (const part of contents) {
+    out.set(part, offset)
+    offset += part.length
+  }
+  return out
+}
+
+export function derSequence(...items) {
+  return derTlv(0x30, ...items)
+}
+
+export function derOctetString(bytes) {
+  return derTlv(0x04, new Uint8Array(bytes))
+}
+
+export function derNull() {
+  return new Uint8Array([0x05, 0x00])
+}
+
+export function derInteger(value) {
+  const bytes = []
+  for (let n = value; n > 0; n = Math.floor(n / 256)) bytes.unshift(n % 256)
+  if (!bytes.length || bytes[0] & 0x80) bytes.unshift(0)
+  return derTlv(0x02, new Uint8Array(bytes))
+}
+
+export function derOid(oid) {
+  const [first, second, ...rest] = oid.split('.').map(Number)
+  const bytes = [first * 40 + second]
+  for (const arc of rest) {
+    const chunk = [arc & 0x7f]
+    for (let n = Math.floor(arc / 128); n > 0; n = Math.floor(n / 128))
+      chunk.unshift(0x80 | (n & 0x7f))
+    bytes.push(...chunk)
+  }
+  return derTlv(0x06, new Uint8Array(bytes))
+}
@@ -0,0 +1,169 @@
+import { FirmaError } from './errors.js'
+import { base64ToBuf, bufToBase64, randomBytes } from './firma.js'
+
+/* ==================== LABORATORIO DE ATAQUES ==================== */
+
+// Cada escenario describe qué hace el atacante en el canal entre A y B y por
+// qué la verificación lo detecta (o, en la sustitución de clave, por qué no).
+// Las transformaciones son puras: el componente aplica el resultado al
+// estado del receptor.
+
+export const ESCENARIOS = [
+  {
+    id: 'modificacion',
+    titulo: 'Modificación del mensaje',
+    resumen: 'El atacante añade texto al mensaje en tránsito.',
+    detectado: true,
+    pasos: [
+      'A firma el mensaje: la firma se calcula sobre el hash del texto original con la clave privada de A.',
+      'El atacante intercepta el mensaje y le añade " [MODIFICADO POR ATAQUE]". No puede recalcular la firma porque no tiene la clave privada de A.',
+      'B calcula el hash del mensaje recibido, que ya no es aquel sobre el que se calculó la firma.',
+      'Resultado esperado: ❌ la firma no verifica.',
+    ],
+  },
+  {
+    id: 'sustitucion',
+    titulo: 'Sustitución de la clave pública (MITM)',
+    resumen:
+      'Durante "Copiar de Emisor" el atacante entrega su propia clave y firma un mensaje falso con ella.',
+    detectado: false,
+    pasos: [
+      'El atacante genera su propio par de claves con el mismo algoritmo que A, para que parezca legítimo.',
+      'Intercepta la clave pública de A camino de B y la sustituye por la suya.',
+      'Escribe un mensaje falso y lo firma con su clave privada.',
+      'B importa la clave recibida y verifica: la firma es matemáticamente correcta para esa clave.',
+      'Resultado esperado: ✔ la firma verifica. La criptografía no dice de quién es la clave: la huella del receptor ya no coincide con la del emisor, y solo comparándolas por un canal auténtico (en persona, por teléfono) o con un certificado de una CA de confianza se descubre el engaño.',
+    ],
+  },
+  {
+    id: 'bit',
+    titulo: 'Inversión de un bit de la firma',
+    resumen: 'El atacante cambia un único bit de la firma.',
+    detectado: true,
+    pasos: [
+      'El atacante decodifica la firma Base64 e invierte un bit al azar.',
+      'La firma tiene la misma longitud y sigue siendo Base64 válido, así que a simple vista parece intacta.',
+      'Al verificar, B obtiene un valor completamente distinto: en RSA, s^e mod n deja de tener el relleno esperado; en ECDSA y Ed25519 la ecuación de la curva no se cumple.',
+      'Resultado esperado: ❌ la firma no verifica y el diagnóstico indica que no se hizo con esta clave.',
+    ],
+  },
+  {
+    id: 'reenvio',
+    titulo: 'Reutilizar una firma antigua',
+    resumen: 'El atacante pega una firma anterior de A a un mensaje nuevo.',
+    detectado: true,
+    pasos: [
+      'El atacante guarda una firma auténtica que A emitió en el pasado.',
+      'Cuando A envía un mensaje nuevo, lo acompaña de la firma antigua (o escribe el suyo propio).',
+      'La firma antigua contiene el hash del mensaje antiguo, no del nuevo.',
+      'Resultado esperado: ❌ la firma no verifica. Ojo: reenviar el mensaje antiguo junto a su firma antigua sí verificaría; para eso hacen falta sellos de tiempo o identificadores únicos.',
+    ],
+  },
+  {
+    id: 'truncado',
+    titulo: 'Firma Base64 truncada',
+    resumen: 'Se pierden los últimos bytes de la firma.',
+    detectado: true,
+    pasos: [
+      'El atacante (o un copiar-pegar descuidado) elimina los últimos 3 bytes de la firma.',
+      'El texto sigue siendo Base64 válido, pero la firma es más corta que el módulo RSA o que r||s en ECDSA.',
+      'Resultado esperado: ❌ la firma no verifica y el diagnóstico indica la longitud incorrecta.',
+    ],
+  },
+  {
+    id: 'relleno',
+    titulo: 'Firma Base64 con bytes de más',
+    resumen: 'Se añaden bytes al final de la firma.',
+    detectado: true,
+    pasos: [
+      'El atacante añade 3 bytes a cero al final de la firma y la vuelve a codificar en Base64.',
+      'Una firma tiene una longitud fija para cada clave; WebCrypto no ignora los bytes sobrantes.',
+      'Resultado esperado: ❌ la firma no verifica y el diagnóstico indica la longitud incorrecta.',
+    ],
+  },
+  {
+    id: 'homoglifo',
+    titulo: 'Homoglifo Unicode',
+    resumen:
+      'Una letra latina se sustituye por otra cirílica idéntica a la vista.',
+    detectado: true,
+    pasos: [
+      'El atacante cambia una letra latina por su gemela cirílica (por ejemplo "a" U+0061 por "а" U+0430).',
+      'En pantalla el mensaje es indistinguible del original.',
+      'En UTF-8 son bytes distintos (0x61 frente a 0xD0 0xB0), así que el hash del mensaje cambia por completo.',
+      'Resultado esperado: ❌ la firma no verifica, aunque una persona no vea ninguna diferencia.',
+    ],
+  },
+]
+
+const HOMOGLIFOS = {
+  a: 'а',
+  e: 'е',
+  o: 'о',
+  p: 'р',
+  c: 'с',
+  x: 'х',
+  i: 'і',
+  A: 'А',
+  E: 'Е',
+  O: 'О',
+}
+
+const codePoint = (char) =>
+  'U+' + char.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')
+
+const decodeBase64 = (base64) =>
+  new Uint8Array(base64ToBuf(base64.replace(/\s+/g, '')))
+
+export function flipRandomBit(base64) {
+  const bytes = decodeBase64(base64)
+  const byte = new DataView(randomBytes(4).buffer).getUint32(0) % bytes.length
+  const bit = randomBytes(1)[0] % 8
+  bytes[byte] ^= 1 << bit
+  return {
+    firma: bufToBase64(bytes),
+    detalle: `Se invirtió el bit ${bit} del byte ${byte} de ${bytes.length}.`,
+  }
+}
+
+// Se recodifica para que el resultado siga siendo Base64 válido: el fallo lo
+// detecta la verificación, no el decodificador
+export function truncateBase64(base64) {
+  const bytes = decodeBase64(base64)
+  const firma = bufToBase64(bytes.subarray(0, -3))
+  return {
+    firma,
+    detalle: `La firma pasa de ${bytes.length} a ${bytes.length - 3} bytes (${
+      base64.replace(/\s+/g, '').length
+    } → ${firma.length} caracteres).`,
+  }
+}
+
+export function padBase64(base64) {
+  const bytes = decodeBase64(base64)
+  const firma = bufToBase64([...bytes, 0, 0, 0])
+  return {
+    firma,
+    detalle: `La firma pasa de ${bytes.length} a ${bytes.length + 3} bytes (${
+      base64.replace(/\s+/g, '').length
+    } → ${firma.length} caracteres).`,
+  }
+}
+
+export function applyHomoglyph(text) {
+  const chars = Array.from(text)
+  const pos = chars.findIndex((char) => HOMOGLIFOS[char])
+  if (pos === -1)
+    throw new FirmaError(
+      'El mensaje no tiene letras con homoglifo (a, e, o, p, c, x, i).',
+      { code: 'NO_HOMOGLYPH' }
+    )
+  const original = chars[pos]
+  chars[pos] = HOMOGLIFOS[original]
+  return {
+    mensaje: chars.join(''),
+    detalle: `Posición ${pos}: "${original}" (${codePoint(original)}) → "${
+      chars[pos]
+    }" (${codePoint(chars[pos])}).`,
+  }
+}
@@ -0,0 +1,43 @@
+import { describe, expect, it } from 'vitest'
+import {
+  applyHomoglyph,
+  flipRandomBit,
+  padBase64,
+  truncateBase64,
+} from './ataques'
+import { FirmaError, base64ToBuf, bufToBase64 } from './firma'
+
+const firma = bufToBase64(Uint8Array.from({ length: 64 }, (_, i) => i))
+const bytes = (base64) => new Uint8Array(base64ToBuf(base64))
+
+describe('transformaciones del laboratorio de ataques', () => {
+  it('invierte exactamente un bit de la firma', () => {
+    const { firma: alterada } = flipRandomBit(firma.replace(/(.{20})/g, '$1\n'))
+    const distintos = bytes(alterada)
+      .map((b, i) => b ^ bytes(firma)[i])
+      .filter(Boolean)
+    expect(distintos).toHaveLength(1)
+    expect(Math.log2(distintos[0]) % 1).toBe(0)
+  })
+
+  it('acorta y alarga la firma en Base64 válido', () => {
+    expect(truncateBase64(firma)).toEqual({
+      firma: bufToBase64(bytes(firma).subarray(0, 61)),
+      detalle: 'La firma pasa de 64 a 61 bytes (88 → 84 caracteres).',
+    })
+    expect(bytes(padBase64(firma).firma)).toEqual(
+      Uint8Array.from([...bytes(firma), 0, 0, 0])
+    )
+  })
+
+  it('cambia la primera letra con homoglifo o lanza un error con código', () => {
+    expect(applyHomoglyph('Pago')).toEqual({
+      mensaje: 'Pаgo',
+      detalle: 'Posición 1: "a" (U+0061) → "а" (U+0430).',
+    })
+    expect(() => applyHomoglyph('123')).toThrow(FirmaError)
+    expect(() => applyHomoglyph('123')).toThrow(
+      expect.objectContaining({ code: 'NO_HOMOGLYPH' })
+    )
+  })
+})
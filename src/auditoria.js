@@ -0,0 +1,163 @@
+import { EncodingError, FirmaError } from './errors.js'
+import { subtle, toHex } from './firma.js'
+
+/* ====================== REGISTRO DE AUDITORÍA ====================== */
+
+// Cada entrada lleva el SHA-256 de la anterior (`prev`) y el suyo propio
+// (`hash`), calculado sobre sus campos en un orden fijo: cambiar, quitar o
+// reordenar una entrada rompe la cadena desde ese punto. La primera enlaza
+// con AUDIT_GENESIS.
+//
+// Solo se admiten los campos de un evento (EVENT_FIELDS): de las claves queda
+// la huella y de los datos su resumen. Un campo que parezca llevar material
+// privado se sustituye por AUDIT_REDACTED y la entrada se guarda igual, para
+// no perder el evento. Quien pueda reescribir el registro entero puede
+// recalcular la cadena; para evitarlo hay que guardar el último `hash` en
+// otro sitio.
+
+export const AUDIT_GENESIS = '0'.repeat(64)
+
+export const AUDIT_REDACTED = '[omitido: podía contener material privado]'
+
+export const OPERACIONES_AUDITORIA = [
+  { code: 'keygen', label: 'Generar claves' },
+  { code: 'sign', label: 'Firmar' },
+  { code: 'import-key', label: 'Importar clave pública' },
+  { code: 'verify', label: 'Verificar' },
+  { code: 'attack', label: 'Simular ataque' },
+]
+
+export const RESULTADOS_AUDITORIA = [
+  { code: 'ok', label: 'Correcto' },
+  { code: 'valid', label: 'Firma válida' },
+  { code: 'invalid', label: 'Firma inválida' },
+  { code: 'error', label: 'Error' },
+]
+
+const label = (lista, code) =>
+  (lista.find((item) => item.code === code) || { label: code }).label
+
+export const operationLabel = (code) => label(OPERACIONES_AUDITORIA, code)
+export const resultLabel = (code) => label(RESULTADOS_AUDITORIA, code)
+
+const EVENT_FIELDS = [
+  'operation',
+  'algorithm',
+  'fingerprint',
+  'digest',
+  'result',
+  'detail',
+]
+
+// Orden de las columnas del CSV y de los campos que cubre `hash`
+const ENTRY_FIELDS = ['seq', 'timestamp', ...EVENT_FIELDS, 'prev']
+
+const PRIVADO = /PRIVATE KEY|"d"\s*:/
+
+export async function digestHex(data) {
+  return toHex(await subtle().digest('SHA-256', data))
+}
+
+async function entryHash(entry) {
+  const campos = ENTRY_FIELDS.map((campo) => [campo, entry[campo]])
+  return digestHex(
+    new TextEncoder().encode(JSON.stringify(Object.fromEntries(campos)))
+  )
+}
+
+function checkEvent(event) {
+  const extra = Object.keys(event).find((k) => !EVENT_FIELDS.includes(k))
+  if (extra)
+    throw new FirmaError(`El registro no admite el campo "${extra}".`, {
+      code: 'AUDIT_FIELD',
+    })
+  if (!OPERACIONES_AUDITORIA.some((o) => o.code === event.operation))
+    throw new FirmaError(`Operación desconocida: "${event.operation}".`, {
+      code: 'AUDIT_FIELD',
+    })
+}
+
+const redact = (value) =>
+  value && PRIVADO.test(String(value)) ? AUDIT_REDACTED : value
+
+/**
+ * Crea la entrada que sigue a `previous` (null para la primera). No la
+ * guarda: eso le toca a quien llama, en el mismo orden.
+ */
+export async function appendAuditEntry(
+  previous,
+  event,
+  { now = new Date() } = {}
+) {
+  checkEvent(event)
+  const entry = {
+    seq: previous ? previous.seq + 1 : 1,
+    timestamp: now.toISOString(),
+    operation: event.operation,
+    algorithm: redact(event.algorithm) || '',
+    fingerprint: redact(event.fingerprint) || '',
+    digest: redact(event.digest) || '',
+    result: event.result || 'ok',
+    detail: redact(event.detail) || '',
+    prev: previous ? previous.hash : AUDIT_GENESIS,
+  }
+  return { ...entry, hash: await entryHash(entry) }
+}
+
+/**
+ * Recorre la cadena desde la primera entrada. Devuelve `{ valido: true }`
+ * con el número de entradas y el hash de la última, o la primera entrada que
+ * falla (`seq`) con el motivo.
+ */
+export async function verifyAuditChain(entries) {
+  let prev = AUDIT_GENESIS
+  for (const [i, entry] of entries.entries()) {
+    if (entry.seq !== i + 1 || entry.prev !== prev)
+      return {
+        valido: false,
+        seq: i + 1,
+        motivo: `Falta la entrada #${
+          i + 1
+        } o el registro está reordenado: la cadena no enlaza.`,
+      }
+    if (entry.hash !== (await entryHash(entry)))
+      return {
+        valido: false,
+        seq: entry.seq,
+        motivo: `La entrada #${entry.seq} se ha modificado: su hash no coincide.`,
+      }
+    prev = entry.hash
+  }
+  return { valido: true, total: entries.length, ultimo: prev }
+}
+
+export function auditToJson(entries) {
+  return JSON.stringify(entries, null, 2) + '\n'
+}
+
+export function parseAuditJson(text) {
+  let entries
+  try {
+    entries = JSON.parse(text)
+  } catch (err) {
+    throw new EncodingError('El registro no es un JSON válido.', { cause: err })
+  }
+  if (!Array.isArray(entries))
+    throw new EncodingError('El registro debe ser una lista de entradas.')
+  return entries
+}
+
+// RFC 4180: comillas si hace falta y comillas dobladas dentro
+const csvField = (value) => {
+  const text = String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+export function auditToCsv(entries) {
+  const campos = [...ENTRY_FIELDS, 'hash']
+  return (
+    [campos, ...entries.map((e) => campos.map((c) => e[c]))]
+      .map((fila) => fila.map(csvField).join(','))
+      .join('\r\n') + '\r\n'
+  )
+}
@@ -0,0 +1,27 @@
+import { useCallback, useState } from 'react'
+
+// Los más antiguos se descartan solos
+const MAX_AVISOS = 4
+
+let siguienteId = 0
+
+/**
+ * Avisos que sustituyen a alert(): no bloquean la página y <Avisos> los
+ * anuncia en una región viva. Cada aviso guarda la clave del catálogo y sus
+ * valores, y se traduce al mostrarlo. `tipo` es 'ok', 'info' o 'error'.
+ */
+export function useAvisos() {
+  const [avisos, setAvisos] = useState([])
+
+  const avisar = useCallback((tipo, clave, params) => {
+    const aviso = { id: siguienteId++, tipo, clave, params }
+    setAvisos((actuales) => [...actuales.slice(1 - MAX_AVISOS), aviso])
+  }, [])
+
+  const cerrar = useCallback(
+    (id) => setAvisos((actuales) => actuales.filter((a) => a.id !== id)),
+    []
+  )
+
+  return { avisos, avisar, cerrar }
+}
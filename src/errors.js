@@ -0,0 +1,49 @@
+/* ============================ ERRORES ============================= */
+
+// Cada error lleva un `code` estable para que quien use la biblioteca
+// distinga el motivo sin comparar mensajes, que están pensados para mostrarse
+// tal cual. `cause` conserva el error original de WebCrypto o de atob.
+
+export class FirmaError extends Error {
+  constructor(message, { code = 'FIRMA', cause } = {}) {
+    super(message, cause === undefined ? undefined : { cause })
+    this.name = new.target.name
+    this.code = code
+  }
+}
+
+// PEM, Base64 o DER mal formados o truncados
+export class EncodingError extends FirmaError {
+  constructor(message, { cause } = {}) {
+    super(message, { code: 'ENCODING', cause })
+  }
+}
+
+// Un PEM válido pero de otro tipo: una privada donde se espera la pública,
+// un certificado donde se espera una clave...
+export class KeyTypeError extends FirmaError {
+  constructor(message, { cause } = {}) {
+    super(message, { code: 'KEY_TYPE', cause })
+  }
+}
+
+// Algoritmo, curva, OID o esquema que la biblioteca no implementa
+export class UnsupportedAlgorithmError extends FirmaError {
+  constructor(message, { cause } = {}) {
+    super(message, { code: 'UNSUPPORTED_ALGORITHM', cause })
+  }
+}
+
+// Frase de paso ausente o incorrecta para una clave cifrada
+export class PassphraseError extends FirmaError {
+  constructor(message, { cause } = {}) {
+    super(message, { code: 'PASSPHRASE', cause })
+  }
+}
+
+// El entorno no ofrece WebCrypto (HTTP fuera de localhost, Node antiguo)
+export class CryptoUnavailableError extends FirmaError {
+  constructor(message, { cause } = {}) {
+    super(message, { code: 'CRYPTO_UNAVAILABLE', cause })
+  }
+}
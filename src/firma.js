@@ -0,0 +1,767 @@
+import {
+  derNull,
+  derOid,
+  derSequence,
+  derTlv,
+  oidToString,
+  readChildren,
+  readDer,
+} from './asn1.js'
+import {
+  EncodingError,
+  KeyTypeError,
+  PassphraseError,
+  UnsupportedAlgorithmError,
+} from './errors.js'
+import { base64UrlDecode } from './jws.js'
+import { decryptPrivateKeyInfo, encryptPrivateKeyInfo } from './pbes2.js'
+import { subtle } from './webcrypto.js'
+
+/* ========================= FIRMA DIGITAL ========================== */
+
+// Generación, importación y exportación de claves, firma, verificación y
+// diagnóstico de firmas fallidas, sin React ni DOM. Funciona igual en el
+// navegador y en Node 19 o posterior, que exponen WebCrypto en
+// `globalThis.crypto`. En Node 18 basta con instalarlo antes de usarla:
+//
+//   globalThis.crypto ??= (await import('node:crypto')).webcrypto
+//
+// Todos los módulos llegan a WebCrypto por `subtle()` y `randomBytes()`
+// (./webcrypto.js): sin él lanzan CryptoUnavailableError.
+//
+// Las claves son CryptoKey, los datos BufferSource y las firmas ArrayBuffer
+// en el formato de WebCrypto (ECDSA como r||s). Los errores propios son
+// subclases de FirmaError (./errors.js); los de WebCrypto se propagan tal cual.
+
+export * from './errors.js'
+export { randomBytes, subtle } from './webcrypto.js'
+
+export const ALGORITMOS = [
+  { name: 'RSASSA-PKCS1-v1_5', label: 'RSASSA-PKCS1-v1_5' },
+  { name: 'RSA-PSS', label: 'RSA-PSS' },
+  { name: 'ECDSA', label: 'ECDSA' },
+  { name: 'Ed25519', label: 'Ed25519' },
+]
+export const TAMANOS_RSA = [2048, 3072, 4096]
+export const CURVAS = ['P-256', 'P-384', 'P-521']
+export const HASHES = ['SHA-256', 'SHA-384', 'SHA-512']
+
+export const HASH_BYTES = { 'SHA-256': 32, 'SHA-384': 48, 'SHA-512': 64 }
+export const CURVE_BYTES = { 'P-256': 32, 'P-384': 48, 'P-521': 66 }
+export const CURVE_HASH = {
+  'P-256': 'SHA-256',
+  'P-384': 'SHA-384',
+  'P-521': 'SHA-512',
+}
+
+// El `hash` que piden signMessage y createJws: en RSA va con la clave desde
+// que se importa; en ECDSA se elige al firmar y por defecto es el de la curva
+export const defaultSigningHash = (key, hash) =>
+  key.algorithm.name === 'ECDSA'
+    ? hash || CURVE_HASH[key.algorithm.namedCurve]
+    : undefined
+
+// OIDs de AlgorithmIdentifier en SubjectPublicKeyInfo y PKCS#8
+const KEY_OIDS = {
+  '1.2.840.113549.1.1.1': 'RSA',
+  '1.2.840.113549.1.1.10': 'RSA-PSS',
+  '1.2.840.10045.2.1': 'ECDSA',
+  '1.3.101.112': 'Ed25519',
+}
+export const CURVE_OIDS = {
+  '1.2.840.10045.3.1.7': 'P-256',
+  '1.3.132.0.34': 'P-384',
+  '1.3.132.0.35': 'P-521',
+}
+
+export function isRsa(name) {
+  return name === 'RSASSA-PKCS1-v1_5' || name === 'RSA-PSS'
+}
+
+export function describeAlgorithm(config) {
+  if (isRsa(config.name)) return `${config.name} ${config.modulusLength}`
+  if (config.name === 'ECDSA') return `ECDSA ${config.namedCurve}`
+  return config.name
+}
+
+export function describeKey(key) {
+  const { name, modulusLength, namedCurve, hash } = key.algorithm
+  if (modulusLength) return `${name} ${modulusLength} bits, ${hash.name}`
+  if (namedCurve) return `${name} ${namedCurve}`
+  return name
+}
+
+/**
+ * Genera un par de firma extraíble. `config` es una entrada de ALGORITMOS con
+ * `modulusLength` y `hash` (RSA) o `namedCurve` (ECDSA).
+ */
+export async function generateKeyPair(config, extractable = true) {
+  let params
+  if (isRsa(config.name)) {
+    params = {
+      name: config.name,
+      modulusLength: config.modulusLength,
+      publicExponent: new Uint8Array([1, 0, 1]),
+      hash: config.hash,
+    }
+  } else if (config.name === 'ECDSA') {
+    params = { name: 'ECDSA', namedCurve: config.namedCurve }
+  } else {
+    params = { name: config.name }
+  }
+  return subtle().generateKey(params, extractable, ['sign', 'verify'])
+}
+
+// Por bloques: pasar un buffer grande entero como argumentos de
+// fromCharCode desborda la pila
+export function bufToBase64(buffer) {
+  const bytes = new Uint8Array(buffer)
+  let binary = ''
+  for (let i = 0; i < bytes.length; i += 0x8000)
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000))
+  return btoa(binary)
+}
+
+export function base64ToBuf(base64) {
+  let binary
+  try {
+    binary = atob(base64)
+  } catch (err) {
+    throw new EncodingError('El texto no es Base64 válido.', { cause: err })
+  }
+  const bytes = new Uint8Array(binary.length)
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i)
+  return bytes.buffer
+}
+
+export function toHex(bytes, separator = '') {
+  return Array.from(new Uint8Array(bytes), (b) =>
+    b.toString(16).padStart(2, '0')
+  ).join(separator)
+}
+
+export function sameBytes(a, b) {
+  const x = new Uint8Array(a)
+  const y = new Uint8Array(b)
+  return x.length === y.length && x.every((byte, i) => byte === y[i])
+}
+
+// Explica por qué `text` no es Base64 estándar, o null. `subject` abre la
+// frase ("La firma", "El PEM"); el lugar es la línea si el texto tiene varias.
+function base64Problem(text, subject) {
+  const invalid = text.search(/[^A-Za-z0-9+/=\s]/)
+  if (invalid !== -1) {
+    const char = text[invalid]
+    const where = text.includes('\n')
+      ? `en la línea ${text.slice(0, invalid).split('\n').length}`
+      : `en la posición ${invalid}`
+    if (char === '-' || char === '_')
+      return `${subject} contiene '${char}' ${where}: parece Base64url (como en JWS), y aquí se espera Base64 estándar con '+' y '/'.`
+    return `${subject} contiene un carácter no Base64 ('${char}') ${where}.`
+  }
+  const clean = text.replace(/\s+/g, '')
+  if (!clean) return `${subject} no contiene datos Base64.`
+  if (!/^[A-Za-z0-9+/]*={0,2}$/.test(clean))
+    return `${subject} tiene el relleno "=" en un lugar incorrecto.`
+  if (clean.length % 4 !== 0)
+    return `${subject} tiene ${clean.length} caracteres Base64, que no es múltiplo de 4: le faltan o le sobran caracteres.`
+  return null
+}
+
+// Una firma cargada de archivo puede venir en Base64 (como firmaB64) o en
+// binario crudo (como `openssl dgst -sign`)
+export function signatureFileToBase64(buffer) {
+  const text = new TextDecoder().decode(buffer).trim()
+  if (/^[A-Za-z0-9+/]+={0,2}$/.test(text.replace(/\s+/g, '')))
+    return text.replace(/\s+/g, '')
+  return bufToBase64(buffer)
+}
+
+export function pemEncode(base64, tag) {
+  return `-----BEGIN ${tag}-----\n${base64
+    .match(/.{1,64}/g)
+    .join('\n')}\n-----END ${tag}-----`
+}
+
+export function pemToBase64(pem) {
+  return pem.replace(/-----.*-----/g, '').replace(/\s+/g, '')
+}
+
+export function pemLabel(pem) {
+  const match = pem.match(/-----BEGIN ([A-Z0-9 ]+)-----/)
+  return match ? match[1] : null
+}
+
+// Un mismo texto puede traer varios bloques, como una cadena de certificados
+export function pemBlocks(text, label) {
+  return [
+    ...text.matchAll(/-----BEGIN ([A-Z0-9 ]+)-----([^-]*)-----END \1-----/g),
+  ]
+    .filter((match) => match[1] === label)
+    .map((match) => new Uint8Array(base64ToBuf(match[2].replace(/\s+/g, ''))))
+}
+
+/* ========================= PEM ESTRICTO ========================= */
+
+// pemToBase64 acepta cualquier cosa y el error llega después desde
+// WebCrypto, sin decir qué se pegó. Aquí se comprueba la etiqueta, el Base64
+// y el árbol DER antes de importar, con un mensaje para cada caso.
+
+const PEM_CONTENTS = {
+  'PUBLIC KEY': 'una clave pública (SPKI)',
+  'RSA PUBLIC KEY': 'una clave pública RSA en PKCS#1',
+  'PRIVATE KEY': 'una clave privada (PKCS#8)',
+  'ENCRYPTED PRIVATE KEY': 'una clave privada cifrada (PKCS#8)',
+  'RSA PRIVATE KEY':
+    'una clave privada RSA en el formato tradicional de OpenSSL',
+  'EC PRIVATE KEY': 'una clave privada EC en el formato tradicional de OpenSSL',
+  'OPENSSH PRIVATE KEY': 'una clave privada de OpenSSH',
+  CERTIFICATE: 'un certificado X.509',
+  'CERTIFICATE REQUEST': 'una solicitud de certificado (CSR)',
+}
+const PRIVATE_LABELS = [
+  'PRIVATE KEY',
+  'ENCRYPTED PRIVATE KEY',
+  'RSA PRIVATE KEY',
+  'EC PRIVATE KEY',
+  'OPENSSH PRIVATE KEY',
+]
+const OID_RSA_ENCRYPTION = '1.2.840.113549.1.1.1'
+
+const describePem = (label) => PEM_CONTENTS[label] || `un bloque "${label}"`
+
+/**
+ * Decodifica un único bloque PEM. Lanza EncodingError si falta la cabecera o
+ * el cierre, si no coinciden, si hay varios bloques o si el Base64 no es
+ * válido (indicando la línea).
+ */
+export function decodePem(text) {
+  const begin = text.match(/-----BEGIN ([^-\n]*)-----/)
+  if (!begin) {
+    throw new EncodingError(
+      base64Problem(text, 'El texto')
+        ? 'No es un PEM: falta la línea -----BEGIN ...-----.'
+        : 'Parece Base64 sin las líneas -----BEGIN/END-----: pega el bloque PEM completo.'
+    )
+  }
+  const label = begin[1]
+  const rest = text.slice(begin.index + begin[0].length)
+  const end = rest.match(/-----END ([^-\n]*)-----/)
+  if (!end)
+    throw new EncodingError(
+      `El PEM está cortado: falta la línea -----END ${label}-----.`
+    )
+  if (end[1] !== label)
+    throw new EncodingError(
+      `El PEM empieza con BEGIN ${label} y termina con END ${end[1]}.`
+    )
+  if (rest.includes('-----BEGIN ', end.index))
+    throw new EncodingError('Hay más de un bloque PEM: pega solo uno.')
+
+  const body = rest.slice(0, end.index)
+  if (/^Proc-Type:/m.test(body))
+    throw new UnsupportedAlgorithmError(
+      'Clave cifrada con el formato tradicional de OpenSSL (Proc-Type). Conviértela a PKCS#8: openssl pkcs8 -topk8 -in clave.pem -out clave-pkcs8.pem'
+    )
+  // Las líneas se cuentan desde la de -----BEGIN, que es la 1
+  const problem = base64Problem(body, 'El PEM')
+  if (problem) throw new EncodingError(problem)
+  return { label, der: new Uint8Array(base64ToBuf(body.replace(/\s+/g, ''))) }
+}
+
+// Recorre el árbol TLV entero: toda longitud debe caber en su contenedor y no
+// puede sobrar nada tras la estructura
+function checkDer(der) {
+  const top = readDer(der, 0)
+  if (top.end < der.length)
+    throw new EncodingError(
+      `Sobran ${
+        der.length - top.end
+      } bytes tras la estructura DER (desde el byte ${top.end}).`
+    )
+  const walk = (node) => {
+    if (node.tag & 0x20) readChildren(der, node).forEach(walk)
+  }
+  walk(top)
+}
+
+// Comprueba que `der` es SEQUENCE con hijos de las etiquetas `tags`
+function checkShape(der, tags, what) {
+  const top = readDer(der, 0)
+  const children = top.tag === 0x30 ? readChildren(der, top) : []
+  if (tags.some((tag, i) => children[i]?.tag !== tag))
+    throw new EncodingError(`El DER no tiene la estructura de ${what}.`)
+  return children
+}
+
+// RSAPublicKey (PKCS#1) dentro de un SubjectPublicKeyInfo con rsaEncryption
+function pkcs1ToSpki(der) {
+  checkShape(der, [0x02, 0x02], 'una clave RSA PKCS#1 (módulo y exponente)')
+  return derSequence(
+    derSequence(derOid(OID_RSA_ENCRYPTION), derNull()),
+    derTlv(0x03, new Uint8Array([0]), der)
+  )
+}
+
+/**
+ * Devuelve el SPKI (DER) de un PEM de clave pública. Convierte PKCS#1
+ * (RSA PUBLIC KEY) a SPKI. Con una clave privada, un certificado u otro
+ * bloque lanza KeyTypeError diciendo qué se ha pegado.
+ */
+export function publicKeyPemToSpki(pem) {
+  const { label, der } = decodePem(pem)
+  if (PRIVATE_LABELS.includes(label))
+    throw new KeyTypeError(
+      `Has pegado ${describePem(
+        label
+      )}. Es secreta: no la compartas nunca. El receptor solo necesita la clave pública.`
+    )
+  if (label !== 'PUBLIC KEY' && label !== 'RSA PUBLIC KEY')
+    throw new KeyTypeError(
+      `Se esperaba una clave pública y has pegado ${describePem(label)}.`
+    )
+  checkDer(der)
+  if (label === 'RSA PUBLIC KEY') return pkcs1ToSpki(der)
+  checkShape(der, [0x30, 0x03], 'una clave pública SPKI')
+  return der
+}
+
+/**
+ * Devuelve el PKCS#8 (DER) de un PEM de clave privada, cifrado o no según
+ * `encrypted`. Con una clave pública, un certificado o un formato que
+ * WebCrypto no importa lanza un error que lo explica.
+ */
+export function privateKeyPemToPkcs8(pem) {
+  const { label, der } = decodePem(pem)
+  if (label === 'RSA PRIVATE KEY' || label === 'EC PRIVATE KEY')
+    throw new EncodingError(
+      `Has pegado ${describePem(
+        label
+      )}. Conviértela a PKCS#8: openssl pkcs8 -topk8 -nocrypt -in clave.pem -out clave-pkcs8.pem`
+    )
+  if (label === 'OPENSSH PRIVATE KEY')
+    throw new EncodingError(
+      `Has pegado ${describePem(
+        label
+      )}. Conviértela a PKCS#8: ssh-keygen -p -m PKCS8 -f clave`
+    )
+  if (label !== 'PRIVATE KEY' && label !== 'ENCRYPTED PRIVATE KEY')
+    throw new KeyTypeError(
+      `Se esperaba una clave privada y has pegado ${describePem(label)}.`
+    )
+  checkDer(der)
+  const encrypted = label === 'ENCRYPTED PRIVATE KEY'
+  if (encrypted) checkShape(der, [0x30, 0x04], 'una clave privada cifrada')
+  else checkShape(der, [0x02, 0x30, 0x04], 'una clave privada PKCS#8')
+  return { der, encrypted }
+}
+
+export async function exportPublicKeyToPEM(publicKey) {
+  const spki = await subtle().exportKey('spki', publicKey)
+  return pemEncode(bufToBase64(spki), 'PUBLIC KEY')
+}
+
+export async function exportPrivateKeyToPEM(privateKey) {
+  const pkcs8 = await subtle().exportKey('pkcs8', privateKey)
+  return pemEncode(bufToBase64(pkcs8), 'PRIVATE KEY')
+}
+
+// PKCS#8 cifrado con PBES2 (PBKDF2-SHA256); `cipher` es una clave de
+// PKCS8_CIPHERS
+export async function exportEncryptedPrivateKeyToPEM(
+  privateKey,
+  passphrase,
+  cipher
+) {
+  const pkcs8 = await subtle().exportKey('pkcs8', privateKey)
+  const encrypted = await encryptPrivateKeyInfo(pkcs8, passphrase, { cipher })
+  return pemEncode(bufToBase64(encrypted), 'ENCRYPTED PRIVATE KEY')
+}
+
+function parseAlgorithmIdentifier(bytes, offset) {
+  const algId = readDer(bytes, offset)
+  const oid = readDer(bytes, algId.start)
+  const oidStr = oidToString(bytes.subarray(oid.start, oid.end))
+  const name = KEY_OIDS[oidStr]
+  if (!name)
+    throw new UnsupportedAlgorithmError(
+      `Algoritmo de clave no soportado (OID ${oidStr}).`
+    )
+  if (name !== 'ECDSA') return { name }
+
+  const param = readDer(bytes, oid.end)
+  const curveOid = oidToString(bytes.subarray(param.start, param.end))
+  const namedCurve = CURVE_OIDS[curveOid]
+  if (param.tag !== 0x06 || !namedCurve)
+    throw new UnsupportedAlgorithmError(
+      `Curva elíptica no soportada (OID ${curveOid}).`
+    )
+  return { name, namedCurve }
+}
+
+export function detectSpkiAlgorithm(spki) {
+  const bytes = new Uint8Array(spki)
+  const seq = readDer(bytes, 0)
+  return parseAlgorithmIdentifier(bytes, seq.start)
+}
+
+export function detectPkcs8Algorithm(pkcs8) {
+  const bytes = new Uint8Array(pkcs8)
+  const seq = readDer(bytes, 0)
+  const version = readDer(bytes, seq.start)
+  return parseAlgorithmIdentifier(bytes, version.end)
+}
+
+// Para claves RSA ni el SPKI ni el PKCS#8 indican el esquema de firma ni el
+// hash, así que los elige quien importa. En ECDSA la curva viene en la clave.
+export function keyImportParams(detected, { rsaScheme, hash }) {
+  if (detected.name === 'RSA' || detected.name === 'RSA-PSS') {
+    return {
+      name: detected.name === 'RSA-PSS' ? 'RSA-PSS' : rsaScheme,
+      hash,
+    }
+  }
+  if (detected.name === 'ECDSA')
+    return { name: 'ECDSA', namedCurve: detected.namedCurve }
+  return { name: detected.name }
+}
+
+/**
+ * Importa una clave pública SPKI en PEM para verificar. El algoritmo y la
+ * curva salen del propio SPKI; `rsaScheme` y `hash` solo se usan con RSA.
+ */
+export async function importPublicKeyFromPEM(
+  pem,
+  { rsaScheme = 'RSASSA-PKCS1-v1_5', hash = 'SHA-256' } = {}
+) {
+  const buf = publicKeyPemToSpki(pem)
+  const params = keyImportParams(detectSpkiAlgorithm(buf), { rsaScheme, hash })
+  return subtle().importKey('spki', buf, params, true, ['verify'])
+}
+
+/**
+ * Importa una clave privada PKCS#8 en PEM para firmar. Si el PEM es
+ * ENCRYPTED PRIVATE KEY hace falta `passphrase`: sin ella o con una incorrecta
+ * lanza PassphraseError.
+ */
+export async function importPrivateKeyFromPEM(
+  pem,
+  { rsaScheme = 'RSASSA-PKCS1-v1_5', hash = 'SHA-256', passphrase } = {}
+) {
+  const { der, encrypted } = privateKeyPemToPkcs8(pem)
+  let buf = der
+  if (encrypted) {
+    if (!passphrase)
+      throw new PassphraseError(
+        'La clave privada está cifrada: indica la frase de paso.'
+      )
+    buf = await decryptPrivateKeyInfo(buf, passphrase)
+  }
+  const params = keyImportParams(detectPkcs8Algorithm(buf), {
+    rsaScheme,
+    hash,
+  })
+  return subtle().importKey('pkcs8', buf, params, true, ['sign'])
+}
+
+const PUBLIC_JWK_FIELDS = ['kty', 'crv', 'n', 'e', 'x', 'y']
+
+// WebCrypto no deriva la pública de una privada, pero el JWK privado ya
+// contiene los campos públicos (n/e en RSA, x/y en curvas).
+export async function derivePublicKey(privateKey) {
+  const jwk = await subtle().exportKey('jwk', privateKey)
+  const publicJwk = { key_ops: ['verify'], ext: true }
+  for (const field of PUBLIC_JWK_FIELDS)
+    if (jwk[field] !== undefined) publicJwk[field] = jwk[field]
+  return subtle().importKey('jwk', publicJwk, privateKey.algorithm, true, [
+    'verify',
+  ])
+}
+
+// Indica si dos PEM (privada, posiblemente cifrada, y pública) son del mismo par
+export async function keysFormPair(privatePem, publicPem, passphrase) {
+  const derived = await subtle().exportKey(
+    'jwk',
+    await derivePublicKey(
+      await importPrivateKeyFromPEM(privatePem, { passphrase })
+    )
+  )
+  const given = await subtle().exportKey(
+    'jwk',
+    await importPublicKeyFromPEM(publicPem)
+  )
+  return PUBLIC_JWK_FIELDS.every((field) => derived[field] === given[field])
+}
+
+function signatureParams(key, hash) {
+  const { name } = key.algorithm
+  if (name === 'RSA-PSS')
+    return { name, saltLength: HASH_BYTES[key.algorithm.hash.name] }
+  if (name === 'ECDSA') return { name, hash }
+  return { name }
+}
+
+// WebCrypto usa firmas ECDSA en formato r||s; OpenSSL y la mayoría de
+// librerías las emiten como SEQUENCE { r INTEGER, s INTEGER } en DER.
+export function ecdsaDerToRaw(signature, namedCurve) {
+  const size = CURVE_BYTES[namedCurve]
+  const bytes = new Uint8Array(signature)
+  if (bytes.length === size * 2 || bytes[0] !== 0x30) return signature
+
+  const seq = readDer(bytes, 0)
+  const raw = new Uint8Array(size * 2)
+  let offset = seq.start
+  for (let i = 0; i < 2; i++) {
+    const int = readDer(bytes, offset)
+    let value = bytes.subarray(int.start, int.end)
+    while (value.length > size && value[0] === 0) value = value.subarray(1)
+    if (value.length > size)
+      throw new EncodingError('Firma ECDSA DER inválida.')
+    raw.set(value, (i + 1) * size - value.length)
+    offset = int.end
+  }
+  return raw.buffer
+}
+
+/**
+ * Firma `data` con la clave privada. `hash` solo cuenta en ECDSA; en RSA lo
+ * fija la clave al importarla o generarla.
+ */
+export async function signMessage(privateKey, data, hash) {
+  return subtle().sign(signatureParams(privateKey, hash), privateKey, data)
+}
+
+/**
+ * Verifica la firma. Acepta firmas ECDSA tanto r||s como DER. Devuelve false
+ * si la firma no corresponde; lanza si no se puede ni intentar.
+ */
+export async function verifySignature(publicKey, signature, data, hash) {
+  const sig =
+    publicKey.algorithm.name === 'ECDSA'
+      ? ecdsaDerToRaw(signature, publicKey.algorithm.namedCurve)
+      : signature
+  return subtle().verify(signatureParams(publicKey, hash), publicKey, sig, data)
+}
+
+/* ========================= DIAGNÓSTICO ========================= */
+
+const DIGEST_OIDS = {
+  '1.3.14.3.2.26': 'SHA-1',
+  '2.16.840.1.101.3.4.2.1': 'SHA-256',
+  '2.16.840.1.101.3.4.2.2': 'SHA-384',
+  '2.16.840.1.101.3.4.2.3': 'SHA-512',
+}
+
+function expectedSignatureLength(key) {
+  const { name, modulusLength, namedCurve } = key.algorithm
+  if (modulusLength) return modulusLength / 8
+  if (name === 'ECDSA') return CURVE_BYTES[namedCurve] * 2
+  return 64
+}
+
+function checkSignatureFormat(base64, key) {
+  const problem = base64Problem(base64, 'La firma')
+  if (problem) return problem
+
+  const clean = base64.replace(/\s+/g, '')
+  const bytes = new Uint8Array(base64ToBuf(clean))
+  const expected = expectedSignatureLength(key)
+  if (key.algorithm.name === 'ECDSA' && bytes[0] === 0x30) {
+    try {
+      ecdsaDerToRaw(bytes, key.algorithm.namedCurve)
+      return null
+    } catch {
+      return 'La firma ECDSA en DER está mal formada.'
+    }
+  }
+  if (bytes.length !== expected)
+    return `La firma mide ${bytes.length} bytes y una firma ${describeKey(
+      key
+    )} mide ${expected}: sobran o faltan bytes.`
+  return null
+}
+
+// Devuelve los parámetros (esquema y hash) con los que la firma sí verifica
+// para esa misma clave, o null
+async function findVerifyingParams(publicKey, signature, data) {
+  const { name } = publicKey.algorithm
+  const spki = await subtle().exportKey('spki', publicKey)
+  const variants = isRsa(name)
+    ? ['RSASSA-PKCS1-v1_5', 'RSA-PSS'].flatMap((scheme) =>
+        HASHES.map((hash) => ({ name: scheme, hash }))
+      )
+    : name === 'ECDSA'
+    ? HASHES.map((hash) => ({ name, hash }))
+    : [{ name }]
+
+  for (const variant of variants) {
+    const key = isRsa(name)
+      ? await subtle().importKey('spki', spki, variant, false, ['verify'])
+      : publicKey
+    const ok = await verifySignature(key, signature, data, variant.hash).catch(
+      () => false
+    )
+    if (ok) return variant
+  }
+  return null
+}
+
+// OS2IP, I2OSP y exponenciación modular de RFC 8017 con BigInt; también
+// los usa el inspector de ./rsa.js
+export function bytesToBigInt(bytes) {
+  let value = 0n
+  for (const byte of bytes) value = (value << 8n) | BigInt(byte)
+  return value
+}
+
+export function bigIntToBytes(value, length) {
+  const bytes = new Uint8Array(length)
+  for (let i = length - 1; i >= 0; i--) {
+    bytes[i] = Number(value & 0xffn)
+    value >>= 8n
+  }
+  return bytes
+}
+
+export function modPow(base, exponent, modulus) {
+  let result = 1n
+  base %= modulus
+  for (; exponent > 0n; exponent >>= 1n) {
+    if (exponent & 1n) result = (result * base) % modulus
+    base = (base * base) % modulus
+  }
+  return result
+}
+
+// s^e mod n con la clave pública: el "mensaje codificado" que el firmante
+// construyó antes de aplicar su clave privada
+async function recoverRsaEncodedMessage(publicKey, signature) {
+  const jwk = await subtle().exportKey('jwk', publicKey)
+  const n = bytesToBigInt(base64UrlDecode(jwk.n))
+  const e = bytesToBigInt(base64UrlDecode(jwk.e))
+  const s = bytesToBigInt(new Uint8Array(signature))
+  if (s >= n) return null
+  return bigIntToBytes(modPow(s, e, n), publicKey.algorithm.modulusLength / 8)
+}
+
+// EMSA-PKCS1-v1_5: 00 01 FF..FF 00 DigestInfo
+function parseEmsaPkcs1(em) {
+  if (em[0] !== 0x00 || em[1] !== 0x01) return null
+  let i = 2
+  while (em[i] === 0xff) i++
+  if (i < 10 || em[i] !== 0x00) return null
+  try {
+    const digestInfo = em.subarray(i + 1)
+    const [algId, digest] = readChildren(digestInfo, readDer(digestInfo, 0))
+    const oid = readDer(digestInfo, algId.start)
+    return {
+      hash: DIGEST_OIDS[oidToString(digestInfo.subarray(oid.start, oid.end))],
+      digest: digestInfo.slice(digest.start, digest.end),
+    }
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Se ejecuta solo cuando la verificación ya ha fallado: explica el motivo
+ * probando otros parámetros, otras claves conocidas (`knownKeys`, con
+ * `{ name, publicKey }`) y, en RSA, abriendo la firma con la clave pública.
+ * Devuelve una lista de `{ causa, detalle }` donde `causa` es 'formato',
+ * 'algoritmo', 'clave', 'mensaje' o 'desconocido'.
+ */
+export async function diagnoseSignatureFailure({
+  publicKey,
+  signatureB64,
+  data,
+  knownKeys = [],
+}) {
+  const formato = checkSignatureFormat(signatureB64, publicKey)
+  if (formato) return [{ causa: 'formato', detalle: formato }]
+
+  const signature = base64ToBuf(signatureB64.replace(/\s+/g, ''))
+  const hallazgos = []
+
+  const params = await findVerifyingParams(publicKey, signature, data)
+  if (params) {
+    return [
+      {
+        causa: 'algoritmo',
+        detalle: `La firma es válida con esta clave usando ${params.name}/${params.hash}: el emisor firmó con otro algoritmo o hash que el seleccionado en el receptor.`,
+      },
+    ]
+  }
+
+  const spki = await subtle().exportKey('spki', publicKey)
+  for (const { name, publicKey: candidate } of knownKeys) {
+    if (sameBytes(await subtle().exportKey('spki', candidate), spki)) continue
+    const otros = await findVerifyingParams(candidate, signature, data).catch(
+      () => null
+    )
+    if (otros) {
+      hallazgos.push({
+        causa: 'clave',
+        detalle: `La firma verifica con la clave "${name}" del llavero (${otros.name}/${otros.hash}): se firmó con otra clave distinta de la importada.`,
+      })
+    }
+  }
+  if (hallazgos.length) return hallazgos
+
+  if (publicKey.algorithm.name === 'RSASSA-PKCS1-v1_5') {
+    const em = await recoverRsaEncodedMessage(publicKey, signature)
+    const emsa = em && parseEmsaPkcs1(em)
+    if (!emsa) {
+      return [
+        {
+          causa: 'clave',
+          detalle:
+            'Al abrir la firma con esta clave pública no aparece un relleno PKCS#1 v1.5 válido: la firma no se hizo con esta clave (o sus bytes se han alterado).',
+        },
+      ]
+    }
+    // findVerifyingParams ya probó todos los hashes sobre estos datos: si se
+    // llega aquí el contenido cambió, y un hash distinto del de la clave es
+    // solo un dato más
+    const keyHash = publicKey.algorithm.hash.name
+    if (emsa.hash && emsa.hash !== keyHash)
+      hallazgos.push({
+        causa: 'algoritmo',
+        detalle: `La firma se hizo con esta clave pero con ${emsa.hash}, no con ${keyHash}.`,
+      })
+    hallazgos.push({
+      causa: 'mensaje',
+      detalle: `La firma se hizo con esta clave: contiene el resumen${
+        emsa.hash ? ` ${emsa.hash}` : ''
+      } de un contenido distinto del recibido. El mensaje fue modificado después de firmarse.`,
+    })
+    return hallazgos
+  }
+
+  if (publicKey.algorithm.name === 'RSA-PSS') {
+    const em = await recoverRsaEncodedMessage(publicKey, signature)
+    if (em && em[em.length - 1] === 0xbc) {
+      return [
+        {
+          causa: 'mensaje',
+          detalle:
+            'La firma abre con esta clave y termina en 0xBC como exige PSS: casi con seguridad se hizo con esta clave sobre un contenido distinto. El mensaje fue modificado.',
+        },
+      ]
+    }
+    return [
+      {
+        causa: 'clave',
+        detalle:
+          'Al abrir la firma con esta clave no aparece la estructura PSS: la firma no se hizo con esta clave (o sus bytes se han alterado).',
+      },
+    ]
+  }
+
+  return [
+    {
+      causa: 'desconocido',
+      detalle:
+        'Ningún algoritmo, hash ni clave conocida valida la firma. Con ECDSA y Ed25519 no se puede distinguir una clave equivocada de un mensaje alterado.',
+    },
+  ]
+}
@@ -0,0 +1,441 @@
+import { afterEach, describe, expect, it, vi } from 'vitest'
+import {
+  CryptoUnavailableError,
+  EncodingError,
+  KeyTypeError,
+  PassphraseError,
+  UnsupportedAlgorithmError,
+  base64ToBuf,
+  bufToBase64,
+  decodePem,
+  defaultSigningHash,
+  derivePublicKey,
+  detectSpkiAlgorithm,
+  diagnoseSignatureFailure,
+  ecdsaDerToRaw,
+  exportEncryptedPrivateKeyToPEM,
+  exportPublicKeyToPEM,
+  generateKeyPair,
+  importPrivateKeyFromPEM,
+  importPublicKeyFromPEM,
+  keysFormPair,
+  pemBlocks,
+  pemEncode,
+  pemLabel,
+  pemToBase64,
+  privateKeyPemToPkcs8,
+  publicKeyPemToSpki,
+  randomBytes,
+  signMessage,
+  signatureFileToBase64,
+  verifySignature,
+} from './firma'
+import { publicKeyFingerprint } from './huella'
+import { createJws } from './jws'
+import { ECDSA_P256, ED25519, MENSAJE, RSA } from './test/openssl'
+
+const datos = new TextEncoder().encode(MENSAJE)
+const firma = (base64) => base64ToBuf(base64)
+
+describe('Base64 y PEM', () => {
+  it('bufToBase64 y base64ToBuf son inversas para todos los bytes', () => {
+    const bytes = Uint8Array.from({ length: 256 }, (_, i) => i)
+    expect(new Uint8Array(base64ToBuf(bufToBase64(bytes)))).toEqual(bytes)
+    expect(bufToBase64(new Uint8Array())).toBe('')
+  })
+
+  it('bufToBase64 codifica buffers grandes sin desbordar la pila', () => {
+    // Con 1 MiB el `String.fromCharCode(...bytes)` de una sola vez ya
+    // lanzaba RangeError
+    const bytes = new Uint8Array(1024 * 1024).map((_, i) => i * 7)
+    const base64 = bufToBase64(bytes)
+    expect(base64).toHaveLength(Math.ceil(bytes.length / 3) * 4)
+    const decoded = new Uint8Array(base64ToBuf(base64))
+    expect(decoded.every((byte, i) => byte === bytes[i])).toBe(true)
+  })
+
+  it('base64ToBuf rechaza texto que no es Base64', () => {
+    expect(() => base64ToBuf('no es base64!')).toThrow(EncodingError)
+  })
+
+  it('pemEncode corta en líneas de 64 y pemToBase64 lo deshace', () => {
+    const base64 = bufToBase64(new Uint8Array(100).fill(0xab))
+    const pem = pemEncode(base64, 'PUBLIC KEY')
+
+    const lineas = pem.split('\n')
+    expect(lineas[0]).toBe('-----BEGIN PUBLIC KEY-----')
+    expect(lineas.at(-1)).toBe('-----END PUBLIC KEY-----')
+    expect(lineas.slice(1, -1).map((linea) => linea.length)).toEqual([
+      64, 64, 8,
+    ])
+    expect(pemToBase64(pem)).toBe(base64)
+    expect(pemLabel(pem)).toBe('PUBLIC KEY')
+  })
+
+  it('pemToBase64 acepta el PEM de OpenSSL con saltos de línea CRLF', () => {
+    const pem = RSA.publica.replace(/\n/g, '\r\n') + '\r\n'
+    expect(pemEncode(pemToBase64(pem), 'PUBLIC KEY')).toBe(RSA.publica)
+  })
+
+  it('pemBlocks separa los bloques de una etiqueta', () => {
+    const texto = [RSA.publica, ECDSA_P256.privada, ED25519.publica].join('\n')
+    const bloques = pemBlocks(texto, 'PUBLIC KEY')
+    expect(bloques).toHaveLength(2)
+    expect(bufToBase64(bloques[1])).toBe(pemToBase64(ED25519.publica))
+  })
+
+  it('signatureFileToBase64 acepta Base64 y binario crudo', () => {
+    const texto = new TextEncoder().encode(RSA.firmaPkcs1 + '\n')
+    expect(signatureFileToBase64(texto)).toBe(RSA.firmaPkcs1)
+    expect(signatureFileToBase64(firma(ECDSA_P256.firmaDer))).toBe(
+      ECDSA_P256.firmaDer
+    )
+  })
+})
+
+describe('vectores de OpenSSL', () => {
+  it('RSASSA-PKCS1-v1_5: WebCrypto reproduce la firma de OpenSSL', async () => {
+    const privada = await importPrivateKeyFromPEM(RSA.privada)
+    expect(bufToBase64(await signMessage(privada, datos))).toBe(RSA.firmaPkcs1)
+
+    const publica = await importPublicKeyFromPEM(RSA.publica)
+    expect(await verifySignature(publica, firma(RSA.firmaPkcs1), datos)).toBe(
+      true
+    )
+  })
+
+  it('RSA-PSS: verifica la firma de OpenSSL con sal de 32 bytes', async () => {
+    const publica = await importPublicKeyFromPEM(RSA.publica, {
+      rsaScheme: 'RSA-PSS',
+    })
+    expect(await verifySignature(publica, firma(RSA.firmaPss), datos)).toBe(
+      true
+    )
+  })
+
+  it('ECDSA P-256: verifica la firma DER de OpenSSL y su forma r||s', async () => {
+    const publica = await importPublicKeyFromPEM(ECDSA_P256.publica)
+    expect(publica.algorithm.namedCurve).toBe('P-256')
+
+    const der = firma(ECDSA_P256.firmaDer)
+    const raw = ecdsaDerToRaw(der, 'P-256')
+    expect(raw.byteLength).toBe(64)
+    expect(await verifySignature(publica, der, datos, 'SHA-256')).toBe(true)
+    expect(await verifySignature(publica, raw, datos, 'SHA-256')).toBe(true)
+    expect(await verifySignature(publica, raw, datos, 'SHA-384')).toBe(false)
+  })
+
+  it('Ed25519: WebCrypto reproduce la firma de OpenSSL', async () => {
+    const privada = await importPrivateKeyFromPEM(ED25519.privada)
+    expect(bufToBase64(await signMessage(privada, datos))).toBe(ED25519.firma)
+
+    const publica = await importPublicKeyFromPEM(ED25519.publica)
+    expect(await verifySignature(publica, firma(ED25519.firma), datos)).toBe(
+      true
+    )
+  })
+
+  it('importa el PKCS#8 cifrado por OpenSSL con PBES2', async () => {
+    await expect(
+      importPrivateKeyFromPEM(ECDSA_P256.privadaCifrada)
+    ).rejects.toThrow(PassphraseError)
+    await expect(
+      importPrivateKeyFromPEM(ECDSA_P256.privadaCifrada, {
+        passphrase: 'otra frase',
+      })
+    ).rejects.toThrow(PassphraseError)
+    expect(
+      await keysFormPair(
+        ECDSA_P256.privadaCifrada,
+        ECDSA_P256.publica,
+        ECDSA_P256.frase
+      )
+    ).toBe(true)
+  })
+
+  it('deriva de la privada exactamente la pública de OpenSSL', async () => {
+    for (const { privada, publica } of [RSA, ECDSA_P256, ED25519]) {
+      const derivada = await derivePublicKey(
+        await importPrivateKeyFromPEM(privada)
+      )
+      expect(await exportPublicKeyToPEM(derivada)).toBe(publica)
+    }
+    expect(await keysFormPair(RSA.privada, ED25519.publica)).toBe(false)
+  })
+
+  it('detecta el algoritmo por el OID del SPKI', () => {
+    const spki = (pem) => base64ToBuf(pemToBase64(pem))
+    expect(detectSpkiAlgorithm(spki(RSA.publica))).toEqual({ name: 'RSA' })
+    expect(detectSpkiAlgorithm(spki(ECDSA_P256.publica))).toEqual({
+      name: 'ECDSA',
+      namedCurve: 'P-256',
+    })
+    expect(detectSpkiAlgorithm(spki(ED25519.publica))).toEqual({
+      name: 'Ed25519',
+    })
+  })
+
+  it('rechaza claves de algoritmos que no soporta', async () => {
+    // SPKI X25519 (OID 1.3.101.110): es de acuerdo de claves, no de firma
+    const x25519 =
+      '-----BEGIN PUBLIC KEY-----\n' +
+      'MCowBQYDK2VuAyEAL3AvsOv2g9Y5Yhb+2+gzT9R9kTV0tsQsHuKPd7tO+kE=\n' +
+      '-----END PUBLIC KEY-----'
+    await expect(importPublicKeyFromPEM(x25519)).rejects.toThrow(
+      UnsupportedAlgorithmError
+    )
+  })
+})
+
+describe('validación estricta de PEM', () => {
+  const reetiquetar = (pem, label) =>
+    pem.replace(/(BEGIN|END) [A-Z ]+-----/g, `$1 ${label}-----`)
+
+  it('convierte la pública PKCS#1 en el mismo SPKI que OpenSSL', async () => {
+    const spki = publicKeyPemToSpki(RSA.publicaPkcs1)
+    expect(bufToBase64(spki)).toBe(pemToBase64(RSA.publica))
+
+    const publica = await importPublicKeyFromPEM(RSA.publicaPkcs1)
+    expect(await verifySignature(publica, firma(RSA.firmaPkcs1), datos)).toBe(
+      true
+    )
+  })
+
+  it('avisa de que se ha pegado una clave privada en lugar de la pública', () => {
+    for (const pem of [RSA.privada, ECDSA_P256.privadaCifrada])
+      expect(() => publicKeyPemToSpki(pem)).toThrow(/no la compartas nunca/)
+    expect(() => publicKeyPemToSpki(RSA.privada)).toThrow(KeyTypeError)
+  })
+
+  it('dice qué se ha pegado cuando no es el tipo esperado', () => {
+    expect(() =>
+      publicKeyPemToSpki(reetiquetar(RSA.publica, 'CERTIFICATE'))
+    ).toThrow(
+      'Se esperaba una clave pública y has pegado un certificado X.509.'
+    )
+    expect(() => privateKeyPemToPkcs8(RSA.publica)).toThrow(
+      'Se esperaba una clave privada y has pegado una clave pública (SPKI).'
+    )
+    expect(() =>
+      privateKeyPemToPkcs8(reetiquetar(RSA.privada, 'RSA PRIVATE KEY'))
+    ).toThrow(/openssl pkcs8 -topk8/)
+  })
+
+  it('señala el byte donde se corta el DER', () => {
+    const corto = pemEncode(
+      pemToBase64(RSA.publica).slice(0, 200),
+      'PUBLIC KEY'
+    )
+    expect(() => publicKeyPemToSpki(corto)).toThrow(
+      'DER truncado en el byte 0: el elemento declara 290 bytes y solo quedan 146.'
+    )
+
+    const largo = pemEncode(pemToBase64(RSA.publica) + 'AAAA', 'PUBLIC KEY')
+    expect(() => publicKeyPemToSpki(largo)).toThrow(
+      'Sobran 3 bytes tras la estructura DER (desde el byte 294).'
+    )
+  })
+
+  it('rechaza DER bien formado que no es una clave', () => {
+    // SEQUENCE { INTEGER 1 }
+    const pem = pemEncode(
+      bufToBase64(new Uint8Array([0x30, 3, 2, 1, 1])),
+      'PUBLIC KEY'
+    )
+    expect(() => publicKeyPemToSpki(pem)).toThrow(
+      'El DER no tiene la estructura de una clave pública SPKI.'
+    )
+  })
+
+  it('localiza los errores de Base64 y de cabeceras del PEM', () => {
+    const lineas = RSA.publica.split('\n')
+    lineas[3] = lineas[3].slice(0, 10) + '!' + lineas[3].slice(11)
+    expect(() => decodePem(lineas.join('\n'))).toThrow(
+      "El PEM contiene un carácter no Base64 ('!') en la línea 4."
+    )
+    expect(() => decodePem(RSA.publica.replace(/-----END.*/, ''))).toThrow(
+      'El PEM está cortado: falta la línea -----END PUBLIC KEY-----.'
+    )
+    expect(() =>
+      decodePem(RSA.publica.replace('END PUBLIC', 'END PRIVATE'))
+    ).toThrow(
+      'El PEM empieza con BEGIN PUBLIC KEY y termina con END PRIVATE KEY.'
+    )
+    expect(() => decodePem(pemToBase64(RSA.publica))).toThrow(
+      /^Parece Base64 sin las líneas/
+    )
+    expect(() => decodePem(RSA.publica + '\n' + ED25519.publica)).toThrow(
+      'Hay más de un bloque PEM: pega solo uno.'
+    )
+    expect(() => decodePem('hola')).toThrow(EncodingError)
+  })
+
+  it('valida el Base64 de la firma con los mismos mensajes', async () => {
+    const url = RSA.firmaPkcs1.replace(/\+/g, '-').replace(/\//g, '_')
+    const [hallazgo] = await diagnoseSignatureFailure({
+      publicKey: await importPublicKeyFromPEM(RSA.publica),
+      signatureB64: url,
+      data: datos,
+    })
+    expect(hallazgo.causa).toBe('formato')
+    expect(hallazgo.detalle).toMatch(
+      /^La firma contiene '[-_]' en la posición \d+: parece Base64url/
+    )
+  })
+})
+
+describe('firma y verificación', () => {
+  it.each([
+    { name: 'RSASSA-PKCS1-v1_5', modulusLength: 2048, hash: 'SHA-256' },
+    { name: 'RSA-PSS', modulusLength: 2048, hash: 'SHA-384' },
+    { name: 'ECDSA', namedCurve: 'P-384', hash: 'SHA-384' },
+    { name: 'Ed25519' },
+  ])('$name firma y verifica tras exportar a PEM', async (config) => {
+    const { privateKey, publicKey } = await generateKeyPair(config)
+    const sig = await signMessage(privateKey, datos, config.hash)
+    const publica = await importPublicKeyFromPEM(
+      await exportPublicKeyToPEM(publicKey),
+      { rsaScheme: config.name, hash: config.hash }
+    )
+
+    expect(await verifySignature(publica, sig, datos, config.hash)).toBe(true)
+    const alterado = new TextEncoder().encode(MENSAJE + '.')
+    expect(await verifySignature(publica, sig, alterado, config.hash)).toBe(
+      false
+    )
+  })
+
+  it('exporta la privada cifrada y solo la abre con su frase', async () => {
+    const { privateKey, publicKey } = await generateKeyPair({
+      name: 'ECDSA',
+      namedCurve: 'P-256',
+    })
+    const pem = await exportEncryptedPrivateKeyToPEM(
+      privateKey,
+      'correcta',
+      'AES-256-GCM'
+    )
+    expect(pemLabel(pem)).toBe('ENCRYPTED PRIVATE KEY')
+    expect(
+      await keysFormPair(pem, await exportPublicKeyToPEM(publicKey), 'correcta')
+    ).toBe(true)
+    await expect(
+      importPrivateKeyFromPEM(pem, { passphrase: 'incorrecta' })
+    ).rejects.toThrow(PassphraseError)
+  })
+
+  it('el hash por defecto es el de la curva en ECDSA y ninguno en RSA', () => {
+    const p384 = { algorithm: { name: 'ECDSA', namedCurve: 'P-384' } }
+    const rsa = { algorithm: { name: 'RSA-PSS', hash: { name: 'SHA-256' } } }
+    expect(defaultSigningHash(p384)).toBe('SHA-384')
+    expect(defaultSigningHash(p384, 'SHA-256')).toBe('SHA-256')
+    expect(defaultSigningHash(rsa, 'SHA-512')).toBeUndefined()
+  })
+})
+
+describe('diagnóstico de firmas fallidas', () => {
+  const diagnosticar = async (publica, signatureB64, mensaje, extra) =>
+    diagnoseSignatureFailure({
+      publicKey: await importPublicKeyFromPEM(publica),
+      signatureB64,
+      data: new TextEncoder().encode(mensaje),
+      ...extra,
+    })
+
+  it('un mensaje alterado con RSA PKCS#1 v1.5', async () => {
+    const [hallazgo] = await diagnosticar(
+      RSA.publica,
+      RSA.firmaPkcs1,
+      MENSAJE + '!'
+    )
+    expect(hallazgo.causa).toBe('mensaje')
+  })
+
+  // Sin hash elegido, como desde la línea de órdenes o el servicio: se compara
+  // con el de la clave y el motivo sigue siendo el mensaje
+  it('un mensaje alterado con una clave RSA de otro hash', async () => {
+    const clave = await generateKeyPair({
+      name: 'RSASSA-PKCS1-v1_5',
+      modulusLength: 2048,
+      hash: 'SHA-512',
+    })
+    const sig = bufToBase64(await signMessage(clave.privateKey, datos))
+    const alterado = new TextEncoder().encode(MENSAJE + '!')
+    const comoFirmo = await diagnoseSignatureFailure({
+      publicKey: clave.publicKey,
+      signatureB64: sig,
+      data: alterado,
+    })
+    expect(comoFirmo).toEqual([
+      {
+        causa: 'mensaje',
+        detalle: expect.stringContaining('contiene el resumen SHA-512 de'),
+      },
+    ])
+
+    const conSha256 = await importPublicKeyFromPEM(
+      await exportPublicKeyToPEM(clave.publicKey)
+    )
+    const hallazgos = await diagnoseSignatureFailure({
+      publicKey: conSha256,
+      signatureB64: sig,
+      data: alterado,
+    })
+    expect(hallazgos.map((h) => h.causa)).toEqual(['algoritmo', 'mensaje'])
+    expect(hallazgos[0].detalle).toBe(
+      'La firma se hizo con esta clave pero con SHA-512, no con SHA-256.'
+    )
+  })
+
+  it('una firma PSS verificada como PKCS#1 v1.5', async () => {
+    const [hallazgo] = await diagnosticar(RSA.publica, RSA.firmaPss, MENSAJE)
+    expect(hallazgo).toMatchObject({ causa: 'algoritmo' })
+    expect(hallazgo.detalle).toContain('RSA-PSS/SHA-256')
+  })
+
+  it('una firma truncada', async () => {
+    const [hallazgo] = await diagnosticar(
+      RSA.publica,
+      RSA.firmaPkcs1.slice(0, -4),
+      MENSAJE
+    )
+    expect(hallazgo.causa).toBe('formato')
+  })
+
+  it('una firma de otra clave conocida', async () => {
+    const otra = await generateKeyPair({
+      name: 'RSASSA-PKCS1-v1_5',
+      modulusLength: 2048,
+      hash: 'SHA-256',
+    })
+    const sig = bufToBase64(await signMessage(otra.privateKey, datos))
+    const hallazgos = await diagnosticar(RSA.publica, sig, MENSAJE, {
+      knownKeys: [{ name: 'Otra', publicKey: otra.publicKey }],
+    })
+    expect(hallazgos).toEqual([expect.objectContaining({ causa: 'clave' })])
+    expect(hallazgos[0].detalle).toContain('"Otra"')
+  })
+})
+
+describe('sin WebCrypto', () => {
+  afterEach(() => vi.unstubAllGlobals())
+
+  it('toda la biblioteca lanza CryptoUnavailableError', async () => {
+    const { privateKey, publicKey } = await generateKeyPair({ name: 'Ed25519' })
+    vi.stubGlobal('crypto', undefined)
+
+    // El PKCS#8 cifrado pasa antes por pbes2.js
+    await expect(
+      importPrivateKeyFromPEM(ECDSA_P256.privadaCifrada, {
+        passphrase: ECDSA_P256.frase,
+      })
+    ).rejects.toThrow(CryptoUnavailableError)
+    await expect(publicKeyFingerprint(publicKey)).rejects.toThrow(
+      CryptoUnavailableError
+    )
+    await expect(createJws(privateKey, publicKey, datos)).rejects.toThrow(
+      CryptoUnavailableError
+    )
+    expect(() => randomBytes(16)).toThrow(CryptoUnavailableError)
+  })
+})
@@ -0,0 +1,233 @@
+import { oidToString, readChildren, readDer } from './asn1.js'
+import {
+  FirmaError,
+  KeyTypeError,
+  UnsupportedAlgorithmError,
+} from './errors.js'
+import {
+  CURVE_OIDS,
+  bufToBase64,
+  pemEncode,
+  publicKeyPemToSpki,
+  randomBytes,
+  subtle,
+} from './firma.js'
+import { fingerprintText, publicKeyFingerprint } from './huella.js'
+import { base64UrlDecode, base64UrlEncode, parseJsonObject } from './jws.js'
+
+/* =================== CIFRADO HÍBRIDO (FIRMAR Y CIFRAR) =================== */
+
+// La clave pública de B solo cifra una clave AES-256-GCM de un solo uso
+// (RSA-OAEP) o se acuerda con una clave efímera (ECDH-ES + HKDF); el mensaje
+// lo cifra AES-GCM. El sobre sigue los nombres de JWE (`alg`, `enc`, `epk`,
+// `iv`) pero es un JSON propio, no un JWE.
+
+export const ALGORITMOS_CIFRADO = [
+  { name: 'RSA-OAEP', label: 'RSA-OAEP 2048 + AES-256-GCM' },
+  { name: 'ECDH', label: 'ECDH P-256 + AES-256-GCM' },
+]
+
+const OID_RSA = '1.2.840.113549.1.1.1'
+const HKDF_INFO = 'firma-digital ECDH-ES A256GCM'
+
+const utf8 = (text) => new TextEncoder().encode(text)
+const fromUtf8 = (bytes) => new TextDecoder().decode(bytes)
+
+export async function generateEncryptionKeyPair(name) {
+  return name === 'RSA-OAEP'
+    ? subtle().generateKey(
+        {
+          name,
+          modulusLength: 2048,
+          publicExponent: new Uint8Array([1, 0, 1]),
+          hash: 'SHA-256',
+        },
+        true,
+        ['encrypt', 'decrypt']
+      )
+    : subtle().generateKey({ name, namedCurve: 'P-256' }, true, ['deriveBits'])
+}
+
+export async function exportEncryptionPublicKey(publicKey) {
+  const spki = await subtle().exportKey('spki', publicKey)
+  return pemEncode(bufToBase64(spki), 'PUBLIC KEY')
+}
+
+// El SPKI distingue RSA de curva elíptica; el uso (OAEP o ECDH) lo decide
+// quien importa, igual que el esquema de firma en las claves RSA
+export async function importEncryptionPublicKey(pem) {
+  const spki = publicKeyPemToSpki(pem)
+  const algId = readDer(spki, readDer(spki, 0).start)
+  const [oid, param] = readChildren(spki, algId)
+  if (oidToString(spki.subarray(oid.start, oid.end)) === OID_RSA)
+    return subtle().importKey(
+      'spki',
+      spki,
+      { name: 'RSA-OAEP', hash: 'SHA-256' },
+      true,
+      ['encrypt']
+    )
+  const namedCurve =
+    param && CURVE_OIDS[oidToString(spki.subarray(param.start, param.end))]
+  if (!namedCurve)
+    throw new UnsupportedAlgorithmError(
+      'La clave de cifrado debe ser RSA o de curva P-256/384/521.'
+    )
+  return subtle().importKey(
+    'spki',
+    spki,
+    { name: 'ECDH', namedCurve },
+    true,
+    []
+  )
+}
+
+async function deriveEcdhKey(privateKey, publicKey) {
+  const shared = await subtle().deriveBits(
+    { name: 'ECDH', public: publicKey },
+    privateKey,
+    256
+  )
+  const ikm = await subtle().importKey('raw', shared, 'HKDF', false, [
+    'deriveKey',
+  ])
+  return subtle().deriveKey(
+    {
+      name: 'HKDF',
+      hash: 'SHA-256',
+      salt: new Uint8Array(),
+      info: utf8(HKDF_INFO),
+    },
+    ikm,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  )
+}
+
+// Los datos adicionales de AES-GCM cubren la cabecera: cambiar `alg` o la
+// clave encapsulada rompe el descifrado igual que tocar el texto cifrado
+const additionalData = ({ v, alg, enc, ek, epk }) =>
+  utf8(JSON.stringify({ v, alg, enc, ek, epk }))
+
+export async function encryptFor(recipientKey, plaintext) {
+  const header = { v: 1, enc: 'A256GCM' }
+  let contentKey
+  if (recipientKey.algorithm.name === 'RSA-OAEP') {
+    const raw = randomBytes(32)
+    contentKey = await subtle().importKey('raw', raw, 'AES-GCM', false, [
+      'encrypt',
+    ])
+    header.alg = 'RSA-OAEP-256'
+    header.ek = base64UrlEncode(
+      await subtle().encrypt({ name: 'RSA-OAEP' }, recipientKey, raw)
+    )
+  } else {
+    const ephemeral = await subtle().generateKey(
+      { name: 'ECDH', namedCurve: recipientKey.algorithm.namedCurve },
+      true,
+      ['deriveBits']
+    )
+    contentKey = await deriveEcdhKey(ephemeral.privateKey, recipientKey)
+    header.alg = 'ECDH-ES'
+    header.epk = base64UrlEncode(
+      await subtle().exportKey('spki', ephemeral.publicKey)
+    )
+  }
+
+  const iv = randomBytes(12)
+  const ciphertext = await subtle().encrypt(
+    { name: 'AES-GCM', iv, additionalData: additionalData(header) },
+    contentKey,
+    plaintext
+  )
+  return {
+    ...header,
+    iv: base64UrlEncode(iv),
+    ct: base64UrlEncode(ciphertext),
+  }
+}
+
+export async function decryptWith(privateKey, envelope) {
+  const { alg, enc, ek, epk, iv, ct } = envelope
+  if (enc !== 'A256GCM' || !['RSA-OAEP-256', 'ECDH-ES'].includes(alg))
+    throw new UnsupportedAlgorithmError(`Sobre no soportado (${alg} / ${enc}).`)
+  if ((alg === 'RSA-OAEP-256') !== (privateKey.algorithm.name === 'RSA-OAEP'))
+    throw new KeyTypeError(
+      `El sobre usa ${alg} y la clave de B es ${privateKey.algorithm.name}.`
+    )
+
+  let contentKey
+  try {
+    if (alg === 'RSA-OAEP-256') {
+      const raw = await subtle().decrypt(
+        { name: 'RSA-OAEP' },
+        privateKey,
+        base64UrlDecode(ek)
+      )
+      contentKey = await subtle().importKey('raw', raw, 'AES-GCM', false, [
+        'decrypt',
+      ])
+    } else {
+      const ephemeral = await subtle().importKey(
+        'spki',
+        base64UrlDecode(epk),
+        { name: 'ECDH', namedCurve: privateKey.algorithm.namedCurve },
+        false,
+        []
+      )
+      contentKey = await deriveEcdhKey(privateKey, ephemeral)
+    }
+    return new Uint8Array(
+      await subtle().decrypt(
+        {
+          name: 'AES-GCM',
+          iv: base64UrlDecode(iv),
+          additionalData: additionalData(envelope),
+        },
+        contentKey,
+        base64UrlDecode(ct)
+      )
+    )
+  } catch (err) {
+    throw new FirmaError(
+      'No se pudo descifrar: el sobre no va dirigido a esta clave o se ha alterado.',
+      { code: 'DECRYPTION', cause: err }
+    )
+  }
+}
+
+// La firma cubre también la huella del destinatario. Sin ella B podría
+// descifrar el mensaje firmado de A, cifrarlo para C y C creería que A se lo
+// escribió a él (reenvío subrepticio, Davis 2001).
+const signedContent = (para, mensaje) => utf8(JSON.stringify({ para, mensaje }))
+
+export async function signThenEncrypt({ sign, recipientKey, message }) {
+  const para = fingerprintText(await publicKeyFingerprint(recipientKey))
+  const firma = base64UrlEncode(await sign(signedContent(para, message)))
+  return encryptFor(
+    recipientKey,
+    utf8(JSON.stringify({ para, mensaje: message, firma }))
+  )
+}
+
+export async function decryptThenVerify({
+  verify,
+  decryptionKey,
+  recipientKey,
+  envelope,
+}) {
+  const { para, mensaje, firma } = parseJsonObject(
+    fromUtf8(await decryptWith(decryptionKey, envelope)),
+    'El mensaje descifrado'
+  )
+  const propia = fingerprintText(await publicKeyFingerprint(recipientKey))
+  return {
+    mensaje,
+    paraMi: para === propia,
+    firmaValida: await verify(
+      signedContent(para, mensaje),
+      base64UrlDecode(firma)
+    ),
+  }
+}
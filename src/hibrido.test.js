@@ -0,0 +1,131 @@
+import { describe, expect, it } from 'vitest'
+import {
+  FirmaError,
+  KeyTypeError,
+  UnsupportedAlgorithmError,
+  generateKeyPair,
+  signMessage,
+  verifySignature,
+} from './firma'
+import {
+  decryptThenVerify,
+  decryptWith,
+  encryptFor,
+  exportEncryptionPublicKey,
+  generateEncryptionKeyPair,
+  importEncryptionPublicKey,
+  signThenEncrypt,
+} from './hibrido'
+import { base64UrlDecode, base64UrlEncode } from './jws'
+
+const utf8 = (text) => new TextEncoder().encode(text)
+const texto = (bytes) => new TextDecoder().decode(bytes)
+
+// B publica su clave en PEM y A la importa, como en la interfaz
+async function destinatario(name) {
+  const claves = await generateEncryptionKeyPair(name)
+  const publica = await importEncryptionPublicKey(
+    await exportEncryptionPublicKey(claves.publicKey)
+  )
+  return { ...claves, publica }
+}
+
+const noDescifra = { name: 'FirmaError', code: 'DECRYPTION' }
+
+describe.each(['RSA-OAEP', 'ECDH'])('cifrado híbrido con %s', (name) => {
+  it('A firma y cifra para B, y B descifra y verifica', async () => {
+    const b = await destinatario(name)
+    const a = await generateKeyPair({ name: 'Ed25519' })
+    const sobre = await signThenEncrypt({
+      sign: (datos) => signMessage(a.privateKey, datos),
+      recipientKey: b.publica,
+      message: 'Reunión a las 9',
+    })
+    expect(sobre).toMatchObject({
+      v: 1,
+      enc: 'A256GCM',
+      alg: name === 'RSA-OAEP' ? 'RSA-OAEP-256' : 'ECDH-ES',
+    })
+    expect(JSON.stringify(sobre)).not.toContain('Reunión')
+
+    const abierto = await decryptThenVerify({
+      verify: (datos, firma) => verifySignature(a.publicKey, firma, datos),
+      decryptionKey: b.privateKey,
+      recipientKey: b.publicKey,
+      envelope: sobre,
+    })
+    expect(abierto).toEqual({
+      mensaje: 'Reunión a las 9',
+      paraMi: true,
+      firmaValida: true,
+    })
+  })
+
+  it('otra clave no abre el sobre', async () => {
+    const b = await destinatario(name)
+    const c = await destinatario(name)
+    const sobre = await encryptFor(b.publica, utf8('solo para B'))
+    await expect(decryptWith(c.privateKey, sobre)).rejects.toMatchObject(
+      noDescifra
+    )
+    expect(texto(await decryptWith(b.privateKey, sobre))).toBe('solo para B')
+  })
+
+  it('no descifra si se altera el texto cifrado o la cabecera', async () => {
+    const b = await destinatario(name)
+    const sobre = await encryptFor(b.publica, utf8('importe: 100 €'))
+    const ct = base64UrlDecode(sobre.ct)
+    ct[0] ^= 0x01
+    await expect(
+      decryptWith(b.privateKey, { ...sobre, ct: base64UrlEncode(ct) })
+    ).rejects.toMatchObject(noDescifra)
+    await expect(
+      decryptWith(b.privateKey, { ...sobre, v: 2 })
+    ).rejects.toMatchObject(noDescifra)
+  })
+
+  it('B no puede reenviar a C el mensaje firmado como si fuera para C', async () => {
+    const b = await destinatario(name)
+    const c = await destinatario(name)
+    const a = await generateKeyPair({ name: 'Ed25519' })
+    const paraB = await signThenEncrypt({
+      sign: (datos) => signMessage(a.privateKey, datos),
+      recipientKey: b.publica,
+      message: 'Te debo 10 €',
+    })
+    const reenviado = await encryptFor(
+      c.publica,
+      await decryptWith(b.privateKey, paraB)
+    )
+    const abierto = await decryptThenVerify({
+      verify: (datos, firma) => verifySignature(a.publicKey, firma, datos),
+      decryptionKey: c.privateKey,
+      recipientKey: c.publicKey,
+      envelope: reenviado,
+    })
+    expect(abierto).toMatchObject({ paraMi: false, firmaValida: true })
+  })
+})
+
+describe('errores del cifrado híbrido', () => {
+  it('rechaza un sobre de otro tipo o para otra clase de clave', async () => {
+    const rsa = await destinatario('RSA-OAEP')
+    const ecdh = await destinatario('ECDH')
+    const sobre = await encryptFor(rsa.publica, utf8('hola'))
+    await expect(decryptWith(ecdh.privateKey, sobre)).rejects.toThrow(
+      KeyTypeError
+    )
+    await expect(
+      decryptWith(rsa.privateKey, { ...sobre, enc: 'A128CBC-HS256' })
+    ).rejects.toThrow(UnsupportedAlgorithmError)
+  })
+
+  it('solo importa claves RSA o de curva NIST', async () => {
+    const ed = await generateKeyPair({ name: 'Ed25519' })
+    const pem = await exportEncryptionPublicKey(ed.publicKey)
+    await expect(importEncryptionPublicKey(pem)).rejects.toThrow(
+      UnsupportedAlgorithmError
+    )
+    await expect(importEncryptionPublicKey(pem)).rejects.toThrow(FirmaError)
+  })
+})
@@ -0,0 +1,75 @@
+import { subtle, toHex } from './firma.js'
+
+/* ==================== HUELLAS DE CLAVE PÚBLICA ==================== */
+
+// La huella es el SHA-256 del SPKI (DER) de la clave: la misma que calcula
+// `openssl pkey -pubin -outform DER | openssl dgst -sha256`. Las formas cortas
+// (palabras, emoji) solo cubren los primeros bits y sirven para comparar en
+// voz alta o a simple vista; la huella hexadecimal completa es la referencia.
+
+// 256 palabras sin tildes ni eñes, fáciles de dictar: una por byte
+const PALABRAS = (
+  'abeja abrigo aceite agua aguila ajedrez alba alfombra almendra alondra ' +
+  'ancla anillo antena arado arbol arena armario arpa arroz ascensor atlas ' +
+  'avion azucar ballena balcon bambu banco bandera barco barril baston baul ' +
+  'bellota bicicleta bigote bisonte bosque botella brujula bufanda buho burro ' +
+  'caballo cabra cactus cadena cafe caja calabaza caldero camello camino ' +
+  'campana canoa cangrejo caracol carbon carpa carta castillo cebolla cereza ' +
+  'cesta ciervo cigarra cisne clavel cobre cohete collar cometa concha conejo ' +
+  'copa corcho cordero corona cuaderno cuerda cuervo dado delfin diamante ' +
+  'dragon ducha escalera escoba espada espejo esponja estrella estufa faro ' +
+  'flauta foca fresa fuente gacela gaita galleta ganso gato gaviota girasol ' +
+  'globo gorila gorra granero grillo grulla guante guitarra gusano hacha ' +
+  'halcon hamaca harina helecho hielo higo hormiga hueso huevo iglu iman isla ' +
+  'jabali jabon jardin jarra jirafa joya koala ladrillo lagarto lago lampara ' +
+  'lana langosta lapiz laurel leche lechuza leon libro limon lince linterna ' +
+  'lirio lobo loro luna madera maleta manzana mapa mariposa martillo medusa ' +
+  'melon mesa miel mochila molino mono montana mosca muralla naranja navaja ' +
+  'nido niebla nube nuez oasis oca oliva olla oruga oso ostra oveja pajaro ' +
+  'paloma pan panda pantera papel paraguas pato pavo peine pelota pera perla ' +
+  'pez piano pimienta pino pinza pirata pizarra planeta playa pluma puente ' +
+  'puerta pulpo queso rana raton red reloj remo rio roble roca rosa rueda ' +
+  'sandia sapo sarten seta silla sirena sombrero sol tambor taza tejado ' +
+  'tenedor tigre tijera tiza tomate topo tornillo torre tortuga trigo ' +
+  'trompeta trueno tulipan uva vaca vela velero ventana violin volcan yate ' +
+  'yegua yunque zanahoria zapato zorro'
+).split(' ')
+
+// 64 emoji distinguibles entre sí: uno por cada 6 bits
+const EMOJI = (
+  '🐶 🐱 🐭 🐰 🦊 🐻 🐼 🐨 🐯 🦁 🐮 🐷 🐸 🐵 🐔 🐧 ' +
+  '🐦 🦆 🦉 🐴 🦄 🐝 🐛 🦋 🐌 🐞 🐢 🐍 🐙 🦀 🐟 🐬 ' +
+  '🐳 🦈 🐘 🦒 🌵 🌲 🌻 🌹 🍄 🌙 ⭐ 🔥 🌈 ❄️ 🍎 🍌 ' +
+  '🍇 🍓 🍒 🍋 🥕 🌽 🍞 🧀 ⚽ 🎸 🎈 🔑 ⚓ 🚲 ✈️ 🚀'
+).split(' ')
+
+export async function publicKeyFingerprint(publicKey) {
+  const spki = await subtle().exportKey('spki', publicKey)
+  return new Uint8Array(await subtle().digest('SHA-256', spki))
+}
+
+// Presentación al estilo de `ssh-keygen -l` (SHA256: y Base64 sin relleno),
+// aunque OpenSSH resume su propio formato de clave y no el SPKI
+export function fingerprintText(fingerprint) {
+  return (
+    'SHA256:' + btoa(String.fromCharCode(...fingerprint)).replace(/=+$/, '')
+  )
+}
+
+export function fingerprintHex(fingerprint) {
+  return toHex(fingerprint).toUpperCase().match(/.{4}/g).join(' ')
+}
+
+export function fingerprintWords(fingerprint, count = 8) {
+  return Array.from(fingerprint.subarray(0, count), (b) => PALABRAS[b])
+}
+
+export function fingerprintEmoji(fingerprint, count = 11) {
+  const result = []
+  for (let i = 0; i < count; i++) {
+    const bit = i * 6
+    const pair = (fingerprint[bit >> 3] << 8) | fingerprint[(bit >> 3) + 1]
+    result.push(EMOJI[(pair >> (10 - (bit & 7))) & 0x3f])
+  }
+  return result
+}
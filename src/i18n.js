@@ -0,0 +1,60 @@
+import en from './locales/en.js'
+import es from './locales/es.js'
+
+/* ========================== IDIOMAS ========================== */
+
+// Los textos de la interfaz salen de un catálogo por idioma con claves
+// planas ('emisor.titulo') y marcas {nombre} para los valores. Un Error se
+// muestra con su mensaje y una fecha con el formato del idioma.
+//
+// La biblioteca (firma.js, x509.js, ataques.js...) habla español porque
+// también la usa la línea de órdenes. En otro idioma, sus textos con un
+// código estable se sustituyen por la entrada `biblioteca.*` del catálogo;
+// los que no lo tienen se muestran tal cual. Los resultados que devuelve con
+// un código y sus valores, como las comprobaciones de validateChain
+// (`cadena.*`), se traducen como cualquier otra clave.
+
+export const LANGUAGES = [
+  { code: 'es', label: 'Español' },
+  { code: 'en', label: 'English' },
+]
+
+export const MESSAGES = { es, en }
+
+// La preferencia guardada y, si no hay, el primer idioma del navegador que
+// tenga catálogo
+export function detectLanguage(stored, preferred = []) {
+  const codes = LANGUAGES.map((l) => l.code)
+  if (codes.includes(stored)) return stored
+  const match = preferred
+    .map((tag) => tag.toLowerCase().split('-')[0])
+    .find((code) => codes.includes(code))
+  return match || 'es'
+}
+
+export function createTranslator(lang) {
+  const mensajes = MESSAGES[lang] || MESSAGES.es
+
+  const libraryText = (key, original) =>
+    lang !== 'es' && key in mensajes ? mensajes[key] : original
+
+  const errorText = (err) =>
+    err instanceof Error
+      ? libraryText(`biblioteca.error.${err.code}`, err.message)
+      : String(err)
+
+  const valor = (v) =>
+    v instanceof Error
+      ? errorText(v)
+      : v instanceof Date
+      ? v.toLocaleString(lang)
+      : v
+
+  const t = (key, params = {}) =>
+    (mensajes[key] ?? MESSAGES.es[key] ?? key).replace(
+      /\{(\w+)\}/g,
+      (marca, nombre) => (nombre in params ? valor(params[nombre]) : marca)
+    )
+
+  return { lang, t, libraryText, errorText }
+}
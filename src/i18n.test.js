@@ -0,0 +1,120 @@
+import { describe, expect, it } from 'vitest'
+import { ESCENARIOS } from './ataques'
+import { OPERACIONES_AUDITORIA, RESULTADOS_AUDITORIA } from './auditoria'
+import { EncodingError, FirmaError } from './errors'
+import { LANGUAGES, MESSAGES, createTranslator, detectLanguage } from './i18n'
+import { MOTIVOS_REVOCACION } from './revocacion'
+
+describe('detectLanguage', () => {
+  it('prefiere el idioma guardado', () => {
+    expect(detectLanguage('en', ['es-ES'])).toBe('en')
+  })
+
+  it('si no hay, usa el primer idioma del navegador con catálogo', () => {
+    expect(detectLanguage(null, ['fr-FR', 'en-GB', 'es'])).toBe('en')
+    expect(detectLanguage('de', ['ES-mx'])).toBe('es')
+  })
+
+  it('y si ninguno tiene catálogo, español', () => {
+    expect(detectLanguage(null, ['fr', 'de'])).toBe('es')
+    expect(detectLanguage(undefined)).toBe('es')
+  })
+})
+
+describe('createTranslator', () => {
+  const es = createTranslator('es')
+  const en = createTranslator('en')
+
+  it('sustituye las marcas por los valores', () => {
+    expect(en.t('aviso.certificadoRechazado', { sujeto: 'Ana' })).toBe(
+      'Certificate of "Ana" rejected: review the checks.'
+    )
+    expect(es.t('multifirma.deN', { n: 3 })).toBe('de 3 firmas')
+  })
+
+  it('deja las marcas sin valor como están', () => {
+    expect(es.t('multifirma.deN')).toBe('de {n} firmas')
+  })
+
+  it('muestra un Error por su mensaje y una fecha con el formato del idioma', () => {
+    const fecha = new Date(Date.UTC(2026, 0, 2, 3, 4, 5))
+    expect(es.t('error.firmar', { error: new Error('sin clave') })).toBe(
+      'Error firmando: sin clave'
+    )
+    expect(en.t('multifirma.firmoEl', { fecha })).toBe(
+      `Signed on ${fecha.toLocaleString('en')}`
+    )
+  })
+
+  it('recurre al español y después a la propia clave', () => {
+    MESSAGES.es['prueba.soloEs'] = 'solo en español'
+    try {
+      expect(en.t('prueba.soloEs')).toBe('solo en español')
+    } finally {
+      delete MESSAGES.es['prueba.soloEs']
+    }
+    expect(en.t('no.existe')).toBe('no.existe')
+  })
+
+  it('traduce los textos de la biblioteca por su código fuera del español', () => {
+    const err = new EncodingError('El PEM está truncado.')
+    expect(es.errorText(err)).toBe('El PEM está truncado.')
+    expect(en.errorText(err)).toBe(
+      'The PEM, Base64 or DER data is malformed or truncated.'
+    )
+    expect(en.errorText(new FirmaError('Sin código propio.'))).toBe(
+      'Sin código propio.'
+    )
+    expect(en.errorText('texto')).toBe('texto')
+    expect(en.t('error.importarClave', { error: err })).toBe(
+      'Error importing key: The PEM, Base64 or DER data is malformed or truncated.'
+    )
+  })
+})
+
+describe('catálogos', () => {
+  const claves = (code) => Object.keys(MESSAGES[code])
+
+  it('hay un catálogo por idioma', () => {
+    expect(Object.keys(MESSAGES)).toEqual(LANGUAGES.map((l) => l.code))
+  })
+
+  it('todo idioma tiene las claves del español y solo añade las de la biblioteca', () => {
+    for (const { code } of LANGUAGES) {
+      expect(claves('es').filter((k) => !(k in MESSAGES[code]))).toEqual([])
+      expect(
+        claves(code).filter(
+          (k) => !(k in MESSAGES.es) && !k.startsWith('biblioteca.')
+        )
+      ).toEqual([])
+    }
+  })
+
+  it('las mismas marcas en cada traducción', () => {
+    const marcas = (texto) => (texto.match(/\{\w+\}/g) || []).sort()
+    for (const clave of claves('es'))
+      expect([clave, marcas(MESSAGES.en[clave])]).toEqual([
+        clave,
+        marcas(MESSAGES.es[clave]),
+      ])
+  })
+
+  it('el inglés cubre los escenarios, motivos y registros de la biblioteca', () => {
+    const esperadas = [
+      ...ESCENARIOS.flatMap(({ id }) =>
+        ['titulo', 'resumen', 'pasos'].map(
+          (campo) => `biblioteca.ataque.${id}.${campo}`
+        )
+      ),
+      ...MOTIVOS_REVOCACION.map(({ code }) => `biblioteca.motivo.${code}`),
+      ...[...OPERACIONES_AUDITORIA, ...RESULTADOS_AUDITORIA].map(
+        ({ code }) => `biblioteca.auditoria.${code}`
+      ),
+    ]
+    expect(esperadas.filter((k) => !(k in MESSAGES.en))).toEqual([])
+    for (const { id, pasos } of ESCENARIOS)
+      expect(MESSAGES.en[`biblioteca.ataque.${id}.pasos`]).toHaveLength(
+        pasos.length
+      )
+  })
+})
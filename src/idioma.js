@@ -0,0 +1,8 @@
+import { createContext, useContext } from 'react'
+import { createTranslator } from './i18n'
+
+// FirmaDigitalCompleto da el traductor del idioma elegido a todas las
+// secciones; fuera de él (pruebas, otra página) hablan español
+export const IdiomaContext = createContext(createTranslator('es'))
+
+export const useIdioma = () => useContext(IdiomaContext)
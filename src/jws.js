@@ -0,0 +1,242 @@
+import {
+  EncodingError,
+  FirmaError,
+  UnsupportedAlgorithmError,
+} from './errors.js'
+import { subtle } from './webcrypto.js'
+
+/* ================== PAQUETE DE FIRMA (JWS, RFC 7515) ================== */
+
+// Serialización JSON aplanada con la clave pública del firmante en `jwk`, su
+// huella RFC 7638 en `kid` y la hora de firma en `iat`. Los parámetros
+// propios (`iat`, `sha256`) no van en `crit`, así que cualquier librería JOSE
+// los ignora y verifica el paquete igual. Las cargas grandes van separadas
+// (RFC 7515, apéndice F) y el receptor aporta el archivo. El sello de tiempo,
+// si lo hay, va en la cabecera no protegida (`tst`) porque cubre la firma.
+
+export const MAX_EMBEDDED_PAYLOAD = 1024 * 1024
+
+const JWS_ALGS = {
+  RS256: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+  RS384: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-384' },
+  RS512: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-512' },
+  PS256: { name: 'RSA-PSS', hash: 'SHA-256', saltLength: 32 },
+  PS384: { name: 'RSA-PSS', hash: 'SHA-384', saltLength: 48 },
+  PS512: { name: 'RSA-PSS', hash: 'SHA-512', saltLength: 64 },
+  ES256: { name: 'ECDSA', namedCurve: 'P-256', hash: 'SHA-256' },
+  ES384: { name: 'ECDSA', namedCurve: 'P-384', hash: 'SHA-384' },
+  ES512: { name: 'ECDSA', namedCurve: 'P-521', hash: 'SHA-512' },
+  EdDSA: { name: 'Ed25519' },
+}
+
+// Miembros requeridos de RFC 7638, en orden lexicográfico
+const THUMBPRINT_MEMBERS = {
+  RSA: ['e', 'kty', 'n'],
+  EC: ['crv', 'kty', 'x', 'y'],
+  OKP: ['crv', 'kty', 'x'],
+}
+
+export function base64UrlEncode(data) {
+  const bytes = new Uint8Array(data)
+  let binary = ''
+  for (let i = 0; i < bytes.length; i += 0x8000)
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000))
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+export function base64UrlDecode(text) {
+  if (!/^[A-Za-z0-9_-]*$/.test(text))
+    throw new EncodingError('Base64url inválido en el paquete JWS.')
+  let binary
+  try {
+    binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'))
+  } catch (err) {
+    // Sobra un carácter: ninguna longitud de Base64 deja 1 de resto entre 4
+    throw new EncodingError('Base64url inválido en el paquete JWS.', {
+      cause: err,
+    })
+  }
+  const bytes = new Uint8Array(binary.length)
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i)
+  return bytes
+}
+
+const utf8 = (text) => new TextEncoder().encode(text)
+
+/**
+ * JSON.parse de lo que debe ser un objeto, con un EncodingError que nombra
+ * qué se estaba leyendo (`what`) en lugar del SyntaxError del motor.
+ */
+export function parseJsonObject(text, what) {
+  let value
+  try {
+    value = JSON.parse(text)
+  } catch (err) {
+    throw new EncodingError(`${what} no es un JSON válido.`, { cause: err })
+  }
+  if (!value || typeof value !== 'object' || Array.isArray(value))
+    throw new EncodingError(`${what} debe ser un objeto JSON.`)
+  return value
+}
+
+export function jwsAlgorithm(key, hash) {
+  const { name, namedCurve } = key.algorithm
+  const keyHash = key.algorithm.hash ? key.algorithm.hash.name : hash
+  const alg = Object.keys(JWS_ALGS).find((candidate) => {
+    const params = JWS_ALGS[candidate]
+    return (
+      params.name === name &&
+      (!params.hash || params.hash === keyHash) &&
+      (!params.namedCurve || params.namedCurve === namedCurve)
+    )
+  })
+  if (!alg)
+    throw new UnsupportedAlgorithmError(
+      `JWS no define un algoritmo para ${[name, namedCurve, keyHash]
+        .filter(Boolean)
+        .join(' ')}.`
+    )
+  return alg
+}
+
+export async function publicJwk(publicKey) {
+  const { kty, crv, n, e, x, y } = await subtle().exportKey('jwk', publicKey)
+  return JSON.parse(JSON.stringify({ kty, crv, n, e, x, y }))
+}
+
+export async function jwkThumbprint(jwk) {
+  const members = THUMBPRINT_MEMBERS[jwk.kty]
+  if (!members)
+    throw new UnsupportedAlgorithmError(
+      `Tipo de clave JWK desconocido: ${jwk.kty}.`
+    )
+  const canonical = `{${members
+    .map((member) => `"${member}":"${jwk[member]}"`)
+    .join(',')}}`
+  return base64UrlEncode(await subtle().digest('SHA-256', utf8(canonical)))
+}
+
+export async function createJws(
+  privateKey,
+  publicKey,
+  payload,
+  {
+    hash,
+    detached = payload.byteLength > MAX_EMBEDDED_PAYLOAD,
+    extraHeader = {},
+  } = {}
+) {
+  const jwk = await publicJwk(publicKey)
+  const alg = jwsAlgorithm(privateKey, hash)
+  const header = {
+    alg,
+    typ: 'JOSE+JSON',
+    kid: await jwkThumbprint(jwk),
+    jwk,
+    iat: Math.floor(Date.now() / 1000),
+    sha256: base64UrlEncode(await subtle().digest('SHA-256', payload)),
+    ...extraHeader,
+  }
+  const encodedHeader = base64UrlEncode(utf8(JSON.stringify(header)))
+  const encodedPayload = base64UrlEncode(payload)
+  const signature = await subtle().sign(
+    JWS_ALGS[alg],
+    privateKey,
+    utf8(`${encodedHeader}.${encodedPayload}`)
+  )
+
+  const jws = {
+    protected: encodedHeader,
+    signature: base64UrlEncode(signature),
+  }
+  if (!detached) jws.payload = encodedPayload
+  return jws
+}
+
+export function toCompact(jws) {
+  return `${jws.protected}.${jws.payload || ''}.${jws.signature}`
+}
+
+// Acepta la serialización compacta y la JSON (aplanada o general con una
+// sola firma)
+export function parseJws(text) {
+  const firmas = parseJwsSignatures(text)
+  if (firmas.length !== 1)
+    throw new EncodingError(
+      `El paquete JWS tiene ${firmas.length} firmas: verifícalo en la sección Multifirma.`
+    )
+  return firmas[0]
+}
+
+// Todas las firmas del paquete, que comparten la carga
+export function parseJwsSignatures(text) {
+  const trimmed = text.trim()
+  if (!trimmed.startsWith('{')) {
+    const parts = trimmed.split('.')
+    if (parts.length !== 3)
+      throw new EncodingError(
+        'JWS compacto inválido: se esperaban tres partes.'
+      )
+    return [parseSignature(...parts)]
+  }
+
+  const json = parseJsonObject(trimmed, 'El paquete JWS')
+  const signatures = json.signatures || [json]
+  if (!Array.isArray(signatures) || signatures.length === 0)
+    throw new EncodingError('El paquete JWS no tiene ninguna firma.')
+  return signatures.map((sig) =>
+    parseSignature(sig?.protected, json.payload, sig?.signature, sig?.header)
+  )
+}
+
+function parseSignature(
+  encodedHeader,
+  encodedPayload,
+  encodedSignature,
+  unprotectedHeader = {}
+) {
+  if (!encodedHeader || !encodedSignature)
+    throw new EncodingError('Al paquete JWS le falta la cabecera o la firma.')
+  const header = parseJsonObject(
+    new TextDecoder().decode(base64UrlDecode(encodedHeader)),
+    'La cabecera del paquete JWS'
+  )
+  if (!JWS_ALGS[header.alg])
+    throw new UnsupportedAlgorithmError(
+      `Algoritmo JWS no soportado: ${header.alg}.`
+    )
+  if (header.crit)
+    throw new FirmaError('El paquete exige parámetros críticos desconocidos.', {
+      code: 'UNSUPPORTED_CRITICAL',
+    })
+
+  return {
+    header,
+    encodedHeader,
+    unprotectedHeader,
+    payload: encodedPayload ? base64UrlDecode(encodedPayload) : null,
+    signature: base64UrlDecode(encodedSignature),
+  }
+}
+
+export async function importJwsKey(jwk, alg) {
+  const { name, hash, namedCurve } = JWS_ALGS[alg]
+  return subtle().importKey(
+    'jwk',
+    { ...jwk, ext: true },
+    { name, hash, namedCurve },
+    true,
+    ['verify']
+  )
+}
+
+export async function verifyJws(parsed, jwk, detachedPayload) {
+  const payload = parsed.payload || new Uint8Array(detachedPayload)
+  const key = await importJwsKey(jwk, parsed.header.alg)
+  return subtle().verify(
+    JWS_ALGS[parsed.header.alg],
+    key,
+    parsed.signature,
+    utf8(`${parsed.encodedHeader}.${base64UrlEncode(payload)}`)
+  )
+}
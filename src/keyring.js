@@ -0,0 +1,211 @@
+import { FirmaError, subtle } from './firma.js'
+
+/* ===================== LLAVERO LOCAL (IndexedDB) ===================== */
+
+// Los CryptoKey se guardan tal cual: IndexedDB los clona respetando el flag
+// `extractable`, así que una clave privada no exportable sigue sin poder
+// leerse después de recargar la página.
+//
+// Aparte se guardan las huellas marcadas como de confianza tras compararlas
+// con su dueño por otro canal, el registro de auditoría (./auditoria.js),
+// que solo crece, y las claves de sellado de tiempo: el par de la TSA local y
+// las claves públicas de otras TSA en las que confía el receptor.
+
+const DB_NAME = 'firma-digital'
+const DB_VERSION = 4
+const STORE = 'claves'
+const TRUST_STORE = 'confianza'
+const AUDIT_STORE = 'auditoria'
+const TSA_STORE = 'tsa'
+const OWN_TSA = 'propia'
+
+function openDb() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION)
+    req.onupgradeneeded = () => {
+      const db = req.result
+      if (!db.objectStoreNames.contains(STORE))
+        db.createObjectStore(STORE, { keyPath: 'id' })
+      if (!db.objectStoreNames.contains(TRUST_STORE))
+        db.createObjectStore(TRUST_STORE, { keyPath: 'fingerprint' })
+      if (!db.objectStoreNames.contains(AUDIT_STORE))
+        db.createObjectStore(AUDIT_STORE, { keyPath: 'seq' })
+      if (!db.objectStoreNames.contains(TSA_STORE))
+        db.createObjectStore(TSA_STORE, { keyPath: 'id' })
+    }
+    req.onsuccess = () => resolve(req.result)
+    req.onerror = () => reject(req.error)
+  })
+}
+
+async function withStore(mode, fn, name = STORE) {
+  const db = await openDb()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(name, mode)
+    let result
+    Promise.resolve(fn(tx.objectStore(name))).then(
+      (value) => {
+        result = value
+      },
+      (err) => {
+        reject(err)
+        // Una petición fallida ya ha abortado la transacción por su cuenta
+        if (!tx.error) tx.abort()
+      }
+    )
+    tx.oncomplete = () => {
+      db.close()
+      resolve(result)
+    }
+    tx.onerror = tx.onabort = () => {
+      db.close()
+      reject(tx.error)
+    }
+  })
+}
+
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result)
+    req.onerror = () => reject(req.error)
+  })
+}
+
+async function toNonExtractable(privateKey) {
+  if (!privateKey.extractable) return privateKey
+  const pkcs8 = await subtle().exportKey('pkcs8', privateKey)
+  return subtle().importKey(
+    'pkcs8',
+    pkcs8,
+    privateKey.algorithm,
+    false,
+    privateKey.usages
+  )
+}
+
+export async function listKeys() {
+  const records = await withStore('readonly', (store) =>
+    request(store.getAll())
+  )
+  return records.sort((a, b) => a.createdAt - b.createdAt)
+}
+
+export async function saveKeyPair(
+  name,
+  { privateKey, publicKey },
+  { extractable = true } = {}
+) {
+  const record = {
+    id: crypto.randomUUID(),
+    name,
+    kind: 'pair',
+    createdAt: Date.now(),
+    privateKey: extractable ? privateKey : await toNonExtractable(privateKey),
+    publicKey,
+  }
+  await withStore('readwrite', (store) => request(store.add(record)))
+  return record
+}
+
+export async function savePublicKey(name, publicKey) {
+  const record = {
+    id: crypto.randomUUID(),
+    name,
+    kind: 'public',
+    createdAt: Date.now(),
+    publicKey,
+  }
+  await withStore('readwrite', (store) => request(store.add(record)))
+  return record
+}
+
+export async function renameKey(id, name) {
+  return withStore('readwrite', async (store) => {
+    const record = await request(store.get(id))
+    if (!record)
+      throw new FirmaError('La clave ya no existe en el llavero.', {
+        code: 'KEY_NOT_FOUND',
+      })
+    await request(store.put({ ...record, name }))
+  })
+}
+
+export async function deleteKey(id) {
+  return withStore('readwrite', (store) => request(store.delete(id)))
+}
+
+export async function listTrustedFingerprints() {
+  return withStore('readonly', (store) => request(store.getAll()), TRUST_STORE)
+}
+
+export async function trustFingerprint(fingerprint, name) {
+  const record = { fingerprint, name, trustedAt: Date.now() }
+  await withStore(
+    'readwrite',
+    (store) => request(store.put(record)),
+    TRUST_STORE
+  )
+  return record
+}
+
+export async function untrustFingerprint(fingerprint) {
+  return withStore(
+    'readwrite',
+    (store) => request(store.delete(fingerprint)),
+    TRUST_STORE
+  )
+}
+
+// En orden de `seq`, que es la clave del almacén
+export async function listAuditEntries() {
+  return withStore('readonly', (store) => request(store.getAll()), AUDIT_STORE)
+}
+
+// `add` falla si ya hay una entrada con ese `seq`: nunca se sobrescribe
+export async function addAuditEntry(entry) {
+  await withStore(
+    'readwrite',
+    (store) => request(store.add(entry)),
+    AUDIT_STORE
+  )
+  return entry
+}
+
+export async function getOwnTsa() {
+  return withStore(
+    'readonly',
+    (store) => request(store.get(OWN_TSA)),
+    TSA_STORE
+  )
+}
+
+// `add` no pisa un par ya guardado, que invalidaría todos sus sellos
+export async function saveOwnTsa({ privateKey, publicKey }) {
+  const record = { id: OWN_TSA, privateKey, publicKey, createdAt: Date.now() }
+  await withStore('readwrite', (store) => request(store.add(record)), TSA_STORE)
+  return record
+}
+
+export async function listTrustedTsaKeys() {
+  const records = await withStore(
+    'readonly',
+    (store) => request(store.getAll()),
+    TSA_STORE
+  )
+  return records.filter((record) => record.id !== OWN_TSA)
+}
+
+// Por su huella, que nunca coincide con el id de la TSA propia
+export async function trustTsaKey(fingerprint, publicKey) {
+  const record = { id: fingerprint, publicKey, trustedAt: Date.now() }
+  await withStore('readwrite', (store) => request(store.put(record)), TSA_STORE)
+  return record
+}
+
+export async function untrustTsaKey(fingerprint) {
+  return withStore(
+    'readwrite',
+    (store) => request(store.delete(fingerprint)),
+    TSA_STORE
+  )
+}
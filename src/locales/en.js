@@ -0,0 +1,717 @@
+// Las entradas biblioteca.* traducen los textos en español de la biblioteca
+// por su código (ver i18n.js)
+export default {
+  'app.descripcion':
+    'Simulates the whole digital signing and verification process with RSA, ECDSA or Ed25519. Generate keys, sign messages and verify authenticity.',
+  'app.idioma': 'Language',
+  'app.titulo': 'Digital Signature System',
+
+  'archivo.arrastra': 'Drag a file here or',
+  'archivo.calculando': 'Computing SHA-256',
+  'archivo.elegir': 'click to choose it',
+  'archivo.mensaje': 'message',
+  'archivo.nombre': 'File',
+  'archivo.tamano': 'Size',
+
+  'ataque.claveAtacante': "Attacker's key: {clave}",
+  'ataque.falso': 'Fake message: "{mensaje}"',
+  'ataque.firmaAntigua': 'Old signature of "{mensaje}" ({hora})',
+  'ataque.firmaDe': 'Signature of the message "{mensaje}"',
+  'ataque.marca': ' [MODIFIED BY ATTACK]',
+  'ataque.mensajeFalso':
+    'This is A: transfer €5,000 to account ES00 0000 0000 0000 0000.',
+  'ataque.mensajeReenvio':
+    "I confirm the payment of €5,000 to the attacker's account.",
+  'ataque.nuevo': 'New message: "{mensaje}"',
+
+  'auditoria.algoritmo': 'Algorithm',
+  'auditoria.comprobar': 'Check Chain',
+  'auditoria.comprobarArchivo': 'Check an exported JSON',
+  'auditoria.descripcion':
+    'Every key generation, signature, import, verification and attack is chained to the hash of the previous entry. Only fingerprints and digests are stored, never private keys or messages.',
+  'auditoria.exportarCsv': 'Export CSV',
+  'auditoria.exportarJson': 'Export JSON',
+  'auditoria.fecha': 'Date',
+  'auditoria.huella': 'Fingerprint',
+  'auditoria.integra': 'Intact chain{origen}: {total} entries.',
+  'auditoria.operacion': 'Operation',
+  'auditoria.origen': ' in {archivo}',
+  'auditoria.resultado': 'Result',
+  'auditoria.resumen': 'SHA-256 of the data',
+  'auditoria.rota': 'Broken chain{origen} — {motivo}',
+  'auditoria.titulo': 'Audit Log',
+  'auditoria.ultimo': 'Last hash: {hash}',
+  'auditoria.vacio': 'No operations have been logged yet.',
+
+  'aviso.ataqueAplicado':
+    'Attack "{titulo}" applied. Press "Verify Signature" in the receiver.',
+  'aviso.certificadoRechazado':
+    'Certificate of "{sujeto}" rejected: review the checks.',
+  'aviso.certificadoValido':
+    'Valid certificate: key of "{sujeto}" imported ({clave}).',
+  'aviso.clavesGeneradas': 'Keys generated successfully.',
+  'aviso.clavesGeneradasServicio':
+    'Keys generated successfully in the local service.',
+  'aviso.externaImportada':
+    'Public key imported successfully ({clave}): {detalle}.',
+  'aviso.faltaArchivoFirmar': 'Choose a file to sign.',
+  'aviso.faltaArchivoVerificar': 'Choose the file to verify.',
+  'aviso.faltaCa': 'Create the root CA first.',
+  'aviso.faltaClaveCifrado': "Paste B's encryption public key.",
+  'aviso.faltaClavesEmisor': 'Generate or import the sender keys first.',
+  'aviso.faltaFirma': 'Paste or receive a signature.',
+  'aviso.faltaFirmaEmisor': 'Sign a message in the sender first.',
+  'aviso.faltaFrase': 'Enter a passphrase.',
+  'aviso.faltaMensaje': 'Write a message.',
+  'aviso.faltaPar': 'Generate or import a key pair first.',
+  'aviso.faltaPrivada': 'Generate or import the private key first.',
+  'aviso.faltaPrivadaPem': 'Paste a PKCS#8 private key in PEM.',
+  'aviso.faltaPublica': 'Import the public key first.',
+  'aviso.faltaPublicaPem': 'Paste a PEM public key.',
+  'aviso.faltaSecreto': 'Write the secret message.',
+  'aviso.firmado': 'Message signed successfully.',
+  'aviso.firmanteRepetido': 'That pair is already in the list of signers.',
+  'aviso.paqueteSinContenido':
+    'The file is large and does not go inside the package: send it along with the .jws.json.',
+  'aviso.parGuardado': 'Pair saved to the keyring.',
+  'aviso.parGuardadoNoExportable':
+    'Pair saved to the keyring; the private key is not exportable.',
+  'aviso.privadaCifrada':
+    'Private key encrypted with {cifrado} (PBES2/PBKDF2). It can be read with `openssl pkcs8 -in clave.pem`.',
+  'aviso.privadaCifradaSinOpenssl':
+    'Private key encrypted with {cifrado} (PBES2/PBKDF2). OpenSSL does not support AES-GCM in PKCS#8; use AES-256-CBC for OpenSSL.',
+  'aviso.privadaImportada':
+    'Private key imported ({clave}). The public key has been derived from it.',
+  'aviso.publicaCopiada':
+    "Public key copied to the receiver. Import it and compare its fingerprint with the sender's.",
+  'aviso.publicaGuardada': 'Public key saved to the keyring.',
+  'aviso.publicaImportada': 'Public key imported successfully ({clave}).',
+  'aviso.publicaImportadaPkcs1':
+    'Public key imported successfully ({clave}). It came in PKCS#1 (RSA PUBLIC KEY) and has been converted to SPKI.',
+  'aviso.recibido': 'Message and signature received from the sender.',
+  'aviso.tsaConfiada': 'You now trust the TSA {huella}.',
+
+  'avisos.cerrar': 'Dismiss notification',
+  'avisos.titulo': 'Notifications',
+
+  'ca.ayuda':
+    'The CA uses the algorithm chosen in the sender and its private key only lives in this tab.',
+  'ca.certificado': "Sender's certificate",
+  'ca.certificadoCa': 'Root CA certificate',
+  'ca.certificadoEmisor': "2. Sender's certificate",
+  'ca.crear': 'Create root CA',
+  'ca.crearOtra': 'Create another CA',
+  'ca.descargarCa': 'Download the CA certificate',
+  'ca.descargarEmisor': "Download the sender's certificate",
+  'ca.descripcion':
+    "A self-signed root CA certifies that the sender's public key belongs to them. The receiver trusts the CA, not each key separately.",
+  'ca.emitir': 'Issue certificate',
+  'ca.emitirAyuda':
+    "Generate or import the sender's key and issue its certificate.",
+  'ca.raiz': '1. Root CA',
+  'ca.titulo': 'Certification Authority (X.509)',
+
+  'cadena.aunNoValido': '"{nombre}" is not valid yet (from {fecha}).',
+  'cadena.caducado': '"{nombre}" expired on {fecha}.',
+  'cadena.criticasDesconocidas':
+    '"{nombre}" has unknown critical extensions ({extensiones}).',
+  'cadena.emisor': '"{nombre}" is issued by "{emisor}".',
+  'cadena.enVigor': '"{nombre}" is valid until {fecha}.',
+  'cadena.esCa': '"{nombre}" is a CA (basicConstraints).',
+  'cadena.firmaCertificados': '"{nombre}" can sign certificates (keyCertSign).',
+  'cadena.firmaInvalida':
+    'The signature of "{nombre}" does NOT verify with the key of "{emisor}".',
+  'cadena.firmaValida':
+    'The signature of "{nombre}" verifies with the key of "{emisor}".',
+  'cadena.noEsCa': '"{nombre}" is not a CA and cannot issue certificates.',
+  'cadena.otroEmisor':
+    '"{nombre}" claims to come from "{declarado}", not from "{emisor}".',
+  'cadena.pathLen':
+    '"{nombre}" allows {maximo} intermediate CAs below it and there are {n}.',
+  'cadena.raizNoConfiable':
+    '"{nombre}" is not a trusted root CA: add its certificate to the trusted CAs.',
+  'cadena.sinKeyCertSign':
+    'The key usage of "{nombre}" does not include keyCertSign.',
+  'cadena.usoClave': 'Key usage of "{nombre}": {usos}.',
+  'cadena.usoSinRestringir':
+    '"{nombre}" does not restrict the usage of its key.',
+
+  'certificado.emisor': 'Issuer',
+  'certificado.serie': 'Serial number',
+  'certificado.sujeto': 'Subject',
+  'certificado.uso': 'Usage',
+  'certificado.validez': 'Validity',
+
+  'clave.deUsuario': 'of "{usuario}"',
+  'clave.subclaves': 'and {n} signing subkey(s)',
+
+  'confianza.certificada': 'Certified key: {sujeto}.',
+  'confianza.deConfianza': 'Trusted key: {nombre}.',
+  'confianza.sinVerificar':
+    'Careful: the key is neither marked as trusted nor certified; compare its fingerprint with the sender over another channel.',
+
+  'emisor.algoritmo': 'Signature algorithm',
+  'emisor.archivo': 'File to Sign',
+  'emisor.cifrado': 'Private key encryption',
+  'emisor.cifrar': 'Encrypt with Passphrase',
+  'emisor.curva': 'Curve',
+  'emisor.descargarFirma': 'Download signature (.sig)',
+  'emisor.descargarPaquete': 'Download Signature Package (JWS)',
+  'emisor.exportarSsh': 'Export for authorized_keys',
+  'emisor.firmaPlaceholder':
+    'The digital signature will appear here after signing...',
+  'emisor.firmar': 'Sign Message',
+  'emisor.frase': 'Passphrase (optional)',
+  'emisor.fraseEtiqueta': 'Private key passphrase',
+  'emisor.generar': 'Generate {algoritmo} Keys',
+  'emisor.generarPar': 'Generate Key Pair',
+  'emisor.guardarPar': 'Save Pair to the Keyring',
+  'emisor.hash': 'Hash function',
+  'emisor.importarPrivada': 'Import Private Key (PKCS#8)',
+  'emisor.lista': 'Ready',
+  'emisor.mensaje': 'Message to Sign',
+  'emisor.mensajePlaceholder':
+    'Write the message you want to sign digitally...',
+  'emisor.noExportable':
+    'Non-exportable private key (it only lives as a CryptoKey)',
+  'emisor.privada': 'Private Key (A)',
+  'emisor.privadaCifrada': 'Private · Encrypted',
+  'emisor.privadaLista': 'Private',
+  'emisor.privadaNoExportable':
+    'Non-exportable private key: it only exists as a CryptoKey in this browser.',
+  'emisor.privadaPlaceholder':
+    'The private key will be generated automatically, or paste a PKCS#8 one...',
+  'emisor.publica': 'Public Key (A)',
+  'emisor.publicaPlaceholder':
+    'The public key will be generated automatically...',
+  'emisor.sellar': 'Add a timestamp from the local TSA',
+  'emisor.sello': "Sender's timestamp",
+  'emisor.simularAtaque': 'Simulate Attack',
+  'emisor.tamano': 'Key size',
+  'emisor.titulo': 'Sender (A) — Sign Message',
+  'emisor.tsaPublica': 'Public key of the local TSA',
+
+  'error.abrirLlavero': 'Error opening the keyring: {error}',
+  'error.ataque': 'Error running the attack: {error}',
+  'error.cargarClave': 'Error loading the key: {error}',
+  'error.cifrarPrivada': 'Error encrypting private key: {error}',
+  'error.confiarTsa': 'Error trusting the TSA: {error}',
+  'error.crearCa': 'Error creating the CA: {error}',
+  'error.crearPaquete': 'Error creating the package: {error}',
+  'error.eliminarClave': 'Error removing the key: {error}',
+  'error.emitirCertificado': 'Error issuing the certificate: {error}',
+  'error.exportarClave': 'Error exporting the key: {error}',
+  'error.firmar': 'Error signing: {error}',
+  'error.firmarCifrar': 'Error signing and encrypting: {error}',
+  'error.firmarComo': 'Error signing as {nombre}: {error}',
+  'error.firmarDeclaracion': 'Error signing the statement: {error}',
+  'error.generarClaveCifrado': 'Error generating the encryption key: {error}',
+  'error.generarClaves': 'Error generating keys: {error}',
+  'error.generarPar': 'Error generating the pair: {error}',
+  'error.guardarConfianza': 'Error saving the trust: {error}',
+  'error.guardarLlavero': 'Error saving to the keyring: {error}',
+  'error.importarCertificado': 'Error importing the certificate: {error}',
+  'error.importarClave': 'Error importing key: {error}',
+  'error.importarPrivada': 'Error importing private key: {error}',
+  'error.importarPublica': 'Error importing the public key: {error}',
+  'error.leerArchivo': 'Error reading the file: {error}',
+  'error.leerFirma': 'Error reading the signature: {error}',
+  'error.leerPaquete': 'Error reading the JWS package: {error}',
+  'error.registro': 'Error saving the audit log: {error}',
+  'error.renombrarClave': 'Error renaming the key: {error}',
+  'error.retirarConfianza': 'Error removing the trust: {error}',
+
+  'firma.base64': 'Digital Signature (Base64)',
+
+  'hibrido.abierto': "Only B's private key could open the envelope.",
+  'hibrido.algoritmo': "B's encryption algorithm",
+  'hibrido.autenticidad': 'Authenticity',
+  'hibrido.cifrado': 'Encryption → confidentiality',
+  'hibrido.cifradoAyuda':
+    "Only whoever holds B's private key can read it. It does not say who sent it: anyone can encrypt with B's public key.",
+  'hibrido.cifrar': 'Sign and Encrypt for B',
+  'hibrido.claveB': "B's encryption public key",
+  'hibrido.clavePlaceholder':
+    'PEM public key (RSA or P-256) with which B receives encrypted messages...',
+  'hibrido.confidencialidad': 'Confidentiality',
+  'hibrido.copiar': 'Copy from Receiver',
+  'hibrido.descifrado': 'Decrypted message',
+  'hibrido.descifrar': 'Decrypt and Verify',
+  'hibrido.descripcion':
+    "A signs with their private key and encrypts with B's public key. B decrypts with their private key and verifies with A's public key.",
+  'hibrido.destinatario': 'Recipient',
+  'hibrido.faltaFirma': "Generate or import the sender's signing key first.",
+  'hibrido.faltaPublica':
+    "Import A's public key in the receiver to verify the signature.",
+  'hibrido.firma': 'Signature → authenticity and integrity',
+  'hibrido.firmaAyuda':
+    'It proves who wrote the message and that nobody changed it. It does not hide it: a message that is only signed travels in the clear and anyone can read it.',
+  'hibrido.firmaInvalida':
+    "The signature does not verify with A's public key imported in the receiver.",
+  'hibrido.firmaValida':
+    "The signature verifies with A's public key imported in the receiver.",
+  'hibrido.generar': "Generate B's pair",
+  'hibrido.par':
+    "B's encryption pair: {algoritmo}. It is different from any signing key: each pair has a single use.",
+  'hibrido.paraB': "A signed the message for B's key.",
+  'hibrido.paraOtro':
+    'A signed this message for another key: someone has forwarded it.',
+  'hibrido.regenerar': "Regenerate B's pair",
+  'hibrido.secretoPlaceholder': 'Secret message for B...',
+  'hibrido.sobre': 'Received envelope (what an eavesdropper sees)',
+  'hibrido.sobrePlaceholder': 'The encrypted envelope will appear here...',
+  'hibrido.titulo': 'Confidentiality: Sign and Encrypt',
+
+  'huella.coincide': 'It matches the fingerprint the sender shows.',
+  'huella.confiar': 'Mark as trusted',
+  'huella.deConfianza': 'Trusted · {nombre}',
+  'huella.mostrarQr': 'Show QR',
+  'huella.noCoincide':
+    'It does not match the fingerprint the sender shows: this is not their key.',
+  'huella.ocultarQr': 'Hide QR',
+  'huella.palabras': 'Words',
+  'huella.qr': 'QR code of {texto}',
+  'huella.retirar': 'Remove trust',
+  'huella.sinVerificar': 'Unverified',
+  'huella.titulo': 'SHA-256 fingerprint',
+
+  'inspector.conPaquete':
+    'The inspector follows a detached signature: discard the loaded JWS package.',
+
+  'laboratorio.descripcion':
+    'Each scenario tampers with what reaches the receiver. Then press "Verify Signature" and compare the result with the explanation.',
+  'laboratorio.deshabilitado':
+    'Sign a text message in the sender first to enable the scenarios.',
+  'laboratorio.detectado': 'Detected',
+  'laboratorio.ejecutar': 'Run',
+  'laboratorio.noDetectado': 'Not detected',
+  'laboratorio.pasoAPaso': 'Step by step: {titulo}',
+  'laboratorio.titulo': 'Attack Lab',
+
+  'llavero.descripcion':
+    'Keys stored in IndexedDB in this browser. They survive a page reload.',
+  'llavero.eliminar': 'Remove',
+  'llavero.firmar': 'Sign with it',
+  'llavero.noExportable': 'Non-exportable private key',
+  'llavero.par': 'Key pair',
+  'llavero.publica': 'Public',
+  'llavero.renombrar': 'Rename',
+  'llavero.titulo': 'Local Keyring',
+  'llavero.vacio':
+    'The keyring is empty. Save a pair from the Sender or a public key from the Receiver.',
+  'llavero.verificar': 'Verify with it',
+
+  'modo.archivo': 'File',
+  'modo.texto': 'Text',
+
+  'multifirma.algoritmo': "Signer's algorithm",
+  'multifirma.anadir': 'Add signer',
+  'multifirma.anadirClave': 'Add a key from the keyring…',
+  'multifirma.anadirConfianza': 'Add trusted key',
+  'multifirma.anadirConfianzaLlavero': 'Add a trusted key from the keyring',
+  'multifirma.anadirLlavero': 'Add a signer from the keyring',
+  'multifirma.anadirPar': 'Add a pair from the keyring…',
+  'multifirma.aprobado':
+    '✔ Approved — {validas} of {total} valid signatures; the policy requires {requeridas}.',
+  'multifirma.claveN': 'Key {n}',
+  'multifirma.confiar': 'Trust the signers',
+  'multifirma.correcta': 'Correct signature',
+  'multifirma.deN': 'of {n} signatures',
+  'multifirma.desconocidas':
+    'Signatures from keys that are not trusted do not count: {nombres}.',
+  'multifirma.descripcion':
+    'Several signers, each with their own key, sign the same document. The receiver only accepts it if at least M of its N trusted keys sign.',
+  'multifirma.detalle': 'Detail',
+  'multifirma.documento': 'Document',
+  'multifirma.documentoPlaceholder': 'Document the signers must approve...',
+  'multifirma.dueno': "Owner's name",
+  'multifirma.estado': 'Status',
+  'multifirma.estado.ausente': 'Not signed',
+  'multifirma.estado.invalida': 'Invalid',
+  'multifirma.estado.valida': 'Valid',
+  'multifirma.firmante': 'Signer',
+  'multifirma.firmanteN': 'Signer {n}',
+  'multifirma.firmantes': 'Signers',
+  'multifirma.firmar': 'Sign',
+  'multifirma.firmoEl': 'Signed on {fecha}',
+  'multifirma.hanFirmado': 'Signed by: {nombres}.',
+  'multifirma.motivo.firmaIncorrecta':
+    'The signature does not verify with this key.',
+  'multifirma.motivo.otroDocumento':
+    'Signed another document: the SHA-256 does not match.',
+  'multifirma.noFirmo': 'Has not signed.',
+  'multifirma.nombreConfianza': 'Name of the trusted key',
+  'multifirma.nombreFirmante': "Signer's name",
+  'multifirma.nuevo': 'Start a new package',
+  'multifirma.paquete': 'Signature package (JWS with several signatures)',
+  'multifirma.paqueteEtiqueta': 'Signature package',
+  'multifirma.paquetePlaceholder':
+    'Each signature is added here to the shared package...',
+  'multifirma.pemConfianza': 'Trusted public key',
+  'multifirma.politica': 'Policy',
+  'multifirma.quitar': 'Remove',
+  'multifirma.receptor': 'Receiver: trusted keys',
+  'multifirma.rechazado':
+    '❌ Rejected — {validas} of {total} valid signatures; the policy requires {requeridas}.',
+  'multifirma.sinFirmantes':
+    'Add at least two signers; each one gets their own key pair.',
+  'multifirma.titulo': 'Multi-signature (M of N)',
+  'multifirma.verificar': 'Verify Quorum',
+
+  'paquete.algoritmo': 'Algorithm',
+  'paquete.cargado': 'JWS package loaded',
+  'paquete.claveIncluida':
+    'The key comes in the package itself: compare its fingerprint over a secure channel.',
+  'paquete.contenido': 'Content',
+  'paquete.contenidoIncluido': 'included ({bytes} bytes)',
+  'paquete.contenidoSeparado': 'detached: choose the signed file',
+  'paquete.error': 'Error verifying the package: {error}',
+  'paquete.fechaDesconocida': 'an unknown date',
+  'paquete.firmado': 'Signed',
+  'paquete.invalido':
+    'Invalid signature — The JWS package does not verify with this key.',
+  'paquete.kidDistinto':
+    'The signature verifies, but the key is not the one the package declares (different kid).',
+  'paquete.quitar': 'Remove package',
+  'paquete.resumenDistinto':
+    'Invalid signature — The content does not match the SHA-256 of the package.',
+  'paquete.sello': 'Timestamp',
+  'paquete.selloIncluido': 'included',
+  'paquete.sinClave':
+    "The package does not include the key: import the signer's public key.",
+  'paquete.sinContenido':
+    'The package does not include the content: choose the signed file and verify again.',
+  'paquete.valido':
+    'Valid JWS package ({alg}) — signed on {fecha} by the key {kid}.',
+
+  'par.noComprobado': 'The key pair (A) could not be checked: {error}',
+  'par.noFormanPar':
+    'The keys (A) are not a pair: signatures will not verify with this public key.',
+
+  'pregunta.confiar':
+    "Mark the key as trusted only if you have compared its fingerprint with the sender's over a channel the attacker does not control (in person, by phone):\n\n{huella}",
+  'pregunta.dueno': 'Whose key is it?',
+  'pregunta.eliminar': 'Remove "{nombre}" from the keyring?',
+  'pregunta.nombreCa': 'Name of the root CA:',
+  'pregunta.nombreCaDefecto': 'Test root CA',
+  'pregunta.nombrePar': 'Name for the key pair:',
+  'pregunta.nombreParDefecto': 'Key A',
+  'pregunta.nombrePublica': 'Name for the public key:',
+  'pregunta.nuevoNombre': 'New name:',
+  'pregunta.titular': 'Certificate holder (CN):',
+  'pregunta.titularDefecto': 'Sender A',
+
+  'receptor.archivo': 'File to Verify',
+  'receptor.cargarFirma': 'Load signature from file',
+  'receptor.cargarPaquete': 'Load JWS package',
+  'receptor.certificadoRechazado': 'Rejected certificate: {sujeto}',
+  'receptor.certificadoValido': 'Valid certificate: {sujeto}',
+  'receptor.confiarCa': "Trust the Sender's CA",
+  'receptor.confiarTsa': 'Trust this TSA',
+  'receptor.copiarCertificado': "Copy the Sender's certificate",
+  'receptor.copiarEmisor': 'Copy from Sender',
+  'receptor.copiarTsa': 'Copy TSA from Sender',
+  'receptor.diagnostico': 'Failure diagnosis',
+  'receptor.esquema': 'RSA scheme',
+  'receptor.esquemaAyuda':
+    'Only applies to RSA keys: the SPKI does not state the scheme',
+  'receptor.firmaPlaceholder': 'Paste the Base64 digital signature here...',
+  'receptor.formatosExternos':
+    'It also accepts an OpenSSH line (ssh-ed25519 AAAA...) or a key from gpg --export --armor, and then verifies signatures from ssh-keygen -Y sign or gpg --detach-sign.',
+  'receptor.guardarPublica': 'Save Public Key to the Keyring',
+  'receptor.hash': "Receiver's hash function",
+  'receptor.hashAyuda':
+    'Applies to RSA and ECDSA; Ed25519 uses no external hash',
+  'receptor.importada': 'Imported · {clave}',
+  'receptor.importarPem': 'Import PEM',
+  'receptor.importarTitulo': 'Import Public Key',
+  'receptor.mensaje': 'Received Message',
+  'receptor.mensajePlaceholder':
+    'Paste the received message or press "Receive from Sender"...',
+  'receptor.olvidarTsa': 'Stop trusting',
+  'receptor.publica': 'Public Key or Certificate (B)',
+  'receptor.publicaPlaceholder':
+    'Paste the public key or the PEM certificate here...',
+  'receptor.raices': 'Trusted root CA (B)',
+  'receptor.raicesPlaceholder':
+    'Certificates of the root CAs the receiver trusts. They are used when importing a certificate.',
+  'receptor.recibir': 'Receive from Sender',
+  'receptor.resultado': 'Verification Result',
+  'receptor.resultadoVacio': 'The verification will appear here...',
+  'receptor.sello': 'Received timestamp',
+  'receptor.selloPlaceholder': 'Timestamp (optional)...',
+  'receptor.titulo': 'Receiver (B) — Verify Signature',
+  'receptor.tsaPem': 'Public key of a TSA',
+  'receptor.tsaPlaceholder': 'Paste the PEM public key of another TSA...',
+  'receptor.tsas': 'Trusted TSAs besides the local one ({n})',
+  'receptor.validez': 'Timestamp validity in days',
+  'receptor.validezAntes': 'A timestamp is valid for',
+  'receptor.validezDespues':
+    'days; it is verified with the local TSA and the trusted TSAs.',
+  'receptor.verificar': 'Verify Signature',
+
+  'registro.certificado': 'Certificate of "{sujeto}"',
+  'registro.certificadoRechazado': 'Certificate of "{sujeto}" rejected',
+  'registro.conSello': 'With a timestamp from the local TSA',
+  'registro.enServicio': 'In the service {url}',
+
+  'revocacion.conocidas': 'Revoked keys known to B',
+  'revocacion.declaracionEmisor': 'Statement signed by the sender',
+  'revocacion.declaracionPlaceholder':
+    'The signed statement will appear here...',
+  'revocacion.descripcion':
+    'A shared key cannot be taken back: its owner or the CA sign a list that revokes it. To change keys, the old one signs a statement that endorses the new one.',
+  'revocacion.ignoradas':
+    '{n} entries that the signer cannot revoke are ignored.',
+  'revocacion.importar': 'Import Statement',
+  'revocacion.listaDeCa': 'List signed by a trusted CA: {n} key(s) revoked.',
+  'revocacion.listaDelDueno':
+    'List signed by the owner of the key: {n} key(s) revoked.',
+  'revocacion.motivo': 'Revocation reason',
+  'revocacion.ninguna':
+    'None. When verifying, B checks this list before accepting a signature.',
+  'revocacion.olvidar': 'Forget',
+  'revocacion.porCa': 'by the CA',
+  'revocacion.porDueno': 'by its owner',
+  'revocacion.posterior':
+    'The key was revoked on {fecha}, after the timestamp.',
+  'revocacion.recibida': 'Received statement',
+  'revocacion.recibidaPlaceholder':
+    'Paste a revocation list or a rotation statement...',
+  'revocacion.recibir': 'Receive Statement',
+  'revocacion.revocada':
+    'Revoked key — Revoked on {fecha} ({motivo}) and the signature has no earlier timestamp.',
+  'revocacion.revocar': "Revoke A's key",
+  'revocacion.revocarCa': 'Revoke with the CA',
+  'revocacion.rotar': 'Rotate to a new key',
+  'revocacion.rotarAyuda':
+    'Rotation generates a new pair with the current settings and makes it the sender key. Then publish a revocation with the reason “Superseded”.',
+  'revocacion.sinEfecto':
+    'The signature is neither from a trusted CA nor from the owner of the keys: the list revokes nothing.',
+  'revocacion.titulo': 'Key Revocation and Rotation',
+
+  'rotacion.aceptada':
+    'Rotation accepted: the new key {huella} inherits the trust of "{nombre}" and becomes the receiver key.',
+  'rotacion.nombre': '{nombre} (rotated on {fecha})',
+
+  'rsa.abrir': 'm = s^e mod n with the public key',
+  'rsa.abrirAyuda': 'e = {e}. It undoes what d did when signing.',
+  'rsa.bytesMas': ' … ({n} more bytes)',
+  'rsa.codificado': 'EMSA-PKCS1-v1_5 encoded message ({n} bytes)',
+  'rsa.codificadoAyuda':
+    '00 01, FF padding until it fills the whole modulus, 00 and the DigestInfo.',
+  'rsa.coincide':
+    "The signature computed step by step is identical to WebCrypto's.",
+  'rsa.comparacion': 'Comparison',
+  'rsa.comparacionWebCrypto': 'Comparison with WebCrypto',
+  'rsa.descripcion':
+    'Repeats by hand, with BigInt arithmetic on the numbers of the key, what WebCrypto does when signing and verifying with RSASSA-PKCS1-v1_5, and checks that the result is the same.',
+  'rsa.digestInfo':
+    'The digest goes inside an ASN.1 structure that names the hash; the prefix is fixed for each algorithm.',
+  'rsa.esperado': 'What the receiver expects: {hash} of the received message',
+  'rsa.firmaRecibida': 'Received signature as the integer s',
+  'rsa.inspeccionarFirma': "Inspect A's Signature",
+  'rsa.inspeccionarVerificacion': 'Inspect the Verification in B',
+  'rsa.invalida': 'invalid',
+  'rsa.m': 'm is the encoded message read as an integer.',
+  'rsa.mensaje': 'Message ({n} bytes)',
+  'rsa.mismoResultado': ', the same result.',
+  'rsa.noAbre':
+    'The signature is not as long as the modulus or is larger than n: it cannot be opened with this key.',
+  'rsa.noCoincide':
+    "The signature computed step by step does not match WebCrypto's.",
+  'rsa.otroResultado': ', a different result.',
+  'rsa.parte.cabecera': 'Header',
+  'rsa.parte.prefijo': 'DigestInfo prefix',
+  'rsa.parte.relleno': 'Padding',
+  'rsa.parte.resumen': 'Digest',
+  'rsa.parte.separador': 'Separator',
+  'rsa.privada': 'Private key (from the exported JWK)',
+  'rsa.privadaAyuda': 'n of {bits} bits, e = {e}. d is the secret exponent:',
+  'rsa.recuperadoDistinto':
+    'The recovered encoded message is not the expected one.',
+  'rsa.recuperadoIgual': 'The recovered encoded message is the expected one.',
+  'rsa.resumen': '{hash} digest',
+  'rsa.titulo': 'RSA Inside Out',
+  'rsa.valida': 'valid',
+
+  'seccion.emisor': 'Sender (A)',
+  'seccion.receptor': 'Receiver (B)',
+
+  'sello.antedatada':
+    'Backdated signature — The signer claims {declarada}, but the TSA stamped it on {fecha}.',
+  'sello.caducada':
+    'Expired signature — Stamped on {fecha}, more than {dias} days ago.',
+  'sello.futuro':
+    'Timestamp from the future — It says {fecha}: check the clock of the TSA or of the receiver.',
+  'sello.invalido': 'Invalid timestamp — {error}',
+  'sello.valido': 'Stamped on {fecha} by {tsa}.',
+
+  'servicio.ayuda':
+    "Start it with npm run servidor. Key generation, Sign and Verify Signature then go through it, and the sender's private key never leaves the service. SSH and OpenPGP signatures and the other sections keep using the browser's WebCrypto.",
+  'servicio.conectado': 'Connected: {n} key(s) generated in the service.',
+  'servicio.error': '{error}',
+  'servicio.probar': 'Test Connection',
+  'servicio.sinClaves':
+    'the sender keys are not in the service: generate them with the service enabled or disable it.',
+  'servicio.url': 'Signing service URL',
+  'servicio.usar': 'Use the local signing service',
+
+  'verificacion.analizando': 'Invalid signature — Analysing the cause...',
+  'verificacion.ataque': 'ATTACK DETECTED — The message was modified.',
+  'verificacion.diagnosticoFallido': 'Diagnosis failed: {error}',
+  'verificacion.error': 'Error verifying the signature: {error}',
+  'verificacion.invalida': 'Invalid signature — Wrong key or altered message.',
+  'verificacion.pgpClave': 'Key',
+  'verificacion.pgpInvalida':
+    'Invalid OpenPGP signature — Wrong key or altered message.',
+  'verificacion.pgpSinClave':
+    "import the signer's OpenPGP public key (gpg --export --armor) first.",
+  'verificacion.pgpSubclave': 'Subkey',
+  'verificacion.pgpValida': 'Valid OpenPGP signature — {clave}, {hash}.',
+  'verificacion.pgpValidaFecha':
+    'Valid OpenPGP signature — {clave}, {hash}, signed on {fecha}.',
+  'verificacion.revisaDiagnostico': 'Invalid signature — Check the diagnosis.',
+  'verificacion.sshInvalida':
+    'Invalid SSH signature — Wrong key or altered message.',
+  'verificacion.sshOtraClave':
+    'SSH signature from another key — It was made by {huella}, not by the imported key.',
+  'verificacion.sshValida':
+    'Valid SSH signature — {tipo} {huella}, namespace "{namespace}".',
+  'verificacion.valida': 'Valid signature — The message is authentic.',
+
+  'biblioteca.error.ENCODING':
+    'The PEM, Base64 or DER data is malformed or truncated.',
+  'biblioteca.error.KEY_TYPE':
+    'The PEM is valid but holds another kind of key or certificate.',
+  'biblioteca.error.UNSUPPORTED_ALGORITHM':
+    'Algorithm, curve or scheme not supported.',
+  'biblioteca.error.PASSPHRASE': 'The passphrase is missing or wrong.',
+  'biblioteca.error.CRYPTO_UNAVAILABLE':
+    'This environment does not provide WebCrypto (use HTTPS or localhost).',
+  'biblioteca.error.DECRYPTION':
+    'Could not decrypt: the envelope is not addressed to this key or has been tampered with.',
+  'biblioteca.error.SERVICE_UNAVAILABLE':
+    'Cannot connect to the signing service: start it with "npm run servidor".',
+  'biblioteca.error.NOT_EXTRACTABLE':
+    'The key is not exportable: the inspector needs to read its numbers (n, e, d).',
+  'biblioteca.error.TIMESTAMP':
+    'The timestamp is not valid for this signature or was not issued by the trusted TSA.',
+  'biblioteca.error.STATEMENT_TYPE':
+    'It is not a valid revocation list or rotation statement.',
+  'biblioteca.error.STATEMENT_SIGNATURE':
+    'The signature of the statement does not verify.',
+  'biblioteca.error.ROTATION':
+    'The rotation cannot be accepted: it must be signed by a trusted, non-revoked old key and by the new one.',
+  'biblioteca.error.DUPLICATE_SIGNER':
+    'This key has already signed the package.',
+  'biblioteca.error.DUPLICATE_TRUSTED_KEY':
+    'The same key appears twice among the trusted keys.',
+  'biblioteca.error.PAYLOAD_MISMATCH':
+    'The document is not the one the others signed: its SHA-256 does not match.',
+  'biblioteca.error.DETACHED_PAYLOAD':
+    'The package does not include the document: provide the signed file.',
+  'biblioteca.error.POLICY':
+    'The policy requires an invalid number of signatures.',
+  'biblioteca.error.PGP_KEY':
+    'The OpenPGP key does not match the signature or is not valid.',
+  'biblioteca.error.SSH_NAMESPACE':
+    'The SSH signature is for another namespace.',
+  'biblioteca.error.UNSUPPORTED_CRITICAL':
+    'The package requires unknown critical parameters.',
+  'biblioteca.error.NO_HOMOGLYPH':
+    'The message has no letters with a homoglyph (a, e, o, p, c, x, i).',
+  'biblioteca.error.NOT_FOUND': 'The key was not found.',
+  'biblioteca.error.FORBIDDEN':
+    'The local service only serves pages loaded from localhost.',
+  'biblioteca.error.KEY_NOT_FOUND': 'The key is no longer in the keyring.',
+
+  'biblioteca.ataque.modificacion.titulo': 'Message modification',
+  'biblioteca.ataque.modificacion.resumen':
+    'The attacker appends text to the message in transit.',
+  'biblioteca.ataque.modificacion.pasos': [
+    "A signs the message: the signature is computed over the hash of the original text with A's private key.",
+    'The attacker intercepts the message and appends " [MODIFIED BY ATTACK]". They cannot recompute the signature because they do not have A\'s private key.',
+    'B computes the hash of the received message, which is no longer the one the signature was computed over.',
+    'Expected result: ❌ the signature does not verify.',
+  ],
+  'biblioteca.ataque.sustitucion.titulo': 'Public key substitution (MITM)',
+  'biblioteca.ataque.sustitucion.resumen':
+    'During "Copy from Sender" the attacker hands over their own key and signs a fake message with it.',
+  'biblioteca.ataque.sustitucion.pasos': [
+    'The attacker generates their own key pair with the same algorithm as A, so that it looks legitimate.',
+    "They intercept A's public key on its way to B and replace it with theirs.",
+    'They write a fake message and sign it with their private key.',
+    'B imports the received key and verifies: the signature is mathematically correct for that key.',
+    "Expected result: ✔ the signature verifies. Cryptography does not say whose key it is: the receiver's fingerprint no longer matches the sender's, and only comparing them over an authentic channel (in person, by phone) or with a certificate from a trusted CA reveals the deception.",
+  ],
+  'biblioteca.ataque.bit.titulo': 'Flipping one bit of the signature',
+  'biblioteca.ataque.bit.resumen':
+    'The attacker changes a single bit of the signature.',
+  'biblioteca.ataque.bit.pasos': [
+    'The attacker decodes the Base64 signature and flips a random bit.',
+    'The signature has the same length and is still valid Base64, so at first sight it looks intact.',
+    'When verifying, B gets a completely different value: in RSA, s^e mod n no longer has the expected padding; in ECDSA and Ed25519 the curve equation does not hold.',
+    'Expected result: ❌ the signature does not verify and the diagnosis says it was not made with this key.',
+  ],
+  'biblioteca.ataque.reenvio.titulo': 'Reusing an old signature',
+  'biblioteca.ataque.reenvio.resumen':
+    'The attacker attaches an earlier signature from A to a new message.',
+  'biblioteca.ataque.reenvio.pasos': [
+    'The attacker keeps an authentic signature that A issued in the past.',
+    'When A sends a new message, they attach the old signature to it (or write their own message).',
+    'The old signature contains the hash of the old message, not of the new one.',
+    'Expected result: ❌ the signature does not verify. Careful: resending the old message with its old signature would verify; that takes timestamps or unique identifiers.',
+  ],
+  'biblioteca.ataque.truncado.titulo': 'Truncated Base64 signature',
+  'biblioteca.ataque.truncado.resumen':
+    'The last bytes of the signature are lost.',
+  'biblioteca.ataque.truncado.pasos': [
+    'The attacker (or a careless copy and paste) removes the last 3 bytes of the signature.',
+    'The text is still valid Base64, but the signature is shorter than the RSA modulus or than r||s in ECDSA.',
+    'Expected result: ❌ the signature does not verify and the diagnosis points to the wrong length.',
+  ],
+  'biblioteca.ataque.relleno.titulo': 'Base64 signature with extra bytes',
+  'biblioteca.ataque.relleno.resumen':
+    'Bytes are appended to the end of the signature.',
+  'biblioteca.ataque.relleno.pasos': [
+    'The attacker appends 3 zero bytes to the end of the signature and encodes it in Base64 again.',
+    'A signature has a fixed length for each key; WebCrypto does not ignore the extra bytes.',
+    'Expected result: ❌ the signature does not verify and the diagnosis points to the wrong length.',
+  ],
+  'biblioteca.ataque.homoglifo.titulo': 'Unicode homoglyph',
+  'biblioteca.ataque.homoglifo.resumen':
+    'A Latin letter is replaced by a Cyrillic one that looks identical.',
+  'biblioteca.ataque.homoglifo.pasos': [
+    'The attacker swaps a Latin letter for its Cyrillic twin (for example "a" U+0061 for "а" U+0430).',
+    'On screen the message cannot be told apart from the original.',
+    'In UTF-8 they are different bytes (0x61 versus 0xD0 0xB0), so the hash of the message changes completely.',
+    'Expected result: ❌ the signature does not verify, even though a person sees no difference.',
+  ],
+
+  'biblioteca.auditoria.keygen': 'Generate keys',
+  'biblioteca.auditoria.sign': 'Sign',
+  'biblioteca.auditoria.import-key': 'Import public key',
+  'biblioteca.auditoria.verify': 'Verify',
+  'biblioteca.auditoria.attack': 'Simulate attack',
+  'biblioteca.auditoria.ok': 'OK',
+  'biblioteca.auditoria.valid': 'Valid signature',
+  'biblioteca.auditoria.invalid': 'Invalid signature',
+  'biblioteca.auditoria.error': 'Error',
+
+  'biblioteca.motivo.keyCompromise': 'Key compromised',
+  'biblioteca.motivo.superseded': 'Superseded',
+  'biblioteca.motivo.cessationOfOperation': 'No longer in use',
+  'biblioteca.motivo.unspecified': 'Unspecified',
+
+  'biblioteca.diagnostico.formato':
+    'The signature does not have the length or format this key expects.',
+  'biblioteca.diagnostico.algoritmo':
+    'The signature was made with this key but with another algorithm or hash than the one selected in the receiver.',
+  'biblioteca.diagnostico.clave':
+    'The signature was not made with this key: it verifies with another key, or its bytes have been altered.',
+  'biblioteca.diagnostico.mensaje':
+    'The signature was made with this key over different content: the message was modified after it was signed.',
+  'biblioteca.diagnostico.desconocido':
+    'No algorithm, hash or known key validates the signature. With ECDSA and Ed25519 a wrong key cannot be told apart from an altered message.',
+}
@@ -0,0 +1,584 @@
+// Catálogo de referencia: toda clave de la interfaz está aquí, y los demás
+// idiomas recurren a él cuando les falta una
+export default {
+  'app.descripcion':
+    'Simula el proceso completo de firma y verificación digital con RSA, ECDSA o Ed25519. Genera claves, firma mensajes y verifica autenticidad.',
+  'app.idioma': 'Idioma',
+  'app.titulo': 'Sistema de Firma Digital',
+
+  'archivo.arrastra': 'Arrastra un archivo aquí o',
+  'archivo.calculando': 'Calculando SHA-256',
+  'archivo.elegir': 'haz clic para elegirlo',
+  'archivo.mensaje': 'mensaje',
+  'archivo.nombre': 'Archivo',
+  'archivo.tamano': 'Tamaño',
+
+  'ataque.claveAtacante': 'Clave del atacante: {clave}',
+  'ataque.falso': 'Mensaje falso: "{mensaje}"',
+  'ataque.firmaAntigua': 'Firma antigua de "{mensaje}" ({hora})',
+  'ataque.firmaDe': 'Firma del mensaje "{mensaje}"',
+  'ataque.marca': ' [MODIFICADO POR ATAQUE]',
+  'ataque.mensajeFalso':
+    'Soy A: transfiere 5.000 € a la cuenta ES00 0000 0000 0000 0000.',
+  'ataque.mensajeReenvio':
+    'Confirmo el pago de 5.000 € a la cuenta del atacante.',
+  'ataque.nuevo': 'Mensaje nuevo: "{mensaje}"',
+
+  'auditoria.algoritmo': 'Algoritmo',
+  'auditoria.comprobar': 'Comprobar Cadena',
+  'auditoria.comprobarArchivo': 'Comprobar un JSON exportado',
+  'auditoria.descripcion':
+    'Cada generación, firma, importación, verificación y ataque queda encadenado con el hash de la entrada anterior. Solo se guardan huellas y resúmenes, nunca claves privadas ni mensajes.',
+  'auditoria.exportarCsv': 'Exportar CSV',
+  'auditoria.exportarJson': 'Exportar JSON',
+  'auditoria.fecha': 'Fecha',
+  'auditoria.huella': 'Huella',
+  'auditoria.integra': 'Cadena íntegra{origen}: {total} entradas.',
+  'auditoria.operacion': 'Operación',
+  'auditoria.origen': ' en {archivo}',
+  'auditoria.resultado': 'Resultado',
+  'auditoria.resumen': 'SHA-256 de los datos',
+  'auditoria.rota': 'Cadena rota{origen} — {motivo}',
+  'auditoria.titulo': 'Registro de Auditoría',
+  'auditoria.ultimo': 'Último hash: {hash}',
+  'auditoria.vacio': 'Todavía no hay operaciones registradas.',
+
+  'aviso.ataqueAplicado':
+    'Ataque "{titulo}" aplicado. Pulsa "Verificar Firma" en el receptor.',
+  'aviso.certificadoRechazado':
+    'Certificado de "{sujeto}" rechazado: revisa las comprobaciones.',
+  'aviso.certificadoValido':
+    'Certificado válido: clave de "{sujeto}" importada ({clave}).',
+  'aviso.clavesGeneradas': 'Claves generadas correctamente.',
+  'aviso.clavesGeneradasServicio':
+    'Claves generadas correctamente en el servicio local.',
+  'aviso.externaImportada':
+    'Clave pública importada correctamente ({clave}): {detalle}.',
+  'aviso.faltaArchivoFirmar': 'Elige un archivo para firmar.',
+  'aviso.faltaArchivoVerificar': 'Elige el archivo a verificar.',
+  'aviso.faltaCa': 'Primero crea la CA raíz.',
+  'aviso.faltaClaveCifrado': 'Pega la clave pública de cifrado de B.',
+  'aviso.faltaClavesEmisor': 'Primero genera o importa las claves del emisor.',
+  'aviso.faltaFirma': 'Pega o recibe una firma.',
+  'aviso.faltaFirmaEmisor': 'Primero firma un mensaje en el emisor.',
+  'aviso.faltaFrase': 'Escribe una frase de paso.',
+  'aviso.faltaMensaje': 'Escribe un mensaje.',
+  'aviso.faltaPar': 'Primero genera o importa un par de claves.',
+  'aviso.faltaPrivada': 'Primero genera o importa la clave privada.',
+  'aviso.faltaPrivadaPem': 'Pega una clave privada PKCS#8 en PEM.',
+  'aviso.faltaPublica': 'Importa la clave pública primero.',
+  'aviso.faltaPublicaPem': 'Pega una clave pública PEM.',
+  'aviso.faltaSecreto': 'Escribe el mensaje secreto.',
+  'aviso.firmado': 'Mensaje firmado correctamente.',
+  'aviso.firmanteRepetido': 'Ese par ya está en la lista de firmantes.',
+  'aviso.paqueteSinContenido':
+    'El archivo es grande y no va dentro del paquete: envíalo junto al .jws.json.',
+  'aviso.parGuardado': 'Par guardado en el llavero.',
+  'aviso.parGuardadoNoExportable':
+    'Par guardado en el llavero; la clave privada no es exportable.',
+  'aviso.privadaCifrada':
+    'Clave privada cifrada con {cifrado} (PBES2/PBKDF2). Se puede leer con `openssl pkcs8 -in clave.pem`.',
+  'aviso.privadaCifradaSinOpenssl':
+    'Clave privada cifrada con {cifrado} (PBES2/PBKDF2). OpenSSL no admite AES-GCM en PKCS#8; usa AES-256-CBC para OpenSSL.',
+  'aviso.privadaImportada':
+    'Clave privada importada ({clave}). La clave pública se ha derivado de ella.',
+  'aviso.publicaCopiada':
+    'Clave pública copiada al receptor. Impórtala y compara su huella con la del emisor.',
+  'aviso.publicaGuardada': 'Clave pública guardada en el llavero.',
+  'aviso.publicaImportada': 'Clave pública importada correctamente ({clave}).',
+  'aviso.publicaImportadaPkcs1':
+    'Clave pública importada correctamente ({clave}). Venía en PKCS#1 (RSA PUBLIC KEY) y se ha convertido a SPKI.',
+  'aviso.recibido': 'Mensaje y firma recibidos del emisor.',
+  'aviso.tsaConfiada': 'Ahora confías en la TSA {huella}.',
+
+  'avisos.cerrar': 'Cerrar aviso',
+  'avisos.titulo': 'Avisos',
+
+  'ca.ayuda':
+    'La CA usa el algoritmo elegido en el emisor y su clave privada solo vive en esta pestaña.',
+  'ca.certificado': 'Certificado del emisor',
+  'ca.certificadoCa': 'Certificado de la CA raíz',
+  'ca.certificadoEmisor': '2. Certificado del emisor',
+  'ca.crear': 'Crear CA raíz',
+  'ca.crearOtra': 'Crear otra CA',
+  'ca.descargarCa': 'Descargar certificado de la CA',
+  'ca.descargarEmisor': 'Descargar certificado del emisor',
+  'ca.descripcion':
+    'Una CA raíz autofirmada certifica que la clave pública del emisor es suya. El receptor confía en la CA, no en cada clave por separado.',
+  'ca.emitir': 'Emitir certificado',
+  'ca.emitirAyuda':
+    'Genera o importa la clave del emisor y emite su certificado.',
+  'ca.raiz': '1. CA raíz',
+  'ca.titulo': 'Autoridad de Certificación (X.509)',
+
+  'cadena.aunNoValido': '"{nombre}" aún no es válido (desde {fecha}).',
+  'cadena.caducado': '"{nombre}" caducó el {fecha}.',
+  'cadena.criticasDesconocidas':
+    '"{nombre}" tiene extensiones críticas desconocidas ({extensiones}).',
+  'cadena.emisor': '"{nombre}" lo emite "{emisor}".',
+  'cadena.enVigor': '"{nombre}" está en vigor hasta el {fecha}.',
+  'cadena.esCa': '"{nombre}" es una CA (basicConstraints).',
+  'cadena.firmaCertificados':
+    '"{nombre}" puede firmar certificados (keyCertSign).',
+  'cadena.firmaInvalida':
+    'La firma de "{nombre}" NO verifica con la clave de "{emisor}".',
+  'cadena.firmaValida':
+    'La firma de "{nombre}" verifica con la clave de "{emisor}".',
+  'cadena.noEsCa': '"{nombre}" no es una CA y no puede emitir certificados.',
+  'cadena.otroEmisor':
+    '"{nombre}" dice venir de "{declarado}", no de "{emisor}".',
+  'cadena.pathLen':
+    '"{nombre}" admite {maximo} CA intermedias por debajo y hay {n}.',
+  'cadena.raizNoConfiable':
+    '"{nombre}" no es una CA raíz de confianza: añade su certificado a las CA de confianza.',
+  'cadena.sinKeyCertSign':
+    'El uso de la clave de "{nombre}" no incluye keyCertSign.',
+  'cadena.usoClave': 'Uso de la clave de "{nombre}": {usos}.',
+  'cadena.usoSinRestringir': '"{nombre}" no restringe el uso de su clave.',
+
+  'certificado.emisor': 'Emisor',
+  'certificado.serie': 'Nº de serie',
+  'certificado.sujeto': 'Sujeto',
+  'certificado.uso': 'Uso',
+  'certificado.validez': 'Validez',
+
+  'clave.deUsuario': 'de "{usuario}"',
+  'clave.subclaves': 'y {n} subclave(s) de firma',
+
+  'confianza.certificada': 'Clave certificada: {sujeto}.',
+  'confianza.deConfianza': 'Clave de confianza: {nombre}.',
+  'confianza.sinVerificar':
+    'Ojo: la clave no está marcada como de confianza ni certificada; compara su huella con el emisor por otro canal.',
+
+  'emisor.algoritmo': 'Algoritmo de firma',
+  'emisor.archivo': 'Archivo a Firmar',
+  'emisor.cifrado': 'Cifrado de la clave privada',
+  'emisor.cifrar': 'Cifrar con Frase de Paso',
+  'emisor.curva': 'Curva',
+  'emisor.descargarFirma': 'Descargar firma (.sig)',
+  'emisor.descargarPaquete': 'Descargar Paquete de Firma (JWS)',
+  'emisor.exportarSsh': 'Exportar para authorized_keys',
+  'emisor.firmaPlaceholder':
+    'La firma digital aparecerá aquí después de firmar...',
+  'emisor.firmar': 'Firmar Mensaje',
+  'emisor.frase': 'Frase de paso (opcional)',
+  'emisor.fraseEtiqueta': 'Frase de paso de la clave privada',
+  'emisor.generar': 'Generar Claves {algoritmo}',
+  'emisor.generarPar': 'Generar Par de Claves',
+  'emisor.guardarPar': 'Guardar Par en el Llavero',
+  'emisor.hash': 'Función hash',
+  'emisor.importarPrivada': 'Importar Clave Privada (PKCS#8)',
+  'emisor.lista': 'Lista',
+  'emisor.mensaje': 'Mensaje a Firmar',
+  'emisor.mensajePlaceholder':
+    'Escribe el mensaje que deseas firmar digitalmente...',
+  'emisor.noExportable':
+    'Clave privada no exportable (solo vive como CryptoKey)',
+  'emisor.privada': 'Clave Privada (A)',
+  'emisor.privadaCifrada': 'Privada · Cifrada',
+  'emisor.privadaLista': 'Privada',
+  'emisor.privadaNoExportable':
+    'Clave privada no exportable: solo existe como CryptoKey en este navegador.',
+  'emisor.privadaPlaceholder':
+    'La clave privada se generará automáticamente o pega una PKCS#8...',
+  'emisor.publica': 'Clave Pública (A)',
+  'emisor.publicaPlaceholder':
+    'La clave pública se generará automáticamente...',
+  'emisor.sellar': 'Añadir sello de tiempo de la TSA local',
+  'emisor.sello': 'Sello de tiempo del emisor',
+  'emisor.simularAtaque': 'Simular Ataque',
+  'emisor.tamano': 'Tamaño de clave',
+  'emisor.titulo': 'Emisor (A) — Firmar Mensaje',
+  'emisor.tsaPublica': 'Clave pública de la TSA local',
+
+  'error.abrirLlavero': 'Error abriendo el llavero: {error}',
+  'error.ataque': 'Error ejecutando el ataque: {error}',
+  'error.cargarClave': 'Error cargando la clave: {error}',
+  'error.cifrarPrivada': 'Error cifrando clave privada: {error}',
+  'error.confiarTsa': 'Error confiando en la TSA: {error}',
+  'error.crearCa': 'Error creando la CA: {error}',
+  'error.crearPaquete': 'Error creando el paquete: {error}',
+  'error.eliminarClave': 'Error eliminando la clave: {error}',
+  'error.emitirCertificado': 'Error emitiendo el certificado: {error}',
+  'error.exportarClave': 'Error exportando la clave: {error}',
+  'error.firmar': 'Error firmando: {error}',
+  'error.firmarCifrar': 'Error firmando y cifrando: {error}',
+  'error.firmarComo': 'Error firmando como {nombre}: {error}',
+  'error.firmarDeclaracion': 'Error firmando la declaración: {error}',
+  'error.generarClaveCifrado': 'Error generando la clave de cifrado: {error}',
+  'error.generarClaves': 'Error generando claves: {error}',
+  'error.generarPar': 'Error generando el par: {error}',
+  'error.guardarConfianza': 'Error guardando la confianza: {error}',
+  'error.guardarLlavero': 'Error guardando en el llavero: {error}',
+  'error.importarCertificado': 'Error importando el certificado: {error}',
+  'error.importarClave': 'Error importando clave: {error}',
+  'error.importarPrivada': 'Error importando clave privada: {error}',
+  'error.importarPublica': 'Error importando la clave pública: {error}',
+  'error.leerArchivo': 'Error leyendo el archivo: {error}',
+  'error.leerFirma': 'Error leyendo la firma: {error}',
+  'error.leerPaquete': 'Error leyendo el paquete JWS: {error}',
+  'error.registro': 'Error guardando el registro de auditoría: {error}',
+  'error.renombrarClave': 'Error renombrando la clave: {error}',
+  'error.retirarConfianza': 'Error retirando la confianza: {error}',
+
+  'firma.base64': 'Firma Digital (Base64)',
+
+  'hibrido.abierto': 'Solo la clave privada de B ha podido abrir el sobre.',
+  'hibrido.algoritmo': 'Algoritmo de cifrado de B',
+  'hibrido.autenticidad': 'Autenticidad',
+  'hibrido.cifrado': 'Cifrado → confidencialidad',
+  'hibrido.cifradoAyuda':
+    'Solo quien tiene la clave privada de B puede leerlo. No dice quién lo envió: cualquiera puede cifrar con la clave pública de B.',
+  'hibrido.cifrar': 'Firmar y Cifrar para B',
+  'hibrido.claveB': 'Clave pública de cifrado de B',
+  'hibrido.clavePlaceholder':
+    'Clave pública PEM (RSA o P-256) con la que B recibe mensajes cifrados...',
+  'hibrido.confidencialidad': 'Confidencialidad',
+  'hibrido.copiar': 'Copiar del Receptor',
+  'hibrido.descifrado': 'Mensaje descifrado',
+  'hibrido.descifrar': 'Descifrar y Verificar',
+  'hibrido.descripcion':
+    'A firma con su clave privada y cifra con la clave pública de B. B descifra con su clave privada y verifica con la clave pública de A.',
+  'hibrido.destinatario': 'Destinatario',
+  'hibrido.faltaFirma':
+    'Genera o importa primero la clave de firma del emisor.',
+  'hibrido.faltaPublica':
+    'Importa la clave pública de A en el receptor para verificar la firma.',
+  'hibrido.firma': 'Firma → autenticidad e integridad',
+  'hibrido.firmaAyuda':
+    'Prueba quién escribió el mensaje y que nadie lo cambió. No lo oculta: un mensaje solo firmado viaja en claro y cualquiera puede leerlo.',
+  'hibrido.firmaInvalida':
+    'La firma no verifica con la clave pública de A importada en el receptor.',
+  'hibrido.firmaValida':
+    'La firma verifica con la clave pública de A importada en el receptor.',
+  'hibrido.generar': 'Generar par de B',
+  'hibrido.par':
+    'Par de cifrado de B: {algoritmo}. Es distinto de cualquier clave de firma: cada par tiene un único uso.',
+  'hibrido.paraB': 'A firmó el mensaje para la clave de B.',
+  'hibrido.paraOtro':
+    'A firmó este mensaje para otra clave: alguien lo ha reenviado.',
+  'hibrido.regenerar': 'Regenerar par de B',
+  'hibrido.secretoPlaceholder': 'Mensaje secreto para B...',
+  'hibrido.sobre': 'Sobre recibido (lo que ve un espía)',
+  'hibrido.sobrePlaceholder': 'El sobre cifrado aparecerá aquí...',
+  'hibrido.titulo': 'Confidencialidad: Firmar y Cifrar',
+
+  'huella.coincide': 'Coincide con la huella que muestra el emisor.',
+  'huella.confiar': 'Marcar como de confianza',
+  'huella.deConfianza': 'De confianza · {nombre}',
+  'huella.mostrarQr': 'Mostrar QR',
+  'huella.noCoincide':
+    'No coincide con la huella que muestra el emisor: esta no es su clave.',
+  'huella.ocultarQr': 'Ocultar QR',
+  'huella.palabras': 'Palabras',
+  'huella.qr': 'Código QR de {texto}',
+  'huella.retirar': 'Retirar confianza',
+  'huella.sinVerificar': 'Sin verificar',
+  'huella.titulo': 'Huella SHA-256',
+
+  'inspector.conPaquete':
+    'El inspector sigue una firma suelta: descarta el paquete JWS cargado.',
+
+  'laboratorio.descripcion':
+    'Cada escenario manipula lo que llega al receptor. Después pulsa "Verificar Firma" y compara el resultado con la explicación.',
+  'laboratorio.deshabilitado':
+    'Firma primero un mensaje de texto en el emisor para habilitar los escenarios.',
+  'laboratorio.detectado': 'Se detecta',
+  'laboratorio.ejecutar': 'Ejecutar',
+  'laboratorio.noDetectado': 'No se detecta',
+  'laboratorio.pasoAPaso': 'Paso a paso: {titulo}',
+  'laboratorio.titulo': 'Laboratorio de Ataques',
+
+  'llavero.descripcion':
+    'Claves guardadas en IndexedDB en este navegador. Sobreviven a la recarga de la página.',
+  'llavero.eliminar': 'Eliminar',
+  'llavero.firmar': 'Firmar con ella',
+  'llavero.noExportable': 'Privada no exportable',
+  'llavero.par': 'Par de claves',
+  'llavero.publica': 'Pública',
+  'llavero.renombrar': 'Renombrar',
+  'llavero.titulo': 'Llavero Local',
+  'llavero.vacio':
+    'El llavero está vacío. Guarda un par desde el Emisor o una clave pública desde el Receptor.',
+  'llavero.verificar': 'Verificar con ella',
+
+  'modo.archivo': 'Archivo',
+  'modo.texto': 'Texto',
+
+  'multifirma.algoritmo': 'Algoritmo del firmante',
+  'multifirma.anadir': 'Añadir firmante',
+  'multifirma.anadirClave': 'Añadir una clave del llavero…',
+  'multifirma.anadirConfianza': 'Añadir clave de confianza',
+  'multifirma.anadirConfianzaLlavero':
+    'Añadir clave de confianza desde el llavero',
+  'multifirma.anadirLlavero': 'Añadir firmante desde el llavero',
+  'multifirma.anadirPar': 'Añadir un par del llavero…',
+  'multifirma.aprobado':
+    '✔ Aprobado — {validas} de {total} firmas válidas; la política exige {requeridas}.',
+  'multifirma.claveN': 'Clave {n}',
+  'multifirma.confiar': 'Confiar en los firmantes',
+  'multifirma.correcta': 'Firma correcta',
+  'multifirma.deN': 'de {n} firmas',
+  'multifirma.desconocidas':
+    'No cuentan las firmas de claves que no son de confianza: {nombres}.',
+  'multifirma.descripcion':
+    'Varios firmantes, cada uno con su clave, firman el mismo documento. El receptor lo acepta solo si firman al menos M de sus N claves de confianza.',
+  'multifirma.detalle': 'Detalle',
+  'multifirma.documento': 'Documento',
+  'multifirma.documentoPlaceholder':
+    'Documento que deben aprobar los firmantes...',
+  'multifirma.dueno': 'Nombre de su dueño',
+  'multifirma.estado': 'Estado',
+  'multifirma.estado.ausente': 'Sin firma',
+  'multifirma.estado.invalida': 'Inválida',
+  'multifirma.estado.valida': 'Válida',
+  'multifirma.firmante': 'Firmante',
+  'multifirma.firmanteN': 'Firmante {n}',
+  'multifirma.firmantes': 'Firmantes',
+  'multifirma.firmar': 'Firmar',
+  'multifirma.firmoEl': 'Firmó el {fecha}',
+  'multifirma.hanFirmado': 'Han firmado: {nombres}.',
+  'multifirma.motivo.firmaIncorrecta': 'La firma no verifica con esta clave.',
+  'multifirma.motivo.otroDocumento':
+    'Firmó otro documento: el SHA-256 no coincide.',
+  'multifirma.noFirmo': 'No ha firmado.',
+  'multifirma.nombreConfianza': 'Nombre de la clave de confianza',
+  'multifirma.nombreFirmante': 'Nombre del firmante',
+  'multifirma.nuevo': 'Empezar un paquete nuevo',
+  'multifirma.paquete': 'Paquete de firmas (JWS con varias firmas)',
+  'multifirma.paqueteEtiqueta': 'Paquete de firmas',
+  'multifirma.paquetePlaceholder':
+    'Cada firma se añade aquí al paquete común...',
+  'multifirma.pemConfianza': 'Clave pública de confianza',
+  'multifirma.politica': 'Política',
+  'multifirma.quitar': 'Quitar',
+  'multifirma.receptor': 'Receptor: claves de confianza',
+  'multifirma.rechazado':
+    '❌ Rechazado — {validas} de {total} firmas válidas; la política exige {requeridas}.',
+  'multifirma.sinFirmantes':
+    'Añade al menos dos firmantes; cada uno recibe su propio par de claves.',
+  'multifirma.titulo': 'Multifirma (M de N)',
+  'multifirma.verificar': 'Verificar Quórum',
+
+  'paquete.algoritmo': 'Algoritmo',
+  'paquete.cargado': 'Paquete JWS cargado',
+  'paquete.claveIncluida':
+    'La clave viene en el propio paquete: compara su huella por un canal seguro.',
+  'paquete.contenido': 'Contenido',
+  'paquete.contenidoIncluido': 'incluido ({bytes} bytes)',
+  'paquete.contenidoSeparado': 'separado: elige el archivo firmado',
+  'paquete.error': 'Error verificando el paquete: {error}',
+  'paquete.fechaDesconocida': 'fecha desconocida',
+  'paquete.firmado': 'Firmado',
+  'paquete.invalido':
+    'Firma inválida — El paquete JWS no verifica con esta clave.',
+  'paquete.kidDistinto':
+    'La firma verifica, pero la clave no es la que declara el paquete (kid distinto).',
+  'paquete.quitar': 'Quitar paquete',
+  'paquete.resumenDistinto':
+    'Firma inválida — El contenido no coincide con el SHA-256 del paquete.',
+  'paquete.sello': 'Sello de tiempo',
+  'paquete.selloIncluido': 'incluido',
+  'paquete.sinClave':
+    'El paquete no incluye la clave: importa la clave pública del firmante.',
+  'paquete.sinContenido':
+    'El paquete no incluye el contenido: elige el archivo firmado y vuelve a verificar.',
+  'paquete.valido':
+    'Paquete JWS válido ({alg}) — firmado el {fecha} por la clave {kid}.',
+
+  'par.noComprobado': 'No se pudo comprobar el par de claves (A): {error}',
+  'par.noFormanPar':
+    'Las claves (A) no forman un par: las firmas no verificarán con esta clave pública.',
+
+  'pregunta.confiar':
+    'Marca la clave como de confianza solo si has comparado su huella con la del emisor por un canal que el atacante no controle (en persona, por teléfono):\n\n{huella}',
+  'pregunta.dueno': '¿De quién es la clave?',
+  'pregunta.eliminar': '¿Eliminar "{nombre}" del llavero?',
+  'pregunta.nombreCa': 'Nombre de la CA raíz:',
+  'pregunta.nombreCaDefecto': 'CA raíz de prueba',
+  'pregunta.nombrePar': 'Nombre para el par de claves:',
+  'pregunta.nombreParDefecto': 'Clave A',
+  'pregunta.nombrePublica': 'Nombre para la clave pública:',
+  'pregunta.nuevoNombre': 'Nuevo nombre:',
+  'pregunta.titular': 'Titular del certificado (CN):',
+  'pregunta.titularDefecto': 'Emisor A',
+
+  'receptor.archivo': 'Archivo a Verificar',
+  'receptor.cargarFirma': 'Cargar firma de archivo',
+  'receptor.cargarPaquete': 'Cargar paquete JWS',
+  'receptor.certificadoRechazado': 'Certificado rechazado: {sujeto}',
+  'receptor.certificadoValido': 'Certificado válido: {sujeto}',
+  'receptor.confiarCa': 'Confiar en la CA del Emisor',
+  'receptor.confiarTsa': 'Confiar en esta TSA',
+  'receptor.copiarCertificado': 'Copiar certificado del Emisor',
+  'receptor.copiarEmisor': 'Copiar de Emisor',
+  'receptor.copiarTsa': 'Copiar TSA del Emisor',
+  'receptor.diagnostico': 'Diagnóstico del fallo',
+  'receptor.esquema': 'Esquema RSA',
+  'receptor.esquemaAyuda':
+    'Solo aplica a claves RSA: el SPKI no indica el esquema',
+  'receptor.firmaPlaceholder': 'Pega la firma digital en Base64 aquí...',
+  'receptor.formatosExternos':
+    'También acepta una línea de OpenSSH (ssh-ed25519 AAAA...) o una clave de gpg --export --armor, y entonces verifica firmas de ssh-keygen -Y sign o de gpg --detach-sign.',
+  'receptor.guardarPublica': 'Guardar Clave Pública en el Llavero',
+  'receptor.hash': 'Función hash del receptor',
+  'receptor.hashAyuda': 'Aplica a RSA y ECDSA; Ed25519 no usa hash externo',
+  'receptor.importada': 'Importada · {clave}',
+  'receptor.importarPem': 'Importar PEM',
+  'receptor.importarTitulo': 'Importar Clave Pública',
+  'receptor.mensaje': 'Mensaje Recibido',
+  'receptor.mensajePlaceholder':
+    'Pega el mensaje recibido o pulsa "Recibir del Emisor"...',
+  'receptor.olvidarTsa': 'Dejar de confiar',
+  'receptor.publica': 'Clave Pública o Certificado (B)',
+  'receptor.publicaPlaceholder':
+    'Pega la clave pública o el certificado PEM aquí...',
+  'receptor.raices': 'CA raíz de confianza (B)',
+  'receptor.raicesPlaceholder':
+    'Certificados de las CA raíz en las que confía el receptor. Se usan al importar un certificado.',
+  'receptor.recibir': 'Recibir del Emisor',
+  'receptor.resultado': 'Resultado de Verificación',
+  'receptor.resultadoVacio': 'La verificación aparecerá aquí...',
+  'receptor.sello': 'Sello de tiempo recibido',
+  'receptor.selloPlaceholder': 'Sello de tiempo (opcional)...',
+  'receptor.titulo': 'Receptor (B) — Verificar Firma',
+  'receptor.tsaPem': 'Clave pública de una TSA',
+  'receptor.tsaPlaceholder': 'Pega la clave pública PEM de otra TSA...',
+  'receptor.tsas': 'TSA de confianza además de la local ({n})',
+  'receptor.validez': 'Validez del sello en días',
+  'receptor.validezAntes': 'Un sello vale',
+  'receptor.validezDespues':
+    'días; se verifica con la TSA local y con las TSA de confianza.',
+  'receptor.verificar': 'Verificar Firma',
+
+  'registro.certificado': 'Certificado de "{sujeto}"',
+  'registro.certificadoRechazado': 'Certificado de "{sujeto}" rechazado',
+  'registro.conSello': 'Con sello de tiempo de la TSA local',
+  'registro.enServicio': 'En el servicio {url}',
+
+  'revocacion.conocidas': 'Claves revocadas que conoce B',
+  'revocacion.declaracionEmisor': 'Declaración firmada por el emisor',
+  'revocacion.declaracionPlaceholder':
+    'La declaración firmada aparecerá aquí...',
+  'revocacion.descripcion':
+    'Una clave compartida no se puede recuperar: su dueño o la CA firman una lista que la revoca. Para cambiar de clave, la anterior firma una declaración que respalda a la nueva.',
+  'revocacion.ignoradas':
+    'Se ignoran {n} entradas que el firmante no puede revocar.',
+  'revocacion.importar': 'Importar Declaración',
+  'revocacion.listaDeCa':
+    'Lista firmada por una CA de confianza: {n} clave(s) revocada(s).',
+  'revocacion.listaDelDueno':
+    'Lista firmada por el dueño de la clave: {n} clave(s) revocada(s).',
+  'revocacion.motivo': 'Motivo de la revocación',
+  'revocacion.ninguna':
+    'Ninguna. Al verificar, B consulta esta lista antes de dar una firma por buena.',
+  'revocacion.olvidar': 'Olvidar',
+  'revocacion.porCa': 'por la CA',
+  'revocacion.porDueno': 'por su dueño',
+  'revocacion.posterior': 'La clave se revocó el {fecha}, después del sello.',
+  'revocacion.recibida': 'Declaración recibida',
+  'revocacion.recibidaPlaceholder':
+    'Pega una lista de revocación o una declaración de rotación...',
+  'revocacion.recibir': 'Recibir Declaración',
+  'revocacion.revocada':
+    'Clave revocada — Revocada el {fecha} ({motivo}) y la firma no lleva un sello anterior.',
+  'revocacion.revocar': 'Revocar la clave de A',
+  'revocacion.revocarCa': 'Revocar con la CA',
+  'revocacion.rotar': 'Rotar a una clave nueva',
+  'revocacion.rotarAyuda':
+    'La rotación genera un par nuevo con la configuración actual y lo deja como clave del emisor. Publica después una revocación con el motivo «Sustituida por otra».',
+  'revocacion.sinEfecto':
+    'La firma no es de una CA de confianza ni del dueño de las claves: la lista no revoca nada.',
+  'revocacion.titulo': 'Revocación y Rotación de Claves',
+
+  'rotacion.aceptada':
+    'Rotación aceptada: la clave nueva {huella} hereda la confianza de "{nombre}" y pasa a ser la clave del receptor.',
+  'rotacion.nombre': '{nombre} (rotada el {fecha})',
+
+  'rsa.abrir': 'm = s^e mod n con la clave pública',
+  'rsa.abrirAyuda': 'e = {e}. Deshace lo que hizo d al firmar.',
+  'rsa.bytesMas': ' … ({n} bytes más)',
+  'rsa.codificado': 'Mensaje codificado EMSA-PKCS1-v1_5 ({n} bytes)',
+  'rsa.codificadoAyuda':
+    '00 01, relleno de FF hasta ocupar todo el módulo, 00 y el DigestInfo.',
+  'rsa.coincide':
+    'La firma calculada paso a paso es idéntica a la de WebCrypto.',
+  'rsa.comparacion': 'Comparación',
+  'rsa.comparacionWebCrypto': 'Comparación con WebCrypto',
+  'rsa.descripcion':
+    'Repite a mano, con la aritmética de BigInt sobre los números de la clave, lo que WebCrypto hace al firmar y verificar con RSASSA-PKCS1-v1_5, y comprueba que sale lo mismo.',
+  'rsa.digestInfo':
+    'El resumen va dentro de una estructura ASN.1 que nombra el hash; el prefijo es fijo para cada algoritmo.',
+  'rsa.esperado': 'Lo que espera el receptor: {hash} del mensaje recibido',
+  'rsa.firmaRecibida': 'Firma recibida como entero s',
+  'rsa.inspeccionarFirma': 'Inspeccionar la Firma de A',
+  'rsa.inspeccionarVerificacion': 'Inspeccionar la Verificación en B',
+  'rsa.invalida': 'inválida',
+  'rsa.m': 'm es el mensaje codificado leído como un entero.',
+  'rsa.mensaje': 'Mensaje ({n} bytes)',
+  'rsa.mismoResultado': ', el mismo resultado.',
+  'rsa.noAbre':
+    'La firma no mide lo mismo que el módulo o es mayor que n: no se puede abrir con esta clave.',
+  'rsa.noCoincide':
+    'La firma calculada paso a paso no coincide con la de WebCrypto.',
+  'rsa.otroResultado': ', un resultado distinto.',
+  'rsa.parte.cabecera': 'Cabecera',
+  'rsa.parte.prefijo': 'Prefijo DigestInfo',
+  'rsa.parte.relleno': 'Relleno',
+  'rsa.parte.resumen': 'Resumen',
+  'rsa.parte.separador': 'Separador',
+  'rsa.privada': 'Clave privada (del JWK exportado)',
+  'rsa.privadaAyuda': 'n de {bits} bits, e = {e}. d es el exponente secreto:',
+  'rsa.recuperadoDistinto':
+    'El mensaje codificado recuperado no es el esperado.',
+  'rsa.recuperadoIgual': 'El mensaje codificado recuperado es el esperado.',
+  'rsa.resumen': 'Resumen {hash}',
+  'rsa.titulo': 'RSA por Dentro',
+  'rsa.valida': 'válida',
+
+  'seccion.emisor': 'Emisor (A)',
+  'seccion.receptor': 'Receptor (B)',
+
+  'sello.antedatada':
+    'Firma antedatada — El firmante declara {declarada}, pero la TSA la selló el {fecha}.',
+  'sello.caducada':
+    'Firma caducada — Sellada el {fecha}, hace más de {dias} días.',
+  'sello.futuro':
+    'Sello de tiempo del futuro — Dice {fecha}: revisa el reloj de la TSA o del receptor.',
+  'sello.invalido': 'Sello de tiempo inválido — {error}',
+  'sello.valido': 'Sellada el {fecha} por {tsa}.',
+
+  'servicio.ayuda':
+    'Arráncalo con npm run servidor. Generar claves, Firmar y Verificar Firma pasan entonces por él, y la clave privada del emisor no sale del servicio. Las firmas SSH y OpenPGP y el resto de secciones siguen usando el WebCrypto del navegador.',
+  'servicio.conectado': 'Conectado: {n} clave(s) generada(s) en el servicio.',
+  'servicio.error': '{error}',
+  'servicio.probar': 'Probar Conexión',
+  'servicio.sinClaves':
+    'las claves del emisor no están en el servicio: genéralas con el servicio activo o desactívalo.',
+  'servicio.url': 'URL del servicio de firma',
+  'servicio.usar': 'Usar el servicio local de firma',
+
+  'verificacion.analizando': 'Firma inválida — Analizando la causa...',
+  'verificacion.ataque': 'ATAQUE DETECTADO — El mensaje fue modificado.',
+  'verificacion.diagnosticoFallido': 'Diagnóstico fallido: {error}',
+  'verificacion.error': 'Error verificando la firma: {error}',
+  'verificacion.invalida':
+    'Firma inválida — Clave incorrecta o mensaje alterado.',
+  'verificacion.pgpClave': 'Clave',
+  'verificacion.pgpInvalida':
+    'Firma OpenPGP inválida — Clave incorrecta o mensaje alterado.',
+  'verificacion.pgpSinClave':
+    'importa primero la clave pública OpenPGP (gpg --export --armor) del firmante.',
+  'verificacion.pgpSubclave': 'Subclave',
+  'verificacion.pgpValida': 'Firma OpenPGP válida — {clave}, {hash}.',
+  'verificacion.pgpValidaFecha':
+    'Firma OpenPGP válida — {clave}, {hash}, firmada el {fecha}.',
+  'verificacion.revisaDiagnostico': 'Firma inválida — Revisa el diagnóstico.',
+  'verificacion.sshInvalida':
+    'Firma SSH inválida — Clave incorrecta o mensaje alterado.',
+  'verificacion.sshOtraClave':
+    'Firma SSH de otra clave — La hizo {huella}, no la clave importada.',
+  'verificacion.sshValida':
+    'Firma SSH válida — {tipo} {huella}, espacio de nombres "{namespace}".',
+  'verificacion.valida': 'Firma válida — El mensaje es auténtico.',
+}
@@ -0,0 +1,141 @@
+import { FirmaError } from './errors.js'
+import { subtle } from './firma.js'
+import {
+  base64UrlDecode,
+  base64UrlEncode,
+  createJws,
+  jwkThumbprint,
+  parseJsonObject,
+  parseJwsSignatures,
+  publicJwk,
+  verifyJws,
+} from './jws.js'
+
+/* ================== MULTIFIRMA (QUÓRUM M DE N) ================== */
+
+// Un solo paquete JWS en serialización JSON general (RFC 7515, 7.2.1): la
+// carga va una vez y cada firmante añade su entrada a `signatures`, con su
+// nombre en la cabecera protegida. Qué claves cuentan para el quórum lo decide
+// el receptor con su lista de confianza; el paquete solo declara.
+
+const decodeHeader = (encoded) =>
+  parseJsonObject(
+    new TextDecoder().decode(base64UrlDecode(encoded)),
+    'La cabecera del paquete JWS'
+  )
+
+// Devuelve un paquete nuevo con la firma añadida; `bundle` null empieza uno
+export async function addSignature(
+  bundle,
+  { signer, privateKey, publicKey, payload, hash }
+) {
+  const jws = await createJws(privateKey, publicKey, payload, {
+    hash,
+    detached: bundle ? bundle.payload === undefined : undefined,
+    extraHeader: { name: signer },
+  })
+  const header = decodeHeader(jws.protected)
+  for (const previa of bundle ? bundle.signatures : []) {
+    const { sha256, kid, name } = decodeHeader(previa.protected)
+    if (sha256 !== header.sha256)
+      throw new FirmaError(
+        'El documento no es el que firmaron los demás: su SHA-256 no coincide.',
+        { code: 'PAYLOAD_MISMATCH' }
+      )
+    if (kid === header.kid)
+      throw new FirmaError(
+        `Esta clave ya ha firmado el paquete${name ? ` como ${name}` : ''}.`,
+        { code: 'DUPLICATE_SIGNER' }
+      )
+  }
+
+  const firma = { protected: jws.protected, signature: jws.signature }
+  return {
+    ...(jws.payload === undefined ? {} : { payload: jws.payload }),
+    signatures: [...(bundle ? bundle.signatures : []), firma],
+  }
+}
+
+// Una clave repetida en la lista contaría dos veces para el quórum
+async function trustedKids(trusted) {
+  const vistas = new Map()
+  for (const { nombre, publicKey } of trusted) {
+    const kid = await jwkThumbprint(await publicJwk(publicKey))
+    if (vistas.has(kid))
+      throw new FirmaError(
+        `${vistas.get(kid)} y ${nombre} son la misma clave.`,
+        { code: 'DUPLICATE_TRUSTED_KEY' }
+      )
+    vistas.set(kid, nombre)
+  }
+  return [...vistas.keys()]
+}
+
+async function declaredKid(header) {
+  if (header.kid) return header.kid
+  return header.jwk ? jwkThumbprint(header.jwk).catch(() => null) : null
+}
+
+// Cada clave de confianza sale como válida, inválida o ausente, y la inválida
+// con su `motivo` ('otroDocumento' o 'firmaIncorrecta'); las firmas de claves
+// que no están en la lista se listan aparte y no cuentan
+export async function verifyQuorum(
+  text,
+  { trusted, required, detachedPayload }
+) {
+  if (!(required >= 1 && required <= trusted.length))
+    throw new FirmaError(
+      `La política debe exigir entre 1 y ${trusted.length} firmas.`,
+      { code: 'POLICY' }
+    )
+  const kids = await trustedKids(trusted)
+
+  const firmas = parseJwsSignatures(text)
+  const payload = firmas[0].payload || detachedPayload
+  if (!payload)
+    throw new FirmaError(
+      'El paquete no incluye el documento: aporta el archivo firmado.',
+      { code: 'DETACHED_PAYLOAD' }
+    )
+  const digest = base64UrlEncode(await subtle().digest('SHA-256', payload))
+  const declaradas = await Promise.all(
+    firmas.map(async (firma) => ({
+      ...firma,
+      kid: await declaredKid(firma.header),
+    }))
+  )
+
+  const firmantes = await Promise.all(
+    trusted.map(async ({ nombre, publicKey }, i) => {
+      const candidatas = declaradas.filter((firma) => firma.kid === kids[i])
+      const fila = { nombre, kid: kids[i], estado: 'ausente', firma: null }
+      const jwk = await publicJwk(publicKey)
+      for (const firma of candidatas) {
+        fila.firma = firma
+        if (firma.header.sha256 && firma.header.sha256 !== digest) {
+          fila.estado = 'invalida'
+          fila.motivo = 'otroDocumento'
+          continue
+        }
+        if (await verifyJws(firma, jwk, payload).catch(() => false)) {
+          fila.estado = 'valida'
+          delete fila.motivo
+          break
+        }
+        fila.estado = 'invalida'
+        fila.motivo = 'firmaIncorrecta'
+      }
+      return fila
+    })
+  )
+
+  const validas = firmantes.filter((fila) => fila.estado === 'valida').length
+  return {
+    firmantes,
+    desconocidas: declaradas.filter((firma) => !kids.includes(firma.kid)),
+    validas,
+    requeridas: required,
+    total: trusted.length,
+    aprobado: validas >= required,
+  }
+}
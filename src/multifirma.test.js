@@ -0,0 +1,197 @@
+import { beforeAll, describe, expect, it } from 'vitest'
+import {
+  EncodingError,
+  derivePublicKey,
+  generateKeyPair,
+  importPrivateKeyFromPEM,
+  importPublicKeyFromPEM,
+} from './firma'
+import {
+  base64UrlDecode,
+  base64UrlEncode,
+  jwkThumbprint,
+  parseJws,
+  parseJwsSignatures,
+  publicJwk,
+} from './jws'
+import { addSignature, verifyQuorum } from './multifirma'
+import { ED25519 } from './test/openssl'
+
+const documento = new TextEncoder().encode('Acta de aprobación nº 7')
+const otro = new TextEncoder().encode('Acta de aprobación nº 8')
+
+const ecdsa = () => generateKeyPair({ name: 'ECDSA', namedCurve: 'P-256' })
+
+let ana, luis, marta, extrana
+
+beforeAll(async () => {
+  const privada = await importPrivateKeyFromPEM(ED25519.privada)
+  ana = { privateKey: privada, publicKey: await derivePublicKey(privada) }
+  luis = await ecdsa()
+  marta = await generateKeyPair({ name: 'Ed25519' })
+  extrana = await ecdsa()
+})
+
+const firmar = (bundle, signer, pair, payload = documento) =>
+  addSignature(bundle, { signer, payload, hash: 'SHA-256', ...pair })
+
+const confianza = async () => [
+  { nombre: 'Ana', publicKey: await importPublicKeyFromPEM(ED25519.publica) },
+  { nombre: 'Luis', publicKey: luis.publicKey },
+  { nombre: 'Marta', publicKey: marta.publicKey },
+]
+
+describe('paquete con varias firmas', () => {
+  it('acumula las firmas sobre una sola carga', async () => {
+    const bundle = await firmar(await firmar(null, 'Ana', ana), 'Luis', luis)
+    expect(bundle.payload).toBe(base64UrlEncode(documento))
+    expect(bundle.signatures).toHaveLength(2)
+
+    const firmas = parseJwsSignatures(JSON.stringify(bundle))
+    expect(firmas.map((f) => f.header.name)).toEqual(['Ana', 'Luis'])
+    expect(firmas.map((f) => f.header.alg)).toEqual(['EdDSA', 'ES256'])
+  })
+
+  it('rechaza firmar otro documento o firmar dos veces con la misma clave', async () => {
+    const bundle = await firmar(null, 'Ana', ana)
+    await expect(firmar(bundle, 'Luis', luis, otro)).rejects.toMatchObject({
+      code: 'PAYLOAD_MISMATCH',
+    })
+    await expect(firmar(bundle, 'Ana otra vez', ana)).rejects.toMatchObject({
+      code: 'DUPLICATE_SIGNER',
+      message: 'Esta clave ya ha firmado el paquete como Ana.',
+    })
+  })
+
+  it('parseJws remite a la multifirma si hay más de una firma', async () => {
+    const bundle = await firmar(await firmar(null, 'Ana', ana), 'Luis', luis)
+    expect(() => parseJws(JSON.stringify(bundle))).toThrow(
+      'El paquete JWS tiene 2 firmas: verifícalo en la sección Multifirma.'
+    )
+  })
+
+  it('un paquete mal formado da EncodingError, no el error del motor', () => {
+    expect(() => base64UrlDecode('abcde')).toThrow(EncodingError)
+    for (const [texto, mensaje] of [
+      ['{"payload":', 'El paquete JWS no es un JSON válido.'],
+      ['{"signatures":[]}', 'El paquete JWS no tiene ninguna firma.'],
+      [
+        '{"signatures":[null]}',
+        'Al paquete JWS le falta la cabecera o la firma.',
+      ],
+      [
+        `${base64UrlEncode(new TextEncoder().encode('{alg'))}.AA.AA`,
+        'La cabecera del paquete JWS no es un JSON válido.',
+      ],
+      ['abcde.AA.AA', 'Base64url inválido en el paquete JWS.'],
+    ]) {
+      expect(() => parseJwsSignatures(texto)).toThrow(EncodingError)
+      expect(() => parseJwsSignatures(texto)).toThrow(mensaje)
+    }
+  })
+})
+
+describe('verificación del quórum', () => {
+  it('aprueba 2 de 3 y rechaza 3 de 3 con la misma tabla', async () => {
+    const bundle = await firmar(await firmar(null, 'Ana', ana), 'Luis', luis)
+    const texto = JSON.stringify(bundle)
+    const trusted = await confianza()
+
+    const dos = await verifyQuorum(texto, { trusted, required: 2 })
+    expect(dos).toMatchObject({ validas: 2, total: 3, aprobado: true })
+    expect(dos.firmantes.map((fila) => [fila.nombre, fila.estado])).toEqual([
+      ['Ana', 'valida'],
+      ['Luis', 'valida'],
+      ['Marta', 'ausente'],
+    ])
+
+    const tres = await verifyQuorum(texto, { trusted, required: 3 })
+    expect(tres.aprobado).toBe(false)
+  })
+
+  it('no cuenta las firmas de claves que no son de confianza', async () => {
+    const bundle = await firmar(
+      await firmar(null, 'Ana', ana),
+      'Marta',
+      extrana
+    )
+    const resultado = await verifyQuorum(JSON.stringify(bundle), {
+      trusted: await confianza(),
+      required: 2,
+    })
+    expect(resultado.aprobado).toBe(false)
+    expect(resultado.firmantes[2].estado).toBe('ausente')
+    expect(resultado.desconocidas.map((f) => f.header.name)).toEqual(['Marta'])
+  })
+
+  it('marca inválidas las firmas si se cambia el documento', async () => {
+    const bundle = await firmar(await firmar(null, 'Ana', ana), 'Luis', luis)
+    bundle.payload = base64UrlEncode(otro)
+    const resultado = await verifyQuorum(JSON.stringify(bundle), {
+      trusted: await confianza(),
+      required: 1,
+    })
+    expect(resultado.validas).toBe(0)
+    expect(resultado.firmantes[0]).toMatchObject({
+      estado: 'invalida',
+      motivo: 'otroDocumento',
+    })
+  })
+
+  it('una firma que declara el kid de otro firmante no verifica', async () => {
+    const bundle = await firmar(null, 'Luis', extrana)
+    const [firma] = parseJwsSignatures(JSON.stringify(bundle))
+    const kid = await jwkThumbprint(await publicJwk(luis.publicKey))
+    bundle.signatures[0].protected = base64UrlEncode(
+      new TextEncoder().encode(JSON.stringify({ ...firma.header, kid }))
+    )
+    const resultado = await verifyQuorum(JSON.stringify(bundle), {
+      trusted: await confianza(),
+      required: 1,
+    })
+    expect(resultado.firmantes[1]).toMatchObject({
+      estado: 'invalida',
+      motivo: 'firmaIncorrecta',
+    })
+    expect(resultado.desconocidas).toEqual([])
+  })
+
+  it('valida la política y las claves repetidas', async () => {
+    const texto = JSON.stringify(await firmar(null, 'Ana', ana))
+    const trusted = await confianza()
+    await expect(
+      verifyQuorum(texto, { trusted, required: 4 })
+    ).rejects.toMatchObject({
+      code: 'POLICY',
+      message: 'La política debe exigir entre 1 y 3 firmas.',
+    })
+    await expect(
+      verifyQuorum(texto, {
+        trusted: [
+          ...trusted,
+          { nombre: 'Luis bis', publicKey: luis.publicKey },
+        ],
+        required: 2,
+      })
+    ).rejects.toMatchObject({
+      code: 'DUPLICATE_TRUSTED_KEY',
+      message: 'Luis y Luis bis son la misma clave.',
+    })
+  })
+
+  it('pide el documento si el paquete va separado', async () => {
+    const bundle = await firmar(null, 'Ana', ana)
+    delete bundle.payload
+    const texto = JSON.stringify(bundle)
+    const trusted = await confianza()
+    await expect(
+      verifyQuorum(texto, { trusted, required: 1 })
+    ).rejects.toMatchObject({ code: 'DETACHED_PAYLOAD' })
+    const resultado = await verifyQuorum(texto, {
+      trusted,
+      required: 1,
+      detachedPayload: documento,
+    })
+    expect(resultado.aprobado).toBe(true)
+  })
+})
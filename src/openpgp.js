@@ -0,0 +1,449 @@
+import {
+  EncodingError,
+  FirmaError,
+  UnsupportedAlgorithmError,
+} from './errors.js'
+import { CURVE_BYTES, base64ToBuf, subtle, toHex } from './firma.js'
+import { base64UrlEncode } from './jws.js'
+
+/* ================= CLAVES Y FIRMAS DE OPENPGP (GnuPG) ================= */
+
+// Lo justo de RFC 4880 (y de RFC 9580 para Ed25519) para verificar firmas
+// separadas de `gpg --detach-sign --armor` con una clave pública exportada
+// por `gpg --export --armor`: claves v4 RSA, ECDSA sobre curvas NIST y
+// Ed25519, en su forma antigua (EdDSA, algoritmo 22) y en la nueva (27).
+//
+// De la clave se comprueban las autocertificaciones: el identificador de
+// usuario solo se muestra si lo firma la clave principal, y una subclave solo
+// se usa si la principal la vincula y le permite firmar. No se consultan
+// revocaciones ni caducidades.
+
+const HASHES_PGP = { 8: 'SHA-256', 9: 'SHA-384', 10: 'SHA-512' }
+
+// OID de la curva, sin la etiqueta ni la longitud DER
+const CURVAS_PGP = {
+  '2a8648ce3d030107': 'P-256',
+  '2b81040022': 'P-384',
+  '2b81040023': 'P-521',
+}
+const OID_ED25519 = '2b06010401da470f01'
+
+const ALGORITMOS_PGP = {
+  1: 'RSA',
+  3: 'RSA',
+  19: 'ECDSA',
+  22: 'EdDSA',
+  27: 'Ed25519',
+}
+
+const TIPOS_FIRMA = { 0x00: 'binario', 0x01: 'texto' }
+
+function concat(...partes) {
+  const out = new Uint8Array(partes.reduce((n, p) => n + p.length, 0))
+  let offset = 0
+  for (const parte of partes) {
+    out.set(parte, offset)
+    offset += parte.length
+  }
+  return out
+}
+
+const uint32 = (n) =>
+  new Uint8Array([n >>> 24, (n >>> 16) & 0xff, (n >>> 8) & 0xff, n & 0xff])
+
+function crc24(bytes) {
+  let crc = 0xb704ce
+  for (const b of bytes) {
+    crc ^= b << 16
+    for (let i = 0; i < 8; i++) {
+      crc <<= 1
+      if (crc & 0x1000000) crc ^= 0x1864cfb
+    }
+  }
+  return crc & 0xffffff
+}
+
+// Armadura ASCII (RFC 4880, 6.2): cabeceras, línea en blanco, Base64 y el
+// CRC24 tras un "="
+function dearmor(text, label) {
+  const bloque = text.match(
+    new RegExp(
+      `-----BEGIN PGP ${label}-----\\r?\\n([\\s\\S]*?)-----END PGP ${label}-----`
+    )
+  )
+  if (!bloque)
+    throw new EncodingError(
+      `No es un bloque OpenPGP: falta "-----BEGIN PGP ${label}-----".`
+    )
+  const lineas = bloque[1].split(/\r?\n/).map((l) => l.trim())
+  const cuerpo = lineas.slice(lineas.indexOf('') + 1).filter(Boolean)
+  const crc = cuerpo.at(-1)?.startsWith('=') ? cuerpo.pop().slice(1) : null
+  const bytes = new Uint8Array(base64ToBuf(cuerpo.join('')))
+  if (crc) {
+    const [a, b, c] = new Uint8Array(base64ToBuf(crc))
+    if (((a << 16) | (b << 8) | c) !== crc24(bytes))
+      throw new EncodingError(
+        'La suma CRC24 de la armadura no coincide: el bloque OpenPGP se ha copiado mal.'
+      )
+  }
+  return bytes
+}
+
+export const isPgpPublicKey = (text) =>
+  text.includes('-----BEGIN PGP PUBLIC KEY BLOCK-----')
+export const isPgpSignature = (text) =>
+  text.includes('-----BEGIN PGP SIGNATURE-----')
+
+function reader(bytes) {
+  let offset = 0
+  const take = (n) => {
+    if (offset + n > bytes.length)
+      throw new EncodingError('El paquete OpenPGP está truncado.')
+    return bytes.subarray(offset, (offset += n))
+  }
+  const number = (n) => take(n).reduce((acc, b) => acc * 256 + b, 0)
+  return {
+    take,
+    number,
+    // Entero multiprecisión: longitud en bits y los bytes justos
+    mpi: () => take(Math.ceil(number(2) / 8)),
+    get offset() {
+      return offset
+    },
+    done: () => offset === bytes.length,
+  }
+}
+
+// Cabeceras de paquete en formato antiguo y nuevo (RFC 4880, 4.2)
+function packets(bytes) {
+  const r = reader(bytes)
+  const lista = []
+  while (!r.done()) {
+    const cabecera = r.number(1)
+    if (!(cabecera & 0x80))
+      throw new EncodingError('Cabecera de paquete OpenPGP inválida.')
+    let tag, length
+    if (cabecera & 0x40) {
+      tag = cabecera & 0x3f
+      const o1 = r.number(1)
+      if (o1 < 192) length = o1
+      else if (o1 < 224) length = ((o1 - 192) << 8) + r.number(1) + 192
+      else if (o1 === 255) length = r.number(4)
+      else
+        throw new UnsupportedAlgorithmError(
+          'Los paquetes OpenPGP de longitud parcial no están soportados.'
+        )
+    } else {
+      tag = (cabecera >> 2) & 0x0f
+      const tipo = cabecera & 0x03
+      length = tipo === 3 ? bytes.length - r.offset : r.number([1, 2, 4][tipo])
+    }
+    lista.push({ tag, body: r.take(length) })
+  }
+  return lista
+}
+
+// Una clave tal como la hashean la huella v4 y las autocertificaciones
+const keyPrefix = (body) =>
+  concat(new Uint8Array([0x99, body.length >> 8, body.length & 0xff]), body)
+
+function rsaJwk(n, e) {
+  return { kty: 'RSA', n: base64UrlEncode(n), e: base64UrlEncode(e), ext: true }
+}
+
+// Clave pública v4 (RFC 4880, 5.5.2). `publicKey` es null si el algoritmo no
+// firma o no lo soporta WebCrypto, como las subclaves de cifrado ECDH.
+async function readKey(body, primary) {
+  const r = reader(body)
+  const version = r.number(1)
+  if (version !== 4)
+    throw new UnsupportedAlgorithmError(
+      `Solo se admiten claves OpenPGP v4; esta es v${version}.`
+    )
+  const created = new Date(r.number(4) * 1000)
+  const algo = r.number(1)
+  const algorithm = ALGORITMOS_PGP[algo] || `algoritmo ${algo}`
+
+  let publicKey = null
+  let jwk = null
+  if (algorithm === 'RSA') {
+    const n = r.mpi()
+    jwk = rsaJwk(n, r.mpi())
+    publicKey = await subtle().importKey(
+      'jwk',
+      jwk,
+      { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+      true,
+      ['verify']
+    )
+  } else if (algorithm === 'ECDSA' || algorithm === 'EdDSA') {
+    const oid = toHex(r.take(r.number(1)))
+    const punto = r.mpi()
+    if (algorithm === 'ECDSA') {
+      const namedCurve = CURVAS_PGP[oid]
+      if (!namedCurve)
+        throw new UnsupportedAlgorithmError(
+          `Curva OpenPGP no soportada (OID ${oid}).`
+        )
+      publicKey = await subtle().importKey(
+        'raw',
+        punto,
+        { name: 'ECDSA', namedCurve },
+        true,
+        ['verify']
+      )
+    } else {
+      // El prefijo 0x40 marca un punto nativo de Curve25519
+      if (oid !== OID_ED25519 || punto[0] !== 0x40)
+        throw new UnsupportedAlgorithmError('Curva EdDSA no soportada.')
+      publicKey = await subtle().importKey(
+        'raw',
+        punto.subarray(1),
+        { name: 'Ed25519' },
+        true,
+        ['verify']
+      )
+    }
+  } else if (algorithm === 'Ed25519') {
+    publicKey = await subtle().importKey(
+      'raw',
+      r.take(32),
+      { name: 'Ed25519' },
+      true,
+      ['verify']
+    )
+  } else if (primary) {
+    throw new UnsupportedAlgorithmError(
+      `La clave principal usa un ${algorithm} de OpenPGP, que no se puede verificar aquí.`
+    )
+  }
+
+  const fingerprint = new Uint8Array(
+    await subtle().digest('SHA-1', keyPrefix(body))
+  )
+  return {
+    fingerprint: toHex(fingerprint).toUpperCase(),
+    keyId: toHex(fingerprint.subarray(12)).toUpperCase(),
+    algorithm,
+    algo,
+    created,
+    primary,
+    publicKey,
+    jwk,
+    body,
+  }
+}
+
+function subpackets(bytes) {
+  const r = reader(bytes)
+  const lista = {}
+  while (!r.done()) {
+    const o1 = r.number(1)
+    let length = o1
+    if (o1 >= 255) length = r.number(4)
+    else if (o1 >= 192) length = ((o1 - 192) << 8) + r.number(1) + 192
+    const datos = r.take(length)
+    lista[datos[0] & 0x7f] = datos.subarray(1)
+  }
+  return lista
+}
+
+// Paquete de firma v4 (RFC 4880, 5.2.3)
+function readSignature(body) {
+  const r = reader(body)
+  const version = r.number(1)
+  if (version !== 4)
+    throw new UnsupportedAlgorithmError(
+      `Solo se admiten firmas OpenPGP v4; esta es v${version}.`
+    )
+  const type = r.number(1)
+  const algo = r.number(1)
+  const hashAlgo = r.number(1)
+  const hashed = subpackets(r.take(r.number(2)))
+  const hashedEnd = r.offset
+  const unhashed = subpackets(r.take(r.number(2)))
+  const left16 = r.take(2)
+
+  let valores
+  if (algo === 27) valores = [r.take(64)]
+  else if (ALGORITMOS_PGP[algo] === 'RSA') valores = [r.mpi()]
+  else valores = [r.mpi(), r.mpi()]
+
+  // El emisor puede venir como huella (33, con un byte de versión delante) o
+  // como identificador de 8 bytes (16), y este a veces sin cubrir por el hash
+  const huella = hashed[33] || unhashed[33]
+  const emisor = hashed[16] || unhashed[16]
+  return {
+    type,
+    algo,
+    hash: HASHES_PGP[hashAlgo],
+    hashAlgo,
+    created: hashed[2] && new Date(reader(hashed[2]).number(4) * 1000),
+    keyFlags: hashed[27]?.[0],
+    issuerFingerprint: huella && toHex(huella.subarray(1)).toUpperCase(),
+    issuerKeyId: emisor && toHex(emisor).toUpperCase(),
+    left16,
+    valores,
+    // Lo que cubre el hash además de los datos: la firma hasta el final de
+    // los subpaquetes con hash y el trailer 04 FF con su longitud
+    trailer: concat(
+      body.subarray(0, hashedEnd),
+      new Uint8Array([0x04, 0xff]),
+      uint32(hashedEnd)
+    ),
+  }
+}
+
+const padStart = (bytes, length) => {
+  const out = new Uint8Array(length)
+  out.set(bytes, length - bytes.length)
+  return out
+}
+
+async function verifyWith(key, firma, data) {
+  if (
+    !ALGORITMOS_PGP[firma.algo] ||
+    ALGORITMOS_PGP[firma.algo] !== key.algorithm
+  )
+    throw new UnsupportedAlgorithmError(
+      `La firma usa el algoritmo OpenPGP ${firma.algo} y la clave ${key.algorithm}.`
+    )
+  if (!firma.hash)
+    throw new UnsupportedAlgorithmError(
+      `Hash OpenPGP no soportado (algoritmo ${firma.hashAlgo}): solo SHA-256, SHA-384 y SHA-512.`
+    )
+  const signed = concat(data, firma.trailer)
+  const digest = new Uint8Array(await subtle().digest(firma.hash, signed))
+  if (digest[0] !== firma.left16[0] || digest[1] !== firma.left16[1])
+    return false
+
+  if (key.algorithm === 'RSA') {
+    // La clave se importó con SHA-256; el hash lo decide cada firma
+    const publicKey = await subtle().importKey(
+      'jwk',
+      key.jwk,
+      { name: 'RSASSA-PKCS1-v1_5', hash: firma.hash },
+      false,
+      ['verify']
+    )
+    const bytes = publicKey.algorithm.modulusLength / 8
+    return subtle().verify(
+      'RSASSA-PKCS1-v1_5',
+      publicKey,
+      padStart(firma.valores[0], bytes),
+      signed
+    )
+  }
+  if (key.algorithm === 'ECDSA') {
+    const size = CURVE_BYTES[key.publicKey.algorithm.namedCurve]
+    return subtle().verify(
+      { name: 'ECDSA', hash: firma.hash },
+      key.publicKey,
+      concat(...firma.valores.map((v) => padStart(v, size))),
+      signed
+    )
+  }
+  // EdDSA firma el resumen, no los datos
+  const raw =
+    firma.valores.length === 1
+      ? firma.valores[0]
+      : concat(...firma.valores.map((v) => padStart(v, 32)))
+  return subtle().verify('Ed25519', key.publicKey, raw, digest)
+}
+
+/**
+ * Lee una clave pública exportada con `gpg --export --armor`. Devuelve la
+ * principal y las subclaves que ella vincula para firmar, cada una con su
+ * huella v4 y su identificador largo, además del primer usuario
+ * autocertificado.
+ */
+export async function parsePgpPublicKey(text) {
+  const lista = packets(dearmor(text, 'PUBLIC KEY BLOCK'))
+  if (lista[0]?.tag !== 6)
+    throw new EncodingError(
+      'El bloque OpenPGP no empieza por una clave pública.'
+    )
+
+  const principal = await readKey(lista[0].body, true)
+  const keys = [principal]
+  let userId = ''
+  let actual = null
+  for (const { tag, body } of lista.slice(1)) {
+    if (tag === 13) {
+      actual = { tag, body }
+    } else if (tag === 14) {
+      actual = { tag, key: await readKey(body, false) }
+    } else if (tag === 2 && actual) {
+      const firma = readSignature(body)
+      if (actual.tag === 13 && firma.type >= 0x10 && firma.type <= 0x13) {
+        const uid = concat(
+          new Uint8Array([0xb4]),
+          uint32(actual.body.length),
+          actual.body
+        )
+        const prefijo = concat(keyPrefix(principal.body), uid)
+        if (!userId && (await verifyWith(principal, firma, prefijo)))
+          userId = new TextDecoder().decode(actual.body)
+      } else if (actual.tag === 14 && firma.type === 0x18) {
+        const { key } = actual
+        const prefijo = concat(keyPrefix(principal.body), keyPrefix(key.body))
+        const vinculada =
+          key.publicKey &&
+          (firma.keyFlags === undefined || firma.keyFlags & 0x02) &&
+          (await verifyWith(principal, firma, prefijo))
+        if (vinculada && !keys.includes(key)) keys.push(key)
+      }
+    }
+  }
+  return {
+    userId,
+    fingerprint: principal.fingerprint,
+    keyId: principal.keyId,
+    keys,
+  }
+}
+
+/**
+ * Verifica una firma separada de `gpg --detach-sign --armor` sobre `data` con
+ * una clave de parsePgpPublicKey. Las firmas de texto (`--textmode`) se
+ * comprueban sobre los datos con los saltos de línea en CRLF.
+ */
+export async function verifyPgpSignature(text, data, clave) {
+  const paquete = packets(dearmor(text, 'SIGNATURE')).find((p) => p.tag === 2)
+  if (!paquete)
+    throw new EncodingError('El bloque OpenPGP no contiene ninguna firma.')
+  const firma = readSignature(paquete.body)
+  if (!(firma.type in TIPOS_FIRMA))
+    throw new UnsupportedAlgorithmError(
+      `No es una firma de documento (tipo 0x${firma.type.toString(16)}).`
+    )
+
+  const key = clave.keys.find((k) =>
+    firma.issuerFingerprint
+      ? k.fingerprint === firma.issuerFingerprint
+      : k.keyId === firma.issuerKeyId
+  )
+  if (!key)
+    throw new FirmaError(
+      `La firma es de la clave ${
+        firma.issuerKeyId || firma.issuerFingerprint?.slice(-16)
+      }, que no es ${clave.keyId} ni una de sus subclaves de firma.`,
+      { code: 'PGP_KEY' }
+    )
+
+  let bytes = new Uint8Array(data)
+  if (firma.type === 0x01)
+    bytes = new TextEncoder().encode(
+      new TextDecoder().decode(bytes).replace(/\r?\n/g, '\r\n')
+    )
+  return {
+    valida: await verifyWith(key, firma, bytes),
+    fingerprint: key.fingerprint,
+    keyId: key.keyId,
+    primary: key.primary,
+    algorithm: key.algorithm,
+    hash: firma.hash,
+    created: firma.created,
+    modo: TIPOS_FIRMA[firma.type],
+  }
+}
@@ -0,0 +1,88 @@
+import { describe, expect, it } from 'vitest'
+import { parsePgpPublicKey, verifyPgpSignature } from './openpgp'
+import { PGP_ED25519, PGP_P256, PGP_RSA } from './test/gpg'
+import { MENSAJE } from './test/openssl'
+
+const datos = new TextEncoder().encode(MENSAJE)
+const VECTORES = { rsa2048: PGP_RSA, nistp256: PGP_P256, ed25519: PGP_ED25519 }
+
+describe('claves públicas OpenPGP', () => {
+  it.each(Object.entries(VECTORES))(
+    'lee la clave %s con su huella v4 y su usuario autocertificado',
+    async (_, vector) => {
+      const clave = await parsePgpPublicKey(vector.publica)
+      expect(clave.fingerprint).toBe(vector.huella)
+      expect(clave.keyId).toBe(vector.huella.slice(-16))
+      expect(clave.userId).toBe(vector.usuario)
+      expect(clave.keys[0].primary).toBe(true)
+    }
+  )
+
+  it('incluye las subclaves de firma que vincula la principal', async () => {
+    const clave = await parsePgpPublicKey(PGP_ED25519.publica)
+    expect(clave.keys.map((k) => [k.fingerprint, k.algorithm])).toEqual([
+      [PGP_ED25519.huella, 'EdDSA'],
+      [PGP_ED25519.subclave, 'RSA'],
+    ])
+  })
+
+  it('detecta una armadura mal copiada por su CRC24', async () => {
+    const alterada = PGP_RSA.publica.replace('mQENBGrW', 'mQENBGrX')
+    await expect(parsePgpPublicKey(alterada)).rejects.toThrow(
+      'La suma CRC24 de la armadura no coincide'
+    )
+  })
+})
+
+describe('firmas separadas de gpg', () => {
+  it.each(Object.entries(VECTORES))(
+    'verifica la firma %s',
+    async (_, vector) => {
+      const clave = await parsePgpPublicKey(vector.publica)
+      const resultado = await verifyPgpSignature(vector.firma, datos, clave)
+      expect(resultado).toMatchObject({
+        valida: true,
+        primary: true,
+        fingerprint: vector.huella,
+        modo: 'binario',
+      })
+      expect(resultado.created).toBeInstanceOf(Date)
+    }
+  )
+
+  it('usa SHA-512 si la firma lo pide aunque la clave RSA se leyera con SHA-256', async () => {
+    const clave = await parsePgpPublicKey(PGP_RSA.publica)
+    const resultado = await verifyPgpSignature(PGP_RSA.firma, datos, clave)
+    expect(resultado.hash).toBe('SHA-512')
+  })
+
+  it('verifica la firma de una subclave', async () => {
+    const clave = await parsePgpPublicKey(PGP_ED25519.publica)
+    const resultado = await verifyPgpSignature(
+      PGP_ED25519.firmaSubclave,
+      datos,
+      clave
+    )
+    expect(resultado).toMatchObject({
+      valida: true,
+      primary: false,
+      fingerprint: PGP_ED25519.subclave,
+    })
+  })
+
+  it('no valida datos alterados', async () => {
+    const otros = new TextEncoder().encode(MENSAJE + '!')
+    for (const vector of Object.values(VECTORES)) {
+      const clave = await parsePgpPublicKey(vector.publica)
+      const resultado = await verifyPgpSignature(vector.firma, otros, clave)
+      expect(resultado.valida).toBe(false)
+    }
+  })
+
+  it('avisa si la firma es de otra clave', async () => {
+    const clave = await parsePgpPublicKey(PGP_P256.publica)
+    await expect(
+      verifyPgpSignature(PGP_RSA.firma, datos, clave)
+    ).rejects.toMatchObject({ code: 'PGP_KEY' })
+  })
+})
@@ -0,0 +1,183 @@
+import {
+  derInteger,
+  derNull,
+  derOctetString,
+  derOid,
+  derSequence,
+  integerToNumber,
+  oidToString,
+  readChildren,
+  readDer,
+} from './asn1.js'
+import { PassphraseError, UnsupportedAlgorithmError } from './errors.js'
+import { randomBytes, subtle } from './webcrypto.js'
+
+/* ============== PKCS#8 CIFRADO (PBES2 + PBKDF2 + AES) ============== */
+
+// EncryptedPrivateKeyInfo de RFC 5208 con los parámetros PBES2 de RFC 8018.
+// AES-CBC es lo que lee `openssl pkcs8`; AES-GCM (RFC 5084) solo lo leen
+// otras implementaciones, OpenSSL rechaza cifrados AEAD en PKCS#8.
+
+const OID_PBES2 = '1.2.840.113549.1.5.13'
+const OID_PBKDF2 = '1.2.840.113549.1.5.12'
+const OID_HMAC_SHA1 = '1.2.840.113549.2.7'
+const OID_HMAC_SHA256 = '1.2.840.113549.2.9'
+
+const PRF_OIDS = {
+  [OID_HMAC_SHA1]: 'SHA-1',
+  [OID_HMAC_SHA256]: 'SHA-256',
+  '1.2.840.113549.2.10': 'SHA-384',
+  '1.2.840.113549.2.11': 'SHA-512',
+}
+
+const CIPHER_OIDS = {
+  '2.16.840.1.101.3.4.1.2': { name: 'AES-CBC', length: 128 },
+  '2.16.840.1.101.3.4.1.22': { name: 'AES-CBC', length: 192 },
+  '2.16.840.1.101.3.4.1.42': { name: 'AES-CBC', length: 256 },
+  '2.16.840.1.101.3.4.1.6': { name: 'AES-GCM', length: 128 },
+  '2.16.840.1.101.3.4.1.26': { name: 'AES-GCM', length: 192 },
+  '2.16.840.1.101.3.4.1.46': { name: 'AES-GCM', length: 256 },
+}
+
+export const PKCS8_CIPHERS = {
+  'AES-256-CBC': { oid: '2.16.840.1.101.3.4.1.42', ivLength: 16 },
+  'AES-256-GCM': { oid: '2.16.840.1.101.3.4.1.46', ivLength: 12 },
+}
+
+export const PBKDF2_ITERATIONS = 600000
+
+const GCM_TAG_BYTES = 16
+
+async function deriveAesKey(passphrase, salt, iterations, hash, cipher) {
+  const material = await subtle().importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  )
+  return subtle().deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash },
+    material,
+    cipher,
+    false,
+    ['encrypt', 'decrypt']
+  )
+}
+
+function aesParams(name, iv, tagBytes = GCM_TAG_BYTES) {
+  return name === 'AES-GCM'
+    ? { name, iv, tagLength: tagBytes * 8 }
+    : { name, iv }
+}
+
+export async function encryptPrivateKeyInfo(
+  pkcs8,
+  passphrase,
+  { cipher = 'AES-256-CBC', iterations = PBKDF2_ITERATIONS } = {}
+) {
+  if (!passphrase)
+    throw new PassphraseError('La frase de paso no puede estar vacía.')
+  const { oid, ivLength } = PKCS8_CIPHERS[cipher]
+  const { name, length } = CIPHER_OIDS[oid]
+  const salt = randomBytes(16)
+  const iv = randomBytes(ivLength)
+
+  const key = await deriveAesKey(passphrase, salt, iterations, 'SHA-256', {
+    name,
+    length,
+  })
+  const encrypted = await subtle().encrypt(aesParams(name, iv), key, pkcs8)
+
+  const cipherParams =
+    name === 'AES-GCM'
+      ? derSequence(derOctetString(iv), derInteger(GCM_TAG_BYTES))
+      : derOctetString(iv)
+
+  return derSequence(
+    derSequence(
+      derOid(OID_PBES2),
+      derSequence(
+        derSequence(
+          derOid(OID_PBKDF2),
+          derSequence(
+            derOctetString(salt),
+            derInteger(iterations),
+            derSequence(derOid(OID_HMAC_SHA256), derNull())
+          )
+        ),
+        derSequence(derOid(oid), cipherParams)
+      )
+    ),
+    derOctetString(encrypted)
+  ).buffer
+}
+
+export async function decryptPrivateKeyInfo(encryptedDer, passphrase) {
+  const bytes = new Uint8Array(encryptedDer)
+  const oidOf = (node) => oidToString(bytes.subarray(node.start, node.end))
+
+  const [algId, data] = readChildren(bytes, readDer(bytes, 0))
+  const [schemeOid, schemeParams] = readChildren(bytes, algId)
+  if (oidOf(schemeOid) !== OID_PBES2)
+    throw new UnsupportedAlgorithmError(
+      `Esquema de cifrado no soportado (OID ${oidOf(schemeOid)}), solo PBES2.`
+    )
+
+  const [kdf, encScheme] = readChildren(bytes, schemeParams)
+  const [kdfOid, kdfParams] = readChildren(bytes, kdf)
+  if (oidOf(kdfOid) !== OID_PBKDF2)
+    throw new UnsupportedAlgorithmError(
+      `Derivación de clave no soportada (OID ${oidOf(kdfOid)}).`
+    )
+
+  const [saltNode, iterNode, ...optional] = readChildren(bytes, kdfParams)
+  if (saltNode.tag !== 0x04)
+    throw new UnsupportedAlgorithmError(
+      'PBKDF2 con sal que no es OCTET STRING no soportado.'
+    )
+  const prfNode = optional.find((node) => node.tag === 0x30)
+  const prfOid = prfNode
+    ? oidOf(readChildren(bytes, prfNode)[0])
+    : OID_HMAC_SHA1
+  const hash = PRF_OIDS[prfOid]
+  if (!hash)
+    throw new UnsupportedAlgorithmError(
+      `PRF de PBKDF2 no soportada (OID ${prfOid}).`
+    )
+
+  const [cipherOid, cipherParams] = readChildren(bytes, encScheme)
+  const cipher = CIPHER_OIDS[oidOf(cipherOid)]
+  if (!cipher)
+    throw new UnsupportedAlgorithmError(
+      `Cifrado no soportado (OID ${oidOf(cipherOid)}).`
+    )
+  // GCMParameters ::= SEQUENCE { aes-nonce, aes-ICVlen DEFAULT 12 }
+  const [ivNode, icvNode] =
+    cipher.name === 'AES-GCM'
+      ? readChildren(bytes, cipherParams)
+      : [cipherParams]
+  const tagBytes = icvNode
+    ? integerToNumber(bytes.subarray(icvNode.start, icvNode.end))
+    : 12
+
+  const key = await deriveAesKey(
+    passphrase,
+    bytes.slice(saltNode.start, saltNode.end),
+    integerToNumber(bytes.subarray(iterNode.start, iterNode.end)),
+    hash,
+    cipher
+  )
+  try {
+    return await subtle().decrypt(
+      aesParams(cipher.name, bytes.slice(ivNode.start, ivNode.end), tagBytes),
+      key,
+      bytes.slice(data.start, data.end)
+    )
+  } catch (err) {
+    throw new PassphraseError(
+      'Frase de paso incorrecta o clave cifrada corrupta.',
+      { cause: err }
+    )
+  }
+}
@@ -0,0 +1,332 @@
+/* ======================= CÓDIGO QR (ISO/IEC 18004) ======================= */
+
+// Codificador mínimo para mostrar huellas sin depender de servicios
+// externos: modo byte, corrección de errores M y versiones 1 a 10 (hasta 213
+// bytes), más que suficiente para una huella SHA-256.
+
+const MAX_VERSION = 10
+
+// Por versión (índice 1..10), nivel M
+const ECC_CODEWORDS_PER_BLOCK = [0, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26]
+const NUM_BLOCKS = [0, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5]
+const ECC_FORMAT_BITS_M = 0
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+]
+
+const bit = (value, i) => ((value >>> i) & 1) !== 0
+
+function rawDataModules(version) {
+  let result = (16 * version + 128) * version + 64
+  if (version >= 2) {
+    const numAlign = Math.floor(version / 7) + 2
+    result -= (25 * numAlign - 10) * numAlign - 55
+    if (version >= 7) result -= 36
+  }
+  return result
+}
+
+const dataCodewords = (version) =>
+  Math.floor(rawDataModules(version) / 8) -
+  ECC_CODEWORDS_PER_BLOCK[version] * NUM_BLOCKS[version]
+
+function alignmentPositions(version) {
+  if (version === 1) return []
+  const numAlign = Math.floor(version / 7) + 2
+  const step = Math.ceil((version * 4 + 4) / (numAlign * 2 - 2)) * 2
+  const positions = [6]
+  for (let pos = version * 4 + 10; positions.length < numAlign; pos -= step)
+    positions.splice(1, 0, pos)
+  return positions
+}
+
+/* --------------------------- Reed-Solomon --------------------------- */
+
+function gfMultiply(x, y) {
+  let z = 0
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d)
+    z ^= ((y >>> i) & 1) * x
+  }
+  return z
+}
+
+function rsDivisor(degree) {
+  const result = new Array(degree).fill(0)
+  result[degree - 1] = 1
+  let root = 1
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      result[j] = gfMultiply(result[j], root)
+      if (j + 1 < degree) result[j] ^= result[j + 1]
+    }
+    root = gfMultiply(root, 0x02)
+  }
+  return result
+}
+
+function rsRemainder(data, divisor) {
+  const result = divisor.map(() => 0)
+  for (const byte of data) {
+    const factor = byte ^ result.shift()
+    result.push(0)
+    divisor.forEach((coef, i) => (result[i] ^= gfMultiply(coef, factor)))
+  }
+  return result
+}
+
+function addEccAndInterleave(data, version) {
+  const numBlocks = NUM_BLOCKS[version]
+  const eccLen = ECC_CODEWORDS_PER_BLOCK[version]
+  const rawCodewords = Math.floor(rawDataModules(version) / 8)
+  const numShortBlocks = numBlocks - (rawCodewords % numBlocks)
+  const shortBlockLen = Math.floor(rawCodewords / numBlocks)
+  const divisor = rsDivisor(eccLen)
+
+  const blocks = []
+  for (let i = 0, k = 0; i < numBlocks; i++) {
+    const block = data.slice(
+      k,
+      k + shortBlockLen - eccLen + (i < numShortBlocks ? 0 : 1)
+    )
+    k += block.length
+    const ecc = rsRemainder(block, divisor)
+    if (i < numShortBlocks) block.push(0)
+    blocks.push(block.concat(ecc))
+  }
+
+  // Los bloques cortos llevan un byte de relleno que no se transmite
+  const result = []
+  for (let i = 0; i < blocks[0].length; i++)
+    blocks.forEach((block, j) => {
+      if (i !== shortBlockLen - eccLen || j >= numShortBlocks)
+        result.push(block[i])
+    })
+  return result
+}
+
+/* ----------------------------- Matriz ----------------------------- */
+
+function createMatrix(version) {
+  const size = version * 4 + 17
+  const modules = Array.from({ length: size }, () =>
+    new Array(size).fill(false)
+  )
+  const isFunction = Array.from({ length: size }, () =>
+    new Array(size).fill(false)
+  )
+  const set = (x, y, dark) => {
+    modules[y][x] = dark
+    isFunction[y][x] = true
+  }
+  return { version, size, modules, isFunction, set }
+}
+
+function drawFunctionPatterns(qr) {
+  const { version, size, set } = qr
+  for (let i = 0; i < size; i++) {
+    set(6, i, i % 2 === 0)
+    set(i, 6, i % 2 === 0)
+  }
+
+  for (const [cx, cy] of [
+    [3, 3],
+    [size - 4, 3],
+    [3, size - 4],
+  ])
+    for (let dy = -4; dy <= 4; dy++)
+      for (let dx = -4; dx <= 4; dx++) {
+        const dist = Math.max(Math.abs(dx), Math.abs(dy))
+        const x = cx + dx
+        const y = cy + dy
+        if (x >= 0 && x < size && y >= 0 && y < size)
+          set(x, y, dist !== 2 && dist !== 4)
+      }
+
+  const positions = alignmentPositions(version)
+  const last = positions.length - 1
+  positions.forEach((cx, i) =>
+    positions.forEach((cy, j) => {
+      if (
+        (i === 0 && j === 0) ||
+        (i === 0 && j === last) ||
+        (i === last && j === 0)
+      )
+        return
+      for (let dy = -2; dy <= 2; dy++)
+        for (let dx = -2; dx <= 2; dx++)
+          set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1)
+    })
+  )
+
+  drawFormatBits(qr, 0)
+
+  if (version >= 7) {
+    let rem = version
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25)
+    const bits = (version << 12) | rem
+    for (let i = 0; i < 18; i++) {
+      const a = size - 11 + (i % 3)
+      const b = Math.floor(i / 3)
+      set(a, b, bit(bits, i))
+      set(b, a, bit(bits, i))
+    }
+  }
+}
+
+function drawFormatBits(qr, mask) {
+  const { size, set } = qr
+  const data = (ECC_FORMAT_BITS_M << 3) | mask
+  let rem = data
+  for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537)
+  const bits = ((data << 10) | rem) ^ 0x5412
+
+  for (let i = 0; i <= 5; i++) set(8, i, bit(bits, i))
+  set(8, 7, bit(bits, 6))
+  set(8, 8, bit(bits, 7))
+  set(7, 8, bit(bits, 8))
+  for (let i = 9; i < 15; i++) set(14 - i, 8, bit(bits, i))
+
+  for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(bits, i))
+  for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(bits, i))
+  set(8, size - 8, true)
+}
+
+// Recorrido en zigzag de dos columnas, de abajo arriba y de derecha a
+// izquierda, saltando la columna del patrón de sincronización
+function drawCodewords(qr, codewords) {
+  const { size, modules, isFunction } = qr
+  let i = 0
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5
+    for (let vert = 0; vert < size; vert++)
+      for (let j = 0; j < 2; j++) {
+        const x = right - j
+        const upward = ((right + 1) & 2) === 0
+        const y = upward ? size - 1 - vert : vert
+        if (!isFunction[y][x] && i < codewords.length * 8) {
+          modules[y][x] = bit(codewords[i >>> 3], 7 - (i & 7))
+          i++
+        }
+      }
+  }
+}
+
+function applyMask(qr, mask) {
+  const { size, modules, isFunction } = qr
+  for (let y = 0; y < size; y++)
+    for (let x = 0; x < size; x++)
+      if (!isFunction[y][x] && MASKS[mask](x, y)) modules[y][x] = !modules[y][x]
+}
+
+/* ---------------------------- Penalización ---------------------------- */
+
+const FINDER_LIKE = [
+  [true, false, true, true, true, false, true, false, false, false, false],
+  [false, false, false, false, true, false, true, true, true, false, true],
+]
+
+function linePenalty(line) {
+  let penalty = 0
+  let run = 1
+  for (let i = 1; i <= line.length; i++) {
+    if (i < line.length && line[i] === line[i - 1]) {
+      run++
+      continue
+    }
+    if (run >= 5) penalty += run - 2
+    run = 1
+  }
+  for (let i = 0; i + 11 <= line.length; i++)
+    if (FINDER_LIKE.some((p) => p.every((dark, k) => line[i + k] === dark)))
+      penalty += 40
+  return penalty
+}
+
+function penaltyScore({ size, modules }) {
+  let penalty = 0
+  for (let y = 0; y < size; y++) penalty += linePenalty(modules[y])
+  for (let x = 0; x < size; x++)
+    penalty += linePenalty(modules.map((row) => row[x]))
+
+  let dark = 0
+  for (let y = 0; y < size; y++)
+    for (let x = 0; x < size; x++) {
+      if (modules[y][x]) dark++
+      if (
+        x + 1 < size &&
+        y + 1 < size &&
+        modules[y][x] === modules[y][x + 1] &&
+        modules[y][x] === modules[y + 1][x] &&
+        modules[y][x] === modules[y + 1][x + 1]
+      )
+        penalty += 3
+    }
+
+  const total = size * size
+  penalty += Math.floor(Math.abs(dark * 20 - total * 10) / total) * 10
+  return penalty
+}
+
+/* ------------------------------ Público ------------------------------ */
+
+// Devuelve la matriz de módulos (true = oscuro), sin zona de silencio
+export function encodeQr(text) {
+  const bytes = new TextEncoder().encode(text)
+
+  let version = 1
+  const countBits = (v) => (v < 10 ? 8 : 16)
+  while (
+    version <= MAX_VERSION &&
+    4 + countBits(version) + bytes.length * 8 > dataCodewords(version) * 8
+  )
+    version++
+  if (version > MAX_VERSION)
+    throw new Error(`Texto demasiado largo para el QR (${bytes.length} bytes).`)
+
+  const bits = []
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push(bit(value, i))
+  }
+  append(0b0100, 4)
+  append(bytes.length, countBits(version))
+  bytes.forEach((byte) => append(byte, 8))
+
+  const capacity = dataCodewords(version) * 8
+  append(0, Math.min(4, capacity - bits.length))
+  append(0, (8 - (bits.length % 8)) % 8)
+  for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11)
+    append(pad, 8)
+
+  const data = []
+  for (let i = 0; i < bits.length; i += 8)
+    data.push(bits.slice(i, i + 8).reduce((byte, b) => (byte << 1) | b, 0))
+
+  const qr = createMatrix(version)
+  drawFunctionPatterns(qr)
+  drawCodewords(qr, addEccAndInterleave(data, version))
+
+  let best = -1
+  let bestPenalty = Infinity
+  for (let mask = 0; mask < 8; mask++) {
+    applyMask(qr, mask)
+    drawFormatBits(qr, mask)
+    const penalty = penaltyScore(qr)
+    if (penalty < bestPenalty) {
+      best = mask
+      bestPenalty = penalty
+    }
+    applyMask(qr, mask)
+  }
+  applyMask(qr, best)
+  drawFormatBits(qr, best)
+  return qr.modules
+}
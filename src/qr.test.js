@@ -0,0 +1,238 @@
+import { describe, expect, it } from 'vitest'
+import { encodeQr } from './qr'
+
+/* ------------- Lector independiente, con las tablas de la norma ------------- */
+
+// ISO/IEC 18004, tabla 9 (nivel M): [bloques, datos por bloque] y la
+// corrección por bloque
+const BLOQUES_M = {
+  1: [[1, 16]],
+  2: [[1, 28]],
+  3: [[1, 44]],
+  4: [[2, 32]],
+  5: [[2, 43]],
+  6: [[4, 27]],
+  7: [[4, 31]],
+  8: [
+    [2, 38],
+    [2, 39],
+  ],
+  9: [
+    [3, 36],
+    [2, 37],
+  ],
+  10: [
+    [4, 43],
+    [1, 44],
+  ],
+}
+const CORRECCION_M = [0, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26]
+// Anexo E: centros de los patrones de alineación
+const ALINEACION = [
+  [],
+  [],
+  [6, 18],
+  [6, 22],
+  [6, 26],
+  [6, 30],
+  [6, 34],
+  [6, 22, 38],
+  [6, 24, 42],
+  [6, 26, 46],
+  [6, 28, 50],
+]
+// Tabla 10, con i la fila y j la columna
+const MASCARAS = [
+  (i, j) => (i + j) % 2 === 0,
+  (i) => i % 2 === 0,
+  (i, j) => j % 3 === 0,
+  (i, j) => (i + j) % 3 === 0,
+  (i, j) => (Math.floor(i / 2) + Math.floor(j / 3)) % 2 === 0,
+  (i, j) => ((i * j) % 2) + ((i * j) % 3) === 0,
+  (i, j) => (((i * j) % 2) + ((i * j) % 3)) % 2 === 0,
+  (i, j) => (((i * j) % 3) + ((i + j) % 2)) % 2 === 0,
+]
+
+// Resto BCH de `valor` desplazado `grado` bits entre `generador`
+function restoBch(valor, generador, grado) {
+  let resto = valor << grado
+  for (let i = 31; i >= grado; i--)
+    if ((resto >>> i) & 1) resto ^= generador << (i - grado)
+  return resto
+}
+
+// Evalúa el bloque como polinomio en α^k; todos los síndromes son 0 si la
+// corrección Reed-Solomon es correcta
+function sindromes(bloque, n) {
+  const exp = [1]
+  for (let i = 1; i < 255; i++)
+    exp[i] =
+      exp[i - 1] & 0x80 ? ((exp[i - 1] << 1) ^ 0x11d) & 0xff : exp[i - 1] << 1
+  const log = []
+  exp.forEach((v, i) => (log[v] = i))
+  const mul = (a, b) => (a && b ? exp[(log[a] + log[b]) % 255] : 0)
+  return Array.from({ length: n }, (_, k) =>
+    bloque.reduce((acc, c) => mul(acc, exp[k]) ^ c, 0)
+  )
+}
+
+function leerQr(m) {
+  const size = m.length
+  const version = (size - 17) / 4
+  const oscuro = (x, y) => (m[y][x] ? 1 : 0)
+
+  // Formato: las dos copias, con su BCH (15,5) y la máscara 0x5412
+  let formato = 0
+  let copia = 0
+  for (let i = 0; i <= 5; i++) formato |= oscuro(8, i) << i
+  formato |= oscuro(8, 7) << 6
+  formato |= oscuro(8, 8) << 7
+  formato |= oscuro(7, 8) << 8
+  for (let i = 9; i < 15; i++) formato |= oscuro(14 - i, 8) << i
+  for (let i = 0; i < 8; i++) copia |= oscuro(size - 1 - i, 8) << i
+  for (let i = 8; i < 15; i++) copia |= oscuro(8, size - 15 + i) << i
+  formato ^= 0x5412
+  copia ^= 0x5412
+  const nivel = formato >> 13
+  const mascara = (formato >> 10) & 7
+  const formatoOk =
+    formato === copia &&
+    (formato & 0x3ff) === restoBch(formato >> 10, 0x537, 10)
+
+  // Versión (7 y posteriores): BCH (18,6), en las dos esquinas
+  let versionLeida = version
+  if (version >= 7) {
+    let a = 0
+    let b = 0
+    for (let i = 0; i < 18; i++) {
+      a |= oscuro(size - 11 + (i % 3), Math.floor(i / 3)) << i
+      b |= oscuro(Math.floor(i / 3), size - 11 + (i % 3)) << i
+    }
+    versionLeida =
+      a === b && (a & 0xfff) === restoBch(a >> 12, 0x1f25, 12) ? a >> 12 : -1
+  }
+
+  const centros = ALINEACION[version]
+  const esFuncion = (x, y) => {
+    if (x === 6 || y === 6) return true
+    if (x < 9 && y < 9) return true
+    if (x >= size - 8 && y < 9) return true
+    if (x < 9 && y >= size - 8) return true
+    if (version >= 7 && x >= size - 11 && y < 6) return true
+    if (version >= 7 && y >= size - 11 && x < 6) return true
+    return centros.some(
+      (cx) =>
+        Math.abs(cx - x) <= 2 &&
+        centros.some(
+          (cy) =>
+            Math.abs(cy - y) <= 2 &&
+            !(cx === 6 && cy === 6) &&
+            !(cx === 6 && cy === centros[centros.length - 1]) &&
+            !(cy === 6 && cx === centros[centros.length - 1])
+        )
+    )
+  }
+
+  const bits = []
+  for (let derecha = size - 1; derecha >= 1; derecha -= 2) {
+    if (derecha === 6) derecha = 5
+    const subiendo = ((derecha + 1) & 2) === 0
+    for (let v = 0; v < size; v++)
+      for (const x of [derecha, derecha - 1]) {
+        const y = subiendo ? size - 1 - v : v
+        if (!esFuncion(x, y))
+          bits.push(oscuro(x, y) ^ (MASCARAS[mascara](y, x) ? 1 : 0))
+      }
+  }
+  const palabras = []
+  for (let i = 0; i + 8 <= bits.length; i += 8)
+    palabras.push(bits.slice(i, i + 8).reduce((b, x) => (b << 1) | x, 0))
+
+  // Desentrelazado: primero los datos de cada bloque, después su corrección
+  const bloques = BLOQUES_M[version].flatMap(([n, datos]) =>
+    Array.from({ length: n }, () => ({ datos, palabras: [] }))
+  )
+  const ecc = CORRECCION_M[version]
+  let k = 0
+  for (let i = 0; i < Math.max(...bloques.map((b) => b.datos)); i++)
+    for (const b of bloques) if (i < b.datos) b.palabras.push(palabras[k++])
+  for (let i = 0; i < ecc; i++)
+    for (const b of bloques) b.palabras.push(palabras[k++])
+  const rsOk = bloques.every((b) =>
+    sindromes(b.palabras, ecc).every((s) => s === 0)
+  )
+
+  // Modo byte: 0100, longitud de 8 o 16 bits y los bytes
+  const datos = bloques.flatMap((b) => b.palabras.slice(0, b.datos))
+  const flujo = datos.flatMap((byte) =>
+    Array.from({ length: 8 }, (_, i) => (byte >> (7 - i)) & 1)
+  )
+  const leer = (() => {
+    let p = 0
+    return (n) => flujo.slice(p, (p += n)).reduce((a, b) => (a << 1) | b, 0)
+  })()
+  const modo = leer(4)
+  const longitud = leer(version < 10 ? 8 : 16)
+  const texto = new TextDecoder().decode(
+    Uint8Array.from({ length: longitud }, () => leer(8))
+  )
+
+  return { version, versionLeida, nivel, formatoOk, rsOk, modo, texto }
+}
+
+/* --------------------------------- Pruebas --------------------------------- */
+
+// Capacidad en bytes del modo byte con nivel M (tabla 7)
+const CAPACIDAD_M = [0, 14, 26, 42, 62, 84, 106, 122, 152, 180, 213]
+
+describe('encodeQr', () => {
+  it.each(CAPACIDAD_M.slice(1).map((capacidad, i) => [i + 1, capacidad]))(
+    'versión %i con nivel M llena hasta %i bytes y se lee de vuelta',
+    (version, capacidad) => {
+      const texto = 'SHA256:'.padEnd(
+        capacidad,
+        String.fromCharCode(65 + version)
+      )
+      const qr = leerQr(encodeQr(texto))
+      expect(qr).toEqual({
+        version,
+        versionLeida: version,
+        nivel: 0b00,
+        formatoOk: true,
+        rsOk: true,
+        modo: 0b0100,
+        texto,
+      })
+      if (version < 10)
+        expect(encodeQr(texto + 'x')).toHaveLength(version * 4 + 21)
+    }
+  )
+
+  it('codifica el texto en UTF-8', () => {
+    const texto = 'SHA256:ñandú €'
+    expect(leerQr(encodeQr(texto)).texto).toBe(texto)
+  })
+
+  it('dibuja los patrones de posición y el módulo oscuro fijo', () => {
+    const m = encodeQr('A')
+    const size = m.length
+    expect(size).toBe(21)
+    for (const [x0, y0] of [
+      [0, 0],
+      [size - 7, 0],
+      [0, size - 7],
+    ])
+      for (let d = 0; d < 7; d++) {
+        expect(m[y0][x0 + d]).toBe(true)
+        expect(m[y0 + 6][x0 + d]).toBe(true)
+        expect(m[y0 + 1][x0 + 1 + (d % 5)]).toBe(false)
+      }
+    expect(m[size - 8][8]).toBe(true)
+  })
+
+  it('rechaza lo que no cabe en la versión 10', () => {
+    expect(() => encodeQr('x'.repeat(214))).toThrow(
+      'Texto demasiado largo para el QR (214 bytes).'
+    )
+  })
+})
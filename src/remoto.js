@@ -0,0 +1,64 @@
+import { FirmaError } from './errors.js'
+import { bufToBase64 } from './firma.js'
+
+/* ================== CLIENTE DEL SERVICIO DE FIRMA ================== */
+
+// Lo que usa la interfaz para firmar y verificar con el servicio de
+// ./servicio.js (`npm run servidor`) en lugar de con el WebCrypto del
+// navegador. Los errores del servicio llegan como FirmaError con su `code`.
+
+export const URL_SERVICIO = 'http://127.0.0.1:8787'
+
+export function createServiceClient(baseUrl = URL_SERVICIO) {
+  const base = baseUrl.replace(/\/+$/, '')
+
+  const pedir = async (method, path, body) => {
+    let res
+    try {
+      res = await fetch(base + path, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : undefined,
+        body: body && JSON.stringify(body),
+      })
+    } catch (err) {
+      throw new FirmaError(
+        `No se puede conectar con el servicio en ${base}: arráncalo con "npm run servidor".`,
+        { code: 'SERVICE_UNAVAILABLE', cause: err }
+      )
+    }
+    const json = await res.json().catch(() => ({}))
+    if (!res.ok)
+      throw new FirmaError(
+        json.error || `El servicio ha respondido ${res.status}.`,
+        { code: json.code || 'SERVICE' }
+      )
+    return json
+  }
+
+  return {
+    // { name, modulusLength, namedCurve, hash }, como la configuración del emisor
+    createKey: (config = {}) => pedir('POST', '/keys', config),
+    listKeys: async () => (await pedir('GET', '/keys')).keys,
+    getKey: (fingerprint) =>
+      pedir('GET', `/keys/${encodeURIComponent(fingerprint)}`),
+    // Devuelve la firma en Base64, como `firmaB64`
+    sign: async ({ fingerprint, data, hash }) =>
+      (
+        await pedir('POST', '/sign', {
+          fingerprint,
+          data: bufToBase64(data),
+          hash,
+        })
+      ).signature,
+    // `publicKey` en PEM o `fingerprint` de una clave del servicio
+    verify: ({ publicKey, fingerprint, signature, data, scheme, hash }) =>
+      pedir('POST', '/verify', {
+        publicKey,
+        fingerprint,
+        signature,
+        data: bufToBase64(data),
+        scheme,
+        hash,
+      }),
+  }
+}
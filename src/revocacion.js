@@ -0,0 +1,188 @@
+import { FirmaError } from './errors.js'
+import { defaultSigningHash } from './firma.js'
+import { fingerprintText, publicKeyFingerprint } from './huella.js'
+import {
+  createJws,
+  importJwsKey,
+  parseJsonObject,
+  parseJwsSignatures,
+  verifyJws,
+} from './jws.js'
+
+/* ================== REVOCACIÓN Y ROTACIÓN DE CLAVES ================== */
+
+// Las dos declaraciones son JWS con un `typ` propio (RFC 8725, 3.11), así que
+// ningún otro documento firmado por la misma clave pasa por una de ellas.
+//
+// La lista de revocación sigue los campos de una CRL (RFC 5280, 5.1) con
+// huellas SHA-256 del SPKI en lugar de números de serie. Una entrada cuenta
+// si la firma la propia clave revocada o una CA en la que confía el receptor:
+// el dueño solo puede revocar su clave, la CA cualquiera.
+//
+// La rotación la firman la clave anterior, que transmite la confianza, y la
+// nueva, que prueba que su dueño la posee.
+
+export const TYP_REVOCACION = 'revocation-list+json'
+export const TYP_ROTACION = 'key-rotation+json'
+
+// Los de CRLReason que tienen sentido para una clave suelta
+export const MOTIVOS_REVOCACION = [
+  { code: 'keyCompromise', label: 'Clave comprometida' },
+  { code: 'superseded', label: 'Sustituida por otra' },
+  { code: 'cessationOfOperation', label: 'Ya no se usa' },
+  { code: 'unspecified', label: 'Sin especificar' },
+]
+
+export const reasonLabel = (code) =>
+  (MOTIVOS_REVOCACION.find((m) => m.code === code) || { label: code }).label
+
+const utf8 = (text) => new TextEncoder().encode(text)
+
+const huella = async (publicKey) =>
+  fingerprintText(await publicKeyFingerprint(publicKey))
+
+async function sign({ privateKey, publicKey }, typ, statement) {
+  return createJws(privateKey, publicKey, utf8(JSON.stringify(statement)), {
+    hash: defaultSigningHash(privateKey),
+    detached: false,
+    extraHeader: { typ },
+  })
+}
+
+// Verifica una firma con la clave que declara su cabecera y devuelve esa
+// clave y su huella; quién es de fiar lo decide quien llama
+async function signer(firma, typ) {
+  if (firma.header.typ !== typ || !firma.header.jwk)
+    throw new FirmaError(
+      typ === TYP_REVOCACION
+        ? 'No es una lista de revocación.'
+        : 'No es una declaración de rotación de clave.',
+      { code: 'STATEMENT_TYPE' }
+    )
+  const publicKey = await importJwsKey(firma.header.jwk, firma.header.alg)
+  if (!(await verifyJws(firma, firma.header.jwk)))
+    throw new FirmaError('La firma de la declaración no verifica.', {
+      code: 'STATEMENT_SIGNATURE',
+    })
+  return { publicKey, fingerprint: await huella(publicKey) }
+}
+
+export async function createRevocationList({ signer: keys, revoked }) {
+  return sign(keys, TYP_REVOCACION, {
+    version: 1,
+    issuer: await huella(keys.publicKey),
+    thisUpdate: new Date().toISOString(),
+    revoked: await Promise.all(
+      revoked.map(
+        async ({ publicKey, reason, revocationDate = new Date() }) => ({
+          fingerprint: await huella(publicKey),
+          revocationDate: revocationDate.toISOString(),
+          reason,
+        })
+      )
+    ),
+  })
+}
+
+// `authorities` son las huellas de las CA de confianza del receptor. Las
+// entradas que el firmante no puede revocar se devuelven aparte.
+export async function verifyRevocationList(text, { authorities = [] } = {}) {
+  const [firma, ...otras] = parseJwsSignatures(text)
+  if (otras.length)
+    throw new FirmaError('La lista de revocación debe tener una sola firma.', {
+      code: 'STATEMENT_TYPE',
+    })
+  const { fingerprint } = await signer(firma, TYP_REVOCACION)
+  const autoridad = authorities.includes(fingerprint)
+  const { thisUpdate, revoked = [] } = parseJsonObject(
+    new TextDecoder().decode(firma.payload),
+    'La lista de revocación'
+  )
+
+  const entradas = revoked.map((entrada) => ({
+    ...entrada,
+    revocationDate: new Date(entrada.revocationDate),
+    issuer: fingerprint,
+  }))
+  const puede = (entrada) => autoridad || entrada.fingerprint === fingerprint
+  return {
+    issuer: fingerprint,
+    autoridad,
+    thisUpdate: new Date(thisUpdate),
+    revoked: entradas.filter(puede),
+    ignoradas: entradas.filter((entrada) => !puede(entrada)),
+  }
+}
+
+// Una firma sellada antes de la revocación sigue valiendo; sin sello no hay
+// forma de saber cuándo se hizo. Devuelve 'vigente', 'anterior' o 'revocada'.
+export function checkRevocation(revoked, fingerprint, { timestampedAt } = {}) {
+  const entrada = revoked.find((e) => e.fingerprint === fingerprint)
+  if (!entrada) return { estado: 'vigente' }
+  if (timestampedAt && timestampedAt < entrada.revocationDate)
+    return { estado: 'anterior', entrada }
+  return { estado: 'revocada', entrada }
+}
+
+export async function createRotationStatement({ oldKeys, newKeys }) {
+  const statement = {
+    version: 1,
+    old: await huella(oldKeys.publicKey),
+    new: await huella(newKeys.publicKey),
+    issued: new Date().toISOString(),
+  }
+  const [anterior, nueva] = await Promise.all([
+    sign(oldKeys, TYP_ROTACION, statement),
+    sign(newKeys, TYP_ROTACION, statement),
+  ])
+  return {
+    payload: anterior.payload,
+    signatures: [anterior, nueva].map((jws) => ({
+      protected: jws.protected,
+      signature: jws.signature,
+    })),
+  }
+}
+
+// `trusted` son las huellas de confianza del receptor y `revoked` las
+// entradas de revocación que ya conoce. Devuelve la clave nueva lista para
+// verificar.
+export async function verifyRotationStatement(
+  text,
+  { trusted = [], revoked = [] } = {}
+) {
+  const firmas = parseJwsSignatures(text)
+  const firmantes = await Promise.all(
+    firmas.map((firma) => signer(firma, TYP_ROTACION))
+  )
+  const statement = parseJsonObject(
+    new TextDecoder().decode(firmas[0].payload),
+    'La declaración de rotación'
+  )
+  const nueva = firmantes.find((f) => f.fingerprint === statement.new)
+  if (!firmantes.some((f) => f.fingerprint === statement.old) || !nueva)
+    throw new FirmaError(
+      'La rotación debe venir firmada por la clave anterior y por la nueva.',
+      { code: 'ROTATION' }
+    )
+  if (!trusted.includes(statement.old))
+    throw new FirmaError(
+      'La clave anterior no es de confianza: compara su huella antes de aceptar la rotación.',
+      { code: 'ROTATION' }
+    )
+
+  // Quien robó una clave podría rotarla a una suya
+  const { estado, entrada } = checkRevocation(revoked, statement.old)
+  if (estado === 'revocada' && entrada.reason !== 'superseded')
+    throw new FirmaError(
+      'La clave anterior está revocada: no puede respaldar una clave nueva.',
+      { code: 'ROTATION' }
+    )
+
+  return {
+    anterior: statement.old,
+    nueva: statement.new,
+    issued: new Date(statement.issued),
+    publicKey: nueva.publicKey,
+  }
+}
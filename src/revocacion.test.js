@@ -0,0 +1,205 @@
+import { beforeAll, describe, expect, it } from 'vitest'
+import { generateKeyPair } from './firma'
+import { fingerprintText, publicKeyFingerprint } from './huella'
+import { createJws } from './jws'
+import {
+  TYP_REVOCACION,
+  checkRevocation,
+  createRevocationList,
+  createRotationStatement,
+  verifyRevocationList,
+  verifyRotationStatement,
+} from './revocacion'
+
+const ecdsa = () => generateKeyPair({ name: 'ECDSA', namedCurve: 'P-384' })
+const huella = async (pair) =>
+  fingerprintText(await publicKeyFingerprint(pair.publicKey))
+const texto = (jws) => JSON.stringify(jws)
+
+let ana, luis, ca, nueva
+
+beforeAll(async () => {
+  ana = await generateKeyPair({ name: 'Ed25519' })
+  luis = await ecdsa()
+  ca = await generateKeyPair({
+    name: 'RSASSA-PKCS1-v1_5',
+    modulusLength: 2048,
+    hash: 'SHA-256',
+  })
+  nueva = await ecdsa()
+})
+
+describe('lista de revocación', () => {
+  it('el dueño revoca su propia clave', async () => {
+    const lista = await createRevocationList({
+      signer: ana,
+      revoked: [
+        {
+          publicKey: ana.publicKey,
+          reason: 'keyCompromise',
+          revocationDate: new Date('2026-05-01T00:00:00Z'),
+        },
+      ],
+    })
+    const resultado = await verifyRevocationList(texto(lista))
+    expect(resultado.autoridad).toBe(false)
+    expect(resultado.revoked).toEqual([
+      {
+        fingerprint: await huella(ana),
+        revocationDate: new Date('2026-05-01T00:00:00Z'),
+        reason: 'keyCompromise',
+        issuer: await huella(ana),
+      },
+    ])
+  })
+
+  it('solo una CA de confianza puede revocar claves ajenas', async () => {
+    const lista = await createRevocationList({
+      signer: ca,
+      revoked: [
+        { publicKey: ana.publicKey, reason: 'superseded' },
+        { publicKey: luis.publicKey, reason: 'keyCompromise' },
+      ],
+    })
+    const sinConfianza = await verifyRevocationList(texto(lista))
+    expect(sinConfianza.revoked).toEqual([])
+    expect(sinConfianza.ignoradas).toHaveLength(2)
+
+    const conConfianza = await verifyRevocationList(texto(lista), {
+      authorities: [await huella(ca)],
+    })
+    expect(conConfianza.autoridad).toBe(true)
+    expect(conConfianza.revoked.map((e) => e.reason)).toEqual([
+      'superseded',
+      'keyCompromise',
+    ])
+  })
+
+  it('rechaza una lista alterada o un JWS de otro tipo', async () => {
+    const lista = await createRevocationList({
+      signer: luis,
+      revoked: [{ publicKey: luis.publicKey, reason: 'keyCompromise' }],
+    })
+    const alterada = {
+      ...lista,
+      signature:
+        (lista.signature[0] === 'A' ? 'B' : 'A') + lista.signature.slice(1),
+    }
+    await expect(verifyRevocationList(texto(alterada))).rejects.toMatchObject({
+      code: 'STATEMENT_SIGNATURE',
+    })
+
+    const paquete = await createJws(
+      luis.privateKey,
+      luis.publicKey,
+      new TextEncoder().encode('{"revoked":[]}'),
+      { hash: 'SHA-384' }
+    )
+    await expect(verifyRevocationList(texto(paquete))).rejects.toMatchObject({
+      code: 'STATEMENT_TYPE',
+      message: 'No es una lista de revocación.',
+    })
+
+    const noJson = await createJws(
+      luis.privateKey,
+      luis.publicKey,
+      new TextEncoder().encode('revoked: []'),
+      { hash: 'SHA-384', extraHeader: { typ: TYP_REVOCACION } }
+    )
+    await expect(verifyRevocationList(texto(noJson))).rejects.toMatchObject({
+      code: 'ENCODING',
+      message: 'La lista de revocación no es un JSON válido.',
+    })
+  })
+
+  it('una firma sellada antes de la revocación sigue valiendo', () => {
+    const revocada = {
+      fingerprint: 'SHA256:abc',
+      revocationDate: new Date('2026-05-01T00:00:00Z'),
+      reason: 'keyCompromise',
+    }
+    expect(checkRevocation([revocada], 'SHA256:otra').estado).toBe('vigente')
+    expect(checkRevocation([revocada], 'SHA256:abc').estado).toBe('revocada')
+    expect(
+      checkRevocation([revocada], 'SHA256:abc', {
+        timestampedAt: new Date('2026-04-30T00:00:00Z'),
+      }).estado
+    ).toBe('anterior')
+    expect(
+      checkRevocation([revocada], 'SHA256:abc', {
+        timestampedAt: new Date('2026-05-02T00:00:00Z'),
+      }).estado
+    ).toBe('revocada')
+  })
+})
+
+describe('rotación de clave', () => {
+  it('la clave nueva hereda la confianza de la anterior', async () => {
+    const declaracion = await createRotationStatement({
+      oldKeys: ana,
+      newKeys: nueva,
+    })
+    const rotacion = await verifyRotationStatement(texto(declaracion), {
+      trusted: [await huella(ana)],
+    })
+    expect(rotacion.anterior).toBe(await huella(ana))
+    expect(rotacion.nueva).toBe(await huella(nueva))
+    expect(await publicKeyFingerprint(rotacion.publicKey)).toEqual(
+      await publicKeyFingerprint(nueva.publicKey)
+    )
+    expect(rotacion.publicKey.algorithm).toMatchObject({
+      name: 'ECDSA',
+      namedCurve: 'P-384',
+    })
+  })
+
+  it('exige confiar en la clave anterior y las dos firmas', async () => {
+    const declaracion = await createRotationStatement({
+      oldKeys: ana,
+      newKeys: nueva,
+    })
+    await expect(
+      verifyRotationStatement(texto(declaracion), {
+        trusted: [await huella(luis)],
+      })
+    ).rejects.toThrow(
+      'La clave anterior no es de confianza: compara su huella antes de aceptar la rotación.'
+    )
+
+    const soloAnterior = {
+      ...declaracion,
+      signatures: [declaracion.signatures[0]],
+    }
+    await expect(
+      verifyRotationStatement(texto(soloAnterior), {
+        trusted: [await huella(ana)],
+      })
+    ).rejects.toThrow(
+      'La rotación debe venir firmada por la clave anterior y por la nueva.'
+    )
+  })
+
+  it('una clave revocada por compromiso no puede rotar', async () => {
+    const declaracion = await createRotationStatement({
+      oldKeys: ana,
+      newKeys: nueva,
+    })
+    const trusted = [await huella(ana)]
+    const revocada = (reason) => [
+      { fingerprint: trusted[0], revocationDate: new Date(), reason },
+    ]
+
+    await expect(
+      verifyRotationStatement(texto(declaracion), {
+        trusted,
+        revoked: revocada('keyCompromise'),
+      })
+    ).rejects.toMatchObject({ code: 'ROTATION' })
+    await expect(
+      verifyRotationStatement(texto(declaracion), {
+        trusted,
+        revoked: revocada('superseded'),
+      })
+    ).resolves.toMatchObject({ nueva: await huella(nueva) })
+  })
+})
@@ -0,0 +1,157 @@
+import { derNull, derOctetString, derOid, derSequence } from './asn1.js'
+import { FirmaError, UnsupportedAlgorithmError } from './errors.js'
+import {
+  bigIntToBytes,
+  bytesToBigInt,
+  modPow,
+  sameBytes,
+  signMessage,
+  subtle,
+  verifySignature,
+} from './firma.js'
+import { base64UrlDecode } from './jws.js'
+
+/* ==================== RSA POR DENTRO (PKCS#1 v1.5) ==================== */
+
+// Rehace a mano, con BigInt sobre los parámetros del JWK, lo que WebCrypto
+// hace dentro de sign() y verify() con RSASSA-PKCS1-v1_5 (RFC 8017, 8.2):
+// resumen, DigestInfo, relleno EMSA y s = m^d mod n. Cada paso se devuelve
+// para mostrarlo, junto con lo que dice WebCrypto para la misma entrada.
+// Solo sirve para enseñar: sin CRT ni tiempo constante.
+
+const HASH_OIDS = {
+  'SHA-256': '2.16.840.1.101.3.4.2.1',
+  'SHA-384': '2.16.840.1.101.3.4.2.2',
+  'SHA-512': '2.16.840.1.101.3.4.2.3',
+}
+
+// Lo mínimo que exige RFC 8017 (9.2, paso 3)
+const MIN_RELLENO = 8
+
+export const bigIntToHex = (value) => value.toString(16)
+
+function checkKey(key) {
+  if (key.algorithm.name !== 'RSASSA-PKCS1-v1_5')
+    throw new UnsupportedAlgorithmError(
+      `El inspector solo sigue RSASSA-PKCS1-v1_5; ${key.algorithm.name} no se puede repetir paso a paso.`
+    )
+}
+
+async function rsaJwk(key) {
+  if (!key.extractable)
+    throw new FirmaError(
+      'La clave no es exportable: el inspector necesita leer sus números (n, e, d).',
+      { code: 'NOT_EXTRACTABLE' }
+    )
+  const jwk = await subtle().exportKey('jwk', key)
+  const entero = (campo) =>
+    jwk[campo] === undefined
+      ? undefined
+      : bytesToBigInt(base64UrlDecode(jwk[campo]))
+  return { n: entero('n'), e: entero('e'), d: entero('d') }
+}
+
+// EMSA-PKCS1-v1_5 (RFC 8017, 9.2) en sus partes: 00 01 FF..FF 00 DigestInfo,
+// y DigestInfo separado en el prefijo ASN.1 fijo de cada hash y el resumen
+async function encode(hash, data, length) {
+  const digest = new Uint8Array(await subtle().digest(hash, data))
+  const digestInfo = derSequence(
+    derSequence(derOid(HASH_OIDS[hash]), derNull()),
+    derOctetString(digest)
+  )
+  const relleno = length - digestInfo.length - 3
+  if (relleno < MIN_RELLENO)
+    throw new UnsupportedAlgorithmError(
+      `Un módulo de ${length * 8} bits es demasiado corto para ${hash}.`
+    )
+  const partes = [
+    { parte: 'cabecera', bytes: new Uint8Array([0x00, 0x01]) },
+    { parte: 'relleno', bytes: new Uint8Array(relleno).fill(0xff) },
+    { parte: 'separador', bytes: new Uint8Array([0x00]) },
+    {
+      parte: 'prefijo',
+      bytes: digestInfo.subarray(0, digestInfo.length - digest.length),
+    },
+    { parte: 'resumen', bytes: digest },
+  ]
+  const em = new Uint8Array(length)
+  let offset = 0
+  for (const { bytes } of partes) {
+    em.set(bytes, offset)
+    offset += bytes.length
+  }
+  return { digest, digestInfo, partes, em }
+}
+
+/**
+ * Firma `data` paso a paso con la clave privada (extraíble) y con WebCrypto.
+ * Como PKCS#1 v1.5 es determinista, `coincide` indica si las dos firmas son
+ * los mismos bytes.
+ */
+export async function inspectRsaSigning(privateKey, data) {
+  checkKey(privateKey)
+  const { n, e, d } = await rsaJwk(privateKey)
+  const hash = privateKey.algorithm.hash.name
+  const length = privateKey.algorithm.modulusLength / 8
+  const mensaje = new Uint8Array(data)
+
+  const { digest, digestInfo, partes, em } = await encode(hash, mensaje, length)
+  const m = bytesToBigInt(em)
+  const s = modPow(m, d, n)
+  const firma = bigIntToBytes(s, length)
+  const webCrypto = new Uint8Array(await signMessage(privateKey, mensaje))
+
+  return {
+    hash,
+    mensaje,
+    digest,
+    digestInfo,
+    partes,
+    em,
+    n,
+    e,
+    d,
+    m,
+    s,
+    firma,
+    webCrypto,
+    coincide: sameBytes(firma, webCrypto),
+  }
+}
+
+/**
+ * Verifica paso a paso: abre la firma con m = s^e mod n y compara el mensaje
+ * codificado que aparece con el que sale de `data`. `valida` es el resultado
+ * propio y `webCrypto` el de verify(); deben coincidir siempre.
+ */
+export async function inspectRsaVerification(publicKey, signature, data) {
+  checkKey(publicKey)
+  const { n, e } = await rsaJwk(publicKey)
+  const hash = publicKey.algorithm.hash.name
+  const length = publicKey.algorithm.modulusLength / 8
+  const firma = new Uint8Array(signature)
+  const mensaje = new Uint8Array(data)
+
+  const esperado = await encode(hash, mensaje, length)
+  const s = bytesToBigInt(firma)
+  // Una firma de otra longitud o mayor que n no es de esta clave (8.2.2)
+  const m = firma.length === length && s < n ? modPow(s, e, n) : null
+  const recuperado = m === null ? null : bigIntToBytes(m, length)
+  const webCrypto = await verifySignature(publicKey, signature, mensaje)
+
+  return {
+    hash,
+    mensaje,
+    digest: esperado.digest,
+    digestInfo: esperado.digestInfo,
+    partes: esperado.partes,
+    esperado: esperado.em,
+    n,
+    e,
+    s,
+    m,
+    recuperado,
+    valida: recuperado !== null && sameBytes(recuperado, esperado.em),
+    webCrypto,
+  }
+}
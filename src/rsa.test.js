@@ -0,0 +1,130 @@
+import { beforeAll, describe, expect, it } from 'vitest'
+import {
+  base64ToBuf,
+  bufToBase64,
+  generateKeyPair,
+  importPrivateKeyFromPEM,
+  importPublicKeyFromPEM,
+  modPow,
+  toHex,
+} from './firma'
+import { inspectRsaSigning, inspectRsaVerification } from './rsa'
+import { MENSAJE, RSA } from './test/openssl'
+
+const datos = new TextEncoder().encode(MENSAJE)
+
+// Prefijo DigestInfo de SHA-256 tal como lo da RFC 8017 (9.2, nota 1)
+const PREFIJO_SHA256 =
+  '30 31 30 0d 06 09 60 86 48 01 65 03 04 02 01 05 00 04 20'
+
+let privada, publica
+
+beforeAll(async () => {
+  privada = await importPrivateKeyFromPEM(RSA.privada)
+  publica = await importPublicKeyFromPEM(RSA.publica)
+})
+
+describe('inspector de la firma RSA', () => {
+  it('reproduce byte a byte la firma de OpenSSL y de WebCrypto', async () => {
+    const pasos = await inspectRsaSigning(privada, datos)
+    expect(bufToBase64(pasos.firma)).toBe(RSA.firmaPkcs1)
+    expect(pasos.coincide).toBe(true)
+    expect(pasos.e).toBe(65537n)
+    expect(pasos.digest).toEqual(
+      new Uint8Array(await crypto.subtle.digest('SHA-256', datos))
+    )
+  })
+
+  it('construye el mensaje codificado 00 01 FF..FF 00 DigestInfo', async () => {
+    const { partes, em, digestInfo, digest } = await inspectRsaSigning(
+      privada,
+      datos
+    )
+    expect(partes.map((p) => p.parte)).toEqual([
+      'cabecera',
+      'relleno',
+      'separador',
+      'prefijo',
+      'resumen',
+    ])
+    expect(toHex(partes[3].bytes, ' ')).toBe(PREFIJO_SHA256)
+    expect(partes[1].bytes).toHaveLength(256 - 3 - 19 - 32)
+    expect(partes[1].bytes.every((b) => b === 0xff)).toBe(true)
+    expect(toHex(em.subarray(0, 3), ' ')).toBe('00 01 ff')
+    expect(em.subarray(256 - digestInfo.length)).toEqual(digestInfo)
+    expect(digestInfo.subarray(19)).toEqual(digest)
+  })
+
+  it('la firma es m^d mod n y se deshace con e', async () => {
+    const { m, s, d, e, n } = await inspectRsaSigning(privada, datos)
+    expect(modPow(m, d, n)).toBe(s)
+    expect(modPow(s, e, n)).toBe(m)
+  })
+
+  it('coincide con WebCrypto también con SHA-512 y 3072 bits', async () => {
+    const par = await generateKeyPair({
+      name: 'RSASSA-PKCS1-v1_5',
+      modulusLength: 3072,
+      hash: 'SHA-512',
+    })
+    const pasos = await inspectRsaSigning(par.privateKey, datos)
+    expect(pasos.coincide).toBe(true)
+    expect(pasos.firma).toHaveLength(384)
+    expect(pasos.hash).toBe('SHA-512')
+  })
+})
+
+describe('inspector de la verificación RSA', () => {
+  it('recupera el mensaje codificado que espera el receptor', async () => {
+    const pasos = await inspectRsaVerification(
+      publica,
+      base64ToBuf(RSA.firmaPkcs1),
+      datos
+    )
+    expect(pasos.recuperado).toEqual(pasos.esperado)
+    expect(pasos.valida).toBe(true)
+    expect(pasos.webCrypto).toBe(true)
+  })
+
+  it('con el mensaje alterado solo cambia el resumen', async () => {
+    const pasos = await inspectRsaVerification(
+      publica,
+      base64ToBuf(RSA.firmaPkcs1),
+      new TextEncoder().encode(MENSAJE + '!')
+    )
+    expect(pasos.valida).toBe(false)
+    expect(pasos.webCrypto).toBe(false)
+    expect(pasos.recuperado.subarray(0, 256 - 32)).toEqual(
+      pasos.esperado.subarray(0, 256 - 32)
+    )
+    expect(pasos.recuperado.subarray(256 - 32)).not.toEqual(pasos.digest)
+  })
+
+  it('no abre una firma mayor que el módulo', async () => {
+    const pasos = await inspectRsaVerification(
+      publica,
+      new Uint8Array(256).fill(0xff),
+      datos
+    )
+    expect(pasos.recuperado).toBeNull()
+    expect(pasos.valida).toBe(false)
+    expect(pasos.webCrypto).toBe(false)
+  })
+
+  it('rechaza PSS y las claves no exportables', async () => {
+    const pss = await importPublicKeyFromPEM(RSA.publica, {
+      rsaScheme: 'RSA-PSS',
+    })
+    await expect(
+      inspectRsaVerification(pss, base64ToBuf(RSA.firmaPss), datos)
+    ).rejects.toMatchObject({ code: 'UNSUPPORTED_ALGORITHM' })
+
+    const par = await generateKeyPair(
+      { name: 'RSASSA-PKCS1-v1_5', modulusLength: 2048, hash: 'SHA-256' },
+      false
+    )
+    await expect(
+      inspectRsaSigning(par.privateKey, datos)
+    ).rejects.toMatchObject({ code: 'NOT_EXTRACTABLE' })
+  })
+})
@@ -0,0 +1,348 @@
+import { createServer } from 'node:http'
+import {
+  ALGORITMOS,
+  CURVAS,
+  CURVE_HASH,
+  FirmaError,
+  HASHES,
+  TAMANOS_RSA,
+  base64ToBuf,
+  bufToBase64,
+  defaultSigningHash,
+  describeKey,
+  diagnoseSignatureFailure,
+  exportPublicKeyToPEM,
+  generateKeyPair,
+  importPublicKeyFromPEM,
+  isRsa,
+  signMessage,
+  verifySignature,
+} from './firma.js'
+import { fingerprintText, publicKeyFingerprint } from './huella.js'
+
+/* ===================== SERVICIO HTTP DE FIRMA ===================== */
+
+// La misma biblioteca que la interfaz y la línea de órdenes, para que otras
+// herramientas firmen y verifiquen por HTTP con sus formatos: claves públicas
+// en PEM como exportPublicKeyToPEM, datos y firmas en Base64 como `firmaB64`,
+// y cada clave identificada por su huella SHA256:... del SPKI.
+//
+//   POST /keys               genera un par; la privada no sale del servicio
+//   GET  /keys               las claves públicas generadas
+//   GET  /keys/:fingerprint  una de ellas (la huella va con encodeURIComponent)
+//   POST /sign               { fingerprint, data, hash? } → { signature }
+//   POST /verify             { publicKey | fingerprint, signature, data,
+//                              scheme?, hash? } → { valid, findings }
+//
+// Las claves viven en memoria y se pierden al parar el servicio. Solo atiende
+// en localhost: rechaza otros Host (DNS rebinding) y las peticiones de páginas
+// que no se sirven desde localhost, como la de `npm run dev`, antes de
+// ejecutarlas. Los POST deben llevar Content-Type: application/json, que un
+// formulario de otra web no puede enviar sin pasar por CORS.
+
+export const PUERTO_SERVICIO = 8787
+
+// Un archivo firmado viaja entero en Base64 dentro del JSON
+const MAX_BODY = 16 * 1024 * 1024
+
+const LOCAL = '(localhost|127\\.0\\.0\\.1|\\[::1\\])(:\\d+)?'
+const HOST_LOCAL = new RegExp(`^${LOCAL}$`)
+const ORIGEN_LOCAL = new RegExp(`^https?://${LOCAL}$`)
+
+// Estado HTTP de cada `code`; los demás FirmaError son errores del cliente
+const ESTADOS = {
+  NOT_FOUND: 404,
+  METHOD_NOT_ALLOWED: 405,
+  FORBIDDEN: 403,
+  TOO_LARGE: 413,
+  UNSUPPORTED_MEDIA_TYPE: 415,
+}
+
+const peticionInvalida = (message) =>
+  new FirmaError(message, { code: 'BAD_REQUEST' })
+const noEncontrada = (message) => new FirmaError(message, { code: 'NOT_FOUND' })
+
+function respuestaDeError(err) {
+  if (!(err instanceof FirmaError))
+    return {
+      status: 500,
+      body: { error: 'Error interno del servicio.', code: 'INTERNAL' },
+    }
+  return {
+    status: ESTADOS[err.code] || 400,
+    body: { error: err.message, code: err.code },
+  }
+}
+
+function campo(body, nombre, { opcional = false } = {}) {
+  const valor = body[nombre]
+  if (valor === undefined && opcional) return undefined
+  if (typeof valor !== 'string' || !valor)
+    throw peticionInvalida(`Falta el campo "${nombre}" (texto).`)
+  return valor
+}
+
+function elegir(valor, permitidos, nombre) {
+  if (!permitidos.includes(valor))
+    throw peticionInvalida(
+      `Valor no válido para "${nombre}": ${valor}. Usa ${permitidos.join(
+        ', '
+      )}.`
+    )
+  return valor
+}
+
+// Los mismos valores por defecto que `firma keygen`
+function configuracion(body) {
+  const name = elegir(
+    body.name || 'RSASSA-PKCS1-v1_5',
+    ALGORITMOS.map((alg) => alg.name),
+    'name'
+  )
+  const namedCurve = elegir(body.namedCurve || 'P-256', CURVAS, 'namedCurve')
+  return {
+    name,
+    namedCurve,
+    modulusLength: elegir(
+      Number(body.modulusLength || 2048),
+      TAMANOS_RSA,
+      'modulusLength'
+    ),
+    hash: elegir(
+      body.hash || (name === 'ECDSA' ? CURVE_HASH[namedCurve] : 'SHA-256'),
+      HASHES,
+      'hash'
+    ),
+  }
+}
+
+/**
+ * Crea el servicio con su almacén de claves vacío. `handle` recibe el método,
+ * la ruta y el cuerpo sin interpretar, y devuelve el estado y el JSON de la
+ * respuesta; nunca lanza.
+ */
+export function createSignatureService() {
+  const claves = new Map()
+
+  const publica = ({ fingerprint, publicKey, pem, created }) => ({
+    fingerprint,
+    algorithm: describeKey(publicKey),
+    publicKey: pem,
+    created,
+  })
+
+  const buscar = (fingerprint) => {
+    const clave = claves.get(fingerprint)
+    if (!clave)
+      throw noEncontrada(`No hay ninguna clave con la huella ${fingerprint}.`)
+    return clave
+  }
+
+  // La privada se genera no exportable: ni el propio servicio puede sacarla
+  const crear = async (body) => {
+    const pair = await generateKeyPair(configuracion(body), false)
+    const clave = {
+      fingerprint: fingerprintText(await publicKeyFingerprint(pair.publicKey)),
+      publicKey: pair.publicKey,
+      privateKey: pair.privateKey,
+      pem: await exportPublicKeyToPEM(pair.publicKey),
+      created: new Date().toISOString(),
+    }
+    claves.set(clave.fingerprint, clave)
+    return publica(clave)
+  }
+
+  const firmar = async (body) => {
+    const { privateKey, fingerprint } = buscar(campo(body, 'fingerprint'))
+    const hash = campo(body, 'hash', { opcional: true })
+    const signature = await signMessage(
+      privateKey,
+      base64ToBuf(campo(body, 'data')),
+      defaultSigningHash(privateKey, hash && elegir(hash, HASHES, 'hash'))
+    )
+    return { fingerprint, signature: bufToBase64(signature) }
+  }
+
+  // Igual que el receptor: la decisión es solo el resultado criptográfico y
+  // el diagnóstico, si la firma no vale, solo lo explica
+  const verificar = async (body) => {
+    const hash = campo(body, 'hash', { opcional: true })
+    if (hash) elegir(hash, HASHES, 'hash')
+    const publicKey = body.fingerprint
+      ? buscar(campo(body, 'fingerprint')).publicKey
+      : await importPublicKeyFromPEM(campo(body, 'publicKey'), {
+          rsaScheme: elegir(
+            body.scheme || 'RSASSA-PKCS1-v1_5',
+            ALGORITMOS.map((alg) => alg.name).filter(isRsa),
+            'scheme'
+          ),
+          hash: hash || 'SHA-256',
+        })
+    const signatureB64 = campo(body, 'signature')
+    const data = base64ToBuf(campo(body, 'data'))
+    const valid = await verifySignature(
+      publicKey,
+      base64ToBuf(signatureB64.replace(/\s+/g, '')),
+      data,
+      defaultSigningHash(publicKey, hash)
+    ).catch(() => false)
+    const findings = valid
+      ? []
+      : await diagnoseSignatureFailure({
+          publicKey,
+          signatureB64,
+          data: new Uint8Array(data),
+        }).catch(() => [])
+    return {
+      valid,
+      algorithm: describeKey(publicKey),
+      fingerprint: fingerprintText(await publicKeyFingerprint(publicKey)),
+      findings,
+    }
+  }
+
+  const rutas = {
+    '/keys': {
+      POST: async (body) => [201, await crear(body)],
+      GET: async () => [200, { keys: [...claves.values()].map(publica) }],
+    },
+    '/keys/:fingerprint': {
+      GET: async (_, fingerprint) => [200, publica(buscar(fingerprint))],
+    },
+    '/sign': { POST: async (body) => [200, await firmar(body)] },
+    '/verify': { POST: async (body) => [200, await verificar(body)] },
+  }
+
+  const enrutar = (path) => {
+    const partes = path.split('/').filter(Boolean)
+    if (partes[0] === 'keys' && partes.length === 2) {
+      try {
+        return [rutas['/keys/:fingerprint'], decodeURIComponent(partes[1])]
+      } catch {
+        return []
+      }
+    }
+    return [rutas['/' + partes.join('/')]]
+  }
+
+  async function handle({ method, path, body = '' }) {
+    try {
+      const [ruta, parametro] = enrutar(path)
+      if (!ruta) throw noEncontrada(`No existe la ruta ${path}.`)
+      if (!ruta[method])
+        throw new FirmaError(
+          `${path} no admite ${method}; usa ${Object.keys(ruta).join(' o ')}.`,
+          { code: 'METHOD_NOT_ALLOWED' }
+        )
+      let json = {}
+      if (method === 'POST') {
+        try {
+          json = JSON.parse(body || '{}')
+        } catch (err) {
+          throw new FirmaError('El cuerpo no es un JSON válido.', {
+            code: 'BAD_REQUEST',
+            cause: err,
+          })
+        }
+        if (!json || typeof json !== 'object' || Array.isArray(json))
+          throw peticionInvalida('El cuerpo debe ser un objeto JSON.')
+      }
+      const [status, respuesta] = await ruta[method](json, parametro)
+      return { status, body: respuesta }
+    } catch (err) {
+      return respuestaDeError(err)
+    }
+  }
+
+  return { handle }
+}
+
+async function leerCuerpo(req) {
+  const decoder = new TextDecoder()
+  let texto = ''
+  let bytes = 0
+  for await (const chunk of req) {
+    bytes += chunk.length
+    if (bytes > MAX_BODY)
+      throw new FirmaError(
+        `La petición supera los ${MAX_BODY / 1024 / 1024} MiB.`,
+        { code: 'TOO_LARGE' }
+      )
+    texto += decoder.decode(chunk, { stream: true })
+  }
+  return texto + decoder.decode()
+}
+
+/**
+ * Atiende `service` por HTTP. Resuelve con el servidor ya escuchando; con
+ * `port: 0` el sistema elige un puerto libre (server.address().port).
+ */
+export function startServer(
+  service,
+  { port = PUERTO_SERVICIO, host = '127.0.0.1' } = {}
+) {
+  const server = createServer(async (req, res) => {
+    const cabeceras = { 'Content-Type': 'application/json; charset=utf-8' }
+    const origen = req.headers.origin
+    if (origen && ORIGEN_LOCAL.test(origen))
+      Object.assign(cabeceras, {
+        'Access-Control-Allow-Origin': origen,
+        Vary: 'Origin',
+      })
+
+    const tipo = (req.headers['content-type'] || '')
+      .split(';')[0]
+      .trim()
+      .toLowerCase()
+    let respuesta
+    if (!HOST_LOCAL.test(req.headers.host || '')) {
+      respuesta = respuestaDeError(
+        new FirmaError('El servicio solo atiende en localhost.', {
+          code: 'FORBIDDEN',
+        })
+      )
+    } else if (origen && !ORIGEN_LOCAL.test(origen)) {
+      respuesta = respuestaDeError(
+        new FirmaError(
+          `El servicio solo atiende a páginas servidas desde localhost, no a ${origen}.`,
+          { code: 'FORBIDDEN' }
+        )
+      )
+    } else if (req.method === 'OPTIONS') {
+      res.writeHead(204, {
+        ...cabeceras,
+        'Access-Control-Allow-Methods': 'GET, POST',
+        'Access-Control-Allow-Headers': 'Content-Type',
+        'Access-Control-Max-Age': '600',
+      })
+      return res.end()
+    } else if (req.method === 'POST' && tipo !== 'application/json') {
+      respuesta = respuestaDeError(
+        new FirmaError(
+          'El cuerpo debe enviarse con Content-Type: application/json.',
+          { code: 'UNSUPPORTED_MEDIA_TYPE' }
+        )
+      )
+    } else {
+      try {
+        respuesta = await service.handle({
+          method: req.method,
+          path: new URL(req.url, 'http://localhost').pathname,
+          body: await leerCuerpo(req),
+        })
+      } catch (err) {
+        respuesta = respuestaDeError(err)
+      }
+    }
+    res.writeHead(respuesta.status, cabeceras)
+    res.end(JSON.stringify(respuesta.body) + '\n')
+  })
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject)
+    server.listen(port, host, () => {
+      server.off('error', reject)
+      resolve(server)
+    })
+  })
+}
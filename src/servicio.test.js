@@ -0,0 +1,232 @@
+import { request } from 'node:http'
+import { afterAll, beforeAll, describe, expect, it } from 'vitest'
+import { base64ToBuf } from './firma'
+import { createServiceClient } from './remoto'
+import { createSignatureService, startServer } from './servicio'
+import { ED25519, MENSAJE, RSA } from './test/openssl'
+
+const datos = new TextEncoder().encode(MENSAJE)
+
+let server, url, cliente
+
+beforeAll(async () => {
+  server = await startServer(createSignatureService(), { port: 0 })
+  url = `http://127.0.0.1:${server.address().port}`
+  cliente = createServiceClient(url)
+})
+
+afterAll(() => new Promise((resolve) => server.close(resolve)))
+
+// Con node:http para poder fijar Host y Origin, que fetch no deja cambiar
+const peticion = (method, path, headers = {}, body) =>
+  new Promise((resolve, reject) => {
+    const req = request(url + path, { method, headers }, (res) => {
+      let texto = ''
+      res.on('data', (chunk) => (texto += chunk))
+      res.on('end', () => resolve({ res, texto }))
+    })
+    req.on('error', reject)
+    req.end(body)
+  })
+
+const JSON_CT = { 'Content-Type': 'application/json' }
+
+describe('servicio HTTP de firma', () => {
+  it('genera una clave, firma con ella y verifica la firma', async () => {
+    const clave = await cliente.createKey({
+      name: 'ECDSA',
+      namedCurve: 'P-384',
+    })
+    expect(clave).toMatchObject({ algorithm: 'ECDSA P-384' })
+    expect(clave.fingerprint).toMatch(/^SHA256:[A-Za-z0-9+/]{43}$/)
+    expect(clave.publicKey).toMatch(/^-----BEGIN PUBLIC KEY-----\n/)
+
+    const firma = await cliente.sign({
+      fingerprint: clave.fingerprint,
+      data: datos,
+    })
+    expect(firma).toMatch(/^[A-Za-z0-9+/]+=*$/)
+
+    expect(
+      await cliente.verify({
+        publicKey: clave.publicKey,
+        signature: firma,
+        data: datos,
+      })
+    ).toMatchObject({
+      valid: true,
+      algorithm: 'ECDSA P-384',
+      fingerprint: clave.fingerprint,
+    })
+    expect(
+      await cliente.verify({
+        fingerprint: clave.fingerprint,
+        signature: firma,
+        data: datos,
+      })
+    ).toMatchObject({ valid: true, findings: [] })
+  })
+
+  it('publica la clave por su huella', async () => {
+    const clave = await cliente.createKey({})
+    expect(clave.algorithm).toBe('RSASSA-PKCS1-v1_5 2048 bits, SHA-256')
+    expect(await cliente.getKey(clave.fingerprint)).toEqual(clave)
+    expect((await cliente.listKeys()).map((k) => k.fingerprint)).toContain(
+      clave.fingerprint
+    )
+    await expect(cliente.getKey('SHA256:no-existe')).rejects.toMatchObject({
+      code: 'NOT_FOUND',
+    })
+  })
+
+  it('verifica firmas de OpenSSL y explica las que no valen', async () => {
+    expect(
+      await cliente.verify({
+        publicKey: RSA.publica,
+        signature: RSA.firmaPkcs1,
+        data: datos,
+      })
+    ).toMatchObject({ valid: true })
+
+    const alterada = await cliente.verify({
+      publicKey: ED25519.publica,
+      signature: ED25519.firma,
+      data: new TextEncoder().encode(MENSAJE + '!'),
+    })
+    expect(alterada.valid).toBe(false)
+    expect(alterada.findings.length).toBeGreaterThan(0)
+  })
+
+  it('diagnostica una firma RSA con el hash de la clave', async () => {
+    const alterada = await cliente.verify({
+      publicKey: RSA.publica,
+      signature: RSA.firmaPkcs1,
+      data: new TextEncoder().encode(MENSAJE + '!'),
+    })
+    expect(alterada).toMatchObject({
+      valid: false,
+      findings: [
+        {
+          causa: 'mensaje',
+          detalle: expect.stringContaining('contiene el resumen SHA-256'),
+        },
+      ],
+    })
+
+    const otroHash = await cliente.verify({
+      publicKey: RSA.publica,
+      signature: RSA.firmaPkcs1,
+      data: datos,
+      hash: 'SHA-512',
+    })
+    expect(otroHash).toMatchObject({
+      valid: false,
+      algorithm: 'RSASSA-PKCS1-v1_5 2048 bits, SHA-512',
+      findings: [
+        {
+          causa: 'algoritmo',
+          detalle: expect.stringContaining('RSASSA-PKCS1-v1_5/SHA-256'),
+        },
+      ],
+    })
+  })
+
+  it('Ed25519 también es determinista en el servicio', async () => {
+    const { fingerprint } = await cliente.createKey({ name: 'Ed25519' })
+    const firma = await cliente.sign({ fingerprint, data: datos })
+    expect(await cliente.sign({ fingerprint, data: datos })).toBe(firma)
+    expect(base64ToBuf(firma).byteLength).toBe(64)
+  })
+
+  it('responde con errores JSON y un code estable', async () => {
+    await expect(cliente.createKey({ name: 'DSA' })).rejects.toMatchObject({
+      code: 'BAD_REQUEST',
+    })
+    await expect(
+      cliente.sign({ fingerprint: 'SHA256:x', data: datos })
+    ).rejects.toMatchObject({ code: 'NOT_FOUND' })
+    await expect(
+      cliente.verify({ publicKey: 'no es PEM', signature: 'AA==', data: datos })
+    ).rejects.toMatchObject({ code: 'ENCODING' })
+
+    const res = await fetch(url + '/sign', {
+      method: 'POST',
+      headers: JSON_CT,
+      body: '{',
+    })
+    expect(res.status).toBe(400)
+    expect(await res.json()).toEqual({
+      error: 'El cuerpo no es un JSON válido.',
+      code: 'BAD_REQUEST',
+    })
+    expect((await fetch(url + '/sign')).status).toBe(405)
+    expect((await fetch(url + '/nada')).status).toBe(404)
+  })
+
+  it('solo atiende a páginas de localhost', async () => {
+    const local = await peticion('OPTIONS', '/sign', {
+      Origin: 'http://localhost:5173',
+    })
+    expect(local.res.statusCode).toBe(204)
+    expect(local.res.headers['access-control-allow-origin']).toBe(
+      'http://localhost:5173'
+    )
+    for (const method of ['OPTIONS', 'GET']) {
+      const ajena = await peticion(method, '/keys', {
+        Origin: 'https://example.com',
+      })
+      expect(ajena.res.statusCode).toBe(403)
+      expect(ajena.res.headers['access-control-allow-origin']).toBeUndefined()
+    }
+  })
+
+  it('rechaza un POST de otra web antes de ejecutarlo', async () => {
+    const antes = (await cliente.listKeys()).length
+    const ajena = await peticion(
+      'POST',
+      '/keys',
+      { ...JSON_CT, Origin: 'https://example.com' },
+      '{"name":"Ed25519"}'
+    )
+    expect(ajena.res.statusCode).toBe(403)
+    expect(JSON.parse(ajena.texto)).toEqual({
+      error:
+        'El servicio solo atiende a páginas servidas desde localhost, no a https://example.com.',
+      code: 'FORBIDDEN',
+    })
+
+    // Lo que manda un <form> de otra web sin preguntar antes por CORS
+    const formulario = await peticion(
+      'POST',
+      '/keys',
+      { 'Content-Type': 'text/plain' },
+      '{"name":"Ed25519"}'
+    )
+    expect(formulario.res.statusCode).toBe(415)
+    expect(JSON.parse(formulario.texto).code).toBe('UNSUPPORTED_MEDIA_TYPE')
+    expect((await peticion('POST', '/keys', {}, '{}')).res.statusCode).toBe(415)
+
+    expect(await cliente.listKeys()).toHaveLength(antes)
+    const local = await peticion(
+      'POST',
+      '/keys',
+      { 'Content-Type': 'application/json; charset=utf-8' },
+      '{"name":"Ed25519"}'
+    )
+    expect(local.res.statusCode).toBe(201)
+  })
+
+  it('rechaza otros Host para evitar DNS rebinding', async () => {
+    const { res, texto } = await peticion('GET', '/keys', {
+      Host: 'atacante.example:8787',
+    })
+    expect(res.statusCode).toBe(403)
+    expect(JSON.parse(texto).code).toBe('FORBIDDEN')
+  })
+
+  it('avisa si el servicio no está arrancado', async () => {
+    await expect(
+      createServiceClient('http://127.0.0.1:9').listKeys()
+    ).rejects.toMatchObject({ code: 'SERVICE_UNAVAILABLE' })
+  })
+})
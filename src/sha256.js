@@ -0,0 +1,133 @@
+/* ===================== SHA-256 INCREMENTAL ===================== */
+
+// crypto.subtle.digest solo acepta el mensaje completo. Para mostrar el
+// resumen de archivos grandes sin bloquear la pestaña se calcula por trozos
+// (FIPS 180-4) cediendo el hilo principal entre uno y otro.
+
+const K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1,
+  0x923f82a4, 0xab1c5ed5, 0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3,
+  0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174, 0xe49b69c1, 0xefbe4786,
+  0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147,
+  0x06ca6351, 0x14292967, 0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13,
+  0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85, 0xa2bfe8a1, 0xa81a664b,
+  0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a,
+  0x5b9cca4f, 0x682e6ff3, 0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208,
+  0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+])
+
+const rotr = (x, n) => (x >>> n) | (x << (32 - n))
+
+function compress(state, block, w) {
+  for (let i = 0; i < 16; i++) {
+    const j = i * 4
+    w[i] =
+      (block[j] << 24) |
+      (block[j + 1] << 16) |
+      (block[j + 2] << 8) |
+      block[j + 3]
+  }
+  for (let i = 16; i < 64; i++) {
+    const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3)
+    const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10)
+    w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0
+  }
+
+  let [a, b, c, d, e, f, g, h] = state
+  for (let i = 0; i < 64; i++) {
+    const s1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)
+    const t1 = (h + s1 + ((e & f) ^ (~e & g)) + K[i] + w[i]) | 0
+    const s0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)
+    const t2 = (s0 + ((a & b) ^ (a & c) ^ (b & c))) | 0
+    h = g
+    g = f
+    f = e
+    e = (d + t1) | 0
+    d = c
+    c = b
+    b = a
+    a = (t1 + t2) | 0
+  }
+  state[0] += a
+  state[1] += b
+  state[2] += c
+  state[3] += d
+  state[4] += e
+  state[5] += f
+  state[6] += g
+  state[7] += h
+}
+
+export function createSha256() {
+  const state = new Uint32Array([
+    0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c,
+    0x1f83d9ab, 0x5be0cd19,
+  ])
+  const buffer = new Uint8Array(64)
+  const w = new Int32Array(64)
+  let buffered = 0
+  let length = 0
+
+  const update = (data) => {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data)
+    length += bytes.length
+    let offset = 0
+    if (buffered) {
+      const take = Math.min(64 - buffered, bytes.length)
+      buffer.set(bytes.subarray(0, take), buffered)
+      buffered += take
+      offset = take
+      if (buffered < 64) return
+      compress(state, buffer, w)
+      buffered = 0
+    }
+    for (; offset + 64 <= bytes.length; offset += 64)
+      compress(state, bytes.subarray(offset, offset + 64), w)
+    buffer.set(bytes.subarray(offset), 0)
+    buffered = bytes.length - offset
+  }
+
+  const digest = () => {
+    const bits = length * 8
+    const padding = new Uint8Array(
+      buffered < 56 ? 64 - buffered : 128 - buffered
+    )
+    padding[0] = 0x80
+    const view = new DataView(padding.buffer)
+    view.setUint32(padding.length - 8, Math.floor(bits / 2 ** 32))
+    view.setUint32(padding.length - 4, bits >>> 0)
+    update(padding)
+
+    const out = new Uint8Array(32)
+    const outView = new DataView(out.buffer)
+    state.forEach((word, i) => outView.setUint32(i * 4, word))
+    return out.buffer
+  }
+
+  return { update, digest }
+}
+
+const YIELD_EVERY = 4 * 1024 * 1024
+
+export async function hashFile(file, onProgress) {
+  const sha = createSha256()
+  const reader = file.stream().getReader()
+  let read = 0
+  let sinceYield = 0
+  for (;;) {
+    const { done, value } = await reader.read()
+    if (done) break
+    sha.update(value)
+    read += value.length
+    sinceYield += value.length
+    if (sinceYield >= YIELD_EVERY) {
+      sinceYield = 0
+      onProgress?.(read / file.size)
+      await new Promise((resolve) => setTimeout(resolve))
+    }
+  }
+  onProgress?.(1)
+  return sha.digest()
+}
@@ -0,0 +1,76 @@
+import { describe, expect, it } from 'vitest'
+import { createSha256, hashFile } from './sha256'
+
+const hex = (buffer) =>
+  Array.from(new Uint8Array(buffer), (b) =>
+    b.toString(16).padStart(2, '0')
+  ).join('')
+const ascii = (text) => new TextEncoder().encode(text)
+const bytes = (length) =>
+  Uint8Array.from({ length }, (_, i) => (i * 31 + 7) & 0xff)
+
+const sha256 = (...trozos) => {
+  const sha = createSha256()
+  trozos.forEach((trozo) => sha.update(trozo))
+  return hex(sha.digest())
+}
+const subtleSha256 = async (data) =>
+  hex(await crypto.subtle.digest('SHA-256', data))
+
+describe('createSha256', () => {
+  // FIPS 180-4, ejemplos de NIST (SHA256.pdf, SHA256_2.pdf) y el millón de "a"
+  it('da los resúmenes de los vectores de NIST', () => {
+    expect(sha256(ascii(''))).toBe(
+      'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855'
+    )
+    expect(sha256(ascii('abc'))).toBe(
+      'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad'
+    )
+    expect(
+      sha256(ascii('abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq'))
+    ).toBe('248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1')
+    expect(sha256(new Uint8Array(1000000).fill(0x61))).toBe(
+      'cdc76e5c9914fb9281a1c7e284d73e67f1809a48a497200e046d39ccc7112cd0'
+    )
+  })
+
+  // Con 55 bytes el relleno cabe en el mismo bloque; con 56 ya no cabe la
+  // longitud y hace falta un bloque más
+  it.each([0, 1, 55, 56, 57, 63, 64, 65, 119, 120, 128, 1000])(
+    'coincide con crypto.subtle.digest con %i bytes',
+    async (length) => {
+      const data = bytes(length)
+      expect(sha256(data)).toBe(await subtleSha256(data))
+    }
+  )
+
+  it('no depende de cómo se trocee la entrada', async () => {
+    const data = bytes(1000)
+    const esperado = await subtleSha256(data)
+    for (const corte of [1, 7, 55, 56, 63, 64, 65, 200]) {
+      const trozos = []
+      for (let i = 0; i < data.length; i += corte)
+        trozos.push(data.subarray(i, i + corte))
+      expect([corte, sha256(...trozos)]).toEqual([corte, esperado])
+    }
+    expect(sha256(data.subarray(0, 0), data, new Uint8Array())).toBe(esperado)
+  })
+
+  it('acepta ArrayBuffer además de Uint8Array', async () => {
+    const data = bytes(100)
+    expect(sha256(data.slice().buffer)).toBe(await subtleSha256(data))
+  })
+})
+
+describe('hashFile', () => {
+  it('resume un archivo de varios trozos e informa del progreso', async () => {
+    // Más que YIELD_EVERY (4 MiB) para que ceda el hilo al menos una vez
+    const data = bytes(5 * 1024 * 1024 + 13)
+    const file = new Blob([data.subarray(0, 1000), data.subarray(1000)])
+    const progreso = []
+    const resumen = await hashFile(file, (p) => progreso.push(p))
+    expect(hex(resumen)).toBe(await subtleSha256(data))
+    expect(progreso.length).toBeGreaterThan(1)
+    expect(progreso[progreso.length - 1]).toBe(1)
+  })
+})
@@ -0,0 +1,326 @@
+import {
+  EncodingError,
+  FirmaError,
+  UnsupportedAlgorithmError,
+} from './errors.js'
+import {
+  CURVE_BYTES,
+  CURVE_HASH,
+  base64ToBuf,
+  bufToBase64,
+  sameBytes,
+  subtle,
+  verifySignature,
+} from './firma.js'
+import { fingerprintText } from './huella.js'
+import { base64UrlDecode, base64UrlEncode } from './jws.js'
+
+/* ================= CLAVES Y FIRMAS DE OPENSSH (SSHSIG) ================= */
+
+// Claves públicas en una línea de `authorized_keys` (RFC 4253, 6.6; RFC 5656
+// y RFC 8709) y firmas de `ssh-keygen -Y sign`, que son las que usa git con
+// `gpg.format = ssh` (PROTOCOL.sshsig de OpenSSH). Todo son cadenas SSH: un
+// uint32 big-endian con la longitud y los bytes.
+
+const CURVAS_SSH = { nistp256: 'P-256', nistp384: 'P-384', nistp521: 'P-521' }
+const HASHES_SSHSIG = { sha256: 'SHA-256', sha512: 'SHA-512' }
+const HASHES_RSA = { 'rsa-sha2-256': 'SHA-256', 'rsa-sha2-512': 'SHA-512' }
+
+const MAGIA = new TextEncoder().encode('SSHSIG')
+const ARMADURA =
+  /-----BEGIN SSH SIGNATURE-----([\s\S]*?)-----END SSH SIGNATURE-----/
+
+const utf8 = (text) => new TextEncoder().encode(text)
+
+function concat(...partes) {
+  const out = new Uint8Array(partes.reduce((n, p) => n + p.length, 0))
+  let offset = 0
+  for (const parte of partes) {
+    out.set(parte, offset)
+    offset += parte.length
+  }
+  return out
+}
+
+function string(bytes) {
+  const out = new Uint8Array(4 + bytes.length)
+  new DataView(out.buffer).setUint32(0, bytes.length)
+  out.set(bytes, 4)
+  return out
+}
+
+// Entero positivo en complemento a dos: un 00 delante si el bit alto está a 1
+function mpint(bytes) {
+  let i = 0
+  while (i < bytes.length - 1 && bytes[i] === 0) i++
+  const valor = bytes.subarray(i)
+  return string(valor[0] & 0x80 ? concat(new Uint8Array([0]), valor) : valor)
+}
+
+function reader(bytes) {
+  let offset = 0
+  const take = (n) => {
+    if (offset + n > bytes.length)
+      throw new EncodingError('La estructura SSH está truncada.')
+    return bytes.subarray(offset, (offset += n))
+  }
+  const uint32 = () => {
+    const [a, b, c, d] = take(4)
+    return ((a << 24) | (b << 16) | (c << 8) | d) >>> 0
+  }
+  const string = () => take(uint32())
+  return {
+    take,
+    uint32,
+    string,
+    text: () => new TextDecoder().decode(string()),
+    // Sin el 00 de signo, como espera un JWK
+    mpint: () => {
+      const valor = string()
+      let i = 0
+      while (i < valor.length - 1 && valor[i] === 0) i++
+      return valor.subarray(i)
+    },
+    done: () => offset === bytes.length,
+  }
+}
+
+async function importKey(blob, hash = 'SHA-256') {
+  const r = reader(blob)
+  const type = r.text()
+  let publicKey
+  if (type === 'ssh-rsa') {
+    const e = r.mpint()
+    const n = r.mpint()
+    publicKey = await subtle().importKey(
+      'jwk',
+      { kty: 'RSA', n: base64UrlEncode(n), e: base64UrlEncode(e), ext: true },
+      { name: 'RSASSA-PKCS1-v1_5', hash },
+      true,
+      ['verify']
+    )
+  } else if (type.startsWith('ecdsa-sha2-')) {
+    const curva = r.text()
+    const namedCurve = CURVAS_SSH[curva]
+    if (!namedCurve || type !== `ecdsa-sha2-${curva}`)
+      throw new UnsupportedAlgorithmError(`Curva SSH no soportada en ${type}.`)
+    publicKey = await subtle().importKey(
+      'raw',
+      r.string(),
+      { name: 'ECDSA', namedCurve },
+      true,
+      ['verify']
+    )
+  } else if (type === 'ssh-ed25519') {
+    publicKey = await subtle().importKey(
+      'raw',
+      r.string(),
+      { name: 'Ed25519' },
+      true,
+      ['verify']
+    )
+  } else {
+    throw new UnsupportedAlgorithmError(
+      `Tipo de clave SSH no soportado: ${type}.`
+    )
+  }
+  if (!r.done()) throw new EncodingError(`La clave ${type} tiene bytes de más.`)
+  return { type, publicKey }
+}
+
+// Huella de `ssh-keygen -l`: SHA-256 de la clave en formato SSH
+async function huella(blob) {
+  return fingerprintText(new Uint8Array(await subtle().digest('SHA-256', blob)))
+}
+
+/**
+ * Lee una línea de `authorized_keys` o de un `.pub` de OpenSSH, con o sin
+ * opciones delante. Las claves RSA se importan para RSASSA-PKCS1-v1_5 con
+ * `hash`; las firmas SSH llevan el suyo y se verifican con él.
+ */
+export async function parseSshPublicKey(line, { hash } = {}) {
+  const campos = line.trim().split(/\s+/)
+  const i = campos.findIndex((c) =>
+    /^(ssh-rsa|ssh-ed25519|ecdsa-sha2-nistp\d+)$/.test(c)
+  )
+  if (i === -1 || !campos[i + 1])
+    throw new EncodingError(
+      'No es una clave pública de OpenSSH: se espera "ssh-ed25519 AAAA... comentario".'
+    )
+  let blob
+  try {
+    blob = new Uint8Array(base64ToBuf(campos[i + 1]))
+  } catch (err) {
+    throw new EncodingError('La clave SSH no es Base64 válido.', { cause: err })
+  }
+  const { type, publicKey } = await importKey(blob, hash)
+  if (type !== campos[i])
+    throw new EncodingError(
+      `La línea dice ${campos[i]} pero la clave es ${type}.`
+    )
+  return {
+    type,
+    publicKey,
+    comment: campos.slice(i + 2).join(' '),
+    fingerprint: await huella(blob),
+  }
+}
+
+export async function sshPublicKeyBlob(publicKey) {
+  const { name, namedCurve } = publicKey.algorithm
+  if (name === 'Ed25519')
+    return concat(
+      string(utf8('ssh-ed25519')),
+      string(new Uint8Array(await subtle().exportKey('raw', publicKey)))
+    )
+  if (name === 'ECDSA') {
+    const curva = Object.keys(CURVAS_SSH).find(
+      (c) => CURVAS_SSH[c] === namedCurve
+    )
+    return concat(
+      string(utf8(`ecdsa-sha2-${curva}`)),
+      string(utf8(curva)),
+      string(new Uint8Array(await subtle().exportKey('raw', publicKey)))
+    )
+  }
+  // RSA, sea cual sea el esquema con que se importó: SSH solo guarda n y e
+  const jwk = await subtle().exportKey('jwk', publicKey)
+  return concat(
+    string(utf8('ssh-rsa')),
+    mpint(base64UrlDecode(jwk.e)),
+    mpint(base64UrlDecode(jwk.n))
+  )
+}
+
+// Una línea lista para `authorized_keys` o `allowed_signers`
+export async function sshPublicKeyLine(publicKey, comment = '') {
+  const blob = await sshPublicKeyBlob(publicKey)
+  const type = reader(blob).text()
+  return [type, bufToBase64(blob), comment].filter(Boolean).join(' ')
+}
+
+export async function sshFingerprint(publicKey) {
+  return huella(await sshPublicKeyBlob(publicKey))
+}
+
+export function isSshPublicKey(text) {
+  return /(^|\s)(ssh-rsa|ssh-ed25519|ecdsa-sha2-nistp\d+)\s+AAAA/.test(text)
+}
+
+export function isSshSignature(text) {
+  return ARMADURA.test(text)
+}
+
+export function parseSshSignature(text) {
+  const armadura = text.match(ARMADURA)
+  if (!armadura)
+    throw new EncodingError(
+      'No es una firma SSH: falta "-----BEGIN SSH SIGNATURE-----".'
+    )
+  let bytes
+  try {
+    bytes = new Uint8Array(base64ToBuf(armadura[1].replace(/\s+/g, '')))
+  } catch (err) {
+    throw new EncodingError('La firma SSH no es Base64 válido.', { cause: err })
+  }
+  const r = reader(bytes)
+  if (!r.take(MAGIA.length).every((b, i) => b === MAGIA[i]))
+    throw new EncodingError('La firma SSH no empieza por "SSHSIG".')
+  const version = r.uint32()
+  if (version !== 1)
+    throw new UnsupportedAlgorithmError(
+      `Versión de SSHSIG no soportada: ${version}.`
+    )
+  const firma = {
+    publicKey: r.string(),
+    namespace: r.text(),
+    reserved: r.string(),
+    hashAlgorithm: r.text(),
+    signature: r.string(),
+  }
+  if (!r.done()) throw new EncodingError('La firma SSH tiene bytes de más.')
+  return firma
+}
+
+// r y s como mpint dentro de la cadena de la firma → r||s de WebCrypto
+function ecdsaSshToRaw(bytes, namedCurve) {
+  const size = CURVE_BYTES[namedCurve]
+  const r = reader(bytes)
+  const raw = new Uint8Array(size * 2)
+  for (let i = 0; i < 2; i++) {
+    const valor = r.mpint()
+    if (valor.length > size)
+      throw new EncodingError('Firma ECDSA SSH inválida.')
+    raw.set(valor, (i + 1) * size - valor.length)
+  }
+  return raw
+}
+
+/**
+ * Verifica una firma de `ssh-keygen -Y sign` sobre `data`. La firma trae la
+ * clave del firmante: si se pasa `publicKey` (la que el receptor ya conoce),
+ * además tiene que ser esa. `namespace`, si se da, debe coincidir ("git" en
+ * los commits, "file" por defecto en ssh-keygen).
+ */
+export async function verifySshSignature(
+  text,
+  data,
+  { publicKey, namespace } = {}
+) {
+  const firma = parseSshSignature(text)
+  if (namespace && firma.namespace !== namespace)
+    throw new FirmaError(
+      `La firma es para el espacio de nombres "${firma.namespace}", no para "${namespace}".`,
+      { code: 'SSH_NAMESPACE' }
+    )
+  const hash = HASHES_SSHSIG[firma.hashAlgorithm]
+  if (!hash)
+    throw new UnsupportedAlgorithmError(
+      `Hash de SSHSIG no soportado: ${firma.hashAlgorithm}.`
+    )
+
+  const s = reader(firma.signature)
+  const signatureAlgorithm = s.text()
+  const bytes = s.string()
+  const rsaHash = HASHES_RSA[signatureAlgorithm]
+  const firmante = await importKey(firma.publicKey, rsaHash)
+  const { algorithm } = firmante.publicKey
+  if (
+    algorithm.name === 'RSASSA-PKCS1-v1_5'
+      ? !rsaHash
+      : signatureAlgorithm !== firmante.type
+  )
+    throw new UnsupportedAlgorithmError(
+      `Una clave ${firmante.type} no firma con ${signatureAlgorithm}.`
+    )
+
+  const signed = concat(
+    MAGIA,
+    string(utf8(firma.namespace)),
+    string(firma.reserved),
+    string(utf8(firma.hashAlgorithm)),
+    string(new Uint8Array(await subtle().digest(hash, data)))
+  )
+  const valida = await verifySignature(
+    firmante.publicKey,
+    algorithm.name === 'ECDSA'
+      ? ecdsaSshToRaw(bytes, algorithm.namedCurve)
+      : bytes,
+    signed,
+    CURVE_HASH[algorithm.namedCurve]
+  )
+
+  const esperada = publicKey && (await sshPublicKeyBlob(publicKey))
+  const mismaClave = !esperada || sameBytes(esperada, firma.publicKey)
+  return {
+    valida: valida && mismaClave,
+    firmaCorrecta: valida,
+    mismaClave,
+    namespace: firma.namespace,
+    hashAlgorithm: firma.hashAlgorithm,
+    signatureAlgorithm,
+    type: firmante.type,
+    fingerprint: await huella(firma.publicKey),
+    publicKey: firmante.publicKey,
+  }
+}
@@ -0,0 +1,109 @@
+import { describe, expect, it } from 'vitest'
+import { generateKeyPair } from './firma'
+import {
+  parseSshPublicKey,
+  parseSshSignature,
+  sshFingerprint,
+  sshPublicKeyLine,
+  verifySshSignature,
+} from './ssh'
+import { MENSAJE } from './test/openssl'
+import { SSH_ECDSA, SSH_ED25519, SSH_RSA } from './test/ssh'
+
+const datos = new TextEncoder().encode(MENSAJE)
+const VECTORES = { 'ssh-rsa': SSH_RSA, ecdsa: SSH_ECDSA, ed25519: SSH_ED25519 }
+
+describe('claves públicas de OpenSSH', () => {
+  it.each(Object.entries(VECTORES))(
+    'importa %s con la huella de ssh-keygen -l y la vuelve a escribir igual',
+    async (_, vector) => {
+      const clave = await parseSshPublicKey(vector.publica)
+      expect(clave.fingerprint).toBe(vector.huella)
+      expect(clave.comment).toBe('ana@example.com')
+      expect(await sshPublicKeyLine(clave.publicKey, clave.comment)).toBe(
+        vector.publica
+      )
+    }
+  )
+
+  it('admite las opciones de authorized_keys delante', async () => {
+    const clave = await parseSshPublicKey(
+      'no-pty,from="10.0.0.0/8" ' + SSH_ED25519.publica
+    )
+    expect(clave.type).toBe('ssh-ed25519')
+    expect(clave.publicKey.algorithm.name).toBe('Ed25519')
+  })
+
+  it('rechaza líneas que no son claves o que mienten sobre su tipo', async () => {
+    await expect(parseSshPublicKey('hola mundo')).rejects.toMatchObject({
+      code: 'ENCODING',
+    })
+    const [, blob] = SSH_ED25519.publica.split(' ')
+    await expect(parseSshPublicKey(`ssh-rsa ${blob}`)).rejects.toThrow(
+      'La línea dice ssh-rsa pero la clave es ssh-ed25519.'
+    )
+  })
+
+  it('exporta una clave generada aquí en formato authorized_keys', async () => {
+    const par = await generateKeyPair({ name: 'ECDSA', namedCurve: 'P-384' })
+    const linea = await sshPublicKeyLine(par.publicKey, 'emisor')
+    expect(linea).toMatch(/^ecdsa-sha2-nistp384 AAAA\S+ emisor$/)
+    const clave = await parseSshPublicKey(linea)
+    expect(clave.fingerprint).toBe(await sshFingerprint(par.publicKey))
+  })
+})
+
+describe('firmas de ssh-keygen -Y sign', () => {
+  it.each(Object.entries(VECTORES))(
+    'verifica la firma %s con la clave esperada',
+    async (_, vector) => {
+      const { publicKey } = await parseSshPublicKey(vector.publica)
+      const resultado = await verifySshSignature(vector.firma, datos, {
+        publicKey,
+        namespace: 'file',
+      })
+      expect(resultado).toMatchObject({
+        valida: true,
+        mismaClave: true,
+        namespace: 'file',
+        hashAlgorithm: 'sha512',
+        fingerprint: vector.huella,
+      })
+    }
+  )
+
+  it('no valida datos alterados', async () => {
+    const resultado = await verifySshSignature(
+      SSH_ED25519.firma,
+      new TextEncoder().encode(MENSAJE + '!')
+    )
+    expect(resultado.valida).toBe(false)
+  })
+
+  it('una firma correcta de otra clave no es válida para la esperada', async () => {
+    const { publicKey } = await parseSshPublicKey(SSH_RSA.publica)
+    const resultado = await verifySshSignature(SSH_ED25519.firma, datos, {
+      publicKey,
+    })
+    expect(resultado).toMatchObject({
+      valida: false,
+      firmaCorrecta: true,
+      mismaClave: false,
+    })
+  })
+
+  it('exige el espacio de nombres pedido', async () => {
+    await expect(
+      verifySshSignature(SSH_ECDSA.firma, datos, { namespace: 'git' })
+    ).rejects.toMatchObject({ code: 'SSH_NAMESPACE' })
+  })
+
+  it('lee la estructura SSHSIG', () => {
+    const firma = parseSshSignature(SSH_RSA.firma)
+    expect(firma.namespace).toBe('file')
+    expect(firma.reserved).toHaveLength(0)
+    expect(() => parseSshSignature('-----BEGIN PGP SIGNATURE-----')).toThrow(
+      'No es una firma SSH'
+    )
+  })
+})
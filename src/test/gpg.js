@@ -0,0 +1,125 @@
+/* ===================== VECTORES DE GnuPG 2.2 ===================== */
+
+// Generados una sola vez con GnuPG 2.2.40 y fijados aquí. Se firma el mismo
+// `MENSAJE` que en ./openssl.js, en modo binario:
+//
+//   gpg --quick-gen-key 'Ana rsa2048 <ana@example.com>' rsa2048 sign never
+//   gpg --quick-gen-key 'Ana nistp256 <ana@example.com>' nistp256 sign never
+//   gpg --quick-gen-key 'Ana ed25519 <ana@example.com>' ed25519 sign never
+//   gpg --quick-add-key 6AB0D53393E7130B8D15002F72BE9406A4B8716F rsa2048 sign
+//   gpg --export --armor B98E3EE2726E4253
+//   gpg --detach-sign --armor --digest-algo SHA512 -u B98E3EE2726E4253! m.txt
+//
+// y comprobados con `gpg --verify m.txt.asc m.txt`. La última firma la hace
+// la subclave RSA de la clave Ed25519.
+
+export const PGP_RSA = {
+  publica: `-----BEGIN PGP PUBLIC KEY BLOCK-----
+
+mQENBGrWaKgBCAC+Nij9fab1yLyt8iZaQCh7/Zfp9eAMyB9dxbbUDUlieAgM3qkq
+4oxcWHnKdakVYx+ufT9AF8z2pXkPpofmGh7upS1Wo0j8Nbl0PS96JXXinXx9bZH6
+fbIiY2QjsSSBt+qN2olw8HJV7zi5Ccnc94Lz2SezMDW+R4IKKqupW02PNVEzC2ae
+45gHeUUGSExH/MePzMzQ3M90grPoaO8IiH2t1nUkPGrrMsF9bUPKuWep82ZfIoTu
+BG5K21karMnYX1FCuvyQp23QS18g4cE3/LHqVXe3dpDOiU+UXqGLOWZVVwcv1/TL
+CTEEhxqub0IeaFNVgiFpEN260qyGPoKJv/UfABEBAAG0HUFuYSByc2EyMDQ4IDxh
+bmFAZXhhbXBsZS5jb20+iQFOBBMBCgA4FiEEjkGAYogcvP8i8DALuY4+4nJuQlMF
+AmrWaKgCGwMFCwkIBwIGFQoJCAsCBBYCAwECHgECF4AACgkQuY4+4nJuQlM7/Af+
+PH68mSWOQqfBo2iVFiXNrydi+ak6kx6Xt30QL4ZPJA58rKGwIxWg/9mN1I6j+v5e
+R4NIoc0kEk2S7xb1GXhnZvAwL5eejK3e3uK0hp6ONQXi6Zwl5FowcxfYJTVPNhLR
+hkWWdUrviRPymyS1MOYuj/Cc1NyLDypCSuvbeUA+qmxp7rrke0/jqvNaNy6Tzis3
+PI3G4OL3F5YrO2g9PDytv9yiGw3/ODcMTufg3lFJyLj1Sd3RvyQ2CGIkW3PVrJ/d
+g7RiDWvEdjFlk/gW/luM3Lszs32eUB6QEwhvQSX4J8kWb3m5UUElv4yLq/043Yjc
+ejuCeutKZnmh53tAJNGt0g==
+=/3+B
+-----END PGP PUBLIC KEY BLOCK-----
+`,
+  huella: '8E418062881CBCFF22F0300BB98E3EE2726E4253',
+  usuario: 'Ana rsa2048 <ana@example.com>',
+  firma: `-----BEGIN PGP SIGNATURE-----
+
+iQEzBAABCgAdFiEEjkGAYogcvP8i8DALuY4+4nJuQlMFAmrWaLIACgkQuY4+4nJu
+QlOY/Af/SPomg2QuCFaDeKGCbZo5vNAOKLZ3ggk9WPbt/k4k8gcLToxPtweBM5qr
+DLUoW31kWU0SqJ5S7u8u1rngvoYp0fDPv5crLGZT2N4qq1EHwV5ZTedNITdUscc/
+9Vrp+pKav0VYhC54vBXJ3gqxS9aUZBrZ4rSER0pCfNwuInpIaCO09sVmf2zlGCR8
+OZSUA2Mzbim1UdK9qTD6KMTC1yf0uJ3O7lM+m1oa3BHBCtHnK53jtef8g+Ren7O0
+x53iiFe4hOwOLCow8nFyDoNqh/J25IG+82cndKBzLx1G+N/SJ/3ZlNYRymzU1s4g
+4d+/NbBgkqgFAzFyxw13Mmv5DXCOVQ==
+=H/+e
+-----END PGP SIGNATURE-----
+`,
+}
+
+export const PGP_P256 = {
+  publica: `-----BEGIN PGP PUBLIC KEY BLOCK-----
+
+mFIEatZoqBMIKoZIzj0DAQcCAwQwq7/JoB+UbHrBjbmXwpnj7A3qF/9l6AsS3/Z2
+4cxeL2JzeT69mN1/okq1HOxVQgSyqC31cfNTo2qfuWZg1dthtB5BbmEgbmlzdHAy
+NTYgPGFuYUBleGFtcGxlLmNvbT6IkAQTEwgAOBYhBKsN1lzLTcnCRq8CjVr2I4qr
+FZHPBQJq1mioAhsDBQsJCAcCBhUKCQgLAgQWAgMBAh4BAheAAAoJEFr2I4qrFZHP
+g/8BALqCjKOrG3Py6+t+RVnfsWI0xQup4nvKtT8eRs9J2Vy2APoC+tlBnAKp3CiK
+dmtqgcgKrNnT0XSkCGf2l3deG7ad0A==
+=+CKn
+-----END PGP PUBLIC KEY BLOCK-----
+`,
+  huella: 'AB0DD65CCB4DC9C246AF028D5AF6238AAB1591CF',
+  usuario: 'Ana nistp256 <ana@example.com>',
+  firma: `-----BEGIN PGP SIGNATURE-----
+
+iHUEABMIAB0WIQSrDdZcy03JwkavAo1a9iOKqxWRzwUCatZosgAKCRBa9iOKqxWR
+z56LAQDpT/7J3xqBvbg7EyBkg5qKQ5IaNX7ctvRcqbeNRqGalAEA17W1CuzMhFrn
+d3WKg4DpyO0ANf3ezy0O0CupFwJSjjI=
+=VlTk
+-----END PGP SIGNATURE-----
+`,
+}
+
+export const PGP_ED25519 = {
+  publica: `-----BEGIN PGP PUBLIC KEY BLOCK-----
+
+mDMEatZoqBYJKwYBBAHaRw8BAQdALstRm7H9VNx2CqNdGhbgcRf6J6DPm3n5kpVU
+clTo01S0HUFuYSBlZDI1NTE5IDxhbmFAZXhhbXBsZS5jb20+iJAEExYIADgWIQRq
+sNUzk+cTC40VAC9yvpQGpLhxbwUCatZoqAIbAwULCQgHAgYVCgkICwIEFgIDAQIe
+AQIXgAAKCRByvpQGpLhxbxwZAQCXKhuxdjH/fbsTDaY6DIGZS9h0JlA60gRQG1rn
+OTek8QEAmIaK3gzoAr7dLmLtzVoHEBdvXpF8rKihg3Z15hwoLw65AQ0EatZosQEI
+AL6c155CRwbbwJWKJria9gbySFQpRIlWqgrJbb5DyP913X2yVeHciW8UZNfsTz4s
+odDefxVWP3blPXzu4gPWZGbcPiY9Wa0FlV3S3JQJOISBTehAb7UnjtlQlZNUmwcx
+l1o41j622FMNdXKfHmH8oYXjpBzgyvvtfN33FMhmMve7LMQGA6TVKuaoiXvtMgr1
+biBEeGi3NVrIl6QNhtBVGhhtAyxUDygNlhG6QTxVyApyIJ5c2pgU2JC2ISmdKgak
+qwIDo9FjDrQp0YGBnO8Y/JX58VFZ/RRfnjid1hZCfc+pRBLk5oBI2w7IbeO96W4Y
+lh23ljw5SZJklaShdE+p4p0AEQEAAYkBrgQYFggAIBYhBGqw1TOT5xMLjRUAL3K+
+lAakuHFvBQJq1mixAhsCAUAJEHK+lAakuHFvwHQgBBkBCgAdFiEEnXvjiEaEzOMA
+8XG6y8sCel6/oocFAmrWaLEACgkQy8sCel6/oofv0ggAmWWhE/DoBuzs9+dgxcA9
+Go9G3Bwke3XHFwbVU7ZFeE3tt5KkHAYkaf0kyxiSZx261WW4EXbtbFgeAUqaF6Cq
+QESD0dWDpcJM3LuHB7H2M01D9Inl2tCQlsOWMBpm/IlrxFYG4zF2Y4eDv1x/cCvm
+oZZyVHFZBqPStjocdK3WcenekRZD4L5MalvaQJ9PEpc/hAIvH5neZxeDzNN5opZK
+6VL4aMwJaY6LqyWpimZ0MuQ4K6qPq5jL7U6b9bTMwo26q8Yb+pkDkusb5FqYVzwk
+UroKTW+bV6jZg4AyJDE9bE5DKVJ+CS9PIUxlHGjly89jQulFVtHeOISVQu6fNHIk
+6tCkAP99Xfqrjs1dAF89AfbEGJ6XRNjlp36TUzJF5M0MeQ8CKAD+JwGeYmJrFq9o
+NB09Mh1oZokQv5imhTayA85rXXE0DwU=
+=Cu2S
+-----END PGP PUBLIC KEY BLOCK-----
+`,
+  huella: '6AB0D53393E7130B8D15002F72BE9406A4B8716F',
+  usuario: 'Ana ed25519 <ana@example.com>',
+  firma: `-----BEGIN PGP SIGNATURE-----
+
+iHUEABYIAB0WIQRqsNUzk+cTC40VAC9yvpQGpLhxbwUCatZosgAKCRByvpQGpLhx
+b2XJAP91lCdp1PNH6p/vivZ3Iuqk+Kn8T/JNsPRBlabDEr0MKQD+PGqfhE+oW8IK
+F3lbnqHs0aBenclFZNe5mQvURBMrNwo=
+=rj3N
+-----END PGP SIGNATURE-----
+`,
+  subclave: '9D7BE3884684CCE300F171BACBCB027A5EBFA287',
+  firmaSubclave: `-----BEGIN PGP SIGNATURE-----
+
+iQEzBAABCgAdFiEEnXvjiEaEzOMA8XG6y8sCel6/oocFAmrWaLIACgkQy8sCel6/
+oodhrAgAkuvYXN7SzdsQfGN7MHFpE2e8XVaQGM+2FWN7KnS5bGEhQIx+9ntQsTUd
+JFdtadMo1ML2hCDAKA0W6DDaS80JR16EYmynujJJ/QPYhyql8FA1LYl4EJkNZgpi
+z8WGvP9PjxY0FJqqYTkGweXNFMdVhwCBP0l35kthpiKn6tp5/dTpzssZa8cX94uI
+33ISNknZtUGJYl8WM68ynKa5vN5VnRGZQeubg9248VyObWjCtA26pJfLxZS8yYo1
+E4bcxQgImWBXgseKcwx0hsjjo29HHcdF6kFD2gU5zYjLWOOm0l+Vx8mTSDYleBrE
+3YSikTqyEwhsaXuue1+87kLqPfa0cQ==
+=Nfk/
+-----END PGP SIGNATURE-----
+`,
+}
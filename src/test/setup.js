@@ -0,0 +1,10 @@
+// El llavero y la lista de confianza usan IndexedDB, que ni Node ni jsdom traen
+import 'fake-indexeddb/auto'
+
+// jsdom pone sus propios Uint8Array y ArrayBuffer, y el WebCrypto de Node
+// rechaza los buffers creados con ellos. En el navegador solo hay unos.
+if (typeof window !== 'undefined') {
+  const bytes = new TextEncoder().encode('')
+  globalThis.Uint8Array = bytes.constructor
+  globalThis.ArrayBuffer = bytes.buffer.constructor
+}
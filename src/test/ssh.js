@@ -0,0 +1,61 @@
+/* ===================== VECTORES DE OPENSSH 9.2 ===================== */
+
+// Generados una sola vez con OpenSSH 9.2p1 y fijados aquí. Se firma el mismo
+// `MENSAJE` que en ./openssl.js, con el espacio de nombres por defecto:
+//
+//   ssh-keygen -t rsa -b 2048 -C ana@example.com -N '' -f ssh-rsa
+//   ssh-keygen -t ecdsa -b 256 -C ana@example.com -N '' -f ssh-ecdsa
+//   ssh-keygen -t ed25519 -C ana@example.com -N '' -f ssh-ed25519
+//   ssh-keygen -Y sign -n file -f ssh-ed25519 m.txt
+//
+// y comprobados con `ssh-keygen -Y verify -f allowed_signers -I
+// ana@example.com -n file -s m.txt.sig < m.txt`. Las huellas son las de
+// `ssh-keygen -l`.
+
+export const SSH_RSA = {
+  publica:
+    'ssh-rsa AAAAB3NzaC1yc2EAAAADAQABAAABAQCMUZ6gzmBV6rp3Jw9sdNE1is4ea2dyRrS21ZkUhE1GHQN9mjFTiuzxeNaC5jNwolYGqEPv6H6mlI9/o9f3dVYPdm86NJiwo5vLymVlc9Z6LkJe0aWd0h4wqkW2pBnOGGcvDoklDMqd5n0hfnNykSoH3DzhTpW/HaykKen0KaLC6VGeqfiIJhQzuRDRYgp6aG92awEslsyvjveTraYafIIF3vZKB8kK0FS7pBh8eexG4XkjdlhjVTa3lpPejbS8O6v1cPCHTICG6XJh67EtwhPau3KA55FW+vycKuUkjslz6eaVjhQm6v2I/mO5nHeiJtAoVu1V6swN38TmBMHD/LHp ana@example.com',
+  huella: 'SHA256:ZJsB/bSIqYJq0WbGqecIoFKuCsnqZeYYZLkPp19xpWc',
+  firma: `-----BEGIN SSH SIGNATURE-----
+U1NIU0lHAAAAAQAAARcAAAAHc3NoLXJzYQAAAAMBAAEAAAEBAIxRnqDOYFXquncnD2x00T
+WKzh5rZ3JGtLbVmRSETUYdA32aMVOK7PF41oLmM3CiVgaoQ+/ofqaUj3+j1/d1Vg92bzo0
+mLCjm8vKZWVz1nouQl7RpZ3SHjCqRbakGc4YZy8OiSUMyp3mfSF+c3KRKgfcPOFOlb8drK
+Qp6fQposLpUZ6p+IgmFDO5ENFiCnpob3ZrASyWzK+O95Otphp8ggXe9koHyQrQVLukGHx5
+7EbheSN2WGNVNreWk96NtLw7q/Vw8IdMgIbpcmHrsS3CE9q7coDnkVb6/Jwq5SSOyXPp5p
+WOFCbq/Yj+Y7mcd6Im0ChW7VXqzA3fxOYEwcP8sekAAAAEZmlsZQAAAAAAAAAGc2hhNTEy
+AAABFAAAAAxyc2Etc2hhMi01MTIAAAEAElPXMtT/QqPVQ2a7xb4EKkY+vMRHefSYOz2cE0
+cj5YfD5ZWyIHVTuV1u+QQsJdav+qimVpKnqJUMeVc1Owxax7mHs3sanCMfXzj8+h+9X0JV
+wySFIsahjuYNfl3YOhzW5I1rMqUYCw/qyvTrqXT/PiHKWWlzAdsL3kRG1+vw5TJY7yOi0U
+DzUlDqyUW3zsR8XSAxpRZXyZLtyZDG4yBo3qv7YK6eBpwrt4prpn914HlxtT9XMo1maWMa
+0KDCu0hS5efWXOBsTxJfg/kh5gaSlZ3YG2wdYPgXz+rzRI6aVGKsjIruE2gDr2DADmfkTh
+S7Vrc+O4kqPJKnFRO1U/Pszg==
+-----END SSH SIGNATURE-----
+`,
+}
+
+export const SSH_ECDSA = {
+  publica:
+    'ecdsa-sha2-nistp256 AAAAE2VjZHNhLXNoYTItbmlzdHAyNTYAAAAIbmlzdHAyNTYAAABBBDlVTNOGFGn8mKSKFHoWBCzFRJsjQr6juR0IK43pXpG9f9PwYXCaYlTO2EyF7Hp54zPPhoOcOQY79i4z48lx0DA= ana@example.com',
+  huella: 'SHA256:qs50jvoEwyZPefmlgmcDl9dzOtCNL695EzLy3Zc3/gg',
+  firma: `-----BEGIN SSH SIGNATURE-----
+U1NIU0lHAAAAAQAAAGgAAAATZWNkc2Etc2hhMi1uaXN0cDI1NgAAAAhuaXN0cDI1NgAAAE
+EEOVVM04YUafyYpIoUehYELMVEmyNCvqO5HQgrjelekb1/0/BhcJpiVM7YTIXsennjM8+G
+g5w5Bjv2LjPjyXHQMAAAAARmaWxlAAAAAAAAAAZzaGE1MTIAAABlAAAAE2VjZHNhLXNoYT
+ItbmlzdHAyNTYAAABKAAAAIQCkQAOy//GSpE9HSNFTKg6dHnm3P+GtvGiAgDxeAAhGKwAA
+ACEAyVyUP7QhxdPKzPzpU/9Th49BOkE4I2iTqQTjnWacKHI=
+-----END SSH SIGNATURE-----
+`,
+}
+
+export const SSH_ED25519 = {
+  publica:
+    'ssh-ed25519 AAAAC3NzaC1lZDI1NTE5AAAAINhCMyHjK8GKSZWvoaTwzqpdcMvE5r1ilvwSIgENASdh ana@example.com',
+  huella: 'SHA256:Hn6gBMlv4nnwWnxeSUOzMRVFA75YicREc7BgjjmBBg4',
+  firma: `-----BEGIN SSH SIGNATURE-----
+U1NIU0lHAAAAAQAAADMAAAALc3NoLWVkMjU1MTkAAAAg2EIzIeMrwYpJla+hpPDOql1wy8
+TmvWKW/BIiAQ0BJ2EAAAAEZmlsZQAAAAAAAAAGc2hhNTEyAAAAUwAAAAtzc2gtZWQyNTUx
+OQAAAEDg2hG5RHgeJhvMfimznXY9X9lQDCT5LSRx0gB5t7U3GXUGgq5CEDpunlXu645L5g
+Vpplo6rY51Xy7BT2quGhIG
+-----END SSH SIGNATURE-----
+`,
+}
@@ -0,0 +1,152 @@
+import { FirmaError } from './errors.js'
+import { randomBytes, subtle } from './firma.js'
+import {
+  base64UrlEncode,
+  createJws,
+  parseJsonObject,
+  parseJws,
+  publicJwk,
+  toCompact,
+  verifyJws,
+} from './jws.js'
+
+/* ================ SELLO DE TIEMPO (TSA LOCAL, RFC 3161) ================ */
+
+// El sello cubre el SHA-256 de la firma, no del mensaje: prueba que esa firma
+// ya existía en `genTime`, con la hora de la TSA y no la del firmante. El
+// token es un JWS compacto cuya carga lleva los campos de TSTInfo (RFC 3161,
+// 2.4.2) en JSON. Una TSA real se enchufa con un objeto que tenga `name`,
+// `publicKey` y `timestamp({ messageImprint, nonce })` devolviendo el token.
+
+// Arco 2.999 de X.660, reservado para ejemplos
+export const TSA_POLICY = '2.999.3161.1'
+
+const MINUTO = 60 * 1000
+const DIA = 24 * 60 * MINUTO
+
+const utf8 = (text) => new TextEncoder().encode(text)
+
+const imprint = async (signature) =>
+  base64UrlEncode(await subtle().digest('SHA-256', signature))
+
+// La privada no es exportable: se puede guardar en IndexedDB y volver a usar
+// tras recargar, pero no sacarla del navegador
+export function generateTimestampKeyPair() {
+  return subtle().generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, false, [
+    'sign',
+    'verify',
+  ])
+}
+
+/**
+ * Crea una TSA con el par `keyPair` o, sin él, con uno nuevo. Los sellos solo
+ * verifican con su clave pública, así que para que sigan valiendo después de
+ * recargar hay que guardar el par y pasarlo aquí.
+ */
+export async function createTimestampAuthority({
+  name = 'TSA local',
+  clock = () => new Date(),
+  keyPair,
+} = {}) {
+  const { privateKey, publicKey } =
+    keyPair || (await generateTimestampKeyPair())
+  return {
+    name,
+    publicKey,
+    async timestamp({ messageImprint, nonce }) {
+      const tstInfo = {
+        version: 1,
+        policy: TSA_POLICY,
+        messageImprint,
+        serialNumber: base64UrlEncode(randomBytes(16)),
+        genTime: clock().toISOString(),
+        nonce,
+        tsa: name,
+      }
+      const jws = await createJws(
+        privateKey,
+        publicKey,
+        utf8(JSON.stringify(tstInfo)),
+        { hash: 'SHA-256', detached: false }
+      )
+      return toCompact(jws)
+    },
+  }
+}
+
+// Como un cliente RFC 3161: comprueba la respuesta antes de guardarla
+export async function requestTimestamp(tsa, signature) {
+  const nonce = base64UrlEncode(randomBytes(8))
+  const token = await tsa.timestamp({
+    messageImprint: {
+      hashAlgorithm: 'SHA-256',
+      hashedMessage: await imprint(signature),
+    },
+    nonce,
+  })
+  const { tstInfo } = await verifyTimestamp(token, {
+    signature,
+    tsaPublicKey: tsa.publicKey,
+  })
+  if (tstInfo.nonce !== nonce)
+    throw new FirmaError(
+      'La TSA ha respondido a otra petición: el nonce no coincide.',
+      { code: 'TIMESTAMP' }
+    )
+  return token
+}
+
+// `tsaPublicKeys` son todas las TSA de confianza; basta con que una lo firme
+export async function verifyTimestamp(
+  token,
+  { signature, tsaPublicKey, tsaPublicKeys = [tsaPublicKey] }
+) {
+  const parsed = parseJws(token)
+  let valido = false
+  for (const key of tsaPublicKeys) {
+    valido = await verifyJws(
+      parsed,
+      await publicJwk(key),
+      parsed.payload
+    ).catch(() => false)
+    if (valido) break
+  }
+  if (!valido)
+    throw new FirmaError(
+      'El sello de tiempo no está firmado por la TSA de confianza.',
+      { code: 'TIMESTAMP' }
+    )
+
+  const tstInfo = parseJsonObject(
+    new TextDecoder().decode(parsed.payload),
+    'El sello de tiempo'
+  )
+  const { hashAlgorithm, hashedMessage } = tstInfo.messageImprint || {}
+  if (
+    hashAlgorithm !== 'SHA-256' ||
+    hashedMessage !== (await imprint(signature))
+  )
+    throw new FirmaError('El sello de tiempo corresponde a otra firma.', {
+      code: 'TIMESTAMP',
+    })
+  return {
+    genTime: new Date(tstInfo.genTime),
+    tsa: tstInfo.tsa,
+    serialNumber: tstInfo.serialNumber,
+    tstInfo,
+  }
+}
+
+// `claimedTime` es la hora que declara el propio firmante (el `iat` del
+// paquete JWS): si es anterior a la del sello, la firma está antedatada.
+// Devuelve 'vigente', 'futura', 'antedatada' o 'caducada'.
+export function checkTimestampWindow(
+  genTime,
+  { now = new Date(), maxAgeDays, skewMinutes = 5, claimedTime } = {}
+) {
+  const skew = skewMinutes * MINUTO
+  if (genTime - now > skew) return 'futura'
+  if (claimedTime && genTime - claimedTime > skew) return 'antedatada'
+  if (maxAgeDays && now - genTime > maxAgeDays * DIA) return 'caducada'
+  return 'vigente'
+}
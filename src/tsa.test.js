@@ -0,0 +1,206 @@
+import { beforeAll, describe, expect, it } from 'vitest'
+import { exportPublicKeyToPEM, importPublicKeyFromPEM } from './firma'
+import { base64UrlDecode, base64UrlEncode, parseJws } from './jws'
+import {
+  getOwnTsa,
+  listTrustedTsaKeys,
+  saveOwnTsa,
+  trustTsaKey,
+  untrustTsaKey,
+} from './keyring'
+import {
+  TSA_POLICY,
+  checkTimestampWindow,
+  createTimestampAuthority,
+  generateTimestampKeyPair,
+  requestTimestamp,
+  verifyTimestamp,
+} from './tsa'
+
+const firma = new TextEncoder().encode('bytes de una firma cualquiera')
+const otra = new TextEncoder().encode('bytes de otra firma')
+const genTime = new Date('2026-03-01T10:00:00Z')
+
+let tsa
+
+beforeAll(async () => {
+  tsa = await createTimestampAuthority({ clock: () => genTime })
+})
+
+describe('autoridad de sellado de tiempo', () => {
+  it('sella el SHA-256 de la firma con la hora de la TSA', async () => {
+    const token = await requestTimestamp(tsa, firma)
+    const sello = await verifyTimestamp(token, {
+      signature: firma,
+      tsaPublicKey: tsa.publicKey,
+    })
+    expect(sello.genTime).toEqual(genTime)
+    expect(sello.tsa).toBe('TSA local')
+    expect(sello.tstInfo).toMatchObject({
+      version: 1,
+      policy: TSA_POLICY,
+      messageImprint: {
+        hashAlgorithm: 'SHA-256',
+        hashedMessage: base64UrlEncode(
+          await crypto.subtle.digest('SHA-256', firma)
+        ),
+      },
+    })
+  })
+
+  it('cada sello lleva su número de serie y su nonce', async () => {
+    const [a, b] = await Promise.all([
+      requestTimestamp(tsa, firma),
+      requestTimestamp(tsa, firma),
+    ])
+    const info = (token) =>
+      JSON.parse(new TextDecoder().decode(parseJws(token).payload))
+    expect(info(a).serialNumber).not.toBe(info(b).serialNumber)
+    expect(info(a).nonce).not.toBe(info(b).nonce)
+  })
+
+  it('rechaza el sello de otra firma o de otra TSA', async () => {
+    const token = await requestTimestamp(tsa, firma)
+    await expect(
+      verifyTimestamp(token, { signature: otra, tsaPublicKey: tsa.publicKey })
+    ).rejects.toMatchObject({
+      code: 'TIMESTAMP',
+      message: 'El sello de tiempo corresponde a otra firma.',
+    })
+
+    const ajena = await createTimestampAuthority()
+    await expect(
+      verifyTimestamp(token, {
+        signature: firma,
+        tsaPublicKey: ajena.publicKey,
+      })
+    ).rejects.toMatchObject({
+      message: 'El sello de tiempo no está firmado por la TSA de confianza.',
+    })
+  })
+
+  it('detecta una hora cambiada en el token', async () => {
+    const [cabecera, carga, sig] = (await requestTimestamp(tsa, firma)).split(
+      '.'
+    )
+    const info = JSON.parse(new TextDecoder().decode(base64UrlDecode(carga)))
+    const alterada = base64UrlEncode(
+      new TextEncoder().encode(
+        JSON.stringify({ ...info, genTime: '2020-01-01T00:00:00.000Z' })
+      )
+    )
+    await expect(
+      verifyTimestamp(`${cabecera}.${alterada}.${sig}`, {
+        signature: firma,
+        tsaPublicKey: tsa.publicKey,
+      })
+    ).rejects.toMatchObject({ code: 'TIMESTAMP' })
+  })
+
+  it('un cliente rechaza la respuesta a otra petición', async () => {
+    const repetidora = {
+      ...tsa,
+      respuesta: null,
+      async timestamp(peticion) {
+        this.respuesta ??= await tsa.timestamp(peticion)
+        return this.respuesta
+      },
+    }
+    await requestTimestamp(repetidora, firma)
+    await expect(requestTimestamp(repetidora, firma)).rejects.toThrow(
+      'La TSA ha respondido a otra petición: el nonce no coincide.'
+    )
+  })
+
+  it('el token es un JWS compacto con la clave de la TSA', async () => {
+    const token = await requestTimestamp(tsa, firma)
+    const { header, signature } = parseJws(token)
+    expect(header.alg).toBe('ES256')
+    expect(header.jwk.crv).toBe('P-256')
+    expect(signature).toHaveLength(64)
+  })
+})
+
+describe('TSA guardada en el llavero', () => {
+  it('los sellos verifican con la TSA recreada desde IndexedDB', async () => {
+    const guardada = await saveOwnTsa(await generateTimestampKeyPair())
+    const antes = await createTimestampAuthority({ keyPair: guardada })
+    const token = await requestTimestamp(antes, firma)
+
+    // Tras recargar solo queda lo que hay en IndexedDB
+    const leida = await getOwnTsa()
+    expect(leida.privateKey.extractable).toBe(false)
+    const despues = await createTimestampAuthority({ keyPair: leida })
+    await expect(
+      verifyTimestamp(token, {
+        signature: firma,
+        tsaPublicKey: despues.publicKey,
+      })
+    ).resolves.toMatchObject({ tsa: 'TSA local' })
+    await requestTimestamp(despues, firma)
+
+    // Nunca se sustituye el par guardado
+    await expect(saveOwnTsa(await generateTimestampKeyPair())).rejects.toThrow()
+    expect(await listTrustedTsaKeys()).toEqual([])
+  })
+
+  it('el receptor confía en la clave pública de otra TSA', async () => {
+    const ajena = await createTimestampAuthority({ name: 'TSA ajena' })
+    const token = await requestTimestamp(ajena, firma)
+    const clave = await importPublicKeyFromPEM(
+      await exportPublicKeyToPEM(ajena.publicKey)
+    )
+    await trustTsaKey('SHA256:ajena', clave)
+    const confiables = (await listTrustedTsaKeys()).map((r) => r.publicKey)
+
+    const sello = await verifyTimestamp(token, {
+      signature: firma,
+      tsaPublicKeys: [tsa.publicKey, ...confiables],
+    })
+    expect(sello.tsa).toBe('TSA ajena')
+
+    await untrustTsaKey('SHA256:ajena')
+    await expect(
+      verifyTimestamp(token, {
+        signature: firma,
+        tsaPublicKeys: [
+          tsa.publicKey,
+          ...(await listTrustedTsaKeys()).map((r) => r.publicKey),
+        ],
+      })
+    ).rejects.toMatchObject({ code: 'TIMESTAMP' })
+  })
+})
+
+describe('periodo de validez', () => {
+  const horas = (n) => new Date(genTime.getTime() + n * 3600 * 1000)
+
+  it('acepta un sello dentro del periodo', () => {
+    expect(
+      checkTimestampWindow(genTime, { now: horas(24), maxAgeDays: 30 })
+    ).toBe('vigente')
+  })
+
+  it('marca caducado un sello más viejo que el periodo', () => {
+    expect(
+      checkTimestampWindow(genTime, { now: horas(31 * 24), maxAgeDays: 30 })
+    ).toBe('caducada')
+  })
+
+  it('marca un sello del futuro más allá de la tolerancia de reloj', () => {
+    expect(checkTimestampWindow(genTime, { now: horas(-0.05) })).toBe('vigente')
+    expect(checkTimestampWindow(genTime, { now: horas(-1) })).toBe('futura')
+  })
+
+  it('marca antedatada la firma que declara una hora anterior al sello', () => {
+    expect(
+      checkTimestampWindow(genTime, { now: horas(1), claimedTime: horas(-48) })
+    ).toBe('antedatada')
+    expect(
+      checkTimestampWindow(genTime, {
+        now: horas(1),
+        claimedTime: new Date(genTime.getTime() - 1000),
+      })
+    ).toBe('vigente')
+  })
+})
@@ -0,0 +1,26 @@
+import { CryptoUnavailableError } from './errors.js'
+
+/* ============================ WEBCRYPTO ============================ */
+
+// El único acceso de la biblioteca a `globalThis.crypto`. firma.js lo
+// reexporta; está aparte porque firma.js importa jws.js y pbes2.js, que
+// también lo usan.
+//
+// Se consulta en cada llamada y no al importar el módulo, para que el
+// reemplazo de Node 18 pueda instalarse después del import.
+
+function webCrypto() {
+  if (!globalThis.crypto?.subtle)
+    throw new CryptoUnavailableError(
+      'WebCrypto no está disponible: usa HTTPS o localhost en el navegador, o Node 19 o posterior.'
+    )
+  return globalThis.crypto
+}
+
+export function subtle() {
+  return webCrypto().subtle
+}
+
+export function randomBytes(length) {
+  return webCrypto().getRandomValues(new Uint8Array(length))
+}
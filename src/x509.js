@@ -0,0 +1,569 @@
+import {
+  derOctetString,
+  derOid,
+  derSequence,
+  derTlv,
+  oidToString,
+  readChildren,
+  readDer,
+} from './asn1.js'
+import { EncodingError, UnsupportedAlgorithmError } from './errors.js'
+import {
+  CURVE_HASH,
+  CURVE_OIDS,
+  HASH_BYTES,
+  ecdsaDerToRaw,
+  randomBytes,
+  sameBytes,
+  subtle,
+  toHex,
+} from './firma.js'
+
+/* ===================== CERTIFICADOS X.509 (RFC 5280) ===================== */
+
+// Lo justo para enseñar una PKI: CA raíz autofirmada, certificados de
+// entidad final emitidos por ella y validación de la cadena (firmas,
+// encadenamiento de nombres, fechas, basicConstraints y keyUsage). Sin CRL,
+// OCSP ni restricciones de nombres o políticas.
+
+const OID_HASH = {
+  'SHA-256': '2.16.840.1.101.3.4.2.1',
+  'SHA-384': '2.16.840.1.101.3.4.2.2',
+  'SHA-512': '2.16.840.1.101.3.4.2.3',
+}
+const OID_PKCS1 = {
+  'SHA-256': '1.2.840.113549.1.1.11',
+  'SHA-384': '1.2.840.113549.1.1.12',
+  'SHA-512': '1.2.840.113549.1.1.13',
+}
+const OID_ECDSA = {
+  'SHA-256': '1.2.840.10045.4.3.2',
+  'SHA-384': '1.2.840.10045.4.3.3',
+  'SHA-512': '1.2.840.10045.4.3.4',
+}
+const OID_RSA_PSS = '1.2.840.113549.1.1.10'
+const OID_MGF1 = '1.2.840.113549.1.1.8'
+const OID_ED25519 = '1.3.101.112'
+const OID_EC_PUBLIC_KEY = '1.2.840.10045.2.1'
+
+const OID_EXT = {
+  subjectKeyIdentifier: '2.5.29.14',
+  keyUsage: '2.5.29.15',
+  basicConstraints: '2.5.29.19',
+  authorityKeyIdentifier: '2.5.29.35',
+}
+
+const NAME_ATTRIBUTES = {
+  '2.5.4.3': 'CN',
+  '2.5.4.6': 'C',
+  '2.5.4.7': 'L',
+  '2.5.4.8': 'ST',
+  '2.5.4.10': 'O',
+  '2.5.4.11': 'OU',
+  '1.2.840.113549.1.9.1': 'E',
+}
+
+// Orden de los bits de KeyUsage (RFC 5280, 4.2.1.3)
+const KEY_USAGES = [
+  'digitalSignature',
+  'nonRepudiation',
+  'keyEncipherment',
+  'dataEncipherment',
+  'keyAgreement',
+  'keyCertSign',
+  'cRLSign',
+  'encipherOnly',
+  'decipherOnly',
+]
+
+const reverse = (table) =>
+  Object.fromEntries(Object.entries(table).map(([k, v]) => [v, k]))
+
+const utf8 = (text) => new TextEncoder().encode(text)
+
+/* ---------------------------- Codificación ---------------------------- */
+
+const derBoolean = (value) => new Uint8Array([0x01, 0x01, value ? 0xff : 0])
+
+const derBitString = (bytes, unusedBits = 0) =>
+  derTlv(0x03, new Uint8Array([unusedBits]), new Uint8Array(bytes))
+
+const derExplicit = (number, inner) => derTlv(0xa0 | number, inner)
+
+function derSmallInteger(value) {
+  return derTlv(0x02, new Uint8Array([value]))
+}
+
+function derPositiveInteger(bytes) {
+  const value = bytes[0] & 0x80 ? [0, ...bytes] : [...bytes]
+  return derTlv(0x02, new Uint8Array(value))
+}
+
+// UTCTime hasta 2049 y GeneralizedTime desde 2050 (RFC 5280, 4.1.2.5)
+function derTime(date) {
+  const pad = (n) => String(n).padStart(2, '0')
+  const year = date.getUTCFullYear()
+  const rest =
+    pad(date.getUTCMonth() + 1) +
+    pad(date.getUTCDate()) +
+    pad(date.getUTCHours()) +
+    pad(date.getUTCMinutes()) +
+    pad(date.getUTCSeconds()) +
+    'Z'
+  return year < 2050
+    ? derTlv(0x17, utf8(pad(year % 100) + rest))
+    : derTlv(0x18, utf8(year + rest))
+}
+
+function derName({ commonName, organization }) {
+  const rdn = (oid, value) =>
+    derTlv(0x31, derSequence(derOid(oid), derTlv(0x0c, utf8(value))))
+  const attributes = []
+  if (organization) attributes.push(rdn('2.5.4.10', organization))
+  attributes.push(rdn('2.5.4.3', commonName))
+  return derSequence(...attributes)
+}
+
+function derKeyUsage(usages) {
+  let bits = 0
+  usages.forEach((usage) => (bits |= 0x8000 >> KEY_USAGES.indexOf(usage)))
+  const bytes = bits & 0xff ? [bits >> 8, bits & 0xff] : [bits >> 8]
+  const last = bytes[bytes.length - 1]
+  let unused = 0
+  while (unused < 7 && !(last & (1 << unused))) unused++
+  return derBitString(bytes, unused)
+}
+
+function derExtension(oid, critical, value) {
+  return critical
+    ? derSequence(derOid(oid), derBoolean(true), derOctetString(value))
+    : derSequence(derOid(oid), derOctetString(value))
+}
+
+function hashAlgorithmIdentifier(hash) {
+  return derSequence(derOid(OID_HASH[hash]), new Uint8Array([0x05, 0x00]))
+}
+
+// AlgorithmIdentifier y parámetros de WebCrypto para firmar con `key`
+function signatureAlgorithm(key) {
+  const { name, hash, namedCurve } = key.algorithm
+  if (name === 'RSASSA-PKCS1-v1_5')
+    return {
+      der: derSequence(derOid(OID_PKCS1[hash.name]), new Uint8Array([5, 0])),
+      params: { name },
+    }
+  if (name === 'RSA-PSS') {
+    const saltLength = HASH_BYTES[hash.name]
+    return {
+      der: derSequence(
+        derOid(OID_RSA_PSS),
+        derSequence(
+          derExplicit(0, hashAlgorithmIdentifier(hash.name)),
+          derExplicit(
+            1,
+            derSequence(derOid(OID_MGF1), hashAlgorithmIdentifier(hash.name))
+          ),
+          derExplicit(2, derSmallInteger(saltLength))
+        )
+      ),
+      params: { name, saltLength },
+    }
+  }
+  if (name === 'ECDSA') {
+    const curveHash = CURVE_HASH[namedCurve]
+    return {
+      der: derSequence(derOid(OID_ECDSA[curveHash])),
+      params: { name, hash: curveHash },
+      ecdsa: true,
+    }
+  }
+  if (name === 'Ed25519')
+    return { der: derSequence(derOid(OID_ED25519)), params: { name } }
+  throw new UnsupportedAlgorithmError(
+    `No se pueden firmar certificados con ${name}.`
+  )
+}
+
+// WebCrypto firma ECDSA como r||s y X.509 lo exige como SEQUENCE de INTEGER
+function ecdsaRawToDer(raw) {
+  const half = raw.length / 2
+  const integer = (bytes) => {
+    let start = 0
+    while (start < bytes.length - 1 && bytes[start] === 0) start++
+    return derPositiveInteger(bytes.subarray(start))
+  }
+  return derSequence(
+    integer(raw.subarray(0, half)),
+    integer(raw.subarray(half))
+  )
+}
+
+// Identificador de clave, método 1 de RFC 5280: SHA-1 del BIT STRING
+async function keyIdentifier(spki) {
+  const seq = readDer(spki, 0)
+  const [, bitString] = readChildren(spki, seq)
+  const key = spki.subarray(bitString.start + 1, bitString.end)
+  return new Uint8Array(await subtle().digest('SHA-1', key))
+}
+
+/**
+ * Crea un certificado v3 firmado con `signingKey`. Sin `issuer` es
+ * autofirmado (la CA raíz); con él, `issuer` es el certificado ya analizado
+ * de la CA que emite.
+ */
+export async function createCertificate({
+  subject,
+  publicKey,
+  signingKey,
+  issuer,
+  ca = false,
+  days = 365,
+}) {
+  const spki = new Uint8Array(await subtle().exportKey('spki', publicKey))
+  const serial = randomBytes(16)
+  serial[0] = (serial[0] & 0x7f) | 0x01
+
+  const notBefore = new Date(Date.now() - 60 * 1000)
+  const notAfter = new Date(notBefore.getTime() + days * 24 * 60 * 60 * 1000)
+  const subjectName = derName(subject)
+  const ski = await keyIdentifier(spki)
+  const aki = issuer ? issuer.extensions.subjectKeyIdentifier : ski
+
+  const extensions = [
+    derExtension(
+      OID_EXT.basicConstraints,
+      true,
+      ca ? derSequence(derBoolean(true)) : derSequence()
+    ),
+    derExtension(
+      OID_EXT.keyUsage,
+      true,
+      derKeyUsage(
+        ca ? ['keyCertSign', 'cRLSign'] : ['digitalSignature', 'nonRepudiation']
+      )
+    ),
+    derExtension(OID_EXT.subjectKeyIdentifier, false, derOctetString(ski)),
+  ]
+  if (aki)
+    extensions.push(
+      derExtension(
+        OID_EXT.authorityKeyIdentifier,
+        false,
+        derSequence(derTlv(0x80, aki))
+      )
+    )
+
+  const algorithm = signatureAlgorithm(signingKey)
+  const tbs = derSequence(
+    derExplicit(0, derSmallInteger(2)),
+    derPositiveInteger(serial),
+    algorithm.der,
+    issuer ? issuer.subjectDer : subjectName,
+    derSequence(derTime(notBefore), derTime(notAfter)),
+    subjectName,
+    spki,
+    derExplicit(3, derSequence(...extensions))
+  )
+
+  let signature = new Uint8Array(
+    await subtle().sign(algorithm.params, signingKey, tbs)
+  )
+  if (algorithm.ecdsa) signature = ecdsaRawToDer(signature)
+  return derSequence(tbs, algorithm.der, derBitString(signature))
+}
+
+/* ------------------------------ Análisis ------------------------------ */
+
+function parseTime(bytes, node) {
+  const text = new TextDecoder().decode(bytes.subarray(node.start, node.end))
+  const match =
+    node.tag === 0x17
+      ? text.match(/^(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})Z$/)
+      : text.match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})Z$/)
+  if (!match) throw new EncodingError(`Fecha de certificado inválida: ${text}.`)
+  const [, y, mo, d, h, mi, s] = match.map(Number)
+  const year = node.tag === 0x17 ? (y >= 50 ? 1900 + y : 2000 + y) : y
+  return new Date(Date.UTC(year, mo - 1, d, h, mi, s))
+}
+
+function parseName(bytes, node) {
+  const attributes = []
+  for (const set of readChildren(bytes, node))
+    for (const attribute of readChildren(bytes, set)) {
+      const [oid, value] = readChildren(bytes, attribute)
+      const oidStr = oidToString(bytes.subarray(oid.start, oid.end))
+      const raw = bytes.subarray(value.start, value.end)
+      const text =
+        value.tag === 0x1e
+          ? String.fromCharCode(
+              ...Array.from(
+                { length: raw.length / 2 },
+                (_, i) => (raw[i * 2] << 8) | raw[i * 2 + 1]
+              )
+            )
+          : new TextDecoder().decode(raw)
+      attributes.push([NAME_ATTRIBUTES[oidStr] || oidStr, text])
+    }
+  return attributes
+}
+
+export function formatName(attributes) {
+  return attributes.map(([type, value]) => `${type}=${value}`).join(', ')
+}
+
+function parseSignatureAlgorithm(bytes, node) {
+  const [oid, params] = readChildren(bytes, node)
+  const oidStr = oidToString(bytes.subarray(oid.start, oid.end))
+  const pkcs1 = reverse(OID_PKCS1)[oidStr]
+  if (pkcs1) return { name: 'RSASSA-PKCS1-v1_5', hash: pkcs1 }
+  const ecdsa = reverse(OID_ECDSA)[oidStr]
+  if (ecdsa) return { name: 'ECDSA', hash: ecdsa }
+  if (oidStr === OID_ED25519) return { name: 'Ed25519' }
+  if (oidStr !== OID_RSA_PSS)
+    throw new UnsupportedAlgorithmError(
+      `Algoritmo de firma no soportado (OID ${oidStr}).`
+    )
+
+  // Los valores por omisión de RSASSA-PSS-params son SHA-1 y sal de 20 bytes
+  let hash = 'SHA-1'
+  let saltLength = 20
+  for (const field of params ? readChildren(bytes, params) : []) {
+    const inner = readDer(bytes, field.start)
+    if (field.tag === 0xa0) {
+      const hashOid = readDer(bytes, inner.start)
+      hash =
+        reverse(OID_HASH)[
+          oidToString(bytes.subarray(hashOid.start, hashOid.end))
+        ] || 'desconocido'
+    } else if (field.tag === 0xa2) {
+      saltLength = bytes
+        .subarray(inner.start, inner.end)
+        .reduce((n, b) => n * 256 + b, 0)
+    }
+  }
+  if (!OID_HASH[hash])
+    throw new UnsupportedAlgorithmError(
+      `RSA-PSS con hash ${hash} no está soportado.`
+    )
+  return { name: 'RSA-PSS', hash, saltLength }
+}
+
+function parseExtensions(bytes, node) {
+  const extensions = { unknownCritical: [] }
+  for (const extension of readChildren(bytes, node)) {
+    const fields = readChildren(bytes, extension)
+    const oidStr = oidToString(bytes.subarray(fields[0].start, fields[0].end))
+    const critical = fields.length === 3 && bytes[fields[1].start] !== 0
+    const octets = fields[fields.length - 1]
+    const value = readDer(bytes, octets.start)
+
+    if (oidStr === OID_EXT.basicConstraints) {
+      const items = readChildren(bytes, value)
+      const ca = items[0]?.tag === 0x01 && bytes[items[0].start] !== 0
+      const pathLen = items.find((item) => item.tag === 0x02)
+      extensions.basicConstraints = {
+        ca,
+        pathLen: pathLen
+          ? bytes
+              .subarray(pathLen.start, pathLen.end)
+              .reduce((n, b) => n * 256 + b, 0)
+          : undefined,
+      }
+    } else if (oidStr === OID_EXT.keyUsage) {
+      const bits = bytes.subarray(value.start + 1, value.end)
+      extensions.keyUsage = KEY_USAGES.filter(
+        (_, i) => bits[i >> 3] & (0x80 >> (i & 7))
+      )
+    } else if (oidStr === OID_EXT.subjectKeyIdentifier) {
+      extensions.subjectKeyIdentifier = bytes.slice(value.start, value.end)
+    } else if (oidStr === OID_EXT.authorityKeyIdentifier) {
+      const keyId = readChildren(bytes, value).find((i) => i.tag === 0x80)
+      if (keyId)
+        extensions.authorityKeyIdentifier = bytes.slice(keyId.start, keyId.end)
+    } else if (critical) {
+      extensions.unknownCritical.push(oidStr)
+    }
+  }
+  return extensions
+}
+
+export function parseCertificate(der) {
+  const bytes = new Uint8Array(der)
+  const cert = readDer(bytes, 0)
+  const [tbsNode, sigAlgNode, sigNode] = readChildren(bytes, cert)
+  if (!tbsNode || tbsNode.tag !== 0x30 || sigNode?.tag !== 0x03)
+    throw new EncodingError('El PEM no contiene un certificado X.509.')
+
+  const fields = readChildren(bytes, tbsNode)
+  let i = 0
+  let version = 1
+  if (fields[0].tag === 0xa0) {
+    const v = readDer(bytes, fields[0].start)
+    version = bytes[v.start] + 1
+    i++
+  }
+  const [serial, innerSigAlg, issuer, validity, subject, spki] = fields.slice(
+    i,
+    i + 6
+  )
+  const extensionsNode = fields.slice(i + 6).find((f) => f.tag === 0xa3)
+  const [notBefore, notAfter] = readChildren(bytes, validity)
+  const sigAlgBytes = bytes.subarray(sigAlgNode.start, sigAlgNode.end)
+  if (
+    !sameBytes(sigAlgBytes, bytes.subarray(innerSigAlg.start, innerSigAlg.end))
+  )
+    throw new EncodingError(
+      'El algoritmo de firma no coincide dentro y fuera del certificado.'
+    )
+
+  // El TLV completo, cabecera incluida, tal como se firmó o se compara
+  const whole = (node) => bytes.slice(node.offset, node.end)
+
+  return {
+    der: bytes,
+    tbs: whole(tbsNode),
+    version,
+    serialNumber: toHex(bytes.subarray(serial.start, serial.end)),
+    signatureAlgorithm: parseSignatureAlgorithm(bytes, sigAlgNode),
+    issuer: parseName(bytes, issuer),
+    issuerDer: whole(issuer),
+    subject: parseName(bytes, subject),
+    subjectDer: whole(subject),
+    notBefore: parseTime(bytes, notBefore),
+    notAfter: parseTime(bytes, notAfter),
+    spki: whole(spki),
+    extensions: extensionsNode
+      ? parseExtensions(bytes, readDer(bytes, extensionsNode.start))
+      : { unknownCritical: [] },
+    signature: bytes.slice(sigNode.start + 1, sigNode.end),
+  }
+}
+
+/* ----------------------------- Validación ----------------------------- */
+
+function spkiParams(spki) {
+  const seq = readDer(spki, 0)
+  const algId = readDer(spki, seq.start)
+  const [oid, param] = readChildren(spki, algId)
+  const oidStr = oidToString(spki.subarray(oid.start, oid.end))
+  if (oidStr !== OID_EC_PUBLIC_KEY) return {}
+  const curveOid = oidToString(spki.subarray(param.start, param.end))
+  const namedCurve = CURVE_OIDS[curveOid]
+  if (!namedCurve)
+    throw new UnsupportedAlgorithmError(
+      `Curva del certificado no soportada (OID ${curveOid}).`
+    )
+  return { namedCurve }
+}
+
+async function verifyCertificateSignature(cert, issuer) {
+  const { name, hash, saltLength } = cert.signatureAlgorithm
+  const curve = name === 'ECDSA' ? spkiParams(issuer.spki) : {}
+  const key = await subtle().importKey(
+    'spki',
+    issuer.spki,
+    { name, hash, namedCurve: curve.namedCurve },
+    false,
+    ['verify']
+  )
+  const signature =
+    name === 'ECDSA'
+      ? ecdsaDerToRaw(cert.signature, curve.namedCurve)
+      : cert.signature
+  return subtle().verify({ name, hash, saltLength }, key, signature, cert.tbs)
+}
+
+const isSelfIssued = (cert) => sameBytes(cert.issuerDer, cert.subjectDer)
+
+/**
+ * Valida `chain` (hoja primero, después las intermedias que se hayan
+ * recibido) contra las CA raíz de `roots`. Devuelve todas las comprobaciones
+ * para poder mostrarlas, no solo la primera que falla: cada una con `ok`, un
+ * `code` estable y los `params` del texto (nombres y fechas como Date), que
+ * la interfaz traduce con su catálogo (`cadena.<code>`).
+ */
+export async function validateChain(chain, roots, now = new Date()) {
+  const checks = []
+  const check = (ok, code, params) => checks.push({ ok, code, params })
+
+  const path = [...chain]
+  const top = path[path.length - 1]
+  if (!roots.some((root) => sameBytes(root.der, top.der))) {
+    const anchor = roots.find((root) =>
+      sameBytes(root.subjectDer, top.issuerDer)
+    )
+    if (anchor) path.push(anchor)
+    else check(false, 'raizNoConfiable', { nombre: formatName(top.issuer) })
+  }
+
+  for (let i = 0; i < path.length; i++) {
+    const cert = path[i]
+    const nombre = formatName(cert.subject)
+    const issuer = path[i + 1] || (isSelfIssued(cert) ? cert : null)
+    const { basicConstraints, keyUsage, unknownCritical } = cert.extensions
+
+    if (now < cert.notBefore)
+      check(false, 'aunNoValido', { nombre, fecha: cert.notBefore })
+    else if (now > cert.notAfter)
+      check(false, 'caducado', { nombre, fecha: cert.notAfter })
+    else check(true, 'enVigor', { nombre, fecha: cert.notAfter })
+    if (unknownCritical.length)
+      check(false, 'criticasDesconocidas', {
+        nombre,
+        extensiones: unknownCritical.join(', '),
+      })
+
+    if (i === 0) {
+      if (keyUsage)
+        check(keyUsage.includes('digitalSignature'), 'usoClave', {
+          nombre,
+          usos: keyUsage.join(', '),
+        })
+      else check(true, 'usoSinRestringir', { nombre })
+    } else {
+      check(
+        basicConstraints?.ca === true,
+        basicConstraints?.ca ? 'esCa' : 'noEsCa',
+        {
+          nombre,
+        }
+      )
+      const firmaCertificados = !keyUsage || keyUsage.includes('keyCertSign')
+      check(
+        firmaCertificados,
+        firmaCertificados ? 'firmaCertificados' : 'sinKeyCertSign',
+        { nombre }
+      )
+      // pathLen limita cuántas CA intermedias puede haber por debajo
+      if (basicConstraints?.pathLen !== undefined)
+        check(i - 1 <= basicConstraints.pathLen, 'pathLen', {
+          nombre,
+          maximo: basicConstraints.pathLen,
+          n: i - 1,
+        })
+    }
+
+    if (!issuer) continue
+    const emisor = formatName(issuer.subject)
+    if (issuer !== cert) {
+      const enlaza = sameBytes(cert.issuerDer, issuer.subjectDer)
+      check(enlaza, enlaza ? 'emisor' : 'otroEmisor', {
+        nombre,
+        emisor,
+        declarado: formatName(cert.issuer),
+      })
+    }
+    let firmaOk = false
+    try {
+      firmaOk = await verifyCertificateSignature(cert, issuer)
+    } catch {
+      firmaOk = false
+    }
+    check(firmaOk, firmaOk ? 'firmaValida' : 'firmaInvalida', {
+      nombre,
+      emisor,
+    })
+  }
+
+  return { valido: checks.every((c) => c.ok), comprobaciones: checks }
+}
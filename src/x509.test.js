@@ -0,0 +1,276 @@
+import { describe, expect, it } from 'vitest'
+import { readChildren, readDer } from './asn1'
+import { createTranslator } from './i18n'
+import es from './locales/es'
+import {
+  EncodingError,
+  UnsupportedAlgorithmError,
+  generateKeyPair,
+} from './firma'
+import {
+  createCertificate,
+  formatName,
+  parseCertificate,
+  validateChain,
+} from './x509'
+
+const DIA = 24 * 60 * 60 * 1000
+
+const ecdsa = () => generateKeyPair({ name: 'ECDSA', namedCurve: 'P-256' })
+
+async function emitir(claves, subject, { emisor, ca = false, days } = {}) {
+  const der = await createCertificate({
+    subject,
+    publicKey: claves.publicKey,
+    signingKey: emisor ? emisor.claves.privateKey : claves.privateKey,
+    issuer: emisor?.certificado,
+    ca,
+    days,
+  })
+  return { claves, certificado: parseCertificate(der) }
+}
+
+async function pki() {
+  const raiz = await emitir(
+    await ecdsa(),
+    { commonName: 'CA de prueba', organization: 'Curso' },
+    { ca: true }
+  )
+  const hoja = await emitir(
+    await ecdsa(),
+    { commonName: 'Ana' },
+    { emisor: raiz }
+  )
+  return { raiz, hoja }
+}
+
+const fallidas = (resultado) =>
+  resultado.comprobaciones
+    .filter((c) => !c.ok)
+    .map(({ code, params }) => ({ code, params }))
+
+describe('createCertificate y parseCertificate', () => {
+  it('emite una CA raíz autofirmada y un certificado de entidad final', async () => {
+    const { raiz, hoja } = await pki()
+    expect(formatName(raiz.certificado.subject)).toBe(
+      'O=Curso, CN=CA de prueba'
+    )
+    expect(raiz.certificado.issuerDer).toEqual(raiz.certificado.subjectDer)
+    expect(raiz.certificado.extensions).toMatchObject({
+      basicConstraints: { ca: true },
+      keyUsage: ['keyCertSign', 'cRLSign'],
+    })
+    expect(hoja.certificado).toMatchObject({
+      version: 3,
+      signatureAlgorithm: { name: 'ECDSA', hash: 'SHA-256' },
+      issuer: raiz.certificado.subject,
+      subject: [['CN', 'Ana']],
+      extensions: {
+        basicConstraints: { ca: false },
+        keyUsage: ['digitalSignature', 'nonRepudiation'],
+        authorityKeyIdentifier:
+          raiz.certificado.extensions.subjectKeyIdentifier,
+      },
+    })
+    expect(hoja.certificado.serialNumber).toMatch(/^[0-9a-f]{32}$/)
+  })
+
+  it.each([
+    { name: 'RSASSA-PKCS1-v1_5', modulusLength: 2048, hash: 'SHA-384' },
+    { name: 'RSA-PSS', modulusLength: 2048, hash: 'SHA-256' },
+    { name: 'ECDSA', namedCurve: 'P-384' },
+    { name: 'Ed25519' },
+  ])('una CA $name emite certificados que validan', async (config) => {
+    const raiz = await emitir(
+      await generateKeyPair(config),
+      { commonName: 'CA' },
+      { ca: true }
+    )
+    const hoja = await emitir(
+      await ecdsa(),
+      { commonName: 'Ana' },
+      { emisor: raiz }
+    )
+    const resultado = await validateChain(
+      [hoja.certificado],
+      [raiz.certificado]
+    )
+    expect(fallidas(resultado)).toEqual([])
+    expect(resultado.valido).toBe(true)
+  })
+
+  it('rechaza lo que no es un certificado con errores tipados', async () => {
+    const { hoja } = await pki()
+    expect(() => parseCertificate(hoja.certificado.spki)).toThrow(EncodingError)
+
+    // ecdsa-with-SHA256 pasa a SHA384 solo en el algoritmo exterior
+    const der = hoja.certificado.der.slice()
+    const [, algoritmo] = readChildren(der, readDer(der, 0))
+    der[readDer(der, algoritmo.start).end - 1] = 0x03
+    expect(() => parseCertificate(der)).toThrow(
+      'El algoritmo de firma no coincide dentro y fuera del certificado.'
+    )
+
+    const x25519 = await crypto.subtle.generateKey({ name: 'X25519' }, true, [
+      'deriveBits',
+    ])
+    await expect(
+      createCertificate({
+        subject: { commonName: 'X' },
+        publicKey: x25519.publicKey,
+        signingKey: x25519.privateKey,
+      })
+    ).rejects.toThrow(UnsupportedAlgorithmError)
+  })
+})
+
+describe('validateChain', () => {
+  it('acepta una cadena correcta y explica cada comprobación', async () => {
+    const { raiz, hoja } = await pki()
+    const resultado = await validateChain(
+      [hoja.certificado],
+      [raiz.certificado]
+    )
+    expect(resultado.valido).toBe(true)
+    expect(resultado.comprobaciones.map((c) => c.code)).toEqual([
+      'enVigor',
+      'usoClave',
+      'emisor',
+      'firmaValida',
+      'enVigor',
+      'esCa',
+      'firmaCertificados',
+      'firmaValida',
+    ])
+    expect(resultado.comprobaciones[2]).toMatchObject({
+      ok: true,
+      params: { nombre: 'CN=Ana', emisor: 'O=Curso, CN=CA de prueba' },
+    })
+  })
+
+  it('cada comprobación se traduce con el catálogo y el idioma', async () => {
+    const { raiz, hoja } = await pki()
+    const { comprobaciones } = await validateChain(
+      [hoja.certificado],
+      [raiz.certificado]
+    )
+    for (const { code } of comprobaciones)
+      expect(es).toHaveProperty([`cadena.${code}`])
+
+    const [vigor] = comprobaciones
+    expect(vigor.params.fecha).toEqual(hoja.certificado.notAfter)
+    for (const lang of ['es', 'en'])
+      expect(
+        createTranslator(lang).t(`cadena.${vigor.code}`, vigor.params)
+      ).toContain(hoja.certificado.notAfter.toLocaleString(lang))
+    expect(
+      createTranslator('en').t('cadena.emisor', comprobaciones[2].params)
+    ).toBe('"CN=Ana" is issued by "O=Curso, CN=CA de prueba".')
+  })
+
+  it('un certificado caducado', async () => {
+    const { raiz, hoja } = await pki()
+    const dentroDeDosAnios = new Date(Date.now() + 2 * 365 * DIA)
+    const resultado = await validateChain(
+      [hoja.certificado],
+      [raiz.certificado],
+      dentroDeDosAnios
+    )
+    expect(resultado.valido).toBe(false)
+    expect(fallidas(resultado)).toEqual([
+      {
+        code: 'caducado',
+        params: { nombre: 'CN=Ana', fecha: hoja.certificado.notAfter },
+      },
+      {
+        code: 'caducado',
+        params: {
+          nombre: 'O=Curso, CN=CA de prueba',
+          fecha: raiz.certificado.notAfter,
+        },
+      },
+    ])
+  })
+
+  it('un emisor que no es el que firmó', async () => {
+    const { raiz, hoja } = await pki()
+    const otra = await emitir(
+      await ecdsa(),
+      { commonName: 'Otra CA' },
+      { ca: true }
+    )
+    const resultado = await validateChain(
+      [hoja.certificado, otra.certificado],
+      [raiz.certificado, otra.certificado]
+    )
+    expect(fallidas(resultado)).toEqual([
+      {
+        code: 'otroEmisor',
+        params: {
+          nombre: 'CN=Ana',
+          declarado: 'O=Curso, CN=CA de prueba',
+          emisor: 'CN=Otra CA',
+        },
+      },
+      {
+        code: 'firmaInvalida',
+        params: { nombre: 'CN=Ana', emisor: 'CN=Otra CA' },
+      },
+    ])
+  })
+
+  it('un emisor que no es una CA', async () => {
+    const { raiz, hoja } = await pki()
+    const nieta = await emitir(
+      await ecdsa(),
+      { commonName: 'Luis' },
+      { emisor: hoja }
+    )
+    const resultado = await validateChain(
+      [nieta.certificado, hoja.certificado],
+      [raiz.certificado]
+    )
+    expect(resultado.valido).toBe(false)
+    expect(fallidas(resultado)).toEqual([
+      { code: 'noEsCa', params: { nombre: 'CN=Ana' } },
+      { code: 'sinKeyCertSign', params: { nombre: 'CN=Ana' } },
+    ])
+  })
+
+  it('una raíz que no es de confianza', async () => {
+    const { hoja } = await pki()
+    const ajena = await emitir(
+      await ecdsa(),
+      { commonName: 'Ajena' },
+      { ca: true }
+    )
+    for (const raices of [[], [ajena.certificado]]) {
+      const resultado = await validateChain([hoja.certificado], raices)
+      expect(resultado.valido).toBe(false)
+      expect(fallidas(resultado)).toEqual([
+        {
+          code: 'raizNoConfiable',
+          params: { nombre: 'O=Curso, CN=CA de prueba' },
+        },
+      ])
+    }
+  })
+
+  it('una firma alterada', async () => {
+    const { raiz, hoja } = await pki()
+    const der = hoja.certificado.der.slice()
+    // El último byte es parte de `s` dentro de la firma ECDSA en DER
+    der[der.length - 1] ^= 0x01
+    const resultado = await validateChain(
+      [parseCertificate(der)],
+      [raiz.certificado]
+    )
+    expect(resultado.valido).toBe(false)
+    expect(fallidas(resultado)).toEqual([
+      {
+        code: 'firmaInvalida',
+        params: { nombre: 'CN=Ana', emisor: 'O=Curso, CN=CA de prueba' },
+      },
+    ])
+  })
+})
@@ -5,4 +5,9 @@ import tailwindcss from '@tailwindcss/vite'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react(), tailwindcss()],
+  test: {
+    // Las pruebas de componentes piden jsdom con `@vitest-environment`
+    environment: 'node',
+    setupFiles: ['src/test/setup.js'],
+  },
 })